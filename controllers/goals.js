@@ -0,0 +1,49 @@
+/**
+ * GOALS CONTROLLER - The HTTP Handler for Goals Across Letters
+ *
+ * This controller receives HTTP requests about all the goals a user is
+ * living, whichever letter they were written in, delegates the actual
+ * work to the goalService, and sends back responses. Errors are
+ * automatically handled by the global error middleware.
+ */
+
+const goalService = require('../services/goalService');
+const { asyncHandler } = require('../middleware/errorHandler');
+
+// HTTP status code mappings
+const HTTP_STATUS = {
+  OK: 200
+};
+
+//endpoint handlers
+
+/**
+ * GET /goals
+ * Retrieve the user's goals from all their letters, with counts per status
+ * Query: status (comma separated, or open), from, to, dateField (delivered |
+ *        written | statusUpdated), letterId, sort, order, limit, cursor
+ */
+const getAllGoals = asyncHandler(async (req, res) => {
+  const userId = req.user._id;
+  const goals = await goalService.getAllGoals(userId, req.query);
+  sendSuccess(res, HTTP_STATUS.OK, goals);
+});
+
+// response helpers
+
+/**
+ * Send a successful response with consistent format
+ */
+const sendSuccess = (res, statusCode, data) => {
+  res.status(statusCode).json({
+    success: true,
+    data
+  });
+};
+
+
+// exports
+
+module.exports = {
+  getAllGoals
+};
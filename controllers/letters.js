@@ -12,13 +12,24 @@
  */
 
 const letterService = require('../services/letterService');
-const { DELIVERY_INTERVALS, INTERVAL_LABELS } = require('../utils/dateCalculator');
+const searchService = require('../services/searchService');
+const exportService = require('../services/exportService');
+const importService = require('../services/importService');
+const contextService = require('../services/contextService');
+const placeService = require('../services/placeService');
+const {
+  DELIVERY_INTERVALS,
+  INTERVAL_LABELS,
+  BIRTHDAY_INTERVALS
+} = require('../utils/dateCalculator');
+const { MOODS } = require('../utils/moods');
 const { asyncHandler } = require('../middleware/errorHandler');
 
 // HTTP status code mappings
 const HTTP_STATUS = {
   OK: 200,
-  CREATED: 201
+  CREATED: 201,
+  ACCEPTED: 202
 };
 
 //endpoint handlers
@@ -33,7 +44,10 @@ const getDeliveryOptions = (req, res) => {
   const options = Object.entries(DELIVERY_INTERVALS).map(([key, value]) => ({
     id: value,
     label: INTERVAL_LABELS[value],
-    requiresCustomDate: value === DELIVERY_INTERVALS.CUSTOM_DATE
+    requiresCustomDate: value === DELIVERY_INTERVALS.CUSTOM_DATE,
+    requiresBirthday: BIRTHDAY_INTERVALS.includes(value),
+    requiresTargetAge: value === DELIVERY_INTERVALS.BIRTHDAY_AGE,
+    acceptsAnniversaryYears: value === DELIVERY_INTERVALS.ANNIVERSARY
   }));
 
   sendSuccess(res, HTTP_STATUS.OK, {
@@ -42,16 +56,168 @@ const getDeliveryOptions = (req, res) => {
   });
 };
 
+/**
+ * GET /letters/moods
+ *
+ * Returns the moods a letter can be written in, with their names,
+ * so the frontend doesn't keep its own list.
+ */
+const getMoodOptions = (req, res) => {
+  const moods = MOODS
+    .filter((mood) => !mood.retired)
+    .map(({ key, emoji, name }) => ({ key, emoji, name }));
+
+  sendSuccess(res, HTTP_STATUS.OK, { moods });
+};
+
 /**
  * GET /letters
- * Retrieve all letters belonging to the logged-in user
+ * Retrieve the logged-in user's letters, a page at a time
+ * Query: sort, order, limit, cursor, view, isDelivered, deliveryInterval, mood,
+ *        tag, promptId, addressedTo (self | others)
  */
 const getAllLetters = asyncHandler(async (req, res) => {
   const userId = req.user._id;
-  const letters = await letterService.getAllLetters(userId);
+  const letters = await letterService.getAllLetters(userId, req.query);
+  sendSuccess(res, HTTP_STATUS.OK, letters);
+});
+
+/**
+ * GET /letters/sent
+ * Letters the logged-in user wrote to someone else
+ * Query: same as GET /letters
+ */
+const getSentLetters = asyncHandler(async (req, res) => {
+  const userId = req.user._id;
+  const letters = await letterService.getSentLetters(userId, req.query);
+  sendSuccess(res, HTTP_STATUS.OK, letters);
+});
+
+/**
+ * GET /letters/inbox
+ * Delivered letters other users wrote to the logged-in user
+ * Query: sort, order, limit, cursor, view
+ */
+const getInbox = asyncHandler(async (req, res) => {
+  const userId = req.user._id;
+  const letters = await letterService.getInbox(userId, req.query);
   sendSuccess(res, HTTP_STATUS.OK, letters);
 });
 
+/**
+ * GET /letters/search
+ * Search the logged-in user's letters
+ * Query: q, mood, isDelivered, writtenFrom, writtenTo, deliveryFrom,
+ *        deliveryTo, location, goalStatus, limit
+ */
+const searchLetters = asyncHandler(async (req, res) => {
+  const userId = req.user._id;
+  const results = await searchService.searchLetters(userId, req.query);
+  sendSuccess(res, HTTP_STATUS.OK, results);
+});
+
+/**
+ * GET /letters/near
+ * Letters the user wrote near a spot, closest first
+ * Query: latitude, longitude, radius (meters, default 1000), limit
+ */
+const getLettersNear = asyncHandler(async (req, res) => {
+  const userId = req.user._id;
+  const results = await placeService.getLettersNear(userId, req.query);
+  sendSuccess(res, HTTP_STATUS.OK, results);
+});
+
+/**
+ * GET /letters/within
+ * Letters the user wrote inside an area of the map, newest first
+ * Query: bbox=minLongitude,minLatitude,maxLongitude,maxLatitude, limit
+ */
+const getLettersWithin = asyncHandler(async (req, res) => {
+  const userId = req.user._id;
+  const results = await placeService.getLettersWithin(userId, req.query);
+  sendSuccess(res, HTTP_STATUS.OK, results);
+});
+
+/**
+ * GET /letters/places
+ * Every place the user has written from, with how many letters each
+ */
+const getPlaces = asyncHandler(async (req, res) => {
+  const userId = req.user._id;
+  const places = await placeService.getPlaces(userId);
+  sendSuccess(res, HTTP_STATUS.OK, places);
+});
+
+/**
+ * GET /letters/context
+ * Snapshot the moment a letter is being written in - weather, song and
+ * headline - so the writer can keep or change it
+ * Query: location
+ */
+const getWritingContext = asyncHandler(async (req, res) => {
+  const userId = req.user._id;
+  const context = await contextService.captureContext(userId, req.query);
+  sendSuccess(res, HTTP_STATUS.OK, context);
+});
+
+/**
+ * GET /letters/export
+ * Download all the user's letters as a zip (Markdown, JSON, optional PDF).
+ * Large accounts get 202 with a background export to check on instead.
+ * Query: pdf=true, async=true
+ */
+const exportLetters = asyncHandler(async (req, res, next) => {
+  const userId = req.user._id;
+  const result = await exportService.exportLetters(userId, req.query);
+
+  if (result.export) {
+    return sendSuccess(res, HTTP_STATUS.ACCEPTED, result.export);
+  }
+
+  res.set('Content-Type', 'application/zip');
+  res.attachment(result.fileName);
+  pipeDownload(result.archive, res, next);
+});
+
+/**
+ * GET /letters/exports/:exportId
+ * Check on a background export
+ */
+const getExport = asyncHandler(async (req, res) => {
+  const userId = req.user._id;
+  const letterExport = await exportService.getExportStatus(userId, req.params.exportId);
+  sendSuccess(res, HTTP_STATUS.OK, letterExport);
+});
+
+/**
+ * GET /letters/exports/:exportId/download
+ * Download a finished background export
+ */
+const downloadExport = asyncHandler(async (req, res, next) => {
+  const userId = req.user._id;
+  const { fileName, size, stream } = await exportService.getExportDownload(userId, req.params.exportId);
+
+  res.set({
+    'Content-Type': 'application/zip',
+    'Content-Length': size
+  });
+  res.attachment(fileName);
+  pipeDownload(stream, res, next);
+});
+
+/**
+ * POST /letters/import
+ * Import entries from another journal: our JSON export, Markdown with
+ * front matter, or CSV, uploaded in the "files" field.
+ * A dry run reports what's wrong with each entry without saving anything.
+ * Query: dryRun=true
+ */
+const importLetters = asyncHandler(async (req, res) => {
+  const userId = req.user._id;
+  const summary = await importService.importLetters(userId, req.files, req.query);
+  sendSuccess(res, summary.dryRun ? HTTP_STATUS.OK : HTTP_STATUS.CREATED, summary);
+});
+
 /**
  * GET /letters/:id
  * Retrieve a specific letter by ID
@@ -66,6 +232,8 @@ const getLetter = asyncHandler(async (req, res) => {
 /**
  * POST /letters
  * Create a new letter
+ * Body may include templateId (start from a template) and promptId
+ * (answer a prompt from the library)
  */
 const createLetter = asyncHandler(async (req, res) => {
   const userId = req.user._id;
@@ -74,21 +242,157 @@ const createLetter = asyncHandler(async (req, res) => {
   sendSuccess(res, HTTP_STATUS.CREATED, letter);
 });
 
+/**
+ * POST /letters/:id/replies
+ * Write back to a delivered letter, scheduling the answer for the future
+ * Body: a new letter (as for POST /letters), plus carryGoals: true to
+ * bring along the letter's unfinished goals
+ */
+const replyToLetter = asyncHandler(async (req, res) => {
+  const userId = req.user._id;
+  const reply = await letterService.replyToLetter(userId, req.params.id, req.body || {});
+  sendSuccess(res, HTTP_STATUS.CREATED, reply);
+});
+
+/**
+ * GET /letters/:id/thread
+ * The whole conversation a letter belongs to, oldest first
+ */
+const getLetterThread = asyncHandler(async (req, res) => {
+  const userId = req.user._id;
+  const thread = await letterService.getLetterThread(userId, req.params.id);
+  sendSuccess(res, HTTP_STATUS.OK, thread);
+});
+
+/**
+ * POST /letters/drafts
+ * Start a new draft
+ * Body may include templateId and promptId, as for POST /letters
+ */
+const createDraft = asyncHandler(async (req, res) => {
+  const userId = req.user._id;
+  const draftData = req.body || {};
+  const draft = await letterService.createDraft(userId, draftData);
+  sendSuccess(res, HTTP_STATUS.CREATED, draft);
+});
+
+/**
+ * PUT /letters/:id/content
+ * Save changes to a draft or undelivered letter
+ * Body: the fields to change, plus autosave: true for background saves
+ */
+const updateLetterContent = asyncHandler(async (req, res) => {
+  const userId = req.user._id;
+  const letterId = req.params.id;
+  const contentData = req.body || {};
+  const letter = await letterService.updateLetterContent(userId, letterId, contentData);
+  sendSuccess(res, HTTP_STATUS.OK, letter);
+});
+
+/**
+ * GET /letters/:id/revisions
+ * List a letter's saved versions, newest first
+ */
+const getLetterRevisions = asyncHandler(async (req, res) => {
+  const userId = req.user._id;
+  const letterId = req.params.id;
+  const revisions = await letterService.getLetterRevisions(userId, letterId);
+  sendSuccess(res, HTTP_STATUS.OK, revisions);
+});
+
+/**
+ * GET /letters/:id/revisions/:revisionId
+ * Read one saved version in full
+ */
+const getLetterRevision = asyncHandler(async (req, res) => {
+  const userId = req.user._id;
+  const letterId = req.params.id;
+  const revisionId = req.params.revisionId;
+  const revision = await letterService.getLetterRevision(userId, letterId, revisionId);
+  sendSuccess(res, HTTP_STATUS.OK, revision);
+});
+
+/**
+ * POST /letters/:id/revisions/:revisionId/restore
+ * Bring an earlier version back
+ */
+const restoreLetterRevision = asyncHandler(async (req, res) => {
+  const userId = req.user._id;
+  const letterId = req.params.id;
+  const revisionId = req.params.revisionId;
+  const letter = await letterService.restoreLetterRevision(userId, letterId, revisionId);
+  sendSuccess(res, HTTP_STATUS.OK, letter);
+});
+
+/**
+ * POST /letters/:id/schedule
+ * Finish a draft and schedule it for delivery
+ */
+const scheduleDraft = asyncHandler(async (req, res) => {
+  const userId = req.user._id;
+  const letterId = req.params.id;
+  const letterData = req.body || {};
+  const letter = await letterService.scheduleDraft(userId, letterId, letterData);
+  sendSuccess(res, HTTP_STATUS.OK, letter);
+});
+
 /**
  * PUT /letters/:id
  * Update a letter's delivery date
+ * Body: { deliveryInterval, deliveredAt, targetAge, anniversaryYears }
+ * deliveredAt is only needed for 'custom', targetAge for 'birthdayAge'
  */
 const updateLetterDeliveryDate = asyncHandler(async (req, res) => {
   const userId = req.user._id;
   const letterId = req.params.id;
-  const newDeliveryDate = req.body.deliveredAt;
-  const letter = await letterService.updateLetterDeliveryDate(userId, letterId, newDeliveryDate);
+  const { deliveryInterval, deliveredAt, targetAge, anniversaryYears } = req.body;
+  const letter = await letterService.updateLetterDeliveryDate(userId, letterId, {
+    deliveryInterval,
+    deliveredAt,
+    targetAge,
+    anniversaryYears
+  });
+  sendSuccess(res, HTTP_STATUS.OK, letter);
+});
+
+/**
+ * POST /letters/:id/break-seal
+ * Open a sealed letter before its delivery date
+ * Body: { reason } (optional)
+ */
+const breakSeal = asyncHandler(async (req, res) => {
+  const userId = req.user._id;
+  const letterId = req.params.id;
+  const { reason } = req.body || {};
+  const letter = await letterService.breakSeal(userId, letterId, reason);
+  sendSuccess(res, HTTP_STATUS.OK, letter);
+});
+
+/**
+ * PUT /letters/:id/place
+ * Record where a letter was written, or make the saved place vaguer
+ * Body: { latitude, longitude, precision, location } - or just { precision }
+ * to reduce the saved place
+ */
+const setLetterPlace = asyncHandler(async (req, res) => {
+  const userId = req.user._id;
+  const letter = await letterService.setLetterPlace(userId, req.params.id, req.body || {});
+  sendSuccess(res, HTTP_STATUS.OK, letter);
+});
+
+/**
+ * DELETE /letters/:id/place
+ * Forget where a letter was written
+ */
+const removeLetterPlace = asyncHandler(async (req, res) => {
+  const userId = req.user._id;
+  const letter = await letterService.removeLetterPlace(userId, req.params.id);
   sendSuccess(res, HTTP_STATUS.OK, letter);
 });
 
 /**
  * DELETE /letters/:id
- * Delete a letter
+ * Move a letter to the trash
  */
 const deleteLetter = asyncHandler(async (req, res) => {
   const userId = req.user._id;
@@ -97,6 +401,67 @@ const deleteLetter = asyncHandler(async (req, res) => {
   sendSuccess(res, HTTP_STATUS.OK, result);
 });
 
+/**
+ * GET /letters/trash
+ * Letters and reflections in the trash, with when each will be purged
+ */
+const getTrash = asyncHandler(async (req, res) => {
+  const userId = req.user._id;
+  const trash = await letterService.getTrash(userId);
+  sendSuccess(res, HTTP_STATUS.OK, trash);
+});
+
+/**
+ * POST /letters/:id/restore
+ * Bring a letter back out of the trash
+ */
+const restoreLetter = asyncHandler(async (req, res) => {
+  const userId = req.user._id;
+  const letterId = req.params.id;
+  const letter = await letterService.restoreLetter(userId, letterId);
+  sendSuccess(res, HTTP_STATUS.OK, letter);
+});
+
+/**
+ * POST /letters/:id/attachments
+ * Attach a file to a letter (multipart form, field "file")
+ */
+const addAttachment = asyncHandler(async (req, res) => {
+  const userId = req.user._id;
+  const letterId = req.params.id;
+  const attachment = await letterService.addAttachment(userId, letterId, req.file);
+  sendSuccess(res, HTTP_STATUS.CREATED, attachment);
+});
+
+/**
+ * GET /letters/:id/attachments/:attachmentId
+ * Download an attachment's file (not while the letter is sealed)
+ */
+const downloadAttachment = asyncHandler(async (req, res, next) => {
+  const userId = req.user._id;
+  const { id: letterId, attachmentId } = req.params;
+  const { attachment, stream } = await letterService.getAttachmentDownload(userId, letterId, attachmentId);
+
+  res.set({
+    'Content-Type': attachment.mimeType,
+    'Content-Length': attachment.size,
+    'X-Content-Type-Options': 'nosniff'
+  });
+  res.attachment(attachment.fileName);
+  pipeDownload(stream, res, next);
+});
+
+/**
+ * DELETE /letters/:id/attachments/:attachmentId
+ * Remove an attachment from a letter that hasn't been delivered
+ */
+const deleteAttachment = asyncHandler(async (req, res) => {
+  const userId = req.user._id;
+  const { id: letterId, attachmentId } = req.params;
+  const result = await letterService.deleteAttachment(userId, letterId, attachmentId);
+  sendSuccess(res, HTTP_STATUS.OK, result);
+});
+
 /**
  * POST /letters/:id/reflection
  * Add a reflection to a delivered letter
@@ -111,7 +476,7 @@ const addReflection = asyncHandler(async (req, res) => {
 
 /**
  * DELETE /letters/:id/reflection/:reflectionId
- * Remove a reflection from a letter
+ * Move a reflection to the trash
  */
 const deleteReflection = asyncHandler(async (req, res) => {
   const userId = req.user._id;
@@ -121,61 +486,77 @@ const deleteReflection = asyncHandler(async (req, res) => {
   sendSuccess(res, HTTP_STATUS.OK, letter);
 });
 
+/**
+ * POST /letters/:id/reflection/:reflectionId/restore
+ * Put a trashed reflection back on its letter
+ */
+const restoreReflection = asyncHandler(async (req, res) => {
+  const userId = req.user._id;
+  const letterId = req.params.id;
+  const reflectionId = req.params.reflectionId;
+  const letter = await letterService.restoreReflection(userId, letterId, reflectionId);
+  sendSuccess(res, HTTP_STATUS.OK, letter);
+});
+
 /**
  * PUT /letters/:id/goals/:goalId/status
- * Update goal status
- */
-const updateGoalStatus = async (req, res) => {
-  try {
-    const userId = req.user._id;
-    const letterId = req.params.id;
-    const goalId = req.params.goalId;
-    const statusData = req.body;
-
-    const letter = await letterService.updateGoalStatus(userId, letterId, goalId, statusData);
-    sendSuccess(res, HTTP_STATUS.OK, letter);
-  } catch (error) {
-    sendError(res, error);
-  }
-};
+ * Update goal status (409 INVALID_TRANSITION for a move that isn't allowed)
+ * Body: { status, note, reflection }
+ */
+const updateGoalStatus = asyncHandler(async (req, res) => {
+  const userId = req.user._id;
+  const letterId = req.params.id;
+  const goalId = req.params.goalId;
+  const statusData = req.body || {};
+
+  const letter = await letterService.updateGoalStatus(userId, letterId, goalId, statusData);
+  sendSuccess(res, HTTP_STATUS.OK, letter);
+});
+
 /**
  * POST /letters/:id/goals/:goalId/carry-forward
  * Carry goal to new letter
+ * Body: { newLetterId, note }
  */
-const carryGoalForward = async (req, res) => {
-  try {
-    const userId = req.user._id;
-    const oldLetterId = req.params.id;
-    const goalId = req.params.goalId;
-    const { newLetterId } = req.body;
-
-    const result = await letterService.carryGoalForward(userId, oldLetterId, goalId, newLetterId);
-    sendSuccess(res, HTTP_STATUS.OK, result);
-  } catch (error) {
-    sendError(res, error);
-  }
-};
+const carryGoalForward = asyncHandler(async (req, res) => {
+  const userId = req.user._id;
+  const oldLetterId = req.params.id;
+  const goalId = req.params.goalId;
+  const { newLetterId, note } = req.body || {};
+
+  const result = await letterService.carryGoalForward(userId, oldLetterId, goalId, newLetterId, note);
+  sendSuccess(res, HTTP_STATUS.OK, result);
+});
 
 /**
  * PUT /letters/:id/goals/:goalId/reflection
  * Add reflection to a goal
+ * Body: { reflection }
  */
-const addGoalReflection = async (req, res) => {
-  try{
-    const userId = req.user._id;
-    const letterId = req.params.id;
-    const goalId = req.params.goalId;
-    const { reflection } = req.body;
-
-    const letter = await letterService.addGoalReflection(userId, letterId, goalId, reflection);
-    sendSuccess(res, HTTP_STATUS.OK, letter);
-} catch (error) {
-    sendError(res, error);
-  }
-};
+const addGoalReflection = asyncHandler(async (req, res) => {
+  const userId = req.user._id;
+  const letterId = req.params.id;
+  const goalId = req.params.goalId;
+  const { reflection } = req.body || {};
+
+  const letter = await letterService.addGoalReflection(userId, letterId, goalId, reflection);
+  sendSuccess(res, HTTP_STATUS.OK, letter);
+});
 
 // response helpers
 
+/**
+ * Stream a file to the response. Errors before anything was sent go to
+ * the error handler; after that, all we can do is cut the response off.
+ */
+const pipeDownload = (stream, res, next) => {
+  stream.on('error', (error) => {
+    if (res.headersSent) return res.destroy(error);
+    next(error);
+  });
+  stream.pipe(res);
+};
+
 /**
  * Send a successful response with consistent format
  */
@@ -191,13 +572,42 @@ const sendSuccess = (res, statusCode, data) => {
 
 module.exports = {
   getDeliveryOptions,
+  getMoodOptions,
   getAllLetters,
+  getSentLetters,
+  getInbox,
+  searchLetters,
+  getLettersNear,
+  getLettersWithin,
+  getPlaces,
+  getWritingContext,
+  exportLetters,
+  getExport,
+  downloadExport,
+  importLetters,
   getLetter,
   createLetter,
+  createDraft,
+  replyToLetter,
+  getLetterThread,
+  updateLetterContent,
+  getLetterRevisions,
+  getLetterRevision,
+  restoreLetterRevision,
+  scheduleDraft,
   updateLetterDeliveryDate,
+  breakSeal,
+  setLetterPlace,
+  removeLetterPlace,
   deleteLetter,
+  getTrash,
+  restoreLetter,
+  addAttachment,
+  downloadAttachment,
+  deleteAttachment,
   addReflection,
   deleteReflection,
+  restoreReflection,
   updateGoalStatus,
   carryGoalForward,
   addGoalReflection
@@ -0,0 +1,71 @@
+/**
+ * PROMPTS CONTROLLER - The HTTP Handler for the Writing Prompt Library
+ *
+ * This controller receives HTTP requests for writing prompts, delegates
+ * the actual work to the promptService, and sends back responses.
+ * Errors are automatically handled by the global error middleware.
+ */
+
+const promptService = require('../services/promptService');
+const { asyncHandler } = require('../middleware/errorHandler');
+
+// HTTP status code mappings
+const HTTP_STATUS = {
+  OK: 200
+};
+
+//endpoint handlers
+
+/**
+ * GET /prompts
+ * Browse the prompt library, with how often the user answered each prompt
+ * Query: theme, interval
+ */
+const getPrompts = asyncHandler(async (req, res) => {
+  const userId = req.user._id;
+  const prompts = await promptService.getPrompts(userId, req.query);
+  sendSuccess(res, HTTP_STATUS.OK, prompts);
+});
+
+/**
+ * GET /prompts/today
+ * Today's prompt, on the user's calendar
+ * Query: theme, interval
+ */
+const getPromptOfTheDay = asyncHandler(async (req, res) => {
+  const userId = req.user._id;
+  const promptOfTheDay = await promptService.getPromptOfTheDay(userId, req.query);
+  sendSuccess(res, HTTP_STATUS.OK, promptOfTheDay);
+});
+
+/**
+ * GET /prompts/:id
+ * One prompt from the library
+ */
+const getPrompt = asyncHandler(async (req, res) => {
+  const userId = req.user._id;
+  const promptId = req.params.id;
+  const prompt = await promptService.getPrompt(userId, promptId);
+  sendSuccess(res, HTTP_STATUS.OK, prompt);
+});
+
+// response helpers
+
+/**
+ * Send a successful response with consistent format
+ */
+const sendSuccess = (res, statusCode, data) => {
+  res.status(statusCode).json({
+    success: true,
+    data
+  });
+};
+
+
+// exports
+
+module.exports = {
+  getPrompts,
+  getPromptOfTheDay,
+  getPrompt
+};
@@ -0,0 +1,121 @@
+/**
+ * SERIES CONTROLLER - The HTTP Handler for Letter Series Operations
+ *
+ * This controller receives HTTP requests about recurring letter series,
+ * delegates the actual work to the seriesService, and sends back responses.
+ * Errors are automatically handled by the global error middleware.
+ */
+
+const seriesService = require('../services/seriesService');
+const { asyncHandler } = require('../middleware/errorHandler');
+
+// HTTP status code mappings
+const HTTP_STATUS = {
+  OK: 200,
+  CREATED: 201
+};
+
+//endpoint handlers
+
+/**
+ * GET /letters/series
+ * Retrieve all series belonging to the logged-in user
+ */
+const getAllSeries = asyncHandler(async (req, res) => {
+  const userId = req.user._id;
+  const series = await seriesService.getAllSeries(userId);
+  sendSuccess(res, HTTP_STATUS.OK, series);
+});
+
+/**
+ * GET /letters/series/:id
+ * Retrieve a series with its letters in order
+ */
+const getSeries = asyncHandler(async (req, res) => {
+  const userId = req.user._id;
+  const seriesId = req.params.id;
+  const result = await seriesService.getSeriesById(userId, seriesId);
+  sendSuccess(res, HTTP_STATUS.OK, result);
+});
+
+/**
+ * POST /letters/series
+ * Start a new series
+ * Body: { title, prompt, cadence: { frequency, every }, deliveryInterval, startsAt }
+ */
+const createSeries = asyncHandler(async (req, res) => {
+  const userId = req.user._id;
+  const seriesData = req.body;
+  const series = await seriesService.createSeries(userId, seriesData);
+  sendSuccess(res, HTTP_STATUS.CREATED, series);
+});
+
+/**
+ * PUT /letters/series/:id
+ * Update a series' title, prompt, delivery interval or cadence
+ */
+const updateSeries = asyncHandler(async (req, res) => {
+  const userId = req.user._id;
+  const seriesId = req.params.id;
+  const seriesData = req.body;
+  const series = await seriesService.updateSeries(userId, seriesId, seriesData);
+  sendSuccess(res, HTTP_STATUS.OK, series);
+});
+
+/**
+ * POST /letters/series/:id/pause
+ * Stop creating drafts for a while
+ */
+const pauseSeries = asyncHandler(async (req, res) => {
+  const userId = req.user._id;
+  const seriesId = req.params.id;
+  const series = await seriesService.pauseSeries(userId, seriesId);
+  sendSuccess(res, HTTP_STATUS.OK, series);
+});
+
+/**
+ * POST /letters/series/:id/resume
+ * Start creating drafts again
+ */
+const resumeSeries = asyncHandler(async (req, res) => {
+  const userId = req.user._id;
+  const seriesId = req.params.id;
+  const series = await seriesService.resumeSeries(userId, seriesId);
+  sendSuccess(res, HTTP_STATUS.OK, series);
+});
+
+/**
+ * POST /letters/series/:id/end
+ * End a series for good
+ */
+const endSeries = asyncHandler(async (req, res) => {
+  const userId = req.user._id;
+  const seriesId = req.params.id;
+  const series = await seriesService.endSeries(userId, seriesId);
+  sendSuccess(res, HTTP_STATUS.OK, series);
+});
+
+// response helpers
+
+/**
+ * Send a successful response with consistent format
+ */
+const sendSuccess = (res, statusCode, data) => {
+  res.status(statusCode).json({
+    success: true,
+    data
+  });
+};
+
+
+// exports
+
+module.exports = {
+  getAllSeries,
+  getSeries,
+  createSeries,
+  updateSeries,
+  pauseSeries,
+  resumeSeries,
+  endSeries
+};
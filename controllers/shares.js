@@ -0,0 +1,90 @@
+/**
+ * SHARES CONTROLLER - The HTTP Handler for Share Link Operations
+ *
+ * This controller receives HTTP requests about read-only links to
+ * delivered letters, delegates the actual work to the shareService, and
+ * sends back responses. Errors are automatically handled by the global error middleware.
+ */
+
+const shareService = require('../services/shareService');
+const { asyncHandler } = require('../middleware/errorHandler');
+
+// HTTP status code mappings
+const HTTP_STATUS = {
+  OK: 200,
+  CREATED: 201
+};
+
+// Header a reader sends the password for a protected link in
+const SHARE_PASSWORD_HEADER = 'x-share-password';
+
+//endpoint handlers
+
+/**
+ * GET /shares
+ * Retrieve the user's share links, newest first
+ * Query: letterId (only links for that letter)
+ */
+const getShareLinks = asyncHandler(async (req, res) => {
+  const userId = req.user._id;
+  const links = await shareService.getShareLinks(userId, req.query);
+  sendSuccess(res, HTTP_STATUS.OK, links);
+});
+
+/**
+ * POST /shares
+ * Create a share link for a delivered letter
+ * Body: { letterId, include: { content, goals, reflections }, expiresAt, password }
+ */
+const createShareLink = asyncHandler(async (req, res) => {
+  const userId = req.user._id;
+  const { letterId, ...options } = req.body || {};
+  const link = await shareService.createShareLink(userId, letterId, options);
+  sendSuccess(res, HTTP_STATUS.CREATED, link);
+});
+
+/**
+ * DELETE /shares/:id
+ * Revoke a share link
+ */
+const revokeShareLink = asyncHandler(async (req, res) => {
+  const userId = req.user._id;
+  const linkId = req.params.id;
+  const link = await shareService.revokeShareLink(userId, linkId);
+  sendSuccess(res, HTTP_STATUS.OK, link);
+});
+
+/**
+ * GET /shared/:token
+ * Read a shared letter - no login needed
+ * Headers: X-Share-Password for password-protected links
+ */
+const viewSharedLetter = asyncHandler(async (req, res) => {
+  const token = req.params.token;
+  const password = req.get(SHARE_PASSWORD_HEADER);
+  const letter = await shareService.viewSharedLetter(token, password);
+  res.set('Cache-Control', 'no-store');
+  sendSuccess(res, HTTP_STATUS.OK, letter);
+});
+
+// response helpers
+
+/**
+ * Send a successful response with consistent format
+ */
+const sendSuccess = (res, statusCode, data) => {
+  res.status(statusCode).json({
+    success: true,
+    data
+  });
+};
+
+
+// exports
+
+module.exports = {
+  getShareLinks,
+  createShareLink,
+  revokeShareLink,
+  viewSharedLetter
+};
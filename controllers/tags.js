@@ -0,0 +1,99 @@
+/**
+ * TAGS CONTROLLER - The HTTP Handler for Tag and Collection Operations
+ *
+ * This controller receives HTTP requests about the labels users put on
+ * their letters, delegates the actual work to the tagService, and sends
+ * back responses. Errors are automatically handled by the global error middleware.
+ */
+
+const tagService = require('../services/tagService');
+const { asyncHandler } = require('../middleware/errorHandler');
+
+// HTTP status code mappings
+const HTTP_STATUS = {
+  OK: 200,
+  CREATED: 201
+};
+
+//endpoint handlers
+
+/**
+ * GET /tags
+ * Retrieve the user's tags and collections with how many letters use each
+ */
+const getAllTags = asyncHandler(async (req, res) => {
+  const userId = req.user._id;
+  const tags = await tagService.getAllTags(userId);
+  sendSuccess(res, HTTP_STATUS.OK, tags);
+});
+
+/**
+ * POST /tags
+ * Create a tag or collection
+ * Body: { name, kind: 'tag' | 'collection', color }
+ */
+const createTag = asyncHandler(async (req, res) => {
+  const userId = req.user._id;
+  const tagData = req.body || {};
+  const tag = await tagService.createTag(userId, tagData);
+  sendSuccess(res, HTTP_STATUS.CREATED, tag);
+});
+
+/**
+ * PUT /tags/:id
+ * Rename a tag or change its color
+ * Body: { name, color }
+ */
+const updateTag = asyncHandler(async (req, res) => {
+  const userId = req.user._id;
+  const tagId = req.params.id;
+  const tagData = req.body || {};
+  const tag = await tagService.updateTag(userId, tagId, tagData);
+  sendSuccess(res, HTTP_STATUS.OK, tag);
+});
+
+/**
+ * DELETE /tags/:id
+ * Delete a tag and take it off every letter
+ */
+const deleteTag = asyncHandler(async (req, res) => {
+  const userId = req.user._id;
+  const tagId = req.params.id;
+  const result = await tagService.deleteTag(userId, tagId);
+  sendSuccess(res, HTTP_STATUS.OK, result);
+});
+
+/**
+ * POST /tags/assign
+ * Add and/or remove tags on many letters at once
+ * Body: { letterIds: [...], addTagIds: [...], removeTagIds: [...] }
+ */
+const assignTags = asyncHandler(async (req, res) => {
+  const userId = req.user._id;
+  const assignment = req.body || {};
+  const result = await tagService.assignTags(userId, assignment);
+  sendSuccess(res, HTTP_STATUS.OK, result);
+});
+
+// response helpers
+
+/**
+ * Send a successful response with consistent format
+ */
+const sendSuccess = (res, statusCode, data) => {
+  res.status(statusCode).json({
+    success: true,
+    data
+  });
+};
+
+
+// exports
+
+module.exports = {
+  getAllTags,
+  createTag,
+  updateTag,
+  deleteTag,
+  assignTags
+};
@@ -0,0 +1,86 @@
+/**
+ * TEMPLATES CONTROLLER - The HTTP Handler for Letter Template Operations
+ *
+ * This controller receives HTTP requests about the user's letter
+ * templates, delegates the actual work to the templateService, and sends
+ * back responses. Errors are automatically handled by the global error middleware.
+ */
+
+const templateService = require('../services/templateService');
+const { asyncHandler } = require('../middleware/errorHandler');
+
+// HTTP status code mappings
+const HTTP_STATUS = {
+  OK: 200,
+  CREATED: 201
+};
+
+//endpoint handlers
+
+/**
+ * GET /templates
+ * Retrieve the user's letter templates
+ */
+const getAllTemplates = asyncHandler(async (req, res) => {
+  const userId = req.user._id;
+  const templates = await templateService.getAllTemplates(userId);
+  sendSuccess(res, HTTP_STATUS.OK, templates);
+});
+
+/**
+ * POST /templates
+ * Save a new letter template
+ * Body: { name, title, content, goals: [{ text }], promptId, deliveryInterval }
+ */
+const createTemplate = asyncHandler(async (req, res) => {
+  const userId = req.user._id;
+  const templateData = req.body || {};
+  const template = await templateService.createTemplate(userId, templateData);
+  sendSuccess(res, HTTP_STATUS.CREATED, template);
+});
+
+/**
+ * PUT /templates/:id
+ * Change what a template fills in
+ * Body: any of the fields accepted by POST /templates
+ */
+const updateTemplate = asyncHandler(async (req, res) => {
+  const userId = req.user._id;
+  const templateId = req.params.id;
+  const templateData = req.body || {};
+  const template = await templateService.updateTemplate(userId, templateId, templateData);
+  sendSuccess(res, HTTP_STATUS.OK, template);
+});
+
+/**
+ * DELETE /templates/:id
+ * Delete a template (letters started from it are kept)
+ */
+const deleteTemplate = asyncHandler(async (req, res) => {
+  const userId = req.user._id;
+  const templateId = req.params.id;
+  const result = await templateService.deleteTemplate(userId, templateId);
+  sendSuccess(res, HTTP_STATUS.OK, result);
+});
+
+// response helpers
+
+/**
+ * Send a successful response with consistent format
+ */
+const sendSuccess = (res, statusCode, data) => {
+  res.status(statusCode).json({
+    success: true,
+    data
+  });
+};
+
+
+// exports
+
+module.exports = {
+  getAllTemplates,
+  createTemplate,
+  updateTemplate,
+  deleteTemplate
+};
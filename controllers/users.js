@@ -8,6 +8,8 @@
  */
 
 const userService = require('../services/userService');
+const moodService = require('../services/moodService');
+const { asyncHandler } = require('../middleware/errorHandler');
 
 // http status mappings
 
@@ -126,6 +128,18 @@ const getUserProfile = async (req, res) => {
     }
   };
 
+/**
+ * GET /users/me/mood-trends
+ * How the logged in user's moods have moved over time: moods per period,
+ * how later reflections compare with the mood at writing, and streaks
+ * Query: period (week | month | year), from, to
+ */
+const getMyMoodTrends = asyncHandler(async (req, res) => {
+  const userId = req.user._id;
+  const trends = await moodService.getMoodTrends(userId, req.query);
+  sendSuccess(res, HTTP_STATUS.OK, trends);
+});
+
 // response helpers
 /**
  * Send a successful response with consistent format
@@ -176,5 +190,6 @@ module.exports = {
   getMyProfile,
   updateMyProfile,
   updateSettings,
-  getMyStats
+  getMyStats,
+  getMyMoodTrends
 };
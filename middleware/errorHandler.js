@@ -56,6 +56,18 @@ class UnauthorizedError extends AppError {
     this.code = 'UNAUTHORIZED';
   }
 }
+
+/**
+ * Invalid transition error - for moving something to a status it can't
+ * go to from where it is (like reopening a goal that was carried forward)
+ */
+class InvalidTransitionError extends AppError {
+  constructor(message, fields = null) {
+    super(message, 409);
+    this.code = 'INVALID_TRANSITION';
+    this.fields = fields;
+  }
+}
 /**
  * Extract user-friendly messages from Mongoose ValidationError
  *
@@ -204,6 +216,7 @@ module.exports = {
   NotFoundError,
   ForbiddenError,
   UnauthorizedError,
+  InvalidTransitionError,
 
   // Middleware
   errorHandler,
@@ -0,0 +1,93 @@
+/**
+ * File Upload Middleware
+ * Reads multipart file fields into memory (req.file for an attachment,
+ * req.files for an import) and turns upload problems - too large, wrong
+ * type, wrong field - into ValidationErrors the global error handler
+ * understands.
+ */
+
+const multer = require('multer');
+const { ValidationError } = require('./errorHandler');
+const {
+  MAX_ATTACHMENT_BYTES,
+  ALLOWED_ATTACHMENT_TYPES
+} = require('../services/attachmentService');
+const {
+  MAX_IMPORT_FILES,
+  MAX_IMPORT_FILE_BYTES
+} = require('../services/importService');
+const { detectImportFormat } = require('../utils/letterImport');
+
+const attachmentUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_ATTACHMENT_BYTES, files: 1 },
+  fileFilter: (req, file, accept) => {
+    if (!ALLOWED_ATTACHMENT_TYPES[file.mimetype]) {
+      return accept(new ValidationError('This type of file cannot be attached', {
+        file: `Allowed types: ${Object.keys(ALLOWED_ATTACHMENT_TYPES).join(', ')}`
+      }));
+    }
+    accept(null, true);
+  }
+});
+
+const importUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_IMPORT_FILE_BYTES, files: MAX_IMPORT_FILES },
+  fileFilter: (req, file, accept) => {
+    if (!detectImportFormat(file.originalname)) {
+      return accept(new ValidationError('This type of file cannot be imported', {
+        files: `"${file.originalname}" is not a .json, .md or .csv file`
+      }));
+    }
+    accept(null, true);
+  }
+});
+
+/**
+ * Accept one attachment in the "file" field of a multipart form
+ */
+const uploadAttachment = (req, res, next) => {
+  attachmentUpload.single('file')(req, res, (error) => {
+    if (error instanceof multer.MulterError) {
+      return next(toValidationError(error));
+    }
+    next(error);
+  });
+};
+
+/**
+ * Accept the files to import in the "files" field of a multipart form
+ */
+const uploadImportFiles = (req, res, next) => {
+  importUpload.array('files', MAX_IMPORT_FILES)(req, res, (error) => {
+    if (error instanceof multer.MulterError) {
+      return next(toValidationError(error, 'files'));
+    }
+    next(error);
+  });
+};
+
+// --- Helpers ---
+
+/**
+ * Describe a multer error in words a user can act on
+ */
+const toValidationError = (error, field = 'file') => {
+  const messages = {
+    LIMIT_FILE_SIZE: 'This file is too large',
+    LIMIT_FILE_COUNT: field === 'file' ? 'Upload one file at a time' : 'Too many files in one upload',
+    LIMIT_UNEXPECTED_FILE: `Upload the ${field === 'file' ? 'file' : 'files'} in a field named "${field}"`
+  };
+
+  return new ValidationError(messages[error.code] || 'The upload could not be read', {
+    [field]: error.message
+  });
+};
+
+// exports
+
+module.exports = {
+  uploadAttachment,
+  uploadImportFiles
+};
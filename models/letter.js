@@ -1,5 +1,13 @@
 const mongoose = require("mongoose");
 const { VALID_INTERVALS } = require("../utils/dateCalculator");
+const { VALID_PRECISIONS } = require("../utils/geoPoint");
+const { isValidMood } = require("../utils/moods");
+const { GOAL_STATUSES } = require("../utils/goalStatus");
+const {
+  encryptLetterFields,
+  decryptLetterFields,
+  rememberStoredLetterValues
+} = require("../services/encryptionService");
 
 const reflectionSchema = new mongoose.Schema(
   {
@@ -12,6 +20,45 @@ const reflectionSchema = new mongoose.Schema(
     date: {
       type: Date,
       default: Date.now
+    },
+    // Who wrote the reflection - the letter's author or its recipient.
+    // Older reflections without one belong to the author.
+    author: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    // Set while the reflection is in the trash
+    deletedAt: {
+      type: Date
+    }
+  }
+);
+
+// One step in a goal's progress (see utils/goalStatus)
+const goalStatusChangeSchema = new mongoose.Schema(
+  {
+    from: {
+      type: String,
+      enum: GOAL_STATUSES,
+      required: true
+    },
+    to: {
+      type: String,
+      enum: GOAL_STATUSES,
+      required: true
+    },
+    note: {
+      type: String,
+      trim: true,
+      maxLength: [500, 'Goal status note cannot exceed 500 characters']
+    },
+    changedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    changedAt: {
+      type: Date,
+      default: Date.now
     }
   }
 );
@@ -26,7 +73,7 @@ const goalSchema = new mongoose. Schema(
     },
     status: {
       type: String,
-      enum: ['pending', 'completed', 'inProgress', 'abandoned', 'carriedForward'],
+      enum: GOAL_STATUSES,
       default: 'pending'
     },
     reflection: {
@@ -44,10 +91,128 @@ const goalSchema = new mongoose. Schema(
     },
     statusUpdatedAt: {
       type: Date
+    },
+    // Every status change, oldest first. Only changed through
+    // transitionGoal, so it only holds moves that are allowed.
+    statusHistory: [goalStatusChangeSchema]
+  }
+);
+
+// Tracks the email copy of a letter sent out on its delivery date
+const emailDeliverySchema = new mongoose.Schema(
+  {
+    status: {
+      type: String,
+      enum: ['pending', 'sending', 'sent', 'failed', 'skipped'],
+      default: 'pending'
+    },
+    attempts: {
+      type: Number,
+      default: 0
+    },
+    lastAttemptAt: {
+      type: Date
+    },
+    nextAttemptAt: {
+      type: Date
+    },
+    sentAt: {
+      type: Date
+    },
+    messageId: {
+      type: String
+    },
+    failureReason: {
+      type: String
+    }
+  },
+  { _id: false }
+);
+
+// A file attached to a letter. The bytes live in attachment storage;
+// the letter only keeps what's needed to find and describe them.
+const attachmentSchema = new mongoose.Schema(
+  {
+    fileName: {
+      type: String,
+      trim: true,
+      required: true,
+      maxLength: [255, 'File name cannot exceed 255 characters']
+    },
+    mimeType: {
+      type: String,
+      required: true
+    },
+    kind: {
+      type: String,
+      enum: ['image', 'audio', 'document'],
+      required: true
+    },
+    size: {
+      type: Number,
+      required: true,
+      min: 0
+    },
+    storageKey: {
+      type: String,
+      required: true
+    },
+    uploadedAt: {
+      type: Date,
+      default: Date.now
     }
   }
 );
 
+// Who a letter is for, when it isn't the author's future self:
+// another SoulMail user, or anyone with an email address
+const recipientSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    email: {
+      type: String,
+      trim: true,
+      lowercase: true,
+      match: [/^[^\s@]+@[^\s@]+\.[^\s@]+$/, 'Please enter a valid email address']
+    },
+    name: {
+      type: String,
+      trim: true,
+      maxLength: [100, 'Recipient name cannot exceed 100 characters']
+    }
+  },
+  { _id: false }
+);
+
+// Where a letter was written, as a GeoJSON point ([longitude, latitude]).
+// Coordinates are rounded to the letter's locationPrecision before saving.
+const pointSchema = new mongoose.Schema(
+  {
+    type: {
+      type: String,
+      enum: ['Point'],
+      required: true
+    },
+    coordinates: {
+      type: [Number],
+      required: true,
+      validate: {
+        validator: (coordinates) => coordinates.length === 2,
+        message: 'A point needs a longitude and a latitude'
+      }
+    }
+  },
+  { _id: false }
+);
+
+// Only scheduled letters need content and a delivery date - drafts can be empty
+function isScheduled() {
+  return this.status !== 'draft';
+}
+
 const letterSchema = new mongoose.Schema(
   {
     user: {
@@ -62,10 +227,11 @@ const letterSchema = new mongoose.Schema(
       maxLength: [100, "Title cannot exceed 100 characters"],
       default: "Untitled"
     },
+    // One of the moods in utils/moods (stored as its emoji)
     mood: {
       type: String,
-      enum: {
-        values: ['', '☺️', '😢', '😰', '🤩', '🙏', '😫'],
+      validate: {
+        validator: isValidMood,
         message: '{VALUE} is not a valid mood'
       },
       required: false
@@ -89,32 +255,113 @@ const letterSchema = new mongoose.Schema(
       type: String,
       trim: true
     },
+    // The same place on a map, if the writer shared it
+    locationPoint: pointSchema,
+    locationPrecision: {
+      type: String,
+      enum: {
+        values: VALID_PRECISIONS,
+        message: '{VALUE} is not a valid precision. Choose from: ' + VALID_PRECISIONS.join(', ')
+      }
+    },
     content: {
       type: String,
-      required: [true, "Letter content is required"],
+      required: [isScheduled, "Letter content is required"],
       trim: true,
       maxLength: [5000, "Letter is too long (max 5000 chars)"]
     },
 
     goals: [goalSchema],
-    
+
+    // Drafts are still being written; scheduled letters are on their way
+    status: {
+      type: String,
+      enum: ['draft', 'scheduled'],
+      default: 'scheduled',
+      index: true
+    },
+    // The prompt this letter was written in answer to
+    writingPrompt: {
+      type: String,
+      trim: true
+    },
+    // The prompt library entry it came from, if any
+    promptId: {
+      type: String
+    },
+    // The user's template it was started from, if any
+    template: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'LetterTemplate'
+    },
+    // The delivered letter this one answers, making a thread of letters
+    // a user writes back and forth with themselves across the years
+    replyTo: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Letter'
+    },
+    // Letters that belong to a recurring series (yearly letters, check-ins...)
+    series: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'LetterSeries',
+      index: true
+    },
+    seriesSequence: {
+      type: Number
+    },
+    previousInSeries: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Letter'
+    },
+    // Empty for letters to your future self
+    recipient: recipientSchema,
+    // The user's own tags and collections
+    tags: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Tag'
+      }
+    ],
+
     deliveryInterval: {
       type: String,
       enum: {
         values: VALID_INTERVALS,
         message: '{VALUE} is not a valid delivery interval. Choose from: ' + VALID_INTERVALS.join(', ')
       },
-      required: [true, 'Please tell us when you want to receive your letter']
+      required: [isScheduled, 'Please tell us when you want to receive your letter']
+    },
+    // For 'birthdayAge' deliveries: the age the user will turn
+    targetAge: {
+      type: Number,
+      min: [1, 'Target age must be at least 1'],
+      max: [150, 'Target age cannot exceed 150']
+    },
+    // For 'anniversary' deliveries: how many years after writing
+    anniversaryYears: {
+      type: Number,
+      min: [1, 'Anniversary must be at least 1 year away'],
+      max: [100, 'Anniversary cannot be more than 100 years away']
     },
     deliveredAt: {
       type: Date,
-      required: true,
+      required: isScheduled,
       validate: {
         validator: function (value) {
+          // Drafts aren't going anywhere yet
+          if (!isScheduled.call(this)) {
+            return true;
+          }
           // If we are creating a new letter
           // OR modifying the delivery date (rescheduling),
           // strict validation applies: Date must be at least 24 hours in the future.
           if (this.isNew || this.isModified('deliveredAt')) {
+            // Entries imported from other journals were delivered long ago.
+            // Only the import service sets this; it lives in $locals, so a
+            // request body can never turn it on.
+            if (this.$locals.allowPastDelivery) {
+              return true;
+            }
             const tomorrow = new Date();
             tomorrow.setHours(tomorrow.getHours() + 24);
             return value >= tomorrow;
@@ -130,10 +377,81 @@ const letterSchema = new mongoose.Schema(
       default: false,
       index: true
     },
-    reflections: [reflectionSchema]
+    // When the letter was actually delivered (deliveredAt is when it was scheduled for)
+    actualDeliveredAt: {
+      type: Date
+    },
+    emailDelivery: emailDeliverySchema,
+    // Sealed letters hide their content and goals until they're delivered.
+    // Sealing is the writer's choice - letters are open unless sealed.
+    isSealed: {
+      type: Boolean,
+      default: false
+    },
+    // Set when the owner opens a sealed letter before its delivery date
+    sealBrokenAt: {
+      type: Date
+    },
+    sealBrokenReason: {
+      type: String,
+      trim: true,
+      maxLength: [500, 'Reason cannot exceed 500 characters']
+    },
+    attachments: [attachmentSchema],
+    reflections: [reflectionSchema],
+    // Deleted reflections wait here until they're restored or purged
+    trashedReflections: {
+      type: [reflectionSchema],
+      select: false
+    },
+    // Set while the letter is in the trash
+    deletedAt: {
+      type: Date
+    }
   },
   { timestamps: true }
 );
 
+// Lets the delivery scheduler find due letters without scanning the collection
+letterSchema.index({ isDelivered: 1, deliveredAt: 1 });
+
+// Backs the paginated letter list (GET /letters) for each sort option
+letterSchema.index({ user: 1, createdAt: -1, _id: -1 });
+letterSchema.index({ user: 1, deliveredAt: -1, _id: -1 });
+letterSchema.index({ user: 1, title: 1, _id: 1 });
+
+// A recipient's inbox
+letterSchema.index({ 'recipient.user': 1, isDelivered: 1, deliveredAt: -1 });
+
+// Counting how often a user has written from each prompt
+letterSchema.index({ user: 1, promptId: 1 });
+
+// Finding the replies to a letter when following a thread
+letterSchema.index({ replyTo: 1 }, { sparse: true });
+
+// "Written here": a user's letters near a point or inside a map area
+letterSchema.index({ user: 1, locationPoint: '2dsphere' });
+
+// Filtering a user's letters by tag
+letterSchema.index({ user: 1, tags: 1 });
+
+// Lets the trash list and purge find deleted letters
+letterSchema.index({ deletedAt: 1 }, { sparse: true });
+
+// Content, goals and reflections are encrypted at rest.
+// Validation runs first on the plain words; after saving, the
+// document is decrypted again so callers keep working with plain words.
+// Loading notes which values are encrypted, so words a user typed are
+// never mistaken for them.
+letterSchema.post('init', function (letter) {
+  rememberStoredLetterValues(letter);
+});
+letterSchema.pre('save', async function () {
+  await encryptLetterFields(this);
+});
+letterSchema.post('save', async function (letter) {
+  await decryptLetterFields(letter);
+});
+
 const Letter = mongoose.model('Letter', letterSchema);
 module.exports = Letter;
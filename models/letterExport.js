@@ -0,0 +1,58 @@
+const mongoose = require('mongoose');
+
+// An export of a user's letters that's too big to build during the request.
+// It's built in the background, then downloadable until it expires.
+const letterExportSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+      index: true
+    },
+    status: {
+      type: String,
+      enum: ['pending', 'processing', 'ready', 'failed', 'expired'],
+      default: 'pending'
+    },
+    // Whether the archive includes the printable PDF book
+    includePdf: {
+      type: Boolean,
+      default: false
+    },
+    letterCount: {
+      type: Number
+    },
+    // Where the finished archive is kept
+    storageKey: {
+      type: String
+    },
+    fileName: {
+      type: String
+    },
+    size: {
+      type: Number
+    },
+    startedAt: {
+      type: Date
+    },
+    completedAt: {
+      type: Date
+    },
+    // After this the archive is deleted and can't be downloaded
+    expiresAt: {
+      type: Date
+    },
+    failureReason: {
+      type: String
+    }
+  },
+  { timestamps: true }
+);
+
+// Lets the export worker find waiting and expired exports
+letterExportSchema.index({ status: 1, createdAt: 1 });
+letterExportSchema.index({ status: 1, expiresAt: 1 });
+
+const LetterExport = mongoose.model('LetterExport', letterExportSchema);
+module.exports = LetterExport;
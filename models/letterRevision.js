@@ -0,0 +1,72 @@
+const mongoose = require('mongoose');
+const {
+  encryptRevisionSnapshot,
+  decryptRevisionSnapshot,
+  rememberStoredSnapshotValues
+} = require('../services/encryptionService');
+
+// A saved version of a letter's words, so earlier versions can be browsed and restored
+const letterRevisionSchema = new mongoose.Schema(
+  {
+    letter: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Letter',
+      required: true
+    },
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    revisionNumber: {
+      type: Number,
+      required: true
+    },
+    // Why this version was saved
+    reason: {
+      type: String,
+      enum: ['created', 'original', 'autosave', 'edit', 'restore'],
+      required: true
+    },
+    // For restores: the revision that was brought back
+    restoredFrom: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'LetterRevision'
+    },
+    // The letter's content fields as they were at this revision
+    snapshot: {
+      title: String,
+      mood: String,
+      weather: String,
+      temperature: Number,
+      currentSong: String,
+      topHeadLine: String,
+      location: String,
+      content: String,
+      goals: [
+        {
+          _id: mongoose.Schema.Types.ObjectId,
+          text: String,
+          status: String
+        }
+      ]
+    }
+  },
+  { timestamps: true }
+);
+
+letterRevisionSchema.index({ letter: 1, revisionNumber: -1 }, { unique: true });
+
+// Snapshots hold a letter's words, so they're encrypted at rest like the letter
+letterRevisionSchema.post('init', function (revision) {
+  rememberStoredSnapshotValues(revision);
+});
+letterRevisionSchema.pre('save', async function () {
+  await encryptRevisionSnapshot(this);
+});
+letterRevisionSchema.post('save', async function (revision) {
+  await decryptRevisionSnapshot(revision);
+});
+
+const LetterRevision = mongoose.model('LetterRevision', letterRevisionSchema);
+module.exports = LetterRevision;
@@ -0,0 +1,96 @@
+const mongoose = require('mongoose');
+const { VALID_INTERVALS } = require('../utils/dateCalculator');
+const { VALID_FREQUENCIES } = require('../utils/seriesCadence');
+
+const cadenceSchema = new mongoose.Schema(
+  {
+    frequency: {
+      type: String,
+      enum: {
+        values: VALID_FREQUENCIES,
+        message: '{VALUE} is not a valid frequency. Choose from: ' + VALID_FREQUENCIES.join(', ')
+      },
+      required: [true, 'Please tell us how often you want to write']
+    },
+    // e.g. every 3 months (ignored for birthday series)
+    every: {
+      type: Number,
+      default: 1,
+      min: [1, 'A series must repeat at least every 1 period'],
+      max: [12, 'A series cannot skip more than 12 periods']
+    }
+  },
+  { _id: false }
+);
+
+const letterSeriesSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+      index: true
+    },
+    title: {
+      type: String,
+      trim: true,
+      required: [true, 'Series title is required'],
+      maxLength: [100, 'Series title cannot exceed 100 characters']
+    },
+    // The question each letter in the series answers
+    prompt: {
+      type: String,
+      trim: true,
+      maxLength: [500, 'Prompt cannot exceed 500 characters']
+    },
+    cadence: {
+      type: cadenceSchema,
+      required: true
+    },
+    // The delivery interval letters in this series are scheduled with by default
+    deliveryInterval: {
+      type: String,
+      enum: {
+        values: VALID_INTERVALS,
+        message: '{VALUE} is not a valid delivery interval. Choose from: ' + VALID_INTERVALS.join(', ')
+      },
+      default: '1year'
+    },
+    // Occurrences are counted from here
+    anchorDate: {
+      type: Date,
+      required: true
+    },
+    // When the next reminder draft will be created
+    nextDraftAt: {
+      type: Date
+    },
+    letterCount: {
+      type: Number,
+      default: 0
+    },
+    status: {
+      type: String,
+      enum: ['active', 'paused', 'ended'],
+      default: 'active'
+    },
+    pausedAt: {
+      type: Date
+    },
+    // Why the scheduler paused the series, when it couldn't create a draft
+    // (e.g. a birthday series whose birthday was removed)
+    pausedReason: {
+      type: String
+    },
+    endedAt: {
+      type: Date
+    }
+  },
+  { timestamps: true }
+);
+
+// Lets the series scheduler find series that are due for a draft
+letterSeriesSchema.index({ status: 1, nextDraftAt: 1 });
+
+const LetterSeries = mongoose.model('LetterSeries', letterSeriesSchema);
+module.exports = LetterSeries;
@@ -0,0 +1,83 @@
+const mongoose = require('mongoose');
+const { VALID_INTERVALS } = require('../utils/dateCalculator');
+const {
+  encryptTemplateFields,
+  decryptTemplateFields,
+  rememberStoredTemplateValues
+} = require('../services/encryptionService');
+
+const templateGoalSchema = new mongoose.Schema(
+  {
+    text: {
+      type: String,
+      required: [true, 'Goal text is required'],
+      trim: true,
+      maxLength: [150, 'Goal cannot exceed 150 characters']
+    }
+  },
+  { _id: false }
+);
+
+// A user's own starting point for letters they write again and again:
+// a title, an opening, goals they always set, and optionally a prompt
+const letterTemplateSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+      index: true
+    },
+    name: {
+      type: String,
+      trim: true,
+      required: [true, 'Template name is required'],
+      maxLength: [100, 'Template name cannot exceed 100 characters']
+    },
+    title: {
+      type: String,
+      trim: true,
+      maxLength: [100, 'Title cannot exceed 100 characters']
+    },
+    content: {
+      type: String,
+      trim: true,
+      maxLength: [5000, 'Template is too long (max 5000 chars)']
+    },
+    goals: [templateGoalSchema],
+    // A curated prompt from the prompt library
+    promptId: {
+      type: String
+    },
+    deliveryInterval: {
+      type: String,
+      enum: {
+        values: VALID_INTERVALS,
+        message: '{VALUE} is not a valid delivery interval. Choose from: ' + VALID_INTERVALS.join(', ')
+      }
+    },
+    // How many letters have been started from this template
+    usageCount: {
+      type: Number,
+      default: 0
+    },
+    lastUsedAt: {
+      type: Date
+    }
+  },
+  { timestamps: true }
+);
+
+// A template's words end up in letters, so they're encrypted at rest like them
+letterTemplateSchema.post('init', function (template) {
+  rememberStoredTemplateValues(template);
+});
+letterTemplateSchema.pre('save', async function () {
+  await encryptTemplateFields(this);
+});
+letterTemplateSchema.post('save', async function (template) {
+  await decryptTemplateFields(template);
+});
+
+const LetterTemplate = mongoose.model('LetterTemplate', letterTemplateSchema);
+module.exports = LetterTemplate;
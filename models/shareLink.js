@@ -0,0 +1,60 @@
+const mongoose = require('mongoose');
+
+// A read-only link to a delivered letter, for someone without an account.
+// Only a hash of the link's token is kept - the token itself is shown once,
+// when the link is created.
+const shareLinkSchema = new mongoose.Schema(
+  {
+    letter: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Letter',
+      required: true,
+      index: true
+    },
+    // Whoever shared it - the letter's author or its recipient
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+      index: true
+    },
+    tokenHash: {
+      type: String,
+      required: true,
+      unique: true
+    },
+    passwordHash: {
+      type: String
+    },
+    // What the link shows besides the title and dates
+    include: {
+      content: { type: Boolean, default: true },
+      goals: { type: Boolean, default: false },
+      reflections: { type: Boolean, default: false }
+    },
+    expiresAt: {
+      type: Date
+    },
+    revokedAt: {
+      type: Date
+    },
+    viewCount: {
+      type: Number,
+      default: 0
+    },
+    lastViewedAt: {
+      type: Date
+    }
+  },
+  { timestamps: true }
+);
+
+shareLinkSchema.set('toJSON', {
+  transform: (document, returnedObject) => {
+    delete returnedObject.tokenHash;
+    delete returnedObject.passwordHash;
+  }
+});
+
+const ShareLink = mongoose.model('ShareLink', shareLinkSchema);
+module.exports = ShareLink;
@@ -0,0 +1,42 @@
+const mongoose = require('mongoose');
+
+// A label a user puts on letters. Tags are quick labels ("gratitude");
+// collections are named groups shown like folders ("Letters to Mom").
+const tagSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+      index: true
+    },
+    name: {
+      type: String,
+      trim: true,
+      required: [true, 'Tag name is required'],
+      maxLength: [50, 'Tag name cannot exceed 50 characters']
+    },
+    kind: {
+      type: String,
+      enum: {
+        values: ['tag', 'collection'],
+        message: '{VALUE} is not a valid kind. Choose from: tag, collection'
+      },
+      default: 'tag'
+    },
+    color: {
+      type: String,
+      match: [/^#[0-9a-fA-F]{6}$/, 'Color must be a hex color like #aabbcc']
+    }
+  },
+  { timestamps: true }
+);
+
+// One "Career" per user and kind, whatever the capitalization
+tagSchema.index(
+  { user: 1, kind: 1, name: 1 },
+  { unique: true, collation: { locale: 'en', strength: 2 } }
+);
+
+const Tag = mongoose.model('Tag', tagSchema);
+module.exports = Tag;
@@ -1,4 +1,10 @@
 const mongoose = require('mongoose');
+const {
+  DEFAULT_TIMEZONE,
+  DEFAULT_DELIVERY_TIME,
+  isValidTimezone,
+  isValidTimeOfDay
+} = require('../utils/timezone');
 
 const userSchema = new mongoose.Schema({
     username: {
@@ -26,6 +32,31 @@ const userSchema = new mongoose.Schema({
         enum: ['ltr', 'rtl'],
         default: 'ltr'
       },
+      // IANA time zone used for delivery times and streak days
+      timezone: {
+        type: String,
+        default: DEFAULT_TIMEZONE,
+        validate: {
+          validator: isValidTimezone,
+          message: '{VALUE} is not a valid time zone'
+        }
+      },
+      // Local time of day ("HH:mm") letters should arrive
+      deliveryTime: {
+        type: String,
+        default: DEFAULT_DELIVERY_TIME,
+        validate: {
+          validator: isValidTimeOfDay,
+          message: 'Delivery time must be in HH:mm format'
+        }
+      },
+
+      // Last.fm username, so letters can remember what was playing
+      nowPlayingUsername: {
+        type: String,
+        trim: true,
+        maxLength: [64, 'Last.fm username cannot exceed 64 characters']
+      },
 
       celebrationsEnabled: {
         type: Boolean,
@@ -45,12 +76,32 @@ const userSchema = new mongoose.Schema({
       longestStreak: { type: Number, default: 0 },
       lastActivityDate: { type: Number, default: 0 },
       goalsAccomplished: { type: Number, default: 0 },
+    },
+    // The user's data keys, wrapped by the server's master key.
+    // Letters are encrypted with the active key; older keys stay so
+    // anything still encrypted with them can be read.
+    encryption: {
+      type: {
+        activeKeyId: String,
+        keys: [
+          {
+            _id: false,
+            keyId: { type: String, required: true },
+            wrappedKey: { type: String, required: true },
+            masterKeyId: { type: String, required: true },
+            createdAt: { type: Date, default: Date.now },
+            retiredAt: Date
+          }
+        ]
+      },
+      select: false
     }
     }, { timestamp: true });
 
 userSchema.set('toJSON', {
   transform: (document, returnedObject) => {
     delete returnedObject.hashedPassword;
+    delete returnedObject.encryption;
   }
 });
 
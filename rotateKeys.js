@@ -0,0 +1,43 @@
+// rotateKeys.js - Rotate encryption keys for letters at rest
+//
+//   npm run rotate-keys                 new data key for every user, letters re-encrypted
+//   npm run rotate-keys -- --rewrap     only re-wrap data keys after a master key change
+//
+// Needs ENCRYPTION_MASTER_KEY (and, after a master key change,
+// ENCRYPTION_PREVIOUS_MASTER_KEYS) set the same way as for the server.
+
+const dotenv = require('dotenv');
+dotenv.config();
+
+const mongoose = require('mongoose');
+const {
+  rotateAllDataKeys,
+  rewrapAllUserKeys
+} = require('./services/keyRotationService');
+
+const rotateKeys = async () => {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log(`Connected to MongoDB ${mongoose.connection.name}.`);
+
+    if (process.argv.includes('--rewrap')) {
+      const { usersRewrapped } = await rewrapAllUserKeys();
+      console.log(`Re-wrapped data keys for ${usersRewrapped} users.`);
+    } else {
+      const { usersRotated } = await rotateAllDataKeys({
+        onUser: (userId, { keyId, lettersReEncrypted, revisionsReEncrypted, templatesReEncrypted }) => {
+          console.log(`  ${userId}: key ${keyId}, ${lettersReEncrypted} letters, ${revisionsReEncrypted} revisions, ${templatesReEncrypted} templates`);
+        }
+      });
+      console.log(`Rotated data keys for ${usersRotated} users.`);
+    }
+
+    await mongoose.connection.close();
+    process.exit(0);
+  } catch (error) {
+    console.error('Error rotating keys:', error);
+    process.exit(1);
+  }
+};
+
+rotateKeys();
@@ -0,0 +1,9 @@
+const express = require('express');
+const router = express.Router();
+const goalsController = require('../controllers/goals');
+const verifyToken = require('../middleware/verify-token');
+
+// GET goals from all of the logged in user's letters, with counts per status
+router.get('/', verifyToken, goalsController.getAllGoals);
+
+module.exports = router;
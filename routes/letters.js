@@ -2,22 +2,101 @@ const express = require('express');
 const router = express.Router();
 const letterController = require('../controllers/letters');
 const verifyToken = require('../middleware/verify-token');
+const {
+  uploadAttachment,
+  uploadImportFiles
+} = require('../middleware/upload');
 
 // GET available delivery intervals (no auth required - public info)
 router.get('/delivery-options', letterController.getDeliveryOptions);
 
+// GET the moods a letter can be written in (no auth required - public info)
+router.get('/moods', letterController.getMoodOptions);
+
 // GET all letters for logged in user
 router.get('/', verifyToken, letterController.getAllLetters);
 
+// GET letters the logged in user wrote to someone else
+router.get('/sent', verifyToken, letterController.getSentLetters);
+
+// GET delivered letters other users wrote to the logged in user
+router.get('/inbox', verifyToken, letterController.getInbox);
+
+// GET search the logged in user's letters
+router.get('/search', verifyToken, letterController.searchLetters);
+
+// GET letters written near a spot, inside a map area, and every place written from
+router.get('/near', verifyToken, letterController.getLettersNear);
+router.get('/within', verifyToken, letterController.getLettersWithin);
+router.get('/places', verifyToken, letterController.getPlaces);
+
+// GET the weather, song and headline of the moment, for a letter being written
+router.get('/context', verifyToken, letterController.getWritingContext);
+
+// GET download all letters as a zip (or start a background export)
+router.get('/export', verifyToken, letterController.exportLetters);
+
+// GET check on a background export, or download it once it's ready
+router.get('/exports/:exportId', verifyToken, letterController.getExport);
+router.get('/exports/:exportId/download', verifyToken, letterController.downloadExport);
+
+// POST import entries from another journal (add ?dryRun=true to check them first)
+router.post('/import', verifyToken, uploadImportFiles, letterController.importLetters);
+
+// GET deleted letters and reflections waiting in the trash
+router.get('/trash', verifyToken, letterController.getTrash);
+
 // POST create a new letter
 router.post('/', verifyToken, letterController.createLetter);
 
+// POST start a new draft
+router.post('/drafts', verifyToken, letterController.createDraft);
+
+// PUT save changes to a draft or undelivered letter (autosave or edit)
+router.put('/:id/content', verifyToken, letterController.updateLetterContent);
+
+// GET a letter's revision history, or one revision
+router.get('/:id/revisions', verifyToken, letterController.getLetterRevisions);
+router.get('/:id/revisions/:revisionId', verifyToken, letterController.getLetterRevision);
+
+// POST restore an earlier revision
+router.post('/:id/revisions/:revisionId/restore', verifyToken, letterController.restoreLetterRevision);
+
+// POST finish a draft and schedule it for delivery
+router.post('/:id/schedule', verifyToken, letterController.scheduleDraft);
+
+// POST write back to a delivered letter
+router.post('/:id/replies', verifyToken, letterController.replyToLetter);
+
+// GET the thread of letters and replies a letter belongs to
+router.get('/:id/thread', verifyToken, letterController.getLetterThread);
+
+// POST open a sealed letter before its delivery date
+router.post('/:id/break-seal', verifyToken, letterController.breakSeal);
+
+// PUT put a letter on the map (or make its place vaguer), DELETE take it off
+router.put('/:id/place', verifyToken, letterController.setLetterPlace);
+router.delete('/:id/place', verifyToken, letterController.removeLetterPlace);
+
+// POST bring a letter back from the trash
+router.post('/:id/restore', verifyToken, letterController.restoreLetter);
+
+// POST attach a file to a letter (multipart, field "file")
+router.post('/:id/attachments', verifyToken, uploadAttachment, letterController.addAttachment);
+
+// GET download an attachment, DELETE remove it
+router.get('/:id/attachments/:attachmentId', verifyToken, letterController.downloadAttachment);
+router.delete('/:id/attachments/:attachmentId', verifyToken, letterController.deleteAttachment);
+
 // POST add reflection to a letter
 router.post('/:id/reflection', verifyToken, letterController.addReflection);
 
 // DELETE a reflection from a letter
 router.delete('/:id/reflection/:reflectionId', verifyToken, letterController.deleteReflection);
 
+// POST bring a reflection back from the trash
+router.post('/:id/reflection/:reflectionId/restore', verifyToken, letterController.restoreReflection);
+
 //PUT update goal status
 router.put ('/:id/goals/:goalId/status', verifyToken, letterController.updateGoalStatus);
 
@@ -25,7 +104,7 @@ router.put ('/:id/goals/:goalId/status', verifyToken, letterController.updateGoa
 router.post('/:id/goals/:goalId/carry-forward', verifyToken, letterController.carryGoalForward);
 
 //PUT add reflection to a Goal
-router.put('/:id/goals/:goalID/reflection', verifyToken, letterController.addGoalReflection);
+router.put('/:id/goals/:goalId/reflection', verifyToken, letterController.addGoalReflection);
 
 // GET a specific letter
 router.get('/:id', verifyToken, letterController.getLetter);
@@ -33,7 +112,7 @@ router.get('/:id', verifyToken, letterController.getLetter);
 // PUT update letter delivery date
 router.put('/:id', verifyToken, letterController.updateLetterDeliveryDate);
 
-// DELETE a letter
+// DELETE a letter (moves it to the trash)
 router.delete('/:id', verifyToken, letterController.deleteLetter);
 
 module.exports = router;
@@ -0,0 +1,15 @@
+const express = require('express');
+const router = express.Router();
+const promptsController = require('../controllers/prompts');
+const verifyToken = require('../middleware/verify-token');
+
+// GET the prompt library, by theme and interval
+router.get('/', verifyToken, promptsController.getPrompts);
+
+// GET today's prompt
+router.get('/today', verifyToken, promptsController.getPromptOfTheDay);
+
+// GET a single prompt
+router.get('/:id', verifyToken, promptsController.getPrompt);
+
+module.exports = router;
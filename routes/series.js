@@ -0,0 +1,23 @@
+const express = require('express');
+const router = express.Router();
+const seriesController = require('../controllers/series');
+const verifyToken = require('../middleware/verify-token');
+
+// GET all series for logged in user
+router.get('/', verifyToken, seriesController.getAllSeries);
+
+// POST start a new series
+router.post('/', verifyToken, seriesController.createSeries);
+
+// GET a series with its letters in order
+router.get('/:id', verifyToken, seriesController.getSeries);
+
+// PUT update a series (title, prompt, cadence)
+router.put('/:id', verifyToken, seriesController.updateSeries);
+
+// POST pause, resume or end a series
+router.post('/:id/pause', verifyToken, seriesController.pauseSeries);
+router.post('/:id/resume', verifyToken, seriesController.resumeSeries);
+router.post('/:id/end', verifyToken, seriesController.endSeries);
+
+module.exports = router;
@@ -0,0 +1,8 @@
+const express = require('express');
+const router = express.Router();
+const sharesController = require('../controllers/shares');
+
+// GET a shared letter (no auth required - the token is the key)
+router.get('/:token', sharesController.viewSharedLetter);
+
+module.exports = router;
@@ -0,0 +1,15 @@
+const express = require('express');
+const router = express.Router();
+const sharesController = require('../controllers/shares');
+const verifyToken = require('../middleware/verify-token');
+
+// GET the logged in user's share links, with view counts
+router.get('/', verifyToken, sharesController.getShareLinks);
+
+// POST create a read-only link to a delivered letter
+router.post('/', verifyToken, sharesController.createShareLink);
+
+// DELETE revoke a share link
+router.delete('/:id', verifyToken, sharesController.revokeShareLink);
+
+module.exports = router;
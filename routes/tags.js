@@ -0,0 +1,21 @@
+const express = require('express');
+const router = express.Router();
+const tagsController = require('../controllers/tags');
+const verifyToken = require('../middleware/verify-token');
+
+// GET all tags and collections for logged in user, with usage counts
+router.get('/', verifyToken, tagsController.getAllTags);
+
+// POST create a tag or collection
+router.post('/', verifyToken, tagsController.createTag);
+
+// POST add/remove tags on many letters at once
+router.post('/assign', verifyToken, tagsController.assignTags);
+
+// PUT rename a tag or change its color
+router.put('/:id', verifyToken, tagsController.updateTag);
+
+// DELETE a tag (letters keep existing, untagged)
+router.delete('/:id', verifyToken, tagsController.deleteTag);
+
+module.exports = router;
@@ -0,0 +1,18 @@
+const express = require('express');
+const router = express.Router();
+const templatesController = require('../controllers/templates');
+const verifyToken = require('../middleware/verify-token');
+
+// GET all letter templates for logged in user
+router.get('/', verifyToken, templatesController.getAllTemplates);
+
+// POST save a new template
+router.post('/', verifyToken, templatesController.createTemplate);
+
+// PUT change a template
+router.put('/:id', verifyToken, templatesController.updateTemplate);
+
+// DELETE a template
+router.delete('/:id', verifyToken, templatesController.deleteTemplate);
+
+module.exports = router;
@@ -7,6 +7,7 @@ router.get('/profile', verifyToken, userController.getMyProfile);
 router.put('/profile', verifyToken, userController.updateMyProfile);
 router.put('/settings', verifyToken, userController.updateSettings);
 router.get('/stats', verifyToken, userController.getMyStats);
+router.get('/me/mood-trends', verifyToken, userController.getMyMoodTrends);
 
 router.get('/', verifyToken, userController.getAllUsers);
 router.get('/:userId', verifyToken, userController.getUserProfile);
@@ -11,6 +11,7 @@ const mongoose = require('mongoose');
 const bcrypt = require('bcrypt');
 const User = require('./models/user');
 const Letter = require('./models/letter');
+const LetterTemplate = require('./models/letterTemplate');
 
 const saltRounds = 12;
 
@@ -60,6 +61,7 @@ const seedDatabase = async () => {
     console.log('🗑️  Clearing existing data...');
     await User.deleteMany({});
     await Letter.deleteMany({});
+    await LetterTemplate.deleteMany({});
     console.log('✅ Database cleared');
 
     // Create users
@@ -212,6 +214,18 @@ const seedDatabase = async () => {
     });
     console.log('  ✅ Created past year letter for Charlie with reflection');
 
+    // A template Alice can start her monthly letters from
+    await LetterTemplate.create({
+      user: alice._id,
+      name: 'Monthly check-in',
+      title: 'My Next 30 Days',
+      content: 'Dear Future Alice, this month I want to...',
+      goals: [{ text: 'Exercise 3 times a week' }, { text: 'Read one book' }],
+      promptId: 'checkin-on-your-mind',
+      deliveryInterval: '1month'
+    });
+    console.log('  ✅ Created letter template for Alice');
+
     // Summary
     console.log('\n' + '='.repeat(50));
     console.log('✅ DATABASE SEEDED SUCCESSFULLY!');
@@ -221,6 +235,7 @@ const seedDatabase = async () => {
     console.log(`  • Letters created: 5`);
     console.log(`  • Delivered letters: 2`);
     console.log(`  • Pending letters: 3`);
+    console.log(`  • Templates created: 1`);
     console.log('\n🔑 Test Credentials:');
     sampleUsers.forEach(user => {
       console.log(`  • ${user.username} / ${user.password}`);
@@ -10,13 +10,63 @@ const logger = require('morgan');
 const authRouter = require('./routes/auth');
 const usersRouter = require('./routes/users')
 const lettersRouter = require('./routes/letters');
+const seriesRouter = require('./routes/series');
+const tagsRouter = require('./routes/tags');
+const sharesRouter = require('./routes/shares');
+const sharedRouter = require('./routes/shared');
+const promptsRouter = require('./routes/prompts');
+const templatesRouter = require('./routes/templates');
+const goalsRouter = require('./routes/goals');
 const { errorHandler } = require('./middleware/errorHandler');
+const { createDeliveryScheduler } = require('./services/deliveryScheduler');
+const { createMailDeliveryWorker } = require('./services/mailService');
+const { createSeriesScheduler } = require('./services/seriesService');
+const { createTrashPurger } = require('./services/trashService');
+const { createExportWorker } = require('./services/exportService');
+const { createTransportFromEnv } = require('./services/mailTransports');
 
 
 mongoose.connect(process.env.MONGODB_URI);
 
+// Background job that delivers letters when their date arrives
+const deliveryScheduler = createDeliveryScheduler({
+  intervalMs: Number(process.env.DELIVERY_INTERVAL_MS) || undefined
+});
+
+// Background job that creates reminder drafts for letter series
+const seriesScheduler = createSeriesScheduler();
+
+// Background job that permanently deletes trash past its retention period
+const trashPurger = createTrashPurger();
+
+// Background job that builds large letter exports and deletes expired ones
+const exportWorker = createExportWorker();
+
+// Emails each letter to its author once it has been delivered.
+// Without a mail transport it isn't started, and emails wait until one is set up.
+const mailTransport = createTransportFromEnv();
+const mailWorker = mailTransport && createMailDeliveryWorker({
+  transport: mailTransport,
+  from: process.env.MAIL_FROM || undefined
+});
+
 mongoose.connection.on('connected', () => {
   console.log(`Connected to MongoDB ${mongoose.connection.name}.`);
+  if (mailWorker) mailWorker.start();
+  deliveryScheduler.start();
+  deliveryScheduler.runOnce();
+  seriesScheduler.start();
+  seriesScheduler.runOnce();
+  trashPurger.start();
+  exportWorker.start();
+});
+
+mongoose.connection.on('disconnected', () => {
+  deliveryScheduler.stop();
+  seriesScheduler.stop();
+  trashPurger.stop();
+  exportWorker.stop();
+  if (mailWorker) mailWorker.stop();
 });
 
 app.use(cors());
@@ -26,7 +76,14 @@ app.use(logger('dev'));
 // Routes go here
 app.use('/auth', authRouter);
 app.use('/users', usersRouter);
+app.use('/letters/series', seriesRouter);
 app.use('/letters', lettersRouter);
+app.use('/tags', tagsRouter);
+app.use('/shares', sharesRouter);
+app.use('/shared', sharedRouter);
+app.use('/prompts', promptsRouter);
+app.use('/templates', templatesRouter);
+app.use('/goals', goalsRouter);
 
 // 404 handler for undefined routes
 app.use((req, res, next) => {
@@ -0,0 +1,170 @@
+/**
+ * Attachment Service
+ *
+ * Letters can carry more than words - a photo, a voice memo, a drawing:
+ * 1. An uploaded file is checked against the allowed types and sizes
+ * 2. Its bytes go to attachment storage; its details go on the letter
+ * 3. It's read back from storage when the owner downloads it
+ * 4. Its bytes are removed when it, or its letter, is deleted
+ *
+ * Who may upload or download is decided by the letter service -
+ * this service only deals with the files themselves.
+ */
+
+const crypto = require('crypto');
+const path = require('path');
+const { createStorageFromEnv } = require('./attachmentStorage');
+const { ValidationError } = require('../middleware/errorHandler');
+
+// Configuration constants
+const MAX_ATTACHMENT_BYTES = Number(process.env.ATTACHMENT_MAX_BYTES) || 10 * 1024 * 1024;
+const MAX_ATTACHMENTS_PER_LETTER = 10;
+
+// The file types a letter can carry, and what kind of attachment each is
+const ALLOWED_ATTACHMENT_TYPES = {
+  'image/jpeg': 'image',
+  'image/png': 'image',
+  'image/gif': 'image',
+  'image/webp': 'image',
+  'image/heic': 'image',
+  'audio/mpeg': 'audio',
+  'audio/mp4': 'audio',
+  'audio/wav': 'audio',
+  'audio/webm': 'audio',
+  'audio/ogg': 'audio',
+  'application/pdf': 'document'
+};
+
+// Created from the environment the first time it's needed
+let storage = null;
+
+/**
+ * STORE AN ATTACHMENT
+ * Save an uploaded file's bytes and add its details to the letter.
+ * file is what the upload middleware gives us:
+ * { originalname, mimetype, size, buffer }
+ * The caller saves the letter; if that fails, call discardAttachment.
+ */
+const storeAttachment = async (letter, file) => {
+  // Step 1: Check the file
+  validateAttachment(letter, file);
+
+  // Step 2: Save its bytes under a key only we choose
+  const storageKey = buildStorageKey(letter, file);
+  await getStorage().save(storageKey, file.buffer);
+
+  // Step 3: Add its details to the letter
+  letter.attachments.push({
+    fileName: sanitizeFileName(file.originalname),
+    mimeType: file.mimetype,
+    kind: ALLOWED_ATTACHMENT_TYPES[file.mimetype],
+    size: file.size,
+    storageKey
+  });
+
+  return letter.attachments[letter.attachments.length - 1];
+};
+
+/**
+ * OPEN AN ATTACHMENT
+ * A readable stream of the attachment's bytes
+ */
+const openAttachment = async (attachment) => {
+  return await getStorage().open(attachment.storageKey);
+};
+
+/**
+ * DISCARD ATTACHMENT FILES
+ * Remove the stored bytes of attachments that are going away.
+ * Cleanup failures are logged, not thrown - the letter change has already happened.
+ */
+const discardAttachments = async (attachments = []) => {
+  await Promise.all(attachments.map(async (attachment) => {
+    try {
+      await getStorage().remove(attachment.storageKey);
+    } catch (error) {
+      console.error(`Could not remove attachment ${attachment.storageKey}:`, error.message);
+    }
+  }));
+};
+
+/**
+ * Use a different storage adapter (tests, or another backend)
+ */
+const setAttachmentStorage = (newStorage) => {
+  storage = newStorage;
+};
+
+// --- Helpers ---
+
+/**
+ * The storage adapter in use
+ */
+const getStorage = () => {
+  if (!storage) {
+    storage = createStorageFromEnv();
+  }
+  return storage;
+};
+
+/**
+ * Ensure a file can be attached to this letter
+ */
+const validateAttachment = (letter, file) => {
+  if (!file || !file.buffer) {
+    throw new ValidationError('Please choose a file to attach', { file: 'A file is required' });
+  }
+  if (!ALLOWED_ATTACHMENT_TYPES[file.mimetype]) {
+    throw new ValidationError('This type of file cannot be attached', {
+      file: `Allowed types: ${Object.keys(ALLOWED_ATTACHMENT_TYPES).join(', ')}`
+    });
+  }
+  if (file.size > MAX_ATTACHMENT_BYTES) {
+    throw new ValidationError('This file is too large', {
+      file: `Files cannot exceed ${formatMegabytes(MAX_ATTACHMENT_BYTES)}`
+    });
+  }
+  if (letter.attachments.length >= MAX_ATTACHMENTS_PER_LETTER) {
+    throw new ValidationError(`A letter can have up to ${MAX_ATTACHMENTS_PER_LETTER} attachments`, {
+      file: 'This letter has no room for more attachments'
+    });
+  }
+};
+
+/**
+ * Where an attachment's bytes are stored: user/letter/random-name.ext
+ */
+const buildStorageKey = (letter, file) => {
+  const userId = letter.user._id || letter.user;
+  const extension = path.extname(file.originalname || '').toLowerCase().replace(/[^.a-z0-9]/g, '');
+  return `${userId}/${letter._id}/${crypto.randomUUID()}${extension}`;
+};
+
+/**
+ * Keep just the base name of an uploaded file, without control characters
+ */
+const sanitizeFileName = (fileName = '') => {
+  const baseName = path.basename(String(fileName)).replace(/[\u0000-\u001f\u007f]/g, '').trim();
+  return baseName.slice(0, 255) || 'attachment';
+};
+
+/**
+ * 10485760 -> "10 MB"
+ */
+const formatMegabytes = (bytes) => {
+  return `${Math.round((bytes / (1024 * 1024)) * 10) / 10} MB`;
+};
+
+// exports
+
+module.exports = {
+  MAX_ATTACHMENT_BYTES,
+  MAX_ATTACHMENTS_PER_LETTER,
+  ALLOWED_ATTACHMENT_TYPES,
+
+  // Managing files
+  storeAttachment,
+  openAttachment,
+  discardAttachments,
+  setAttachmentStorage
+};
@@ -0,0 +1,149 @@
+/**
+ * Attachment Storage
+ *
+ * A storage adapter keeps the bytes of files attached to letters.
+ * Every adapter has the same shape:
+ *   {
+ *     name: 'local',
+ *     save: async (key, buffer) => void,
+ *     saveStream: async (key, stream) => size in bytes,
+ *     open: async (key) => Readable stream,
+ *     remove: async (key) => void
+ *   }
+ * Keys are generated by the attachment service, never taken from users.
+ * open() throws a NotFoundError if nothing is stored under the key;
+ * remove() does nothing if it's already gone.
+ *
+ * - local:  files on this server's disk (development, single-server setups)
+ * - memory: keeps files in a Map (tests)
+ */
+
+const fs = require('fs');
+const fsp = require('fs/promises');
+const path = require('path');
+const { Readable } = require('stream');
+const { pipeline } = require('stream/promises');
+const { NotFoundError } = require('../middleware/errorHandler');
+
+const STORAGE_TYPES = {
+  LOCAL: 'local',
+  MEMORY: 'memory'
+};
+
+const DEFAULT_ATTACHMENT_DIR = path.join(__dirname, '..', 'tmp', 'attachments');
+
+/**
+ * LOCAL STORAGE
+ * Stores each attachment as a file under a base directory
+ */
+const createLocalStorage = ({ directory = DEFAULT_ATTACHMENT_DIR } = {}) => {
+  const baseDirectory = path.resolve(directory);
+
+  const save = async (key, buffer) => {
+    const filePath = resolveKeyPath(baseDirectory, key);
+    await fsp.mkdir(path.dirname(filePath), { recursive: true });
+    await fsp.writeFile(filePath, buffer);
+  };
+
+  // Large files (like export archives) go straight to disk as they're made
+  const saveStream = async (key, stream) => {
+    const filePath = resolveKeyPath(baseDirectory, key);
+    await fsp.mkdir(path.dirname(filePath), { recursive: true });
+    await pipeline(stream, fs.createWriteStream(filePath));
+    const { size } = await fsp.stat(filePath);
+    return size;
+  };
+
+  const open = async (key) => {
+    const filePath = resolveKeyPath(baseDirectory, key);
+    try {
+      await fsp.access(filePath);
+    } catch (error) {
+      throw new NotFoundError('Attachment file not found');
+    }
+    return fs.createReadStream(filePath);
+  };
+
+  const remove = async (key) => {
+    await fsp.rm(resolveKeyPath(baseDirectory, key), { force: true });
+  };
+
+  return { name: STORAGE_TYPES.LOCAL, save, saveStream, open, remove, directory: baseDirectory };
+};
+
+/**
+ * MEMORY STORAGE
+ * Keeps attachments in a Map, exposed as files for inspection
+ */
+const createMemoryStorage = () => {
+  const files = new Map();
+
+  return {
+    name: STORAGE_TYPES.MEMORY,
+    files,
+    save: async (key, buffer) => {
+      files.set(key, Buffer.from(buffer));
+    },
+    saveStream: async (key, stream) => {
+      const chunks = [];
+      for await (const chunk of stream) {
+        chunks.push(chunk);
+      }
+      files.set(key, Buffer.concat(chunks));
+      return files.get(key).length;
+    },
+    open: async (key) => {
+      if (!files.has(key)) {
+        throw new NotFoundError('Attachment file not found');
+      }
+      return Readable.from([files.get(key)]);
+    },
+    remove: async (key) => {
+      files.delete(key);
+    }
+  };
+};
+
+/**
+ * Pick a storage adapter based on environment configuration
+ * ATTACHMENT_STORAGE=local|memory (defaults to local)
+ */
+const createStorageFromEnv = (env = process.env) => {
+  const type = env.ATTACHMENT_STORAGE || STORAGE_TYPES.LOCAL;
+
+  switch (type) {
+    case STORAGE_TYPES.LOCAL:
+      return createLocalStorage({ directory: env.ATTACHMENT_DIR || undefined });
+    case STORAGE_TYPES.MEMORY:
+      return createMemoryStorage();
+    default:
+      throw new Error(
+        `Invalid attachment storage: "${type}". ` +
+        `Valid options are: ${Object.values(STORAGE_TYPES).join(', ')}`
+      );
+  }
+};
+
+// --- Helpers ---
+
+/**
+ * Turn a key into a path inside the base directory.
+ * Refuses anything that would land outside it.
+ */
+const resolveKeyPath = (baseDirectory, key) => {
+  const filePath = path.resolve(baseDirectory, key);
+
+  if (!filePath.startsWith(baseDirectory + path.sep)) {
+    throw new Error(`Invalid attachment storage key: "${key}"`);
+  }
+  return filePath;
+};
+
+// exports
+
+module.exports = {
+  STORAGE_TYPES,
+  createLocalStorage,
+  createMemoryStorage,
+  createStorageFromEnv
+};
@@ -0,0 +1,312 @@
+/**
+ * Context Providers
+ *
+ * A context provider tells us something about the moment a letter is
+ * written: the weather where the user is, what they're listening to,
+ * the top headline. Every provider has the same shape:
+ *   {
+ *     name: 'open-meteo',
+ *     kind: 'weather' | 'song' | 'headline',
+ *     cacheKey: ({ location, nowPlayingUsername }) => string | null,
+ *     fetch: async ({ location, nowPlayingUsername, signal }) => fields | null
+ *   }
+ * cacheKey says what the answer depends on (null: nothing to ask about,
+ * e.g. weather with no location). fetch returns the letter fields it
+ * knows (weather and temperature, currentSong, or topHeadLine), null if
+ * there's nothing to report, and throws if the provider couldn't be
+ * reached. It should give up when signal aborts.
+ *
+ * - open-meteo: weather by place name (no API key needed)
+ * - lastfm:     the user's now-playing or last played track
+ * - newsapi:    the top headline for a country
+ * - fixture:    made-up moments from utils/contextFixtures (local
+ *               development and tests - only when configured)
+ */
+
+const crypto = require('crypto');
+const { CONTEXT_FIXTURES } = require('../utils/contextFixtures');
+
+const CONTEXT_KINDS = {
+  WEATHER: 'weather',
+  SONG: 'song',
+  HEADLINE: 'headline'
+};
+
+const PROVIDER_TYPES = {
+  OPEN_METEO: 'open-meteo',
+  LASTFM: 'lastfm',
+  NEWSAPI: 'newsapi',
+  FIXTURE: 'fixture',
+  NONE: 'none'
+};
+
+const OPEN_METEO_GEOCODING_URL = 'https://geocoding-api.open-meteo.com/v1/search';
+const OPEN_METEO_FORECAST_URL = 'https://api.open-meteo.com/v1/forecast';
+const LASTFM_API_URL = 'https://ws.audioscrobbler.com/2.0/';
+const NEWSAPI_TOP_HEADLINES_URL = 'https://newsapi.org/v2/top-headlines';
+
+// WMO weather codes (as Open-Meteo reports them) in words, by the
+// highest code each description covers
+const WEATHER_DESCRIPTIONS = [
+  [0, 'Clear'],
+  [1, 'Mostly clear'],
+  [2, 'Partly cloudy'],
+  [3, 'Overcast'],
+  [48, 'Foggy'],
+  [57, 'Drizzle'],
+  [67, 'Rain'],
+  [77, 'Snow'],
+  [82, 'Rain showers'],
+  [86, 'Snow showers'],
+  [99, 'Thunderstorm']
+];
+
+/**
+ * OPEN-METEO WEATHER PROVIDER
+ * Finds the user's location by name, then its current weather
+ */
+const createOpenMeteoWeatherProvider = ({ temperatureUnit = 'fahrenheit' } = {}) => {
+  const fetchWeather = async ({ location, signal }) => {
+    const places = await fetchJson(OPEN_METEO_GEOCODING_URL, { name: location, count: 1 }, signal);
+    const place = places.results && places.results[0];
+    if (!place) {
+      return null;
+    }
+
+    const forecast = await fetchJson(OPEN_METEO_FORECAST_URL, {
+      latitude: place.latitude,
+      longitude: place.longitude,
+      current: 'temperature_2m,weather_code',
+      temperature_unit: temperatureUnit
+    }, signal);
+
+    return {
+      weather: describeWeatherCode(forecast.current.weather_code),
+      temperature: Math.round(forecast.current.temperature_2m)
+    };
+  };
+
+  return {
+    name: PROVIDER_TYPES.OPEN_METEO,
+    kind: CONTEXT_KINDS.WEATHER,
+    cacheKey: ({ location }) => normalizeKey(location),
+    fetch: fetchWeather
+  };
+};
+
+/**
+ * LAST.FM SONG PROVIDER
+ * The track a user is playing right now (or played last), for users
+ * who've told us their Last.fm username
+ */
+const createLastfmSongProvider = ({ apiKey }) => {
+  if (!apiKey) {
+    throw new Error('A Last.fm API key is required for the lastfm context provider');
+  }
+
+  const fetchSong = async ({ nowPlayingUsername, signal }) => {
+    const data = await fetchJson(LASTFM_API_URL, {
+      method: 'user.getrecenttracks',
+      user: nowPlayingUsername,
+      api_key: apiKey,
+      format: 'json',
+      limit: 1
+    }, signal);
+
+    const tracks = data.recenttracks && data.recenttracks.track;
+    const track = Array.isArray(tracks) ? tracks[0] : tracks;
+    if (!track) {
+      return null;
+    }
+    return { currentSong: `${track.name} - ${track.artist['#text']}` };
+  };
+
+  return {
+    name: PROVIDER_TYPES.LASTFM,
+    kind: CONTEXT_KINDS.SONG,
+    cacheKey: ({ nowPlayingUsername }) => normalizeKey(nowPlayingUsername),
+    fetch: fetchSong
+  };
+};
+
+/**
+ * NEWSAPI HEADLINE PROVIDER
+ * Today's top headline for a country
+ */
+const createNewsApiHeadlineProvider = ({ apiKey, country = 'us' }) => {
+  if (!apiKey) {
+    throw new Error('A NewsAPI key is required for the newsapi context provider');
+  }
+
+  const fetchHeadline = async ({ signal }) => {
+    const data = await fetchJson(NEWSAPI_TOP_HEADLINES_URL, { country, pageSize: 1, apiKey }, signal);
+    const article = data.articles && data.articles[0];
+    return article ? { topHeadLine: article.title } : null;
+  };
+
+  return {
+    name: PROVIDER_TYPES.NEWSAPI,
+    kind: CONTEXT_KINDS.HEADLINE,
+    // Everyone gets the same headline
+    cacheKey: () => country,
+    fetch: fetchHeadline
+  };
+};
+
+/**
+ * FIXTURE PROVIDER
+ * Stands in for a real provider of the given kind with made-up moments.
+ * The same question always gets the same answer. Set delayMs to make
+ * it slow, or failWith to an Error to make it fail (handy for testing
+ * timeouts and fallbacks).
+ */
+const createFixtureProvider = (kind, { fixtures = CONTEXT_FIXTURES[kind], delayMs = 0 } = {}) => {
+  if (!fixtures) {
+    throw new Error(`No fixtures for context kind "${kind}"`);
+  }
+
+  const provider = {
+    name: PROVIDER_TYPES.FIXTURE,
+    kind,
+    failWith: null,
+    calls: 0,
+    cacheKey: (request) => fixtureCacheKey(kind, request),
+    fetch: async (request) => {
+      provider.calls += 1;
+      if (delayMs > 0) {
+        await wait(delayMs, request.signal);
+      }
+      if (provider.failWith) {
+        throw provider.failWith;
+      }
+      return pickFixture(fixtures, provider.cacheKey(request));
+    }
+  };
+
+  return provider;
+};
+
+/**
+ * Pick each kind's provider based on environment configuration
+ * CONTEXT_WEATHER_PROVIDER=open-meteo|fixture|none
+ * CONTEXT_SONG_PROVIDER=lastfm|fixture|none (needs LASTFM_API_KEY)
+ * CONTEXT_HEADLINE_PROVIDER=newsapi|fixture|none (needs NEWSAPI_KEY,
+ *   and NEWSAPI_COUNTRY if not us)
+ * All default to none - fixtures are made up, so they're only used when
+ * asked for, never stored on real letters by accident. Returns
+ * { weather, song, headline }, leaving out kinds set to none.
+ */
+const createProvidersFromEnv = (env = process.env) => {
+  const choices = {
+    [CONTEXT_KINDS.WEATHER]: {
+      type: env.CONTEXT_WEATHER_PROVIDER,
+      [PROVIDER_TYPES.OPEN_METEO]: () => createOpenMeteoWeatherProvider({
+        temperatureUnit: env.CONTEXT_TEMPERATURE_UNIT || undefined
+      })
+    },
+    [CONTEXT_KINDS.SONG]: {
+      type: env.CONTEXT_SONG_PROVIDER,
+      [PROVIDER_TYPES.LASTFM]: () => createLastfmSongProvider({ apiKey: env.LASTFM_API_KEY })
+    },
+    [CONTEXT_KINDS.HEADLINE]: {
+      type: env.CONTEXT_HEADLINE_PROVIDER,
+      [PROVIDER_TYPES.NEWSAPI]: () => createNewsApiHeadlineProvider({
+        apiKey: env.NEWSAPI_KEY,
+        country: env.NEWSAPI_COUNTRY || undefined
+      })
+    }
+  };
+
+  const providers = {};
+  Object.entries(choices).forEach(([kind, { type = PROVIDER_TYPES.NONE, ...realProviders }]) => {
+    if (type === PROVIDER_TYPES.NONE) {
+      return;
+    }
+    if (type === PROVIDER_TYPES.FIXTURE) {
+      providers[kind] = createFixtureProvider(kind);
+      return;
+    }
+    if (!realProviders[type]) {
+      throw new Error(
+        `Invalid ${kind} context provider: "${type}". ` +
+        `Valid options are: ${[...Object.keys(realProviders), PROVIDER_TYPES.FIXTURE, PROVIDER_TYPES.NONE].join(', ')}`
+      );
+    }
+    providers[kind] = realProviders[type]();
+  });
+
+  return providers;
+};
+
+// --- Helpers ---
+
+/**
+ * GET a JSON API, giving up when signal aborts
+ */
+const fetchJson = async (url, params, signal) => {
+  const response = await fetch(`${url}?${new URLSearchParams(params)}`, { signal });
+  if (!response.ok) {
+    throw new Error(`${new URL(url).host} answered ${response.status}`);
+  }
+  return await response.json();
+};
+
+/**
+ * A WMO weather code in words
+ */
+const describeWeatherCode = (code) => {
+  const match = WEATHER_DESCRIPTIONS.find(([highestCode]) => code <= highestCode);
+  return match ? match[1] : 'Unknown';
+};
+
+/**
+ * A cache key from something a user typed (null if it's empty)
+ */
+const normalizeKey = (value) => {
+  const key = String(value || '').trim().toLowerCase();
+  return key || null;
+};
+
+/**
+ * What a fixture's answer depends on - the same as the real provider's
+ */
+const fixtureCacheKey = (kind, { location, nowPlayingUsername }) => {
+  if (kind === CONTEXT_KINDS.WEATHER) return normalizeKey(location);
+  if (kind === CONTEXT_KINDS.SONG) return normalizeKey(nowPlayingUsername);
+  return 'fixture';
+};
+
+/**
+ * The same fixture for the same key
+ */
+const pickFixture = (fixtures, key) => {
+  const hash = crypto.createHash('sha256').update(String(key)).digest();
+  return { ...fixtures[hash.readUInt32BE(0) % fixtures.length] };
+};
+
+/**
+ * Wait a while, stopping early if signal aborts
+ */
+const wait = (delayMs, signal) => {
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(resolve, delayMs);
+    if (signal) {
+      signal.addEventListener('abort', () => {
+        clearTimeout(timer);
+        reject(signal.reason);
+      }, { once: true });
+    }
+  });
+};
+
+// exports
+
+module.exports = {
+  CONTEXT_KINDS,
+  PROVIDER_TYPES,
+  createOpenMeteoWeatherProvider,
+  createLastfmSongProvider,
+  createNewsApiHeadlineProvider,
+  createFixtureProvider,
+  createProvidersFromEnv
+};
@@ -0,0 +1,220 @@
+/**
+ * Context Service
+ *
+ * Snapshots the moment a letter is written - the weather, the song,
+ * the headline - so the user doesn't have to type it in:
+ * 1. The letter is written somewhere (its location) by someone who may
+ *    have told us their Last.fm username
+ * 2. We ask each context provider at the same time, giving each only
+ *    a moment to answer
+ * 3. Recent answers are reused; a provider that's down or slow falls back
+ *    to its last answer, or is simply left out - writing never waits on it
+ *
+ * Providers live in services/contextProviders.
+ */
+
+const User = require('../models/user');
+const { systemClock } = require('../utils/clock');
+const {
+  CONTEXT_KINDS,
+  createProvidersFromEnv
+} = require('./contextProviders');
+
+// Configuration constants
+const MINUTE_MS = 60 * 1000;
+const CONTEXT_TIMEOUT_MS = Number(process.env.CONTEXT_TIMEOUT_MS) || 2000;
+const MAX_CACHE_ENTRIES = 1000;
+
+// How long an answer is fresh enough to reuse without asking again
+const CACHE_TTL_MS = {
+  [CONTEXT_KINDS.WEATHER]: 30 * MINUTE_MS,
+  [CONTEXT_KINDS.SONG]: MINUTE_MS,
+  [CONTEXT_KINDS.HEADLINE]: 30 * MINUTE_MS
+};
+
+// How old an answer can be and still stand in for a provider that's down
+const STALE_FALLBACK_MS = {
+  [CONTEXT_KINDS.WEATHER]: 3 * 60 * MINUTE_MS,
+  [CONTEXT_KINDS.SONG]: 0,
+  [CONTEXT_KINDS.HEADLINE]: 24 * 60 * MINUTE_MS
+};
+
+// Where each answer came from
+const SOURCE_STATUS = {
+  LIVE: 'live',
+  CACHED: 'cached',
+  STALE: 'stale',
+  UNAVAILABLE: 'unavailable',
+  SKIPPED: 'skipped'
+};
+
+// The letter fields context can fill in
+const CONTEXT_FIELDS = ['weather', 'temperature', 'currentSong', 'topHeadLine'];
+
+// Created from the environment the first time they're needed
+let providers = null;
+const cache = new Map();
+
+/**
+ * CAPTURE THE MOMENT
+ * Ask every provider about the moment a user is writing in.
+ * request is { location } (optional).
+ * Returns the letter fields we found, with where each answer came from:
+ *   { location, weather, temperature, currentSong, topHeadLine,
+ *     capturedAt, sources: { weather: { provider, status }, ... } }
+ */
+const captureContext = async (userId, request = {}, now = systemClock.now()) => {
+  // Step 1: Work out what we're asking about
+  const location = typeof request.location === 'string' ? request.location.trim() : '';
+  const user = await User.findById(userId).select('settings.nowPlayingUsername').lean();
+  const question = {
+    location: location || null,
+    nowPlayingUsername: user && user.settings ? user.settings.nowPlayingUsername : null
+  };
+
+  // Step 2: Ask every provider at once
+  const answers = await Promise.all(
+    Object.values(CONTEXT_KINDS).map((kind) => askProvider(kind, question, now))
+  );
+
+  // Step 3: Put the answers together
+  const context = { location: question.location || undefined, capturedAt: now, sources: {} };
+  answers.forEach(({ kind, provider, status, fields }) => {
+    Object.assign(context, fields);
+    context.sources[kind] = { provider, status };
+  });
+  return context;
+};
+
+/**
+ * FILL IN A LETTER'S MOMENT
+ * For letters written with captureContext: true - fills in the context
+ * fields the writer left empty. What the writer typed always wins.
+ */
+const fillLetterContext = async (userId, letterData, now = systemClock.now()) => {
+  const { captureContext: shouldCapture, ...data } = letterData;
+  if (shouldCapture !== true) {
+    return data;
+  }
+
+  const context = await captureContext(userId, { location: data.location }, now);
+  CONTEXT_FIELDS.forEach((field) => {
+    if ((data[field] === undefined || data[field] === '') && context[field] !== undefined) {
+      data[field] = context[field];
+    }
+  });
+  return data;
+};
+
+/**
+ * Use these providers instead of the ones from the environment
+ * ({ weather, song, headline }, any can be left out). Clears the cache.
+ */
+const setContextProviders = (contextProviders) => {
+  providers = contextProviders;
+  cache.clear();
+};
+
+// --- Provider Helpers ---
+
+/**
+ * Ask one kind's provider, using the cache and falling back when it fails.
+ * Never throws.
+ */
+const askProvider = async (kind, question, now) => {
+  const provider = getProviders()[kind];
+  const cacheKey = provider ? provider.cacheKey(question) : null;
+  if (!provider || !cacheKey) {
+    return { kind, provider: provider ? provider.name : null, status: SOURCE_STATUS.SKIPPED, fields: {} };
+  }
+
+  const answer = { kind, provider: provider.name };
+  const key = `${kind}:${provider.name}:${cacheKey}`;
+  const cached = cache.get(key);
+  const age = cached ? now - cached.fetchedAt : Infinity;
+
+  // Fresh enough to reuse
+  if (age <= CACHE_TTL_MS[kind]) {
+    return { ...answer, status: SOURCE_STATUS.CACHED, fields: cached.fields };
+  }
+
+  try {
+    const fields = pickContextFields(await fetchWithTimeout(provider, question));
+    rememberAnswer(key, fields, now);
+    return { ...answer, status: SOURCE_STATUS.LIVE, fields };
+  } catch (error) {
+    console.error(`Context provider ${provider.name} (${kind}) failed:`, error.message);
+
+    if (age <= STALE_FALLBACK_MS[kind]) {
+      return { ...answer, status: SOURCE_STATUS.STALE, fields: cached.fields };
+    }
+    return { ...answer, status: SOURCE_STATUS.UNAVAILABLE, fields: {} };
+  }
+};
+
+/**
+ * Ask a provider, giving up after CONTEXT_TIMEOUT_MS
+ */
+const fetchWithTimeout = async (provider, question) => {
+  const controller = new AbortController();
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => {
+      const error = new Error(`No answer within ${CONTEXT_TIMEOUT_MS}ms`);
+      controller.abort(error);
+      reject(error);
+    }, CONTEXT_TIMEOUT_MS);
+  });
+
+  try {
+    return await Promise.race([provider.fetch({ ...question, signal: controller.signal }), timeout]);
+  } finally {
+    clearTimeout(timer);
+  }
+};
+
+/**
+ * Keep an answer for next time, forgetting the oldest when the cache is full
+ */
+const rememberAnswer = (key, fields, now) => {
+  cache.delete(key);
+  if (cache.size >= MAX_CACHE_ENTRIES) {
+    cache.delete(cache.keys().next().value);
+  }
+  cache.set(key, { fields, fetchedAt: now });
+};
+
+/**
+ * Keep only the letter fields from a provider's answer (null: nothing)
+ */
+const pickContextFields = (answer) => {
+  const fields = {};
+  CONTEXT_FIELDS.forEach((field) => {
+    if (answer && answer[field] !== undefined && answer[field] !== null) {
+      fields[field] = answer[field];
+    }
+  });
+  return fields;
+};
+
+/**
+ * The providers in use, created from the environment on first use
+ */
+const getProviders = () => {
+  if (!providers) {
+    providers = createProvidersFromEnv();
+  }
+  return providers;
+};
+
+// exports
+
+module.exports = {
+  // Capturing the Moment
+  captureContext,
+  fillLetterContext,
+
+  // Configuration
+  SOURCE_STATUS,
+  setContextProviders
+};
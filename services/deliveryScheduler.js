@@ -0,0 +1,183 @@
+/**
+ * Delivery Scheduler
+ *
+ * Letters are written today and meant to arrive some day in the future.
+ * This service is the postman who makes sure that day actually happens:
+ * 1. Every few minutes it looks for letters whose delivery date has passed
+ * 2. It marks them delivered, a batch at a time
+ * 3. It announces each delivery so other parts of the app can react
+ *    (emails, celebrations, ...)
+ */
+
+const { EventEmitter } = require('events');
+const Letter = require('../models/letter');
+const { systemClock } = require('../utils/clock');
+const { createIntervalJob } = require('../utils/intervalJob');
+
+// Configuration constants
+const DEFAULT_INTERVAL_MS = 60 * 1000;
+const DEFAULT_BATCH_SIZE = 100;
+
+// Events emitted on deliveryEvents
+const DELIVERY_EVENTS = {
+  LETTER_DELIVERED: 'letterDelivered'
+};
+
+const deliveryEvents = new EventEmitter();
+
+/**
+ * DELIVER ALL DUE LETTERS
+ * Find every letter whose delivery date has passed and mark it delivered.
+ * Works through the backlog batch by batch until nothing is left.
+ */
+const deliverDueLetters = async ({ now = systemClock.now(), batchSize = DEFAULT_BATCH_SIZE } = {}) => {
+  let deliveredCount = 0;
+
+  while (true) {
+    // Step 1: Find the next batch of letters that are due
+    const dueLetterIds = await findDueLetterIds(now, batchSize);
+    if (dueLetterIds.length === 0) break;
+
+    // Step 2: Mark the batch delivered and announce each letter
+    const deliveredLetters = await markLettersDelivered(dueLetterIds, now);
+    deliveredLetters.forEach(announceDelivery);
+    deliveredCount += deliveredLetters.length;
+
+    // Step 3: A short batch means we've reached the end
+    if (dueLetterIds.length < batchSize) break;
+  }
+
+  return { deliveredCount };
+};
+
+/**
+ * DELIVER A SINGLE LETTER
+ * Used when we notice a due letter outside the scheduler
+ * (e.g. the owner opens it before the next tick).
+ * Returns the letter, delivered if it was due.
+ */
+const deliverLetterIfDue = async (letter, now = systemClock.now()) => {
+  const isDeliveryDatePassed = now >= new Date(letter.deliveredAt);
+
+  if (letter.isDelivered || !isDeliveryDatePassed) {
+    return letter;
+  }
+
+  const [deliveredLetter] = await markLettersDelivered([letter._id], now);
+
+  // Someone else (the scheduler) got there first - just sync our copy
+  if (!deliveredLetter) {
+    letter.isDelivered = true;
+    return letter;
+  }
+
+  announceDelivery(deliveredLetter);
+  letter.isDelivered = true;
+  letter.actualDeliveredAt = deliveredLetter.actualDeliveredAt;
+  return letter;
+};
+
+/**
+ * LISTEN FOR DELIVERIES
+ * Register a handler that runs every time a letter is delivered.
+ * Handler failures are logged rather than crashing the scheduler.
+ */
+const onLetterDelivered = (handler) => {
+  const listener = (letter) => {
+    Promise.resolve()
+      .then(() => handler(letter))
+      .catch((error) => {
+        console.error('Letter delivery handler failed:', error.message);
+      });
+  };
+
+  deliveryEvents.on(DELIVERY_EVENTS.LETTER_DELIVERED, listener);
+  return () => deliveryEvents.off(DELIVERY_EVENTS.LETTER_DELIVERED, listener);
+};
+
+/**
+ * CREATE A SCHEDULER
+ * Runs deliverDueLetters on a fixed interval.
+ * Pass a manual clock (utils/clock.js) to drive it from tests.
+ */
+const createDeliveryScheduler = ({
+  clock = systemClock,
+  intervalMs = DEFAULT_INTERVAL_MS,
+  batchSize = DEFAULT_BATCH_SIZE
+} = {}) => {
+  return createIntervalJob({
+    name: 'Delivery scheduler',
+    run: (now) => deliverDueLetters({ now, batchSize }),
+    intervalMs,
+    clock
+  });
+};
+
+// --- Database Query Helpers ---
+
+/**
+ * Find the IDs of undelivered letters whose delivery date has passed,
+ * oldest first (drafts and trashed letters are never delivered)
+ */
+const findDueLetterIds = async (now, batchSize) => {
+  const letters = await Letter.find({
+    isDelivered: false,
+    status: { $ne: 'draft' },
+    deletedAt: null,
+    deliveredAt: { $lte: now }
+  })
+    .sort({ deliveredAt: 1 })
+    .limit(batchSize)
+    .select('_id')
+    .lean();
+
+  return letters.map((letter) => letter._id);
+};
+
+/**
+ * Flip a set of letters to delivered in one update, queueing each
+ * letter's email (see mailService).
+ * Only letters still undelivered are touched, so two schedulers
+ * racing each other won't deliver (and announce) a letter twice.
+ * Returns the letters this call actually delivered.
+ */
+const markLettersDelivered = async (letterIds, now) => {
+  await Letter.updateMany(
+    { _id: { $in: letterIds }, isDelivered: false },
+    {
+      $set: {
+        isDelivered: true,
+        actualDeliveredAt: now,
+        emailDelivery: { status: 'pending', attempts: 0 }
+      }
+    }
+  );
+
+  return await Letter.find({
+    _id: { $in: letterIds },
+    actualDeliveredAt: now
+  }).populate('user');
+};
+
+// --- Event Helpers ---
+
+/**
+ * Tell everyone listening that a letter has arrived
+ */
+const announceDelivery = (letter) => {
+  deliveryEvents.emit(DELIVERY_EVENTS.LETTER_DELIVERED, letter);
+};
+
+// exports
+
+module.exports = {
+  // Running deliveries
+  deliverDueLetters,
+  deliverLetterIfDue,
+  createDeliveryScheduler,
+
+  // Reacting to deliveries
+  onLetterDelivered,
+  deliveryEvents,
+  DELIVERY_EVENTS
+};
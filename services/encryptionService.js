@@ -0,0 +1,571 @@
+/**
+ * Encryption Service
+ *
+ * Letters are encrypted at rest. What's encrypted, and what isn't:
+ * - Encrypted: a letter's content, its goals' text, reflections and
+ *   status notes, and its reflections (including ones in the trash and
+ *   in revisions); a template's title, opening and goals
+ * - Plaintext: everything on the envelope and everything we filter or
+ *   count by - title, mood, dates, location, tags, goal statuses, stats,
+ *   template names
+ *
+ * How the keys work:
+ * 1. Every user gets their own random data key the first time they need one
+ * 2. Data keys are stored on the user, wrapped (encrypted) by a master key
+ *    that only lives in configuration (ENCRYPTION_MASTER_KEY)
+ * 3. Letters are encrypted when they're saved and decrypted when the
+ *    letter service loads them, so the rest of the app sees plain words
+ * 4. Rotating creates a new data key and re-encrypts the user's letters
+ *    with it (see keyRotationService)
+ *
+ * What this means elsewhere:
+ * - Search can't match encrypted words in MongoDB, so when encryption is on
+ *   the search service decrypts a user's candidate letters and matches
+ *   their text in memory (see searchService)
+ * - Stats and goal counts only use plaintext fields, so they work the
+ *   same either way. Mood trends count plaintext moods, but read the
+ *   tone of reflections after decrypting them (see moodService)
+ *
+ * Without ENCRYPTION_MASTER_KEY nothing new is encrypted (handy locally),
+ * but anything already encrypted still needs its master key to be read.
+ *
+ * Which values are encrypted is tracked, not guessed from how they look:
+ * a letter, revision or template remembers the encrypted values it was loaded with
+ * (in $locals), only those are decrypted, and everything else is
+ * encrypted on save - even words that happen to look encrypted.
+ */
+
+const User = require('../models/user');
+const { ValidationError } = require('../middleware/errorHandler');
+const {
+  isEncrypted,
+  encryptValue,
+  decryptValue,
+  readKeyId,
+  generateDataKey,
+  generateKeyId,
+  wrapKey,
+  unwrapKey,
+  parseMasterKey
+} = require('../utils/fieldEncryption');
+
+// Configuration constants
+const DEFAULT_MASTER_KEY_ID = 'primary';
+const KEYRING_CACHE_MS = 5 * 60 * 1000;
+
+// Master keys from configuration (read on first use), and unwrapped data keys per user
+let masterKeys = null;
+const keyringCache = new Map();
+
+/**
+ * ENCRYPT A LETTER'S PRIVATE FIELDS
+ * Works on a letter document or a plain object, in place.
+ * Values still encrypted as stored are left alone.
+ */
+const encryptLetterFields = async (letter) => {
+  const transform = await buildEncryptTransform(letter, getOwnerId(letter), collectLetterValues(letter));
+  if (transform) {
+    transformLetterFields(letter, transform);
+  }
+  return letter;
+};
+
+/**
+ * DECRYPT A LETTER'S PRIVATE FIELDS
+ * Works on a letter document or a plain object, in place.
+ * Only values encrypted as stored are decrypted, so decrypting twice
+ * is harmless. Plaintext values (older letters) are left alone.
+ */
+const decryptLetterFields = async (letter) => {
+  if (!letter) return letter;
+
+  const transform = await buildDecryptTransform(letter, getOwnerId(letter), collectLetterValues(letter));
+  if (transform) {
+    transformLetterFields(letter, transform);
+  }
+  return letter;
+};
+
+/**
+ * Decrypt a list of letters
+ */
+const decryptLetters = async (letters) => {
+  for (const letter of letters) {
+    await decryptLetterFields(letter);
+  }
+  return letters;
+};
+
+/**
+ * ENCRYPT / DECRYPT A REVISION SNAPSHOT
+ * Revisions keep copies of a letter's words, so they're encrypted the same way
+ */
+const encryptRevisionSnapshot = async (revision) => {
+  if (!revision.snapshot) return revision;
+
+  const transform = await buildEncryptTransform(revision, revision.user, collectSnapshotValues(revision.snapshot));
+  if (transform) {
+    transformSnapshotFields(revision.snapshot, transform);
+  }
+  return revision;
+};
+
+const decryptRevisionSnapshot = async (revision) => {
+  if (!revision || !revision.snapshot) return revision;
+
+  const transform = await buildDecryptTransform(revision, revision.user, collectSnapshotValues(revision.snapshot));
+  if (transform) {
+    transformSnapshotFields(revision.snapshot, transform);
+  }
+  return revision;
+};
+
+/**
+ * ENCRYPT / DECRYPT A TEMPLATE
+ * A template's opening and goals become a letter's words, so they're
+ * encrypted like one - and its title too, since it's only ever read by its owner
+ */
+const encryptTemplateFields = async (template) => {
+  const transform = await buildEncryptTransform(template, template.user, collectTemplateValues(template));
+  if (transform) {
+    transformTemplateFields(template, transform);
+  }
+  return template;
+};
+
+const decryptTemplateFields = async (template) => {
+  if (!template) return template;
+
+  const transform = await buildDecryptTransform(template, template.user, collectTemplateValues(template));
+  if (transform) {
+    transformTemplateFields(template, transform);
+  }
+  return template;
+};
+
+/**
+ * REMEMBER WHAT'S ENCRYPTED
+ * Called as a letter, revision or template is loaded: notes which of its
+ * values are encrypted as stored, so only those are ever decrypted or kept.
+ */
+const rememberStoredLetterValues = (letter) => {
+  rememberEncryptedValues(letter, new Set(collectLetterValues(letter).filter(isEncrypted)));
+};
+
+const rememberStoredSnapshotValues = (revision) => {
+  if (!revision.snapshot) return;
+  rememberEncryptedValues(revision, new Set(collectSnapshotValues(revision.snapshot).filter(isEncrypted)));
+};
+
+const rememberStoredTemplateValues = (template) => {
+  rememberEncryptedValues(template, new Set(collectTemplateValues(template).filter(isEncrypted)));
+};
+
+/**
+ * Is there a master key to encrypt new data with?
+ */
+const isEncryptionEnabled = () => {
+  return Boolean(getMasterKeys().current);
+};
+
+// --- Key Management ---
+
+/**
+ * GET A USER'S KEYRING
+ * { activeKeyId, keys: Map(keyId -> data key) }
+ * Creates the user's first data key if they don't have one yet.
+ */
+const getKeyring = async (userId, { refresh = false } = {}) => {
+  const cacheKey = String(userId);
+  const cached = keyringCache.get(cacheKey);
+  if (!refresh && cached && Date.now() - cached.loadedAt < KEYRING_CACHE_MS) {
+    return cached.keyring;
+  }
+
+  let encryption = await findUserEncryption(userId);
+  if (!encryption.activeKeyId && isEncryptionEnabled()) {
+    await createFirstDataKey(userId);
+    encryption = await findUserEncryption(userId);
+  }
+
+  const keyring = unwrapKeyring(encryption);
+  keyringCache.set(cacheKey, { keyring, loadedAt: Date.now() });
+  return keyring;
+};
+
+/**
+ * ADD A NEW ACTIVE DATA KEY
+ * New writes use it; older keys are kept (retired) so existing data stays readable.
+ * Returns the new key's ID.
+ */
+const addActiveDataKey = async (userId) => {
+  ensureEncryptionEnabled();
+
+  const keyId = generateKeyId();
+  const now = new Date();
+
+  await User.updateOne(
+    { _id: userId },
+    { $set: { 'encryption.keys.$[active].retiredAt': now } },
+    { arrayFilters: [{ 'active.retiredAt': null }] }
+  );
+  await User.updateOne(
+    { _id: userId },
+    {
+      $set: { 'encryption.activeKeyId': keyId },
+      $push: { 'encryption.keys': buildWrappedKey(keyId, now) }
+    }
+  );
+
+  forgetKeyring(userId);
+  return keyId;
+};
+
+/**
+ * RE-WRAP A USER'S DATA KEYS
+ * After the master key changes, wrap every data key with the new one.
+ * The data keys themselves (and so the letters) don't change.
+ */
+const rewrapUserKeys = async (userId) => {
+  ensureEncryptionEnabled();
+
+  const encryption = await findUserEncryption(userId);
+  const keys = (encryption.keys || []).map((entry) => {
+    const dataKey = unwrapWith(entry);
+    return {
+      keyId: entry.keyId,
+      wrappedKey: wrapKey(getMasterKeys().current.key, dataKey),
+      masterKeyId: getMasterKeys().current.id,
+      createdAt: entry.createdAt,
+      retiredAt: entry.retiredAt
+    };
+  });
+
+  await User.updateOne({ _id: userId }, { $set: { 'encryption.keys': keys } });
+  forgetKeyring(userId);
+  return keys.length;
+};
+
+/**
+ * Drop a user's cached keys so the next use reloads them
+ */
+const forgetKeyring = (userId) => {
+  keyringCache.delete(String(userId));
+};
+
+/**
+ * Use different master keys (tests, or after changing configuration)
+ */
+const configureMasterKeys = (env) => {
+  masterKeys = loadMasterKeys(env);
+  keyringCache.clear();
+};
+
+// --- Field Helpers ---
+
+/**
+ * A transform that encrypts every value not already encrypted as
+ * stored, with the owner's active key (null when there's nothing to do).
+ * Without a master key nothing is encrypted - and words that look
+ * encrypted are refused, since they couldn't be told apart once stored.
+ */
+const buildEncryptTransform = async (doc, ownerId, values) => {
+  const newValues = values.filter((value) => !isStoredEncrypted(doc, value));
+
+  if (!isEncryptionEnabled()) {
+    if (newValues.some(isEncrypted)) {
+      throw new ValidationError('Letters, templates, goals and reflections cannot start with "enc:v1:"');
+    }
+    return null;
+  }
+  if (newValues.length === 0) return null;
+
+  const keyring = await getKeyring(ownerId);
+  const activeKey = { keyId: keyring.activeKeyId, key: keyring.keys.get(keyring.activeKeyId) };
+  const storedBefore = new Set(values.filter((value) => isStoredEncrypted(doc, value)));
+  const storedAfter = new Set();
+
+  rememberEncryptedValues(doc, storedAfter);
+  return (value) => {
+    const encrypted = storedBefore.has(value) ? value : encryptValue(value, activeKey);
+    storedAfter.add(encrypted);
+    return encrypted;
+  };
+};
+
+/**
+ * A transform that decrypts the values encrypted as stored
+ * (null when there are none)
+ */
+const buildDecryptTransform = async (doc, ownerId, values) => {
+  const findKey = await loadKeysFor(ownerId, values.filter((value) => isStoredEncrypted(doc, value)));
+  if (!findKey) return null;
+
+  return (value) => (isStoredEncrypted(doc, value) ? decryptValue(value, findKey) : value);
+};
+
+/**
+ * Is this value encrypted as stored? A document knows which of its
+ * values are (see rememberStoredLetterValues). A plain object is straight
+ * from the database (a lean read), so anything that looks encrypted is.
+ */
+const isStoredEncrypted = (doc, value) => {
+  if (!doc.$locals) return isEncrypted(value);
+  return Boolean(doc.$locals.encryptedValues) && doc.$locals.encryptedValues.has(value);
+};
+
+/**
+ * Note the values of a document that are encrypted as stored (a Set)
+ */
+const rememberEncryptedValues = (doc, values) => {
+  if (doc.$locals) {
+    doc.$locals.encryptedValues = values;
+  }
+};
+
+/**
+ * Apply a transform to every private field of a letter,
+ * only writing back values that actually changed
+ */
+const transformLetterFields = (letter, transform) => {
+  updateField(letter, 'content', transform);
+  (letter.goals || []).forEach((goal) => {
+    updateField(goal, 'text', transform);
+    updateField(goal, 'reflection', transform);
+    (goal.statusHistory || []).forEach((change) => updateField(change, 'note', transform));
+  });
+  (letter.reflections || []).forEach((reflection) => updateField(reflection, 'reflection', transform));
+  (letter.trashedReflections || []).forEach((reflection) => updateField(reflection, 'reflection', transform));
+};
+
+/**
+ * Apply a transform to the private fields of a revision snapshot
+ */
+const transformSnapshotFields = (snapshot, transform) => {
+  updateField(snapshot, 'content', transform);
+  (snapshot.goals || []).forEach((goal) => updateField(goal, 'text', transform));
+};
+
+/**
+ * Apply a transform to the private fields of a template
+ */
+const transformTemplateFields = (template, transform) => {
+  updateField(template, 'title', transform);
+  updateField(template, 'content', transform);
+  (template.goals || []).forEach((goal) => updateField(goal, 'text', transform));
+};
+
+/**
+ * Every private value on a letter
+ */
+const collectLetterValues = (letter) => {
+  const values = [];
+  transformLetterFields(letter, (value) => {
+    values.push(value);
+    return value;
+  });
+  return values;
+};
+
+/**
+ * Every private value in a revision snapshot
+ */
+const collectSnapshotValues = (snapshot) => {
+  const values = [];
+  transformSnapshotFields(snapshot, (value) => {
+    values.push(value);
+    return value;
+  });
+  return values;
+};
+
+/**
+ * Every private value on a template
+ */
+const collectTemplateValues = (template) => {
+  const values = [];
+  transformTemplateFields(template, (value) => {
+    values.push(value);
+    return value;
+  });
+  return values;
+};
+
+/**
+ * Set obj[field] = transform(obj[field]) if that changes anything
+ */
+const updateField = (obj, field, transform) => {
+  const value = obj[field];
+  if (value === undefined || value === null) return;
+
+  const next = transform(value);
+  if (next !== value) {
+    obj[field] = next;
+  }
+};
+
+/**
+ * The user a letter belongs to (populated or not)
+ */
+const getOwnerId = (letter) => {
+  return letter.user && letter.user._id ? letter.user._id : letter.user;
+};
+
+// --- Keyring Helpers ---
+
+/**
+ * Load the keys needed to decrypt some encrypted values.
+ * Returns a findKey(keyId) function, or null if there are none.
+ * If a key is missing from the cache (rotated elsewhere), reload once.
+ */
+const loadKeysFor = async (userId, values) => {
+  const keyIds = [...new Set(values.map(readKeyId))];
+  if (keyIds.length === 0) return null;
+
+  let keyring = await getKeyring(userId);
+  if (keyIds.some((keyId) => !keyring.keys.has(keyId))) {
+    keyring = await getKeyring(userId, { refresh: true });
+  }
+  return (keyId) => keyring.keys.get(keyId);
+};
+
+/**
+ * Read a user's wrapped keys
+ */
+const findUserEncryption = async (userId) => {
+  const user = await User.findById(userId).select('+encryption');
+
+  if (!user) {
+    throw new Error('User not found.');
+  }
+  return user.encryption || {};
+};
+
+/**
+ * Give a user their first data key, unless someone else just did
+ */
+const createFirstDataKey = async (userId) => {
+  const keyId = generateKeyId();
+
+  await User.updateOne(
+    { _id: userId, 'encryption.activeKeyId': null },
+    {
+      $set: {
+        'encryption.activeKeyId': keyId,
+        'encryption.keys': [buildWrappedKey(keyId, new Date())]
+      }
+    }
+  );
+};
+
+/**
+ * Make a new data key, wrapped with the current master key
+ */
+const buildWrappedKey = (keyId, createdAt) => ({
+  keyId,
+  wrappedKey: wrapKey(getMasterKeys().current.key, generateDataKey()),
+  masterKeyId: getMasterKeys().current.id,
+  createdAt
+});
+
+/**
+ * Unwrap every data key a user has.
+ * Keys wrapped by a master key we no longer have are skipped;
+ * decrypting anything that used them fails with a clear error.
+ */
+const unwrapKeyring = (encryption) => {
+  const keys = new Map();
+
+  (encryption.keys || []).forEach((entry) => {
+    if (getMasterKeys().byId.has(entry.masterKeyId)) {
+      keys.set(entry.keyId, unwrapWith(entry));
+    }
+  });
+
+  return { activeKeyId: encryption.activeKeyId, keys };
+};
+
+/**
+ * Unwrap one stored data key with the master key that wrapped it
+ */
+const unwrapWith = (entry) => {
+  const masterKey = getMasterKeys().byId.get(entry.masterKeyId);
+  if (!masterKey) {
+    throw new Error(`Master key "${entry.masterKeyId}" is not configured`);
+  }
+  return unwrapKey(masterKey, entry.wrappedKey);
+};
+
+/**
+ * Throw if there's no master key to wrap new keys with
+ */
+const ensureEncryptionEnabled = () => {
+  if (!isEncryptionEnabled()) {
+    throw new Error('ENCRYPTION_MASTER_KEY is not configured');
+  }
+};
+
+/**
+ * Read master keys from configuration:
+ * ENCRYPTION_MASTER_KEY             the current master key (base64, 32 bytes)
+ * ENCRYPTION_MASTER_KEY_ID          its name (defaults to "primary")
+ * ENCRYPTION_PREVIOUS_MASTER_KEYS   older keys still needed to unwrap,
+ *                                   as "id:base64key,id:base64key"
+ */
+const loadMasterKeys = (env) => {
+  const byId = new Map();
+
+  (env.ENCRYPTION_PREVIOUS_MASTER_KEYS || '')
+    .split(',')
+    .map((entry) => entry.trim())
+    .filter(Boolean)
+    .forEach((entry) => {
+      const separator = entry.indexOf(':');
+      byId.set(entry.slice(0, separator), parseMasterKey(entry.slice(separator + 1)));
+    });
+
+  let current = null;
+  if (env.ENCRYPTION_MASTER_KEY) {
+    current = {
+      id: env.ENCRYPTION_MASTER_KEY_ID || DEFAULT_MASTER_KEY_ID,
+      key: parseMasterKey(env.ENCRYPTION_MASTER_KEY)
+    };
+    byId.set(current.id, current.key);
+  }
+
+  return { current, byId };
+};
+
+/**
+ * The configured master keys
+ */
+const getMasterKeys = () => {
+  if (!masterKeys) {
+    masterKeys = loadMasterKeys(process.env);
+  }
+  return masterKeys;
+};
+
+// exports
+
+module.exports = {
+  // Letters, revisions and templates
+  encryptLetterFields,
+  decryptLetterFields,
+  decryptLetters,
+  encryptRevisionSnapshot,
+  decryptRevisionSnapshot,
+  encryptTemplateFields,
+  decryptTemplateFields,
+  rememberStoredLetterValues,
+  rememberStoredSnapshotValues,
+  rememberStoredTemplateValues,
+  isEncryptionEnabled,
+
+  // Keys
+  getKeyring,
+  addActiveDataKey,
+  rewrapUserKeys,
+  forgetKeyring,
+  configureMasterKeys
+};
@@ -0,0 +1,453 @@
+/**
+ * Export Service
+ *
+ * A user's journal is theirs to keep, with or without SoulMail:
+ * 1. A user asks for an export: a zip with one Markdown file per letter,
+ *    a JSON dump of everything, and optionally a printable PDF book
+ * 2. Small accounts get the zip straight away
+ * 3. Large accounts get an export that's built in the background;
+ *    they check on it and download it once it's ready
+ * 4. Finished exports are deleted after the retention period
+ *
+ * Sealed letters stay sealed in exports - just their envelope goes in.
+ * The files themselves are rendered by utils/letterArchive.
+ *
+ * Background exports are NOT encrypted at rest: the zip in EXPORT_DIR
+ * holds the user's letters in plain words, so they can open it anywhere.
+ * That's why it only lives for EXPORT_RETENTION_HOURS (24 by default)
+ * and only its owner can download it. Keep EXPORT_DIR off shared or
+ * backed-up disks, and keep the retention short.
+ */
+
+const path = require('path');
+const archiver = require('archiver');
+const User = require('../models/user');
+const Tag = require('../models/tag');
+const Letter = require('../models/letter');
+const LetterExport = require('../models/letterExport');
+const { isLetterSealed } = require('./letterService');
+const { decryptLetters } = require('./encryptionService');
+const { createLocalStorage } = require('./attachmentStorage');
+const { systemClock } = require('../utils/clock');
+const { createIntervalJob } = require('../utils/intervalJob');
+const {
+  renderLetterMarkdown,
+  buildLetterFileName,
+  renderArchiveJson,
+  renderLetterBook
+} = require('../utils/letterArchive');
+const {
+  AppError,
+  NotFoundError,
+  ForbiddenError,
+  ValidationError
+} = require('../middleware/errorHandler');
+
+// Configuration constants
+const HOUR_MS = 60 * 60 * 1000;
+const EXPORT_SYNC_MAX_LETTERS = Number(process.env.EXPORT_SYNC_MAX_LETTERS) || 100;
+const EXPORT_RETENTION_HOURS = Number(process.env.EXPORT_RETENTION_HOURS) || 24;
+const DEFAULT_INTERVAL_MS = 60 * 1000;
+const STALE_EXPORT_MS = 30 * 60 * 1000;
+const DEFAULT_EXPORT_DIR = path.join(__dirname, '..', 'tmp', 'exports');
+
+const EXPORT_STATUS = {
+  PENDING: 'pending',
+  PROCESSING: 'processing',
+  READY: 'ready',
+  FAILED: 'failed',
+  EXPIRED: 'expired'
+};
+
+// Created from the environment the first time it's needed
+let storage = null;
+
+/**
+ * EXPORT A USER'S LETTERS
+ * options (from the query string, all optional):
+ *   pdf    true to include the printable PDF book
+ *   async  true to build it in the background even if it's small
+ * Returns either { fileName, archive } - a zip stream to send now -
+ * or { export } - a background export to check on later.
+ */
+const exportLetters = async (userId, options = {}, now = systemClock.now()) => {
+  // Step 1: Work out what the user asked for
+  const includePdf = parseFlag(options.pdf, 'pdf');
+  const runInBackground = parseFlag(options.async, 'async');
+
+  // Step 2: Small accounts get their zip straight away
+  const letterCount = await Letter.countDocuments({ user: userId, deletedAt: null });
+  if (!runInBackground && letterCount <= EXPORT_SYNC_MAX_LETTERS) {
+    return {
+      fileName: buildExportFileName(now),
+      archive: await createArchive(userId, { includePdf, now })
+    };
+  }
+
+  // Step 3: Otherwise queue a background export (or reuse the one in progress)
+  const inProgress = await LetterExport.findOne({
+    user: userId,
+    status: { $in: [EXPORT_STATUS.PENDING, EXPORT_STATUS.PROCESSING] }
+  });
+  const letterExport = inProgress || await LetterExport.create({ user: userId, includePdf, letterCount });
+
+  return { export: presentExport(letterExport) };
+};
+
+/**
+ * CHECK ON AN EXPORT
+ * Where a background export stands, and its download link once it's ready
+ */
+const getExportStatus = async (userId, exportId) => {
+  const letterExport = await findExportOrFail(exportId);
+  verifyUserOwnsExport(letterExport, userId);
+
+  return presentExport(letterExport);
+};
+
+/**
+ * DOWNLOAD AN EXPORT
+ * Returns { fileName, size, stream } for a finished export
+ */
+const getExportDownload = async (userId, exportId, now = systemClock.now()) => {
+  // Step 1: Find the export
+  const letterExport = await findExportOrFail(exportId);
+
+  // Step 2: Verify the user asked for it
+  verifyUserOwnsExport(letterExport, userId);
+
+  // Step 3: It must be finished and not yet expired
+  ensureExportIsDownloadable(letterExport, now);
+
+  // Step 4: Open the archive
+  const stream = await getStorage().open(letterExport.storageKey);
+  return { fileName: letterExport.fileName, size: letterExport.size, stream };
+};
+
+/**
+ * BUILD WAITING EXPORTS
+ * Build each waiting export in turn, oldest first. An export whose
+ * build was interrupted (the server stopped mid-way) is picked up again.
+ */
+const processPendingExports = async ({ now = systemClock.now() } = {}) => {
+  let readyCount = 0;
+  let failedCount = 0;
+
+  let letterExport = await claimNextExport(now);
+  while (letterExport) {
+    const succeeded = await buildExport(letterExport, now);
+    if (succeeded) readyCount++;
+    else failedCount++;
+
+    letterExport = await claimNextExport(now);
+  }
+
+  return { readyCount, failedCount };
+};
+
+/**
+ * DELETE EXPIRED EXPORTS
+ * Remove the archives of exports past their expiry
+ */
+const purgeExpiredExports = async ({ now = systemClock.now() } = {}) => {
+  const expired = await LetterExport.find({
+    status: EXPORT_STATUS.READY,
+    expiresAt: { $lte: now }
+  });
+
+  for (const letterExport of expired) {
+    await removeArchiveSafely(letterExport.storageKey);
+    letterExport.status = EXPORT_STATUS.EXPIRED;
+    letterExport.storageKey = undefined;
+    await letterExport.save();
+  }
+
+  return { expiredCount: expired.length };
+};
+
+/**
+ * CREATE THE EXPORT WORKER
+ * A background job that builds waiting exports and deletes expired ones
+ */
+const createExportWorker = ({
+  clock = systemClock,
+  intervalMs = DEFAULT_INTERVAL_MS
+} = {}) => {
+  return createIntervalJob({
+    name: 'Export worker',
+    run: async (now) => ({
+      ...await processPendingExports({ now }),
+      ...await purgeExpiredExports({ now })
+    }),
+    intervalMs,
+    clock
+  });
+};
+
+/**
+ * Use a different storage for export archives (tests)
+ */
+const setExportStorage = (exportStorage) => {
+  storage = exportStorage;
+};
+
+// --- Archive Helpers ---
+
+/**
+ * Build the zip for a user's letters as a stream
+ */
+const createArchive = async (userId, { includePdf, now }) => {
+  const { user, letters } = await loadExportData(userId, now);
+  const archive = archiver('zip', { zlib: { level: 9 } });
+
+  letters.forEach((letter) => {
+    archive.append(renderLetterMarkdown(letter), { name: buildLetterFileName(letter) });
+  });
+  archive.append(renderArchiveJson({ exportedAt: now, user, letters }), { name: 'letters.json' });
+  if (includePdf) {
+    const title = `${user.name || user.username}'s letters`;
+    archive.append(renderLetterBook({ title, letters }), { name: 'letters.pdf' });
+  }
+
+  // Failures also arrive as the stream's 'error' event, where the reader
+  // (the download, or the storage it's saved to) handles them
+  archive.finalize().catch((error) => {
+    console.error(`Failed to finish export archive for user ${userId}:`, error.message);
+  });
+  return archive;
+};
+
+/**
+ * Build a background export's archive and store it. The zip is
+ * written to storage as it's made, never held in memory whole.
+ * Returns whether it succeeded; a failure is recorded on the export.
+ */
+const buildExport = async (letterExport, now) => {
+  const storageKey = `${letterExport.user}/${letterExport._id}.zip`;
+
+  try {
+    const archive = await createArchive(letterExport.user, { includePdf: letterExport.includePdf, now });
+    const size = await getStorage().saveStream(storageKey, archive);
+
+    letterExport.set({
+      status: EXPORT_STATUS.READY,
+      storageKey,
+      fileName: buildExportFileName(now),
+      size,
+      completedAt: now,
+      expiresAt: new Date(now.getTime() + EXPORT_RETENTION_HOURS * HOUR_MS)
+    });
+    await letterExport.save();
+    return true;
+  } catch (error) {
+    console.error(`Failed to build export ${letterExport._id}:`, error.message);
+    await removeArchiveSafely(storageKey);
+    letterExport.set({ status: EXPORT_STATUS.FAILED, failureReason: error.message });
+    await letterExport.save();
+    return false;
+  }
+};
+
+/**
+ * Load the user and their letters, ready for rendering: decrypted,
+ * tags as names, sealed letters as envelopes, oldest first
+ */
+const loadExportData = async (userId, now) => {
+  const [user, tags, letters] = await Promise.all([
+    User.findById(userId).select('username name email').lean(),
+    Tag.find({ user: userId }).select('name').lean(),
+    Letter.find({ user: userId, deletedAt: null })
+      .sort({ createdAt: 1 })
+      .populate('recipient.user', 'username name')
+      .lean()
+  ]);
+  await decryptLetters(letters);
+
+  const tagNames = new Map(tags.map((tag) => [tag._id.toString(), tag.name]));
+  return {
+    user: { username: user.username, name: user.name, email: user.email },
+    letters: letters.map((letter) => toExportLetter(letter, tagNames, now))
+  };
+};
+
+/**
+ * The parts of a letter that belong in an export
+ */
+const toExportLetter = (letter, tagNames, now) => {
+  const sealed = isLetterSealed(letter, now);
+  const recipient = letter.recipient || null;
+
+  return {
+    _id: letter._id,
+    title: letter.title,
+    status: letter.status,
+    createdAt: letter.createdAt,
+    updatedAt: letter.updatedAt,
+    deliveryInterval: letter.deliveryInterval,
+    deliveredAt: letter.deliveredAt,
+    isDelivered: letter.isDelivered,
+    actualDeliveredAt: letter.actualDeliveredAt,
+    sealed,
+    mood: letter.mood,
+    weather: letter.weather,
+    temperature: letter.temperature,
+    currentSong: letter.currentSong,
+    topHeadLine: letter.topHeadLine,
+    location: letter.location,
+    writingPrompt: letter.writingPrompt,
+    recipient: recipient && {
+      username: recipient.user ? recipient.user.username : undefined,
+      name: recipient.user ? recipient.user.name : recipient.name,
+      email: recipient.email
+    },
+    tags: (letter.tags || []).map((tagId) => tagNames.get(tagId.toString())).filter(Boolean),
+    content: sealed ? undefined : letter.content,
+    goals: sealed ? [] : (letter.goals || []).map(({ text, status, reflection, statusUpdatedAt }) => ({
+      text, status, reflection, statusUpdatedAt
+    })),
+    reflections: (letter.reflections || []).map(({ reflection, date }) => ({ reflection, date })),
+    attachments: sealed ? [] : (letter.attachments || []).map(({ fileName, mimeType, size }) => ({
+      fileName, mimeType, size
+    }))
+  };
+};
+
+/**
+ * The name of an export's zip file
+ */
+const buildExportFileName = (now) => {
+  return `soulmail-letters-${now.toISOString().slice(0, 10)}.zip`;
+};
+
+// --- Database Query Helpers ---
+
+/**
+ * Find an export by ID, or throw an error if not found
+ */
+const findExportOrFail = async (exportId) => {
+  const letterExport = await LetterExport.findById(exportId);
+
+  if (!letterExport) {
+    throw new NotFoundError('Export not found');
+  }
+
+  return letterExport;
+};
+
+/**
+ * Atomically take the oldest waiting export (or one whose build stalled)
+ */
+const claimNextExport = async (now) => {
+  return await LetterExport.findOneAndUpdate(
+    {
+      $or: [
+        { status: EXPORT_STATUS.PENDING },
+        { status: EXPORT_STATUS.PROCESSING, startedAt: { $lte: new Date(now.getTime() - STALE_EXPORT_MS) } }
+      ]
+    },
+    { $set: { status: EXPORT_STATUS.PROCESSING, startedAt: now } },
+    { sort: { createdAt: 1 }, new: true }
+  );
+};
+
+// --- Storage Helpers ---
+
+/**
+ * The storage export archives are kept in (local disk, EXPORT_DIR)
+ */
+const getStorage = () => {
+  if (!storage) {
+    storage = createLocalStorage({ directory: process.env.EXPORT_DIR || DEFAULT_EXPORT_DIR });
+  }
+  return storage;
+};
+
+/**
+ * Remove an archive, logging rather than throwing on failure
+ */
+const removeArchiveSafely = async (storageKey) => {
+  if (!storageKey) return;
+
+  try {
+    await getStorage().remove(storageKey);
+  } catch (error) {
+    console.error(`Failed to remove export archive ${storageKey}:`, error.message);
+  }
+};
+
+// --- Validation Helpers ---
+
+/**
+ * Read a true/false option from the query string
+ */
+const parseFlag = (value, field) => {
+  if (value === undefined) return false;
+  if (!['true', 'false'].includes(String(value))) {
+    throw new ValidationError(`${field} must be true or false`, { [field]: 'Must be true or false' });
+  }
+  return String(value) === 'true';
+};
+
+/**
+ * Ensure an export can be downloaded right now
+ */
+const ensureExportIsDownloadable = (letterExport, now) => {
+  if (letterExport.status === EXPORT_STATUS.EXPIRED
+    || (letterExport.status === EXPORT_STATUS.READY && letterExport.expiresAt <= now)) {
+    throw new AppError('This export has expired - please start a new one', 410);
+  }
+  if (letterExport.status !== EXPORT_STATUS.READY) {
+    throw new ValidationError(`This export is ${letterExport.status}, not ready to download`);
+  }
+};
+
+// --- Authorization Helpers ---
+
+/**
+ * Verify that the user making the request asked for the export
+ */
+const verifyUserOwnsExport = (letterExport, userId) => {
+  if (!letterExport.user.equals(userId)) {
+    throw new ForbiddenError('You do not have permission to access this export');
+  }
+};
+
+// --- Presentation Helpers ---
+
+/**
+ * Shape an export for the response, with its download link once it's ready
+ */
+const presentExport = (letterExport) => {
+  return {
+    _id: letterExport._id,
+    status: letterExport.status,
+    includePdf: letterExport.includePdf,
+    letterCount: letterExport.letterCount,
+    size: letterExport.size,
+    createdAt: letterExport.createdAt,
+    completedAt: letterExport.completedAt,
+    expiresAt: letterExport.expiresAt,
+    failureReason: letterExport.failureReason,
+    statusUrl: `/letters/exports/${letterExport._id}`,
+    downloadUrl: letterExport.status === EXPORT_STATUS.READY
+      ? `/letters/exports/${letterExport._id}/download`
+      : undefined
+  };
+};
+
+// exports
+
+module.exports = {
+  EXPORT_STATUS,
+
+  // Exporting Letters
+  exportLetters,
+  getExportStatus,
+  getExportDownload,
+
+  // Background Work
+  processPendingExports,
+  purgeExpiredExports,
+  createExportWorker,
+  setExportStorage
+};
@@ -0,0 +1,318 @@
+/**
+ * Goal Service
+ *
+ * Goals live inside the letters they were written in, but people think
+ * about them all together - "what am I still working on?":
+ * 1. Every goal the user is living, across all their letters, a page
+ *    at a time - filtered by status, date and source letter, and sorted
+ * 2. Each goal comes with the title and delivery date of its letter
+ * 3. A summary counts the goals in each status
+ *
+ * A user lives the goals of letters to themselves and of letters other
+ * users wrote to them (once delivered). Goals in sealed letters stay
+ * hidden until delivery - they're only counted. Drafts' goals are still
+ * plans, so they're left out.
+ */
+
+const mongoose = require('mongoose');
+const Letter = require('../models/letter');
+const { decryptLetterFields } = require('./encryptionService');
+const {
+  buildCursorCondition,
+  buildSort,
+  buildPage,
+  parsePageSize,
+  parseSortOrder
+} = require('../utils/pagination');
+const { GOAL_STATUSES, OPEN_GOAL_STATUSES } = require('../utils/goalStatus');
+const { ValidationError } = require('../middleware/errorHandler');
+
+// How GET /goals can be sorted, and the field behind each option
+const GOAL_SORT_FIELDS = {
+  deliveryDate: 'deliveredAt',
+  written: 'writtenAt',
+  statusUpdated: 'statusUpdatedAt'
+};
+
+// Which date from/to filter on
+const GOAL_DATE_FIELDS = {
+  delivered: 'deliveredAt',
+  written: 'writtenAt',
+  statusUpdated: 'statusUpdatedAt'
+};
+
+/**
+ * GET ALL GOALS FOR A USER
+ * query (all optional, from the query string):
+ *   status     one or more statuses, comma separated, or open
+ *   from, to   a date range, on dateField
+ *   dateField  delivered | written | statusUpdated   (default delivered)
+ *   letterId   only goals from this letter
+ *   sort       deliveryDate | written | statusUpdated (default deliveryDate)
+ *   order      asc | desc                            (default desc)
+ *   limit      page size, up to 100                  (default 20)
+ *   cursor     nextCursor from the previous page
+ */
+const getAllGoalsForUser = async (userId, query = {}, now = new Date()) => {
+  // Step 1: Work out what the user asked for
+  const statuses = parseStatuses(query.status);
+  const goalFilter = buildGoalFilter(query);
+  const sortKey = query.sort || 'deliveryDate';
+  const sortField = parseGoalSortField(sortKey);
+  const order = parseSortOrder(query.order);
+  const limit = parsePageSize(query.limit);
+
+  // Step 2: Find this page of goals, the counts per status, and how many
+  // goals are still sealed away
+  const statusFilter = statuses ? { status: { $in: statuses } } : {};
+  const pageFilter = query.cursor
+    ? { $and: [statusFilter, buildCursorCondition(query.cursor, sortField, order)] }
+    : statusFilter;
+
+  const [[results], sealedCount] = await Promise.all([
+    Letter.aggregate([
+      ...buildGoalPipeline(userId, now, goalFilter),
+      {
+        $facet: {
+          items: [{ $match: pageFilter }, { $sort: buildSort(sortField, order) }, { $limit: limit + 1 }],
+          total: [{ $match: statusFilter }, { $count: 'count' }],
+          byStatus: [{ $group: { _id: '$status', count: { $sum: 1 } } }]
+        }
+      }
+    ]),
+    countSealedGoals(userId, now, query.letterId)
+  ]);
+  const page = buildPage(results.items, limit, sortField);
+
+  // Step 3: Return the page with the summary
+  return {
+    goals: await Promise.all(page.items.map(presentGoal)),
+    summary: buildSummary(results.byStatus, sealedCount),
+    pageInfo: {
+      total: results.total.length > 0 ? results.total[0].count : 0,
+      limit,
+      hasMore: page.hasMore,
+      nextCursor: page.nextCursor,
+      sort: sortKey,
+      order
+    }
+  };
+};
+
+// --- Query Helpers ---
+
+/**
+ * One document per goal the user is living in an open letter, with its
+ * letter's details alongside, narrowed by goalFilter
+ */
+const buildGoalPipeline = (userId, now, goalFilter) => {
+  return [
+    { $match: { $and: [buildGoalKeeperFilter(userId), buildOpenLetterFilter(now)] } },
+    { $unwind: '$goals' },
+    {
+      $project: {
+        _id: '$goals._id',
+        text: '$goals.text',
+        status: { $ifNull: ['$goals.status', 'pending'] },
+        reflection: '$goals.reflection',
+        statusUpdatedAt: '$goals.statusUpdatedAt',
+        statusHistory: { $ifNull: ['$goals.statusHistory', []] },
+        carriedForwardTo: '$goals.carriedForwardTo',
+        carriedForwardFrom: '$goals.carriedForwardFrom',
+        letterId: '$_id',
+        letterTitle: '$title',
+        letterAuthor: '$user',
+        deliveredAt: '$deliveredAt',
+        isDelivered: '$isDelivered',
+        writtenAt: '$createdAt'
+      }
+    },
+    { $match: goalFilter }
+  ];
+};
+
+/**
+ * The letters whose goals the user is living: their own letters to
+ * themselves (or to someone by email), and delivered letters other
+ * users wrote to them
+ */
+const buildGoalKeeperFilter = (userId) => {
+  const id = toObjectId(userId);
+  return {
+    deletedAt: null,
+    status: { $ne: 'draft' },
+    $or: [
+      { user: id, 'recipient.user': null },
+      { 'recipient.user': id, isDelivered: true }
+    ]
+  };
+};
+
+/**
+ * Letters whose goals can be seen (see isLetterSealed)
+ */
+const buildOpenLetterFilter = (now) => {
+  return {
+    $or: [
+      { isSealed: { $ne: true } },
+      { sealBrokenAt: { $ne: null } },
+      { isDelivered: true },
+      { deliveredAt: { $lte: now } }
+    ]
+  };
+};
+
+/**
+ * How many goals are waiting in sealed letters
+ */
+const countSealedGoals = async (userId, now, letterId) => {
+  const match = {
+    ...buildGoalKeeperFilter(userId),
+    $nor: [buildOpenLetterFilter(now)]
+  };
+  if (letterId !== undefined) {
+    match._id = parseLetterId(letterId);
+  }
+
+  const [result] = await Letter.aggregate([
+    { $match: match },
+    { $group: { _id: null, count: { $sum: { $size: { $ifNull: ['$goals', []] } } } } }
+  ]);
+  return result ? result.count : 0;
+};
+
+/**
+ * The date range and source letter filters
+ */
+const buildGoalFilter = ({ from, to, dateField = 'delivered', letterId }) => {
+  const filter = {};
+
+  if (from !== undefined || to !== undefined) {
+    const field = GOAL_DATE_FIELDS[dateField];
+    if (!field) {
+      throw new ValidationError(`dateField must be one of: ${Object.keys(GOAL_DATE_FIELDS).join(', ')}`, {
+        dateField: 'Invalid date field'
+      });
+    }
+    filter[field] = {};
+    if (from !== undefined) filter[field].$gte = parseDate(from, 'from');
+    if (to !== undefined) filter[field].$lte = parseDate(to, 'to');
+  }
+
+  if (letterId !== undefined) {
+    filter.letterId = parseLetterId(letterId);
+  }
+  return filter;
+};
+
+// --- Validation Helpers ---
+
+/**
+ * Parse the status filter (null when there isn't one)
+ */
+const parseStatuses = (value) => {
+  if (value === undefined || value === '') return null;
+  if (value === 'open') return OPEN_GOAL_STATUSES;
+
+  const statuses = String(value).split(',').map((status) => status.trim());
+  const invalid = statuses.filter((status) => !GOAL_STATUSES.includes(status));
+  if (invalid.length > 0) {
+    throw new ValidationError(
+      `"${invalid.join(', ')}" is not a goal status. Choose from: ${GOAL_STATUSES.join(', ')}, or open`,
+      { status: 'Invalid status' }
+    );
+  }
+  return statuses;
+};
+
+/**
+ * Turn a sort option from the query string into the field behind it
+ */
+const parseGoalSortField = (sortKey) => {
+  const field = GOAL_SORT_FIELDS[sortKey];
+  if (!field) {
+    throw new ValidationError(`sort must be one of: ${Object.keys(GOAL_SORT_FIELDS).join(', ')}`, {
+      sort: 'Invalid sort option'
+    });
+  }
+  return field;
+};
+
+/**
+ * Parse a date from the query string
+ */
+const parseDate = (value, field) => {
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    throw new ValidationError(`${field} must be a date`, { [field]: 'Invalid date' });
+  }
+  return date;
+};
+
+/**
+ * Check the source letter filter
+ */
+const parseLetterId = (letterId) => {
+  if (!mongoose.isValidObjectId(letterId)) {
+    throw new ValidationError('letterId must be a letter ID', { letterId: 'Invalid ID' });
+  }
+  return toObjectId(letterId);
+};
+
+/**
+ * Aggregation stages don't cast IDs like queries do
+ */
+const toObjectId = (id) => {
+  return new mongoose.Types.ObjectId(String(id));
+};
+
+// --- Presentation Helpers ---
+
+/**
+ * Shape a goal for the response, with its words decrypted
+ */
+const presentGoal = async (goal) => {
+  // Goals are encrypted with their letter author's key
+  await decryptLetterFields({ user: goal.letterAuthor, goals: [goal] });
+
+  return {
+    _id: goal._id,
+    text: goal.text,
+    status: goal.status,
+    reflection: goal.reflection,
+    statusUpdatedAt: goal.statusUpdatedAt,
+    statusHistory: goal.statusHistory,
+    carriedForwardTo: goal.carriedForwardTo,
+    carriedForwardFrom: goal.carriedForwardFrom,
+    letter: {
+      _id: goal.letterId,
+      title: goal.letterTitle,
+      deliveredAt: goal.deliveredAt,
+      isDelivered: goal.isDelivered,
+      writtenAt: goal.writtenAt
+    }
+  };
+};
+
+/**
+ * Counts per status (every status, even at zero), plus sealed goals
+ */
+const buildSummary = (byStatus, sealedCount) => {
+  const counts = Object.fromEntries(GOAL_STATUSES.map((status) => [status, 0]));
+  byStatus.forEach(({ _id, count }) => {
+    counts[_id] = count;
+  });
+
+  return {
+    ...counts,
+    open: OPEN_GOAL_STATUSES.reduce((sum, status) => sum + counts[status], 0),
+    total: Object.values(counts).reduce((sum, count) => sum + count, 0),
+    sealed: sealedCount
+  };
+};
+
+// exports
+
+module.exports = {
+  getAllGoals: getAllGoalsForUser
+};
@@ -0,0 +1,344 @@
+/**
+ * Import Service
+ *
+ * People moving to SoulMail bring years of journal entries with them:
+ * 1. A user uploads files from their old tool - our own JSON export,
+ *    Markdown notes with front matter, or a CSV
+ * 2. A dry run checks every entry and reports what's wrong with each,
+ *    without saving anything
+ * 3. The real run saves the entries that are valid and reports the rest
+ *
+ * Entries written in the past arrive already delivered. They're the one
+ * kind of letter allowed a delivery date in the past, and only this path
+ * can create them (see allowPastDelivery on the Letter model).
+ * The files themselves are read by utils/letterImport.
+ */
+
+const Tag = require('../models/tag');
+const Letter = require('../models/letter');
+const userService = require('./userService');
+const { DELIVERY_INTERVALS } = require('../utils/dateCalculator');
+const { systemClock } = require('../utils/clock');
+const { parseImportFile } = require('../utils/letterImport');
+const { ValidationError } = require('../middleware/errorHandler');
+
+// Configuration constants
+const MAX_IMPORT_FILES = 50;
+const MAX_IMPORT_FILE_BYTES = 5 * 1024 * 1024;
+const MAX_IMPORT_ENTRIES = 1000;
+
+const ENTRY_STATUS = {
+  VALID: 'valid',
+  INVALID: 'invalid',
+  IMPORTED: 'imported',
+  SKIPPED: 'skipped'
+};
+
+// The letter fields an imported entry may fill in
+const IMPORTABLE_FIELDS = [
+  'title', 'content', 'mood', 'weather', 'temperature',
+  'currentSong', 'topHeadLine', 'location', 'writingPrompt', 'goals'
+];
+
+/**
+ * IMPORT LETTERS
+ * Read the uploaded files ({ originalname, buffer }) and turn each entry
+ * into a letter. options.dryRun checks everything without saving.
+ * Returns a summary with the outcome of every entry.
+ */
+const importLetters = async (userId, files, options = {}, now = systemClock.now()) => {
+  // Step 1: Work out what the user asked for
+  const dryRun = parseFlag(options.dryRun, 'dryRun');
+
+  // Step 2: Read every entry out of the files
+  const entries = readEntries(files);
+
+  // Step 3: Build each entry's letter and check it, without saving
+  const tags = await loadTagsByName(userId);
+  const checked = await Promise.all(entries.map((entry) => checkEntry(userId, entry, now)));
+  const newTagNames = findNewTagNames(checked, tags);
+
+  if (dryRun) {
+    return summarizeImport(checked, { dryRun, newTagNames });
+  }
+
+  // Step 4: Create the tags the letters need that the user doesn't have yet
+  await createTags(userId, newTagNames, tags);
+
+  // Step 5: Save the valid letters, one at a time so one failure
+  // doesn't stop the rest
+  const totals = { letters: 0, reflections: 0 };
+  for (const entry of checked) {
+    if (entry.letter) {
+      await saveEntry(entry, tags, totals);
+    }
+  }
+
+  // Step 6: Count what arrived in the user's stats
+  await userService.adjustUserStats(userId, totals);
+
+  // Step 7: Return the summary
+  return summarizeImport(checked, { dryRun, newTagNames });
+};
+
+// --- Entry Helpers ---
+
+/**
+ * Every entry in the uploaded files, in upload order
+ */
+const readEntries = (files = []) => {
+  if (files.length === 0) {
+    throw new ValidationError('Upload at least one file to import', {
+      files: 'Add .json, .md or .csv files in a field named "files"'
+    });
+  }
+
+  const entries = files.flatMap((file) => parseImportFile(file));
+  if (entries.length > MAX_IMPORT_ENTRIES) {
+    throw new ValidationError(`Import up to ${MAX_IMPORT_ENTRIES} letters at a time`, {
+      files: `These files hold ${entries.length} entries`
+    });
+  }
+  return entries;
+};
+
+/**
+ * Build an entry's letter and validate it.
+ * Returns the entry with either a letter ready to save or its errors.
+ */
+const checkEntry = async (userId, entry, now) => {
+  if (entry.error) {
+    return { ...entry, errors: { file: entry.error } };
+  }
+
+  const { letter, errors } = buildImportedLetter(userId, entry.fields, now);
+  if (Object.keys(errors).length === 0) {
+    try {
+      await letter.validate();
+    } catch (error) {
+      Object.assign(errors, describeValidationError(error));
+    }
+  }
+
+  const tagNames = uniqueNames(entry.fields.tags || []);
+  tagNames.forEach((name) => {
+    const tagError = new Tag({ user: userId, name }).validateSync();
+    if (tagError) {
+      errors.tags = describeValidationError(tagError).name;
+    }
+  });
+
+  if (Object.keys(errors).length > 0) {
+    return { ...entry, title: entry.fields.title, errors };
+  }
+  return { ...entry, title: letter.title, letter, tagNames };
+};
+
+/**
+ * Turn an entry's fields into an unsaved letter.
+ * Entries written in the past arrive already delivered, without an email.
+ */
+const buildImportedLetter = (userId, fields, now) => {
+  const errors = {};
+
+  // The day it was written is required - it's what places the entry in the journal
+  const createdAt = parseDate(fields.createdAt);
+  if (!createdAt) {
+    errors.createdAt = fields.createdAt === undefined
+      ? 'Each entry needs the date it was written'
+      : `"${fields.createdAt}" is not a date`;
+  } else if (createdAt > now) {
+    errors.createdAt = 'An entry cannot be written in the future';
+  }
+
+  // Delivered the day it was written, unless the entry says otherwise
+  const deliveredAt = fields.deliveredAt === undefined ? createdAt : parseDate(fields.deliveredAt);
+  if (fields.deliveredAt !== undefined && !deliveredAt) {
+    errors.deliveredAt = `"${fields.deliveredAt}" is not a date`;
+  } else if (createdAt && deliveredAt && deliveredAt < createdAt) {
+    errors.deliveredAt = 'An entry cannot be delivered before it was written';
+  }
+
+  const reflections = (fields.reflections || []).map(({ reflection, date }) => ({
+    reflection,
+    date: parseDate(date) || deliveredAt || now,
+    author: userId
+  }));
+
+  const letter = new Letter({
+    ...pickImportableFields(fields),
+    user: userId,
+    createdAt,
+    deliveredAt,
+    deliveryInterval: DELIVERY_INTERVALS.CUSTOM_DATE,
+    reflections
+  });
+
+  // Past entries: already delivered, and never emailed out of the blue
+  if (deliveredAt && deliveredAt <= now) {
+    letter.isDelivered = true;
+    letter.actualDeliveredAt = deliveredAt;
+    letter.emailDelivery = { status: 'skipped' };
+    letter.$locals.allowPastDelivery = true;
+  }
+
+  return { letter, errors };
+};
+
+/**
+ * Save one checked entry with its tags, counting what was saved
+ */
+const saveEntry = async (entry, tags, totals) => {
+  entry.letter.tags = entry.tagNames.map((name) => tags.get(name.toLowerCase())._id);
+
+  try {
+    await entry.letter.save();
+    entry.saved = true;
+    totals.letters += 1;
+    totals.reflections += entry.letter.reflections.length;
+  } catch (error) {
+    entry.errors = describeValidationError(error);
+  }
+};
+
+// --- Tag Helpers ---
+
+/**
+ * The user's tags and collections, keyed by lowercased name
+ */
+const loadTagsByName = async (userId) => {
+  const tags = await Tag.find({ user: userId }).sort({ kind: 1 });
+  // Collections come first, so a tag with the same name wins
+  return new Map(tags.map((tag) => [tag.name.toLowerCase(), tag]));
+};
+
+/**
+ * Tag names on valid entries that the user doesn't have yet
+ */
+const findNewTagNames = (checked, tags) => {
+  const newNames = new Map();
+  checked
+    .filter((entry) => entry.letter)
+    .flatMap((entry) => entry.tagNames)
+    .forEach((name) => {
+      const key = name.toLowerCase();
+      if (!tags.has(key) && !newNames.has(key)) {
+        newNames.set(key, name);
+      }
+    });
+  return [...newNames.values()];
+};
+
+/**
+ * Names without repeats, whatever their capitalization (the first spelling wins)
+ */
+const uniqueNames = (names) => {
+  const unique = new Map();
+  names.forEach((name) => {
+    if (!unique.has(name.toLowerCase())) unique.set(name.toLowerCase(), name);
+  });
+  return [...unique.values()];
+};
+
+/**
+ * Create the missing tags, adding them to the map
+ */
+const createTags = async (userId, names, tags) => {
+  for (const name of names) {
+    const tag = await Tag.create({ user: userId, name });
+    tags.set(name.toLowerCase(), tag);
+  }
+};
+
+// --- Validation Helpers ---
+
+/**
+ * Read a true/false option from the query string
+ */
+const parseFlag = (value, field) => {
+  if (value === undefined) return false;
+  if (!['true', 'false'].includes(String(value))) {
+    throw new ValidationError(`${field} must be true or false`, { [field]: 'Must be true or false' });
+  }
+  return String(value) === 'true';
+};
+
+/**
+ * A date from an entry (null if it isn't one)
+ */
+const parseDate = (value) => {
+  if (value === undefined || value === null || value === '') return null;
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date;
+};
+
+/**
+ * Keep only the fields an import may set
+ */
+const pickImportableFields = (fields) => {
+  const picked = {};
+  IMPORTABLE_FIELDS.forEach((field) => {
+    if (fields[field] !== undefined) {
+      picked[field] = fields[field];
+    }
+  });
+  return picked;
+};
+
+/**
+ * Turn a mongoose validation error into { field: message }
+ */
+const describeValidationError = (error) => {
+  if (!error.errors) {
+    return { letter: error.message };
+  }
+  return Object.entries(error.errors).reduce((fields, [field, fieldError]) => {
+    fields[field] = fieldError.message;
+    return fields;
+  }, {});
+};
+
+// --- Presentation Helpers ---
+
+/**
+ * What happened to each entry, with totals
+ */
+const summarizeImport = (checked, { dryRun, newTagNames }) => {
+  const entries = checked.map((entry) => ({
+    source: entry.source,
+    title: entry.title,
+    status: describeEntryStatus(entry, dryRun),
+    errors: entry.errors
+  }));
+  const count = (status) => entries.filter((entry) => entry.status === status).length;
+
+  return {
+    dryRun,
+    total: entries.length,
+    valid: checked.filter((entry) => entry.letter).length,
+    invalid: checked.filter((entry) => !entry.letter).length,
+    imported: count(ENTRY_STATUS.IMPORTED),
+    newTags: newTagNames,
+    entries
+  };
+};
+
+/**
+ * One entry's outcome
+ */
+const describeEntryStatus = (entry, dryRun) => {
+  if (dryRun) {
+    return entry.letter ? ENTRY_STATUS.VALID : ENTRY_STATUS.INVALID;
+  }
+  return entry.saved ? ENTRY_STATUS.IMPORTED : ENTRY_STATUS.SKIPPED;
+};
+
+// exports
+
+module.exports = {
+  importLetters,
+
+  // Upload limits, shared with the upload middleware
+  MAX_IMPORT_FILES,
+  MAX_IMPORT_FILE_BYTES
+};
@@ -0,0 +1,111 @@
+/**
+ * Key Rotation Service
+ *
+ * Replaces a user's data key and re-encrypts everything of theirs with it:
+ * 1. A new data key becomes the user's active key (new writes use it at once)
+ * 2. Every letter - trashed ones included - is decrypted and re-encrypted
+ * 3. Every revision snapshot is re-encrypted the same way
+ * 4. So is every template
+ *
+ * Older keys are retired, not deleted, so anything written with them
+ * while a rotation is running can still be read.
+ *
+ * Changing the master key doesn't need any of this: set the new
+ * ENCRYPTION_MASTER_KEY, list the old one in ENCRYPTION_PREVIOUS_MASTER_KEYS,
+ * and re-wrap the data keys (rewrapAllUserKeys).
+ */
+
+const User = require('../models/user');
+const Letter = require('../models/letter');
+const LetterRevision = require('../models/letterRevision');
+const LetterTemplate = require('../models/letterTemplate');
+const {
+  addActiveDataKey,
+  rewrapUserKeys,
+  decryptLetterFields,
+  decryptRevisionSnapshot,
+  decryptTemplateFields
+} = require('./encryptionService');
+
+// Saves during rotation don't re-check user input or touch updatedAt
+const ROTATION_SAVE_OPTIONS = { validateBeforeSave: false, timestamps: false };
+
+/**
+ * ROTATE A USER'S DATA KEY
+ * Returns the new key's ID and how many documents were re-encrypted
+ */
+const rotateUserDataKey = async (userId) => {
+  // Step 1: Make a new active key
+  const keyId = await addActiveDataKey(userId);
+
+  // Step 2: Re-encrypt the user's letters (saving encrypts with the active key)
+  let lettersReEncrypted = 0;
+  const letters = Letter.find({ user: userId }).select('+trashedReflections').cursor();
+  for await (const letter of letters) {
+    await decryptLetterFields(letter);
+    await letter.save(ROTATION_SAVE_OPTIONS);
+    lettersReEncrypted += 1;
+  }
+
+  // Step 3: Re-encrypt the user's revision history
+  let revisionsReEncrypted = 0;
+  const revisions = LetterRevision.find({ user: userId }).cursor();
+  for await (const revision of revisions) {
+    await decryptRevisionSnapshot(revision);
+    await revision.save(ROTATION_SAVE_OPTIONS);
+    revisionsReEncrypted += 1;
+  }
+
+  // Step 4: Re-encrypt the user's templates
+  let templatesReEncrypted = 0;
+  const templates = LetterTemplate.find({ user: userId }).cursor();
+  for await (const template of templates) {
+    await decryptTemplateFields(template);
+    await template.save(ROTATION_SAVE_OPTIONS);
+    templatesReEncrypted += 1;
+  }
+
+  // Step 5: Report what was done
+  return { keyId, lettersReEncrypted, revisionsReEncrypted, templatesReEncrypted };
+};
+
+/**
+ * ROTATE EVERY USER'S DATA KEY
+ * Calls onUser(userId, result) after each user
+ */
+const rotateAllDataKeys = async ({ onUser = () => {} } = {}) => {
+  let usersRotated = 0;
+
+  const users = User.find({}).select('_id').cursor();
+  for await (const user of users) {
+    const result = await rotateUserDataKey(user._id);
+    onUser(user._id, result);
+    usersRotated += 1;
+  }
+
+  return { usersRotated };
+};
+
+/**
+ * RE-WRAP EVERY USER'S DATA KEYS
+ * After a master key change: wrap every data key with the current master key
+ */
+const rewrapAllUserKeys = async () => {
+  let usersRewrapped = 0;
+
+  const users = User.find({ 'encryption.activeKeyId': { $ne: null } }).select('_id').cursor();
+  for await (const user of users) {
+    await rewrapUserKeys(user._id);
+    usersRewrapped += 1;
+  }
+
+  return { usersRewrapped };
+};
+
+// exports
+
+module.exports = {
+  rotateUserDataKey,
+  rotateAllDataKeys,
+  rewrapAllUserKeys
+};
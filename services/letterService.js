@@ -7,388 +7,1798 @@
  * 3. Once delivered, the user can reflect on their past words
  */
 
+const mongoose = require('mongoose');
 const Letter = require('../models/letter');
 const userService = require('./userService');
-const { DELIVERY_INTERVALS } = require('../utils/dateCalculator');
+const deliveryScheduler = require('./deliveryScheduler');
+const revisionService = require('./revisionService');
+const attachmentService = require('./attachmentService');
+const trashService = require('./trashService');
+const encryptionService = require('./encryptionService');
+const promptService = require('./promptService');
+const templateService = require('./templateService');
+const contextService = require('./contextService');
+const {
+  DEFAULT_PRECISION,
+  toGeoPoint,
+  reducePrecision
+} = require('../utils/geoPoint');
+const {
+  buildCursorCondition,
+  buildSort,
+  buildPage,
+  parsePageSize,
+  parseSortOrder
+} = require('../utils/pagination');
+const {
+  calculateFutureDate,
+  DELIVERY_INTERVALS,
+  VALID_INTERVALS,
+  BIRTHDAY_INTERVALS
+} = require('../utils/dateCalculator');
+const {
+  GOAL_STATUSES,
+  CARRIED_FORWARD,
+  canTransitionGoal,
+  transitionGoal
+} = require('../utils/goalStatus');
 const {
   NotFoundError,
   ForbiddenError,
   ValidationError
 } = require('../middleware/errorHandler');
 
+// Fields the server manages - never taken from the request body
+const SERVER_MANAGED_FIELDS = [
+  '_id',
+  'user',
+  'status',
+  'isDelivered',
+  'actualDeliveredAt',
+  'emailDelivery',
+  'sealBrokenAt',
+  'sealBrokenReason',
+  'series',
+  'seriesSequence',
+  'previousInSeries',
+  'recipient',
+  'template',
+  'replyTo',
+  'locationPoint',
+  'locationPrecision',
+  'tags',
+  'attachments',
+  'reflections',
+  'createdAt',
+  'updatedAt'
+];
+
+// A goal's progress is only changed through updateGoalStatus, so new
+// goals start out pending with no history
+const SERVER_MANAGED_GOAL_FIELDS = ['status', 'statusUpdatedAt', 'statusHistory', 'carriedForwardTo'];
+
+// How GET /letters can be sorted, and the field behind each option
+const LIST_SORT_FIELDS = {
+  created: 'createdAt',
+  deliveryDate: 'deliveredAt',
+  title: 'title'
+};
+
+// What each list view leaves out ('list' skips the letter text itself)
+const LIST_VIEW_PROJECTIONS = {
+  list: '-content',
+  full: ''
+};
+
+// Who someone is to a letter
+const LETTER_ROLES = {
+  AUTHOR: 'author',
+  RECIPIENT: 'recipient'
+};
+
+// What someone wants to do with a letter (see canAccessLetter)
+const LETTER_ACTIONS = {
+  READ: 'read',
+  EDIT: 'edit',
+  REFLECT: 'reflect',
+  MANAGE_GOALS: 'manageGoals',
+  SHARE: 'share'
+};
+
+// What a recipient gets to know about the people on a letter
+const PUBLIC_PERSON_FIELDS = 'username name';
+
+// The author's own bookkeeping, left out when a recipient reads their letter
+const RECIPIENT_HIDDEN_FIELDS = [
+  'tags',
+  'emailDelivery',
+  'series',
+  'seriesSequence',
+  'previousInSeries',
+  'replyTo',
+  'locationPoint',
+  'locationPrecision',
+  'sealBrokenAt',
+  'sealBrokenReason'
+];
+
+// How far a client-sent deliveredAt may drift from the date we calculate
+// (clients compute it a little earlier, possibly without the user's
+// delivery time of day, and across a DST change)
+const DELIVERY_DATE_TOLERANCE_MS = 36 * 60 * 60 * 1000;
+
+// The most letters GET /letters/:id/thread follows
+const MAX_THREAD_LETTERS = 500;
 
 /**
  * GET ALL LETTERS FOR A USER
-A user wants to see all their letters, sorted by newest first
+ * A user wants to browse the letters they've written, a page at a time.
+ * listParams (all optional, from the query string):
+ *   sort         created | deliveryDate | title   (default created)
+ *   order        asc | desc                        (default desc)
+ *   limit        page size, up to 100              (default 20)
+ *   cursor       nextCursor from the previous page
+ *   view         list (no content) | full          (default list)
+ *   isDelivered, deliveryInterval, mood, tag,
+ *   promptId                                       filters
+ *   addressedTo  self | others                     (default both)
+ */
+const getAllLettersForUser = async (userId, listParams = {}) => {
+  const filter = buildLetterListFilter(userId, listParams);
+  return await findLetterList(filter, listParams, {
+    present: (letter) => presentLetter(letter)
+  });
+};
+
+/**
+ * GET SENT LETTERS
+ * Letters the user wrote to someone else, delivered or not
+ */
+const getSentLetters = async (userId, listParams = {}) => {
+  return await getAllLettersForUser(userId, { ...listParams, addressedTo: 'others' });
+};
+
+/**
+ * GET A USER'S INBOX
+ * Letters other users wrote to this user. They only show up
+ * once they're delivered - until then they're a surprise.
+ * Takes the same sort, order, limit, cursor and view options.
+ */
+const getInboxForUser = async (userId, listParams = {}) => {
+  const filter = {
+    'recipient.user': userId,
+    isDelivered: true,
+    deletedAt: null
+  };
+  return await findLetterList(filter, listParams, {
+    present: (letter) => presentLetterFor(letter, userId),
+    withAuthor: true
+  });
+};
+
+/**
+ * GET A SINGLE LETTER BY ID
+ * A user wants to read a specific letter.
+*  If the delivery date has passed, mark it as delivered."
+ */
+const getLetterById = async (userId, letterId) => {
+  // Step 1: Find the letter
+  const letter = await findLetterOrFail(letterId);
+
+  // Step 2: Check if the letter should now be marked as delivered
+  // (its recipient can only read it once it has been)
+  await updateDeliveryStatusIfDue(letter);
+
+  // Step 3: Verify the user may read this letter
+  verifyLetterAccess(letter, userId, LETTER_ACTIONS.READ);
+
+  // Step 4: Return the letter (just the envelope if it's still sealed)
+  return presentLetterFor(letter, userId);
+};
+
+/**
+ * CREATE A NEW LETTER
+ * A user writes a letter to their future self - or to someone else -
+ * scheduling it for delivery at a specific date.
+ * It can start from one of their templates (templateId) and answer a
+ * prompt from the library (promptId).
+ * With captureContext: true the server fills in the moment it's written
+ * in (weather, song, headline) wherever the writer left those empty.
+ * coordinates ({ latitude, longitude, precision }) put it on the map.
+ * replyTo is set when the letter answers one already delivered
+ * (see replyToLetter).
+ */
+const createNewLetter = async (userId, letterData, { replyTo } = {}) => {
+  // Step 1: Prepare the letter data with the user's ID,
+  // scheduling delivery on the user's own calendar
+  const contextData = await contextService.fillLetterContext(userId, letterData);
+  const { startedData, template } = await applyWritingStarters(userId, contextData);
+  const deliveryPreferences = await userService.getDeliveryPreferences(userId);
+  const preparedData = prepareLetterData(userId, startedData, deliveryPreferences);
+  preparedData.recipient = await resolveRecipient(userId, letterData.recipient);
+  preparedData.template = template;
+  preparedData.replyTo = replyTo;
+  Object.assign(preparedData, resolveLetterPlace(letterData.coordinates));
+
+  // Step 2: Save the letter to the database
+  const newLetter = await saveLetterToDatabase(preparedData);
+  await recordTemplateUseSafely(template);
+
+  // Step 3: Load the user details onto the letter
+  const letterWithUser = await attachUserToLetter(newLetter);
+
+  // Step 4: Count it in the user's stats and keep its first version
+  await updateUserStatsAfterLetterCreated(userId);
+  await revisionService.recordRevision(letterWithUser, revisionService.REVISION_REASONS.CREATED);
+
+  // Step 5: Return the complete letter (sealed letters go straight into their envelope)
+  return presentLetter(letterWithUser);
+};
+
+/**
+ * CREATE A DRAFT
+ * A user starts writing but isn't ready to send it yet.
+ * Drafts can be empty and have no delivery date until they're scheduled.
+ * Like letters, they can start from a template and a prompt, and
+ * capture the moment they're started in.
+ */
+const createDraft = async (userId, draftData) => {
+  // Step 1: Keep only what a writer can fill in on a draft
+  const contextData = await contextService.fillLetterContext(userId, draftData);
+  const { startedData, template } = await applyWritingStarters(userId, contextData);
+  const preparedData = prepareDraftData(userId, startedData);
+  preparedData.recipient = await resolveRecipient(userId, draftData.recipient);
+  preparedData.template = template;
+  Object.assign(preparedData, resolveLetterPlace(draftData.coordinates));
+
+  // Step 2: Save the draft to the database
+  const draft = await saveLetterToDatabase(preparedData);
+  await recordTemplateUseSafely(template);
+
+  // Step 3: Start its revision history
+  await revisionService.recordRevision(draft, revisionService.REVISION_REASONS.CREATED);
+
+  // Step 4: Return the draft
+  return await attachUserToLetter(draft);
+};
+
+/**
+ * EDIT A LETTER'S WORDS
+ * Drafts and letters that haven't been delivered yet can be rewritten.
+ * Each save is kept as a revision; pass autosave: true for background
+ * saves while typing so they share a revision.
+ */
+const updateLetterContent = async (userId, letterId, contentData) => {
+  // Step 1: Find the letter
+  const letter = await findLetterOrFail(letterId);
+
+  // Step 2: Verify the user wrote this letter
+  verifyLetterAccess(letter, userId, LETTER_ACTIONS.EDIT);
+
+  // Step 3: Delivered letters are part of history - no rewriting
+  ensureLetterIsNotDelivered(letter);
+
+  // Step 4: Keep the pre-revision version of older letters restorable
+  await revisionService.ensureOriginalRevision(letter);
+
+  // Step 5: Apply the changes and save
+  const { autosave, recipient, ...changes } = contentData;
+  letter.set(pickEditableFields(letter, applyWritingPrompt(changes)));
+  if (recipient !== undefined) {
+    letter.recipient = await resolveRecipient(userId, recipient);
+  }
+  await letter.save();
+
+  // Step 6: Record the new version
+  const reason = autosave
+    ? revisionService.REVISION_REASONS.AUTOSAVE
+    : revisionService.REVISION_REASONS.EDIT;
+  await revisionService.recordRevision(letter, reason);
+
+  // Step 7: Return the letter (sealed letters stay in their envelope)
+  return presentLetter(letter);
+};
+
+/**
+ * LIST A LETTER'S REVISIONS
+ * A user browses earlier versions of what they wrote.
+ * Even titles and lengths are inside a sealed letter, so its history
+ * stays closed until it's delivered or the seal is broken.
+ */
+const getLetterRevisions = async (userId, letterId) => {
+  const letter = await findLetterOrFail(letterId);
+  verifyLetterAccess(letter, userId, LETTER_ACTIONS.EDIT);
+  ensureLetterIsNotSealed(letter);
+
+  return await revisionService.listRevisions(letter._id);
+};
+
+/**
+ * READ ONE REVISION
+ * Sealed letters keep their earlier versions sealed too.
+ */
+const getLetterRevision = async (userId, letterId, revisionId) => {
+  const letter = await findLetterOrFail(letterId);
+  verifyLetterAccess(letter, userId, LETTER_ACTIONS.EDIT);
+  ensureLetterIsNotSealed(letter);
+
+  return await revisionService.getRevisionOrFail(letter._id, revisionId);
+};
+
+/**
+ * RESTORE A REVISION
+ * A user decides an earlier version was better and brings it back.
+ * The restore itself becomes the newest revision.
+ * Choosing a version means reading it, so sealed letters can't be restored.
+ */
+const restoreLetterRevision = async (userId, letterId, revisionId) => {
+  // Step 1: Find the letter
+  const letter = await findLetterOrFail(letterId);
+
+  // Step 2: Verify the user wrote this letter
+  verifyLetterAccess(letter, userId, LETTER_ACTIONS.EDIT);
+
+  // Step 3: Delivered letters can't change, and sealed ones can't be read
+  ensureLetterIsNotDelivered(letter);
+  ensureLetterIsNotSealed(letter);
+
+  // Step 4: Find the revision and put its words back on the letter
+  const revision = await revisionService.getRevisionOrFail(letter._id, revisionId);
+  revisionService.REVISION_FIELDS.forEach((field) => {
+    letter[field] = revision.snapshot[field];
+  });
+  await letter.save();
+
+  // Step 5: Record the restore
+  await revisionService.recordRevision(letter, revisionService.REVISION_REASONS.RESTORE, {
+    restoredFrom: revision._id
+  });
+
+  // Step 6: Return the letter
+  return presentLetter(letter);
+};
+
+/**
+ * SCHEDULE A DRAFT
+ * A user finishes writing a draft (e.g. a series reminder) and sends it
+ * on its way. From here on it's a normal scheduled letter.
+ */
+const scheduleDraft = async (userId, letterId, letterData) => {
+  // Step 1: Find the letter
+  const letter = await findLetterOrFail(letterId);
+
+  // Step 2: Verify the user wrote this letter
+  verifyLetterAccess(letter, userId, LETTER_ACTIONS.EDIT);
+
+  // Step 3: Only drafts can be scheduled
+  ensureLetterIsDraft(letter);
+
+  // Step 4: Fill in the letter and work out its delivery date,
+  // keeping the draft's own choices where nothing new was sent
+  const deliveryPreferences = await userService.getDeliveryPreferences(userId);
+  const preparedData = prepareLetterData(userId, applyWritingPrompt({
+    deliveryInterval: letter.deliveryInterval,
+    ...letterData
+  }), deliveryPreferences);
+  letter.set(preparedData);
+  if (letterData.recipient !== undefined) {
+    letter.recipient = await resolveRecipient(userId, letterData.recipient);
+  }
+
+  // Step 5: Save the now-scheduled letter
+  await revisionService.ensureOriginalRevision(letter);
+  await letter.save();
+
+  await updateUserStatsAfterLetterCreated(userId);
+  await revisionService.recordRevision(letter, revisionService.REVISION_REASONS.EDIT);
+
+  // Step 6: Return the letter
+  return presentLetter(letter);
+};
+
+/**
+ * UPDATE LETTER DELIVERY DATE
+ * A user wants to reschedule when their letter will be delivered.
+ * But they can only do this if the letter hasn't been delivered yet.
+ * scheduleData is { deliveryInterval, deliveredAt } - same rules as creating.
+ */
+const updateLetterDeliveryDate = async (userId, letterId, scheduleData) => {
+  // Step 1: Find the letter
+  const letter = await findLetterOrFail(letterId);
+
+  // Step 2: Verify the user wrote this letter
+  verifyLetterAccess(letter, userId, LETTER_ACTIONS.EDIT);
+
+  // Step 3: Ensure the letter hasn't been delivered yet (and isn't a draft)
+  ensureLetterIsNotDelivered(letter);
+  ensureLetterIsNotDraft(letter);
+
+  // Step 4: Work out the new delivery date on the server
+  const deliveryPreferences = await userService.getDeliveryPreferences(userId);
+  const schedule = resolveDeliverySchedule(scheduleData, deliveryPreferences);
+
+  // Step 5: Update the delivery date
+  const updatedLetter = await updateDeliveryDate(letter, schedule);
+
+  // Step 6: Return the updated letter
+  return presentLetter(updatedLetter);
+};
+
+/**
+ * WRITE BACK TO A LETTER
+ * A user has read a delivered letter and wants to answer it, scheduling
+ * the answer for the future - a conversation with themselves across years.
+ * replyData is a new letter (as for createNewLetter); with carryGoals: true
+ * the letter's unfinished goals are carried into the reply.
+ */
+const replyToLetter = async (userId, letterId, replyData) => {
+  // Step 1: Find the letter being answered
+  const original = await findLetterOrFail(letterId);
+  await updateDeliveryStatusIfDue(original);
+
+  // Step 2: Verify the user has read it - it must be delivered
+  verifyLetterAccess(original, userId, LETTER_ACTIONS.REFLECT);
+  ensureLetterCanBeAnswered(original);
+
+  // Step 3: Work out which goals come along
+  const { carryGoals, ...letterData } = replyData;
+  const carriedGoals = carryGoals === true ? findGoalsToCarry(original, userId) : [];
+
+  // Step 4: Write the reply
+  const reply = await createNewLetter(userId, {
+    ...letterData,
+    title: letterData.title || buildReplyTitle(original.title),
+    goals: [
+      ...(letterData.goals || []),
+      ...carriedGoals.map((goal) => ({ text: goal.text, carriedForwardFrom: original._id }))
+    ]
+  }, { replyTo: original._id });
+
+  // Step 5: Mark the carried goals on the letter they came from
+  if (carriedGoals.length > 0) {
+    const now = new Date();
+    carriedGoals.forEach((goal) => {
+      transitionGoal(goal, CARRIED_FORWARD, { changedBy: userId, now });
+      goal.carriedForwardTo = reply._id;
+    });
+    await original.save();
+  }
+
+  // Step 6: Return the reply
+  return reply;
+};
+
+/**
+ * GET A LETTER'S THREAD
+ * Every letter in the conversation a letter belongs to - what it answers,
+ * and every reply since - oldest first. Letters the user can't read are
+ * left out; sealed replies are still envelopes.
+ */
+const getLetterThread = async (userId, letterId) => {
+  // Step 1: Find the letter
+  const letter = await findLetterOrFail(letterId);
+
+  // Step 2: Verify the user may read this letter
+  verifyLetterAccess(letter, userId, LETTER_ACTIONS.READ);
+
+  // Step 3: Follow the thread both ways
+  const letters = await findThreadLetters(letter);
+
+  // Step 4: Return the readable letters, oldest first
+  const readable = letters
+    .filter((threadLetter) => canAccessLetter(threadLetter, userId, LETTER_ACTIONS.READ))
+    .sort((a, b) => a.createdAt - b.createdAt || String(a._id).localeCompare(String(b._id)));
+
+  return {
+    rootId: readable[0]._id,
+    letterCount: readable.length,
+    letters: readable.map((threadLetter) => presentLetterFor(threadLetter, userId))
+  };
+};
+
+/**
+ * BREAK THE SEAL EARLY
+ * A user can't wait - they want to open a sealed letter before its
+ * delivery date. We let them, but remember when and why.
+ */
+const breakLetterSeal = async (userId, letterId, reason) => {
+  // Step 1: Find the letter
+  const letter = await findLetterOrFail(letterId);
+
+  // Step 2: Verify the user wrote this letter
+  verifyLetterAccess(letter, userId, LETTER_ACTIONS.EDIT);
+
+  // Step 3: Make sure there is a seal left to break
+  ensureLetterIsSealed(letter);
+
+  // Step 4: Record when and why the seal was broken
+  letter.sealBrokenAt = new Date();
+  letter.sealBrokenReason = reason;
+  await letter.save();
+
+  // Step 5: Return the now-open letter
+  return presentLetter(letter);
+};
+
+/**
+ * PUT A LETTER ON THE MAP
+ * A user records where a letter was written, or makes the place vaguer.
+ * placeData is { latitude, longitude, precision } for a new place, or just
+ * { precision } to reduce the saved one - the finer detail is gone for good.
+ * location (the place's name) can be changed alongside.
+ */
+const setLetterPlace = async (userId, letterId, placeData) => {
+  // Step 1: Find the letter
+  const letter = await findLetterOrFail(letterId);
+
+  // Step 2: Verify the user wrote this letter
+  verifyLetterAccess(letter, userId, LETTER_ACTIONS.EDIT);
+
+  // Step 3: Save the new point, rounded to its precision
+  if (placeData.latitude !== undefined || placeData.longitude !== undefined) {
+    const precision = placeData.precision || DEFAULT_PRECISION;
+    letter.locationPoint = toGeoPoint(placeData, precision);
+    letter.locationPrecision = precision;
+  } else if (placeData.precision !== undefined) {
+    ensureLetterHasPlace(letter);
+    letter.locationPoint = reducePrecision(letter.locationPoint, letter.locationPrecision, placeData.precision);
+    letter.locationPrecision = placeData.precision;
+  } else {
+    throw new ValidationError('Send a latitude and longitude, or a precision to reduce the saved place to', {
+      latitude: 'Required without precision'
+    });
+  }
+  if (placeData.location !== undefined) {
+    letter.location = placeData.location;
+  }
+  await letter.save();
+
+  // Step 4: Return the letter
+  return presentLetter(letter);
+};
+
+/**
+ * TAKE A LETTER OFF THE MAP
+ * Forget where a letter was written (its place name stays)
+ */
+const removeLetterPlace = async (userId, letterId) => {
+  // Step 1: Find the letter
+  const letter = await findLetterOrFail(letterId);
+
+  // Step 2: Verify the user wrote this letter
+  verifyLetterAccess(letter, userId, LETTER_ACTIONS.EDIT);
+
+  // Step 3: Forget the point
+  letter.locationPoint = undefined;
+  letter.locationPrecision = undefined;
+  await letter.save();
+
+  // Step 4: Return the letter
+  return presentLetter(letter);
+};
+
+/**
+ * DELETE A LETTER
+ * A user removes a letter from their collection.
+ * It goes to the trash, where it can be restored until it's purged.
+ */
+const deleteLetter = async (userId, letterId) => {
+  // Step 1: Find the letter
+  const letter = await findLetterOrFail(letterId);
+
+  // Step 2: Verify the user wrote this letter
+  verifyLetterAccess(letter, userId, LETTER_ACTIONS.EDIT);
+
+  // Step 3: Move the letter to the trash
+  letter.deletedAt = new Date();
+  await letter.save();
+
+  // Step 4: Its letter, reflections and completed goals no longer count towards stats
+  await adjustUserStatsForLetter(letter, -1);
+
+  // Step 5: Return confirmation
+  return {
+    message: 'Letter moved to trash',
+    purgeAt: trashService.calculatePurgeAt(letter.deletedAt)
+  };
+};
+
+/**
+ * GET THE TRASH
+ * Letters and reflections the user deleted that haven't been purged yet,
+ * most recently deleted first
+ */
+const getTrashForUser = async (userId) => {
+  // Step 1: Find trashed letters, and letters holding trashed reflections
+  const [trashedLetters, lettersWithTrashedReflections] = await Promise.all([
+    Letter.find({ user: userId, deletedAt: { $ne: null } }).sort({ deletedAt: -1 }),
+    Letter.find({
+      $or: [{ user: userId }, { 'recipient.user': userId }],
+      deletedAt: null,
+      'trashedReflections.0': { $exists: true }
+    }).select('title user +trashedReflections')
+  ]);
+  await encryptionService.decryptLetters([...trashedLetters, ...lettersWithTrashedReflections]);
+
+  // Step 2: Describe each of the user's own trashed reflections
+  // with the letter it came from
+  const reflections = lettersWithTrashedReflections
+    .flatMap((letter) => letter.trashedReflections
+      .filter((reflection) => isReflectionAuthor(letter, reflection, userId))
+      .map((reflection) => ({
+      _id: reflection._id,
+      letterId: letter._id,
+      letterTitle: letter.title,
+      reflection: reflection.reflection,
+      date: reflection.date,
+      deletedAt: reflection.deletedAt,
+      purgeAt: trashService.calculatePurgeAt(reflection.deletedAt)
+    })))
+    .sort((a, b) => b.deletedAt - a.deletedAt);
+
+  // Step 3: Return both (sealed letters stay in their envelope)
+  return {
+    letters: trashedLetters.map((letter) => ({
+      ...toPlainLetter(presentLetter(letter)),
+      deletedAt: letter.deletedAt,
+      purgeAt: trashService.calculatePurgeAt(letter.deletedAt)
+    })),
+    reflections,
+    retentionDays: trashService.TRASH_RETENTION_DAYS
+  };
+};
+
+/**
+ * RESTORE A LETTER
+ * Bring a letter back out of the trash, just as it was
+ */
+const restoreLetter = async (userId, letterId) => {
+  // Step 1: Find the letter in the trash
+  const letter = await findTrashedLetterOrFail(letterId);
+
+  // Step 2: Verify the user wrote this letter
+  verifyLetterAccess(letter, userId, LETTER_ACTIONS.EDIT);
+
+  // Step 3: Take it out of the trash
+  letter.deletedAt = undefined;
+  await letter.save();
+
+  // Step 4: It counts towards stats again, completed goals too
+  await adjustUserStatsForLetter(letter, 1);
+
+  // Step 5: Deliver it if its date passed while it was in the trash
+  await updateDeliveryStatusIfDue(letter);
+
+  // Step 6: Return the letter (just the envelope if it's still sealed)
+  return presentLetter(letter);
+};
+
+/**
+ * ATTACH A FILE TO A LETTER
+ * A photo, voice memo or scanned drawing goes in with the words.
+ * Like the words, attachments can change until the letter is delivered.
+ */
+const addAttachment = async (userId, letterId, file) => {
+  // Step 1: Find the letter
+  const letter = await findLetterOrFail(letterId);
+
+  // Step 2: Verify the user wrote this letter
+  verifyLetterAccess(letter, userId, LETTER_ACTIONS.EDIT);
+
+  // Step 3: Delivered letters are part of history - nothing new goes in
+  ensureLetterIsNotDelivered(letter);
+
+  // Step 4: Store the file and save its details on the letter
+  const attachment = await attachmentService.storeAttachment(letter, file);
+  try {
+    await letter.save();
+  } catch (error) {
+    await attachmentService.discardAttachments([attachment]);
+    throw error;
+  }
+
+  // Step 5: Return the attachment's details
+  return attachment;
+};
+
+/**
+ * DOWNLOAD AN ATTACHMENT
+ * Attachments are inside the letter, so a sealed letter keeps them
+ * hidden until its delivery date (or until its seal is broken).
+ * Returns { attachment, stream }
+ */
+const getAttachmentDownload = async (userId, letterId, attachmentId) => {
+  // Step 1: Find the letter
+  const letter = await findLetterOrFail(letterId);
+
+  // Step 2: Check if the letter should now be marked as delivered
+  await updateDeliveryStatusIfDue(letter);
+
+  // Step 3: Verify the user may read this letter
+  verifyLetterAccess(letter, userId, LETTER_ACTIONS.READ);
+
+  // Step 4: Sealed letters keep their attachments inside
+  ensureLetterIsNotSealed(letter);
+
+  // Step 5: Find the attachment and open its file
+  const attachment = findAttachmentOrFail(letter, attachmentId);
+  const stream = await attachmentService.openAttachment(attachment);
+
+  return { attachment, stream };
+};
+
+/**
+ * REMOVE AN ATTACHMENT
+ * Take a file back out of a letter that hasn't been delivered yet
  */
-const getAllLettersForUser = async (userId) => {
-  // Step 1: Find all letters belonging to this user
-  const letters = await findLettersByUserId(userId);
+const removeAttachmentFromLetter = async (userId, letterId, attachmentId) => {
+  // Step 1: Find the letter
+  const letter = await findLetterOrFail(letterId);
+
+  // Step 2: Verify the user wrote this letter
+  verifyLetterAccess(letter, userId, LETTER_ACTIONS.EDIT);
+
+  // Step 3: Delivered letters are part of history - nothing comes out
+  ensureLetterIsNotDelivered(letter);
+
+  // Step 4: Remove its details from the letter, then its file
+  const attachment = findAttachmentOrFail(letter, attachmentId);
+  attachment.deleteOne();
+  await letter.save();
+  await attachmentService.discardAttachments([attachment]);
+
+  // Step 5: Return confirmation
+  return { message: 'Attachment deleted successfully' };
+};
+
+/**
+ * ADD A REFLECTION TO A LETTER
+ * After receiving a delivered letter, a user writes their thoughts
+ * about how things turned out compared to what they wrote.
+ * On a letter to someone else, the author and the recipient can both
+ * reflect; everyone sees every reflection, but each is owned by its writer.
+ */
+const addReflectionToLetter = async (userId, letterId, reflectionData) => {
+  // Step 1: Find the letter
+  const letter = await findLetterOrFail(letterId);
+
+  // Step 2: Verify the user may reflect on this letter
+  verifyLetterAccess(letter, userId, LETTER_ACTIONS.REFLECT);
+
+  // Step 3: Ensure the letter has been delivered (can't reflect on future)
+  ensureLetterIsDelivered(letter);
+
+  // Step 4: Add the reflection to the letter
+  const updatedLetter = await appendReflection(letter, reflectionData, userId);
+
+  // Step 5: Count it in the user's stats
+  await updateUserStatsAfterReflectionAdded(userId);
+
+  // Step 6: Return the updated letter
+  return presentLetterFor(updatedLetter, userId);
+};
+
+/**
+ * REMOVE A REFLECTION FROM A LETTER
+ * "A user decides to remove one of their reflections from a letter."
+ * It goes to the trash, where it can be restored until it's purged.
+ */
+const removeReflectionFromLetter = async (userId, letterId, reflectionId) => {
+  // Step 1: Find the letter
+  const letter = await findLetterOrFail(letterId, { withTrashedReflections: true });
+
+  // Step 2: Verify the user may reflect on this letter
+  verifyLetterAccess(letter, userId, LETTER_ACTIONS.REFLECT);
+
+  // Step 3: Move the specific reflection to the trash (only your own)
+  const updatedLetter = await trashReflection(letter, reflectionId, userId);
+
+  // Step 4: It no longer counts towards stats
+  await adjustUserStatsSafely(userId, { reflections: -1 });
+
+  // Step 5: Return the updated letter
+  return presentLetterFor(updatedLetter, userId);
+};
+
+/**
+ * RESTORE A REFLECTION
+ * Put a trashed reflection back on its letter
+ */
+const restoreReflection = async (userId, letterId, reflectionId) => {
+  // Step 1: Find the letter
+  const letter = await findLetterOrFail(letterId, { withTrashedReflections: true });
+
+  // Step 2: Verify the user may reflect on this letter
+  verifyLetterAccess(letter, userId, LETTER_ACTIONS.REFLECT);
+
+  // Step 3: Move the reflection back out of the trash (only your own)
+  const updatedLetter = await untrashReflection(letter, reflectionId, userId);
+
+  // Step 4: It counts towards stats again
+  await adjustUserStatsSafely(userId, { reflections: 1 });
+
+  // Step 5: Return the updated letter
+  return presentLetterFor(updatedLetter, userId);
+};
+
+/**
+ * MANAGING GOALS
+ * User UPDATE status of a gaol(completed, inprogress, abandoned)
+ * Goals belong to whoever is living them: the recipient of a letter to
+ * another SoulMail user, otherwise the author.
+ * statusData is { status, note, reflection } - only moves allowed by
+ * utils/goalStatus are made, and each is kept in the goal's history.
+ * Completing a goal (or reopening one) moves goalsAccomplished.
+ */
+
+const updateGoalStatus = async (userId, letterId, goalId, statusData = {}) => {
+  const letter = await findLetterOrFail(letterId);
+  verifyLetterAccess(letter, userId, LETTER_ACTIONS.MANAGE_GOALS);
+  ensureLetterIsDelivered(letter);
+
+  const goal = findGoalOrFail(letter, goalId);
+  const status = parseGoalStatus(statusData.status);
+  const { from, to } = transitionGoal(goal, status, { changedBy: userId, note: statusData.note });
+
+  if (statusData.reflection) {
+    goal.reflection = statusData.reflection;
+  }
+  await letter.save();
+
+  const accomplishedChange = (to === 'completed' ? 1 : 0) - (from === 'completed' ? 1 : 0);
+  if (accomplishedChange !== 0) {
+    await adjustUserStatsSafely(userId, { goalsAccomplished: accomplishedChange });
+  }
+  return presentLetterFor(letter, userId);
+};
+
+/**
+ * CARRY GOAL FORWARD
+ * Move to a new letter (only goals still being worked on)
+ */
+const carryGoalForward = async (userId, oldLetterId, goalId, newLetterId, note) => {
+  const oldLetter = await findLetterOrFail(oldLetterId);
+  verifyLetterAccess(oldLetter, userId, LETTER_ACTIONS.MANAGE_GOALS);
+
+  // Goals are carried into a letter of your own
+  const newLetter = await findLetterOrFail(newLetterId);
+  verifyLetterAccess(newLetter, userId, LETTER_ACTIONS.EDIT);
+
+  // Checked before anything is saved, so a refused move changes nothing
+  const goal = findGoalOrFail(oldLetter, goalId);
+  transitionGoal(goal, CARRIED_FORWARD, { changedBy: userId, note });
+  goal.carriedForwardTo = newLetterId;
+
+  newLetter.goals.push({
+    text: goal.text,
+    status: 'pending',
+    carriedForwardFrom: oldLetterId
+  });
+  await newLetter.save();
+  await oldLetter.save();
+
+  return { oldLetter: presentLetterFor(oldLetter, userId), newLetter: presentLetter(newLetter) };
+};
+
+/**
+ * ADD GOAL REFLECTION
+ *  Thoughts why goal wasn't accomplished
+ */
+const addGoalReflection = async (userId, letterId, goalId, reflection) => {
+  const letter = await findLetterOrFail(letterId);
+  verifyLetterAccess(letter, userId, LETTER_ACTIONS.MANAGE_GOALS);
+  ensureLetterIsDelivered(letter);
+
+  const goal = findGoalOrFail(letter, goalId);
+
+  goal.reflection = reflection;
+  await letter.save();
+
+  return presentLetterFor(letter, userId);
+};
+
+// --- Database Query Helpers ---
+
+/**
+ * Find one page of letters as plain objects. Who each letter was written
+ * to is loaded by username and name only; so is its author with
+ * withAuthor (a user's own list is all theirs, so it skips the lookup).
+ */
+const findLetterPage = async (filter, { sort, limit, projection, withAuthor = false }) => {
+  const query = Letter.find(filter)
+    .select(projection)
+    .sort(sort)
+    .limit(limit)
+    .populate('recipient.user', PUBLIC_PERSON_FIELDS);
+  if (withAuthor) {
+    query.populate('user', PUBLIC_PERSON_FIELDS);
+  }
+
+  const letters = await query.lean();
+  return await encryptionService.decryptLetters(letters);
+};
+
+/**
+ * Find a letter by ID, or throw an error if not found
+ */
+const findLetterOrFail = async (letterId, { withTrashedReflections = false } = {}) => {
+  const query = Letter.findOne({ _id: letterId, deletedAt: null })
+    .populate('user')
+    .populate('recipient.user', PUBLIC_PERSON_FIELDS);
+  if (withTrashedReflections) {
+    query.select('+trashedReflections');
+  }
+
+  const letter = await query;
+
+  if (!letter) {
+    throw new NotFoundError('Letter not found');
+  }
+
+  return await encryptionService.decryptLetterFields(letter);
+};
+
+/**
+ * Every letter in a letter's thread: up through what it answers to the
+ * first letter, then down through every reply to that one.
+ * Stops at MAX_THREAD_LETTERS.
+ */
+const findThreadLetters = async (letter) => {
+  const found = new Map([[letter._id.toString(), letter]]);
+
+  // Up: what each letter answers, until the first letter
+  let root = letter;
+  while (root.replyTo && !found.has(root.replyTo.toString()) && found.size < MAX_THREAD_LETTERS) {
+    const [parent] = await findThreadPage({ _id: root.replyTo });
+    if (!parent) break;
+    found.set(parent._id.toString(), parent);
+    root = parent;
+  }
+
+  // Down: the replies to each letter, a generation at a time
+  let generation = [root._id];
+  while (generation.length > 0 && found.size < MAX_THREAD_LETTERS) {
+    const replies = await findThreadPage({ replyTo: { $in: generation } }, MAX_THREAD_LETTERS - found.size);
+    const unseen = replies.filter((reply) => !found.has(reply._id.toString()));
+    unseen.forEach((reply) => found.set(reply._id.toString(), reply));
+    generation = unseen.map((reply) => reply._id);
+  }
+
+  return [...found.values()];
+};
+
+/**
+ * Letters in a thread matching a filter, loaded like findLetterOrFail
+ */
+const findThreadPage = async (filter, limit = 1) => {
+  const letters = await Letter.find({ ...filter, deletedAt: null })
+    .sort({ createdAt: 1, _id: 1 })
+    .limit(limit)
+    .populate('user')
+    .populate('recipient.user', PUBLIC_PERSON_FIELDS);
+
+  return await encryptionService.decryptLetters(letters);
+};
+
+/**
+ * Find a letter in the trash by ID, or throw an error if not found
+ */
+const findTrashedLetterOrFail = async (letterId) => {
+  const letter = await Letter.findOne({ _id: letterId, deletedAt: { $ne: null } }).populate('user');
+
+  if (!letter) {
+    throw new NotFoundError('Letter not found in trash');
+  }
+
+  return await encryptionService.decryptLetterFields(letter);
+};
+
+/**
+ * Find an attachment on a letter, or throw an error if not found
+ */
+const findAttachmentOrFail = (letter, attachmentId) => {
+  const attachment = letter.attachments.id(attachmentId);
+
+  if (!attachment) {
+    throw new NotFoundError('Attachment not found');
+  }
+
+  return attachment;
+};
+
+/**
+ * Save a new letter to the database
+ */
+const saveLetterToDatabase = async (letterData) => {
+  return await Letter.create(letterData);
+};
+
+/**
+ * Update the delivery schedule of a letter (already loaded and
+ * decrypted, so it's validated on its plain words)
+ */
+const updateDeliveryDate = async (letter, schedule) => {
+  letter.deliveryInterval = schedule.deliveryInterval;
+  letter.deliveredAt = schedule.deliveredAt;
+  letter.targetAge = schedule.targetAge;
+  letter.anniversaryYears = schedule.anniversaryYears;
+
+  await letter.save();
+  await letter.populate('user');
+  return letter;
+};
+
+// --- List Query Helpers ---
+
+/**
+ * Find one page of a letter list and describe the page.
+ * present shapes each letter for the person asking; withAuthor also
+ * loads who wrote each one.
+ */
+const findLetterList = async (filter, listParams, { present, withAuthor = false }) => {
+  // Step 1: Work out what the user asked for
+  const sortKey = listParams.sort || 'created';
+  const sortField = parseListSortField(sortKey);
+  const order = parseSortOrder(listParams.order);
+  const limit = parsePageSize(listParams.limit);
+  const projection = parseListView(listParams.view);
+
+  // Step 2: Find this page of letters (plus one, to know if there's more)
+  const pageFilter = listParams.cursor
+    ? { $and: [filter, buildCursorCondition(listParams.cursor, sortField, order)] }
+    : filter;
+  const [letters, total] = await Promise.all([
+    findLetterPage(pageFilter, { sort: buildSort(sortField, order), limit: limit + 1, projection, withAuthor }),
+    Letter.countDocuments(filter)
+  ]);
+  const page = buildPage(letters, limit, sortField);
+
+  // Step 3: Return the page, with sealed letters shown as envelopes
+  return {
+    letters: page.items.map(present),
+    pageInfo: {
+      total,
+      limit,
+      hasMore: page.hasMore,
+      nextCursor: page.nextCursor,
+      sort: sortKey,
+      order
+    }
+  };
+};
+
+/**
+ * Build the filter for a user's letter list from the query string
+ */
+const buildLetterListFilter = (userId, listParams) => {
+  const filter = { user: userId, deletedAt: null };
+
+  if (listParams.isDelivered !== undefined) {
+    if (!['true', 'false'].includes(String(listParams.isDelivered))) {
+      throw new ValidationError('isDelivered must be true or false', {
+        isDelivered: 'Must be true or false'
+      });
+    }
+    filter.isDelivered = String(listParams.isDelivered) === 'true';
+  }
+  if (listParams.deliveryInterval) {
+    filter.deliveryInterval = String(listParams.deliveryInterval);
+  }
+  if (listParams.mood !== undefined) {
+    filter.mood = String(listParams.mood);
+  }
+  if (listParams.tag !== undefined) {
+    // ?tag=a,b lists letters carrying every one of the tags
+    const tagIds = String(listParams.tag).split(',').filter(Boolean);
+    if (tagIds.length === 0 || !tagIds.every((id) => mongoose.isValidObjectId(id))) {
+      throw new ValidationError('tag must be one or more tag IDs', { tag: 'Invalid tag ID' });
+    }
+    filter.tags = { $all: tagIds };
+  }
+  if (listParams.promptId !== undefined) {
+    filter.promptId = String(listParams.promptId);
+  }
+  if (listParams.addressedTo !== undefined) {
+    if (!['self', 'others'].includes(String(listParams.addressedTo))) {
+      throw new ValidationError('addressedTo must be self or others', {
+        addressedTo: 'Must be self or others'
+      });
+    }
+    filter.recipient = String(listParams.addressedTo) === 'self' ? null : { $ne: null };
+  }
+
+  return filter;
+};
+
+/**
+ * Turn a sort option into the field to sort by
+ */
+const parseListSortField = (sortKey) => {
+  const sortField = LIST_SORT_FIELDS[sortKey];
+
+  if (!sortField) {
+    throw new ValidationError(
+      `"${sortKey}" is not a valid sort. Choose from: ${Object.keys(LIST_SORT_FIELDS).join(', ')}`,
+      { sort: 'Invalid sort option' }
+    );
+  }
+  return sortField;
+};
+
+/**
+ * Turn a view option into a projection
+ */
+const parseListView = (view = 'list') => {
+  if (!Object.prototype.hasOwnProperty.call(LIST_VIEW_PROJECTIONS, view)) {
+    throw new ValidationError(
+      `"${view}" is not a valid view. Choose from: ${Object.keys(LIST_VIEW_PROJECTIONS).join(', ')}`,
+      { view: 'Invalid view' }
+    );
+  }
+  return LIST_VIEW_PROJECTIONS[view];
+};
+
+// --- Data Preparation Helpers ---
+
+/**
+ * Prepare letter data by attaching the user ID
+ * The delivery date is calculated here, not trusted from the frontend
+ */
+const prepareLetterData = (userId, letterData, deliveryPreferences) => {
+  const {
+    deliveredAt,
+    deliveryInterval,
+    targetAge,
+    anniversaryYears,
+    ...restOfLetterData
+  } = letterData;
+
+  const schedule = resolveDeliverySchedule(
+    { deliveryInterval, deliveredAt, targetAge, anniversaryYears },
+    deliveryPreferences
+  );
+
+  SERVER_MANAGED_FIELDS.forEach((field) => {
+    delete restOfLetterData[field];
+  });
+  if (Array.isArray(restOfLetterData.goals)) {
+    restOfLetterData.goals = restOfLetterData.goals.map(prepareNewGoal);
+  }
+
+  return {
+    ...restOfLetterData,
+    ...schedule,
+    status: 'scheduled',
+    user: userId
+  };
+};
+
+/**
+ * Prepare a new draft: only the words, a preferred delivery interval
+ * and whether it should be sealed - no delivery date yet
+ */
+const prepareDraftData = (userId, draftData) => {
+  const draft = {};
+
+  [...revisionService.REVISION_FIELDS, 'writingPrompt', 'promptId', 'isSealed'].forEach((field) => {
+    if (draftData[field] !== undefined) {
+      draft[field] = draftData[field];
+    }
+  });
+
+  if (Array.isArray(draft.goals)) {
+    draft.goals = draft.goals.map(prepareNewGoal);
+  }
+
+  if (draftData.deliveryInterval !== undefined) {
+    if (!VALID_INTERVALS.includes(draftData.deliveryInterval)) {
+      throw new ValidationError(
+        `"${draftData.deliveryInterval}" is not a valid delivery interval. Choose from: ${VALID_INTERVALS.join(', ')}`,
+        { deliveryInterval: 'Invalid delivery interval' }
+      );
+    }
+    draft.deliveryInterval = draftData.deliveryInterval;
+  }
+
+  return {
+    ...draft,
+    status: 'draft',
+    user: userId
+  };
+};
+
+/**
+ * A goal as written into a letter, without any progress
+ * (goals are only written before delivery, when there's none to keep)
+ */
+const prepareNewGoal = (goal) => {
+  if (!goal || typeof goal !== 'object') {
+    return goal;
+  }
+
+  const newGoal = { ...goal };
+  SERVER_MANAGED_GOAL_FIELDS.forEach((field) => {
+    delete newGoal[field];
+  });
+  return newGoal;
+};
+
+/**
+ * The map point a new letter was written at, from the coordinates
+ * ({ latitude, longitude, precision }) sent with it. Empty if none were.
+ */
+const resolveLetterPlace = (coordinates) => {
+  if (coordinates === undefined || coordinates === null) {
+    return {};
+  }
+
+  const precision = coordinates.precision || DEFAULT_PRECISION;
+  return {
+    locationPoint: toGeoPoint(coordinates, precision),
+    locationPrecision: precision
+  };
+};
+
+/**
+ * Fill in a new letter from the template it starts from, if any.
+ * The template's fields come first; anything the user sent wins.
+ * Returns { startedData, template } (template is the template's ID).
+ */
+const applyWritingStarters = async (userId, letterData) => {
+  const { templateId, ...data } = letterData;
+  if (templateId === undefined || templateId === null || templateId === '') {
+    return { startedData: applyWritingPrompt(data), template: undefined };
+  }
+
+  const { template, letterFields } = await templateService.getTemplateStart(userId, templateId);
+  return {
+    startedData: applyWritingPrompt({ ...letterFields, ...data }),
+    template: template._id
+  };
+};
+
+/**
+ * A letter written from a library prompt keeps the prompt's ID and
+ * its words (writingPrompt). Clearing promptId leaves the words alone.
+ */
+const applyWritingPrompt = (letterData) => {
+  const { promptId } = letterData;
+  if (promptId === undefined) {
+    return letterData;
+  }
+  if (promptId === null || promptId === '') {
+    return { ...letterData, promptId: null };
+  }
+
+  const prompt = promptService.resolvePromptForLetter(promptId);
+  return { ...letterData, promptId: prompt.id, writingPrompt: prompt.text };
+};
+
+/**
+ * Pick the fields a writer may change on a letter.
+ * Drafts can also change their preferred interval and whether they'll be
+ * sealed; scheduled letters are rescheduled through PUT /letters/:id.
+ */
+const pickEditableFields = (letter, changes) => {
+  const editable = letter.status === 'draft'
+    ? [...revisionService.REVISION_FIELDS, 'writingPrompt', 'promptId', 'isSealed', 'deliveryInterval']
+    : revisionService.REVISION_FIELDS;
+
+  const picked = {};
+  editable.forEach((field) => {
+    if (changes[field] !== undefined) {
+      picked[field] = changes[field];
+    }
+  });
+  if (Array.isArray(picked.goals)) {
+    picked.goals = picked.goals.map(prepareNewGoal);
+  }
+  return picked;
+};
+
+/**
+ * Work out when a letter should be delivered.
+ * - Fixed intervals (1week ... 5years): the server calculates the date.
+ *   If the client also sent a date, it must agree with ours.
+ * - 'custom': the client's date is used (the model still checks it's
+ *   at least 24 hours away).
+ * - Birthday intervals need the user's birthday; 'birthdayAge' also needs
+ *   a targetAge. 'anniversary' takes an optional anniversaryYears (default 1).
+ * A missing interval is treated as 'custom' for older clients.
+ * deliveryPreferences ({ timezone, deliveryTime, birthday }) come from the user.
+ */
+const resolveDeliverySchedule = (
+  { deliveryInterval, deliveredAt, targetAge, anniversaryYears },
+  deliveryPreferences = {}
+) => {
+  const interval = deliveryInterval || DELIVERY_INTERVALS.CUSTOM_DATE;
+
+  if (!VALID_INTERVALS.includes(interval)) {
+    throw new ValidationError(
+      `"${interval}" is not a valid delivery interval. Choose from: ${VALID_INTERVALS.join(', ')}`,
+      { deliveryInterval: 'Invalid delivery interval' }
+    );
+  }
+
+  if (interval === DELIVERY_INTERVALS.CUSTOM_DATE && !deliveredAt) {
+    throw new ValidationError('Please choose a date for your custom delivery', {
+      deliveredAt: 'A delivery date is required for custom delivery'
+    });
+  }
+
+  // Date-only custom dates ("2030-05-17") arrive at the user's delivery time
+  const clientDate = deliveredAt
+    ? calculateFutureDate(DELIVERY_INTERVALS.CUSTOM_DATE, deliveredAt, deliveryPreferences)
+    : null;
+  if (clientDate && Number.isNaN(clientDate.getTime())) {
+    throw new ValidationError('Delivery date is not a valid date', {
+      deliveredAt: 'Invalid date'
+    });
+  }
+
+  if (interval === DELIVERY_INTERVALS.CUSTOM_DATE) {
+    return { deliveryInterval: interval, deliveredAt: clientDate };
+  }
+
+  const anchor = resolveDeliveryAnchor(interval, { targetAge, anniversaryYears }, deliveryPreferences);
+
+  let calculatedDate;
+  try {
+    calculatedDate = calculateFutureDate(interval, null, { ...deliveryPreferences, ...anchor });
+  } catch (error) {
+    throw new ValidationError(error.message, { deliveryInterval: error.message });
+  }
+
+  if (clientDate && Math.abs(clientDate - calculatedDate) > DELIVERY_DATE_TOLERANCE_MS) {
+    throw new ValidationError(
+      `Delivery date does not match the "${interval}" interval. ` +
+      `Expected around ${calculatedDate.toISOString()}, or choose "custom" to pick your own date.`,
+      { deliveredAt: `Does not match the "${interval}" delivery interval` }
+    );
+  }
 
-  // Step 2: Return the letters (already sorted by the helper)
-  return letters;
+  return { deliveryInterval: interval, deliveredAt: calculatedDate, ...anchor };
 };
 
 /**
- * GET A SINGLE LETTER BY ID
- * A user wants to read a specific letter.
-*  If the delivery date has passed, mark it as delivered."
+ * Check the extra details birthday and anniversary intervals need,
+ * returning the ones to store on the letter
  */
-const getLetterById = async (userId, letterId) => {
-  // Step 1: Find the letter
-  const letter = await findLetterOrFail(letterId);
+const resolveDeliveryAnchor = (interval, { targetAge, anniversaryYears }, { birthday }) => {
+  if (BIRTHDAY_INTERVALS.includes(interval) && !birthday) {
+    throw new ValidationError(
+      'Add your birthday to your profile to have a letter delivered on your birthday',
+      { deliveryInterval: 'Requires a birthday on your profile' }
+    );
+  }
 
-  // Step 2: Verify the user owns this letter
-  verifyUserOwnsLetter(letter, userId);
+  if (interval === DELIVERY_INTERVALS.BIRTHDAY_AGE) {
+    const age = Number(targetAge);
+    if (!Number.isInteger(age) || age < 1) {
+      throw new ValidationError('Please tell us which birthday to deliver on', {
+        targetAge: 'Target age must be a whole number'
+      });
+    }
+    return { targetAge: age };
+  }
 
-  // Step 3: Check if the letter should now be marked as delivered
-  await updateDeliveryStatusIfDue(letter);
+  if (interval === DELIVERY_INTERVALS.ANNIVERSARY) {
+    const years = anniversaryYears === undefined ? 1 : Number(anniversaryYears);
+    if (!Number.isInteger(years) || years < 1) {
+      throw new ValidationError('Anniversary must be a whole number of years', {
+        anniversaryYears: 'Must be a whole number of at least 1'
+      });
+    }
+    return { anniversaryYears: years };
+  }
 
-  // Step 4: Return the letter
-  return letter;
+  return {};
 };
 
 /**
- * CREATE A NEW LETTER
- * A user writes a letter to their future self, scheduling it for delivery at a specific date.
+ * Work out who a letter is for from the request.
+ * recipient may be:
+ *   undefined              leave it as it is
+ *   null or ''             the author's future self
+ *   { username }           another SoulMail user
+ *   { email, name }        someone outside SoulMail (the letter is emailed)
+ * Writing to your own username is the same as writing to your future self.
  */
-const createNewLetter = async (userId, letterData) => {
-  // Step 1: Prepare the letter data with the user's ID
-  const preparedData = prepareLetterData(userId, letterData);
+const resolveRecipient = async (authorId, recipient) => {
+  if (recipient === undefined) return undefined;
+  if (recipient === null || recipient === '') return null;
 
-  // Step 2: Save the letter to the database
-  const newLetter = await saveLetterToDatabase(preparedData);
+  if (typeof recipient !== 'object' || Array.isArray(recipient)) {
+    throw new ValidationError('Recipient must be a username or an email address', {
+      recipient: 'Provide { username } or { email, name }'
+    });
+  }
+  if (recipient.username && recipient.email) {
+    throw new ValidationError('Send to a username or an email address, not both', {
+      recipient: 'Provide { username } or { email, name }'
+    });
+  }
 
-  // Step 3: Load the user details onto the letter
-  const letterWithUser = await attachUserToLetter(newLetter);
+  if (recipient.username) {
+    const user = await userService.findUserByUsername(recipient.username);
+    if (!user) {
+      throw new ValidationError('No user with that username', {
+        recipient: `"${recipient.username}" was not found`
+      });
+    }
+    if (user._id.equals(authorId)) return null;
+    return { user: user._id };
+  }
 
-  await updateUserStatsAfterLetterCreated(userId);
+  if (recipient.email) {
+    return { email: recipient.email, name: recipient.name };
+  }
 
-  // Step 5: Return the complete letter
-  return letterWithUser;
+  throw new ValidationError('Recipient must be a username or an email address', {
+    recipient: 'Provide { username } or { email, name }'
+  });
 };
 
 /**
- * UPDATE LETTER DELIVERY DATE
- * A user wants to reschedule when their letter will be delivered.
- * But they can only do this if the letter hasn't been delivered yet.
+ * Attach user details to a letter (populate)
  */
-const updateLetterDeliveryDate = async (userId, letterId, newDeliveryDate) => {
-  // Step 1: Find the letter
-  const letter = await findLetterOrFail(letterId);
-
-  // Step 2: Verify the user owns this letter
-  verifyUserOwnsLetter(letter, userId);
-
-  // Step 3: Ensure the letter hasn't been delivered yet
-  ensureLetterIsNotDelivered(letter);
+const attachUserToLetter = async (letter) => {
+  await letter.populate('user');
+  await letter.populate('recipient.user', PUBLIC_PERSON_FIELDS);
+  return letter;
+};
 
-  // Step 4: Update the delivery date
-  const updatedLetter = await updateDeliveryDate(letterId, newDeliveryDate);
+// --- Authorization Helpers ---
 
-  // Step 5: Return the updated letter
-  return updatedLetter;
+/**
+ * The ID behind a reference, whether or not it's been populated
+ */
+const getId = (ref) => {
+  return ref && ref._id ? ref._id : ref;
 };
 
 /**
- * DELETE A LETTER
- * A user decides to permanently remove a letter from their collection.
+ * Who someone is to a letter: its author, its recipient, or nobody (null).
+ * A recipient only becomes one when the letter is delivered -
+ * until then it's still the author's to change, and a surprise.
  */
-const deleteLetter = async (userId, letterId) => {
-  // Step 1: Find the letter
-  const letter = await findLetterOrFail(letterId);
+const getLetterRole = (letter, userId) => {
+  if (getId(letter.user).equals(userId)) {
+    return LETTER_ROLES.AUTHOR;
+  }
 
-  // Step 2: Verify the user owns this letter
-  verifyUserOwnsLetter(letter, userId);
+  const recipientId = getId(letter.recipient && letter.recipient.user);
+  if (recipientId && recipientId.equals(userId) && letter.isDelivered) {
+    return LETTER_ROLES.RECIPIENT;
+  }
 
-  // Step 3: Remove the letter from the database
-  await removeLetterFromDatabase(letterId);
+  return null;
+};
 
-  // Step 4: Return confirmation
-  return { message: 'Letter deleted successfully' };
+/**
+ * Whoever is living a letter's goals: its recipient if they're
+ * a SoulMail user, otherwise its author
+ */
+const getGoalKeeperId = (letter) => {
+  return getId(letter.recipient && letter.recipient.user) || getId(letter.user);
 };
 
 /**
- * ADD A REFLECTION TO A LETTER
- * After receiving a delivered letter, a user writes their thoughts
- * about how things turned out compared to what they wrote.
+ * Can this user do this with the letter?
+ * - Authors can do anything, except manage goals they gave to a recipient
+ * - Recipients can read, reflect on, share and manage the goals of
+ *   delivered letters
  */
-const addReflectionToLetter = async (userId, letterId, reflectionData) => {
-  // Step 1: Find the letter
-  const letter = await findLetterOrFail(letterId);
+const canAccessLetter = (letter, userId, action) => {
+  const role = getLetterRole(letter, userId);
 
-  // Step 2: Verify the user owns this letter
-  verifyUserOwnsLetter(letter, userId);
+  if (action === LETTER_ACTIONS.MANAGE_GOALS) {
+    return role !== null && getGoalKeeperId(letter).equals(userId);
+  }
+  if (role === LETTER_ROLES.AUTHOR) {
+    return true;
+  }
+  return role === LETTER_ROLES.RECIPIENT
+    && [LETTER_ACTIONS.READ, LETTER_ACTIONS.REFLECT, LETTER_ACTIONS.SHARE].includes(action);
+};
 
-  // Step 3: Ensure the letter has been delivered (can't reflect on future)
-  ensureLetterIsDelivered(letter);
+/**
+ * Verify that the user making the request may do this with the letter
+ * Throws an error if they can't
+ */
+const verifyLetterAccess = (letter, userId, action) => {
+  if (!canAccessLetter(letter, userId, action)) {
+    throw new ForbiddenError('You do not have permission to access this letter');
+  }
+};
 
-  // Step 4: Add the reflection to the letter
-  const updatedLetter = await appendReflection(letter, reflectionData);
+/**
+ * Did this user write the reflection?
+ * Reflections from before letters had recipients belong to the author.
+ */
+const isReflectionAuthor = (letter, reflection, userId) => {
+  return getId(reflection.author || letter.user).equals(userId);
+};
 
-  await updateUserStatsAfterReflectionAdded(userId);
+// --- Reply Helpers ---
 
-  // Step 6: Return the updated letter
-  return updatedLetter;
+/**
+ * The unfinished goals of a letter, for carrying into a reply.
+ * Only whoever is living the goals can carry them.
+ */
+const findGoalsToCarry = (letter, userId) => {
+  if (!canAccessLetter(letter, userId, LETTER_ACTIONS.MANAGE_GOALS)) {
+    throw new ForbiddenError('Only whoever is working on these goals can carry them forward');
+  }
+  return letter.goals.filter((goal) => canTransitionGoal(goal.status, CARRIED_FORWARD));
 };
 
 /**
- * REMOVE A REFLECTION FROM A LETTER
- * "A user decides to remove one of their reflections from a letter."
+ * Ensure a letter has arrived before it's answered
  */
-const removeReflectionFromLetter = async (userId, letterId, reflectionId) => {
-  // Step 1: Find the letter
-  const letter = await findLetterOrFail(letterId);
+const ensureLetterCanBeAnswered = (letter) => {
+  if (!letter.isDelivered) {
+    throw new ValidationError('Can only write back to delivered letters');
+  }
+};
 
-  // Step 2: Verify the user owns this letter
-  verifyUserOwnsLetter(letter, userId);
+/**
+ * "Re: <title>", kept within the title length limit
+ */
+const buildReplyTitle = (title) => {
+  return `Re: ${title || 'Untitled'}`.slice(0, 100);
+};
 
-  // Step 3: Remove the specific reflection
-  const updatedLetter = await removeReflection(letter, reflectionId);
+// --- Business Rule Helpers ---
 
-  // Step 4: Return the updated letter
-  return updatedLetter;
+/**
+ * Check if a letter's delivery date has passed, and update status if so
+ * The delivery scheduler normally gets there first; this covers the gap
+ * between its runs so an owner never opens a letter that's "late"
+ */
+const updateDeliveryStatusIfDue = async (letter) => {
+  await deliveryScheduler.deliverLetterIfDue(letter);
 };
 
 /**
- * MANAGING GOALS
- * User UPDATE status of a gaol(completed, inprogress, abandoned, carriedForward)
+ * Ensure a letter has NOT been delivered (for editing restrictions)
+ * Throws an error if the letter is already delivered
  */
-
-const updateGoalStatus = async (userId, letterId, goalId, statusData) => {
-  const letter = await findLetterOrFail(letterId);
-  verifyUserOwnsLetter(letter, userId);
-  ensureLetterIsDelivered(letter);
-
-  const goal = letter.goals.id(goalId);
-  if (!goal) {
-    throw new Error('Goal not found');
+const ensureLetterIsNotDelivered = (letter) => {
+  if (letter.isDelivered) {
+    throw new ForbiddenError('Cannot edit a delivered letter');
   }
-  goal.status = statusData.status;
-  goal.statusUpdatedAt = new Date();
+};
 
-  if (statusData.reflection) {
-    goal.reflection =statusData.reflection;
+/**
+ * Ensure a letter is a draft (for scheduling)
+ */
+const ensureLetterIsDraft = (letter) => {
+  if (letter.status !== 'draft') {
+    throw new ValidationError('This letter has already been scheduled');
   }
-  await letter.save();
+};
 
-  if (statusData.status === 'accomplished') {
-    await updateUserStatusAfterGoalAccomplished(userId);
+/**
+ * Ensure a letter is not a draft (drafts have no delivery date to change)
+ */
+const ensureLetterIsNotDraft = (letter) => {
+  if (letter.status === 'draft') {
+    throw new ValidationError('Schedule this draft before changing its delivery date');
   }
-  return letter;
 };
 
 /**
- * CARRY GOAL FORWARD
- * Move to a new letter
+ * Ensure a letter has a place on the map (for reducing its precision)
  */
-const carryGoalForward = async (userId, oldLetterId, goalId, newLetterId) => {
-  const oldLetter = await findLetterOrFail(oldLetterId);
-  verifyUserOwnsLetter(oldLetter,userId);
-  
-  const newLetter = await findLetterOrFail(newLetterId);
-  verifyUserOwnsLetter(newLetter, userId);
-
-  const goal = oldLetter.goals.id(goalId);
-  if (!goal) {
-    throw new Error('Goal not found');
+const ensureLetterHasPlace = (letter) => {
+  if (!letter.locationPoint) {
+    throw new ValidationError('This letter has no place on the map yet');
   }
-
-  newLetter.goals.push({
-    text: goal.text,
-    status: 'pending',
-    carriedFowardFrom: oldLetterId
-  });
-  await newLetter.save();
-
-  goal.status = 'carriedForward';
-  goal.carriedForwardTo = newLetterId;
-  goal.statusUpdatedAt = new Date();
-  await oldLetter.save();
-
-  return { oldLetter, newLetter };
 };
 
 /**
- * ADD GOAL REFLECTION
- *  Thoughts why goal wasn't accomplished
+ * Ensure a letter HAS been delivered (for adding reflections)
+ * Throws an error if the letter is not yet delivered
  */
-const addGoalReflection = async (userId, letterId, goalId, reflection) => {
-  const letter = await findLetterOrFail(letterId);
-  verifyUserOwnsLetter(letter, userId);
-  ensureLetterIsDelivered(letter);
-
-  const goal =letter.goals.id(goalId);
-  if (!goal) {
-    throw new Error('Goal not found');
+const ensureLetterIsDelivered = (letter) => {
+  if (!letter.isDelivered) {
+    throw new ValidationError('Can only add reflections to delivered letters');
   }
-
-  goal.reflection = reflection;
-  await letter.save();
-
-  return letter;
 };
-// --- Database Query Helpers ---
+
+// --- Seal Helpers ---
 
 /**
- * Find all letters for a specific user, sorted by newest first
+ * A letter is sealed while it is waiting to be delivered, if the owner
+ * chose to seal it and hasn't broken the seal. Only an explicit
+ * isSealed: true seals - letters written before sealing existed
+ * (and lean reads of them) have no isSealed, and stay open.
  */
-const findLettersByUserId = async (userId) => {
-  return await Letter.find({ user: userId })
-    .populate('user')
-    .sort({ createdAt: -1 });
+const isLetterSealed = (letter, now = new Date()) => {
+  return letter.status !== 'draft'
+    && letter.isSealed === true
+    && !letter.sealBrokenAt
+    && !letter.isDelivered
+    && now < new Date(letter.deliveredAt);
 };
 
 /**
- * Find a letter by ID, or throw an error if not found
+ * Ensure a letter is still sealed (for breaking the seal)
  */
-const findLetterOrFail = async (letterId) => {
-  const letter = await Letter.findById(letterId).populate('user');
-
-  if (!letter) {
-    throw new NotFoundError('Letter not found');
+const ensureLetterIsSealed = (letter) => {
+  if (!isLetterSealed(letter)) {
+    throw new ValidationError('This letter is not sealed');
   }
-
-  return letter;
 };
 
 /**
- * Save a new letter to the database
+ * Ensure a letter is not sealed (for reading its attachments or
+ * earlier versions)
  */
-const saveLetterToDatabase = async (letterData) => {
-  return await Letter.create(letterData);
+const ensureLetterIsNotSealed = (letter) => {
+  if (isLetterSealed(letter)) {
+    throw new ForbiddenError('This letter is sealed until its delivery date');
+  }
 };
 
 /**
- * Remove a letter from the database by ID
+ * Shape a letter for the response.
+ * Open letters are returned as they are; sealed letters are returned as an
+ * envelope - what you could see from the outside - with a countdown
+ * to delivery. Content and goals stay inside until deliveredAt.
  */
-const removeLetterFromDatabase = async (letterId) => {
-  await Letter.findByIdAndDelete(letterId);
+const presentLetter = (letter, now = new Date()) => {
+  if (!isLetterSealed(letter, now)) {
+    return letter;
+  }
+
+  return {
+    _id: letter._id,
+    user: letter.user,
+    title: letter.title,
+    mood: letter.mood,
+    deliveryInterval: letter.deliveryInterval,
+    deliveredAt: letter.deliveredAt,
+    isDelivered: letter.isDelivered,
+    isSealed: true,
+    recipient: letter.recipient,
+    replyTo: letter.replyTo,
+    tags: letter.tags,
+    goalCount: letter.goals.length,
+    attachmentCount: (letter.attachments || []).length,
+    countdown: calculateCountdown(letter.deliveredAt, now),
+    createdAt: letter.createdAt,
+    updatedAt: letter.updatedAt
+  };
 };
 
 /**
- * Update the delivery date of a letter
+ * Shape a letter for whoever is looking at it.
+ * Authors see it as presentLetter does. Recipients see the letter and
+ * everyone's reflections, but only the author's public details - not
+ * the author's tags, series or email delivery.
  */
-const updateDeliveryDate = async (letterId, newDate) => {
-  const letter = await Letter.findById(letterId);
+const presentLetterFor = (letter, viewerId, now = new Date()) => {
+  const presented = toPlainLetter(presentLetter(letter, now));
+  delete presented.trashedReflections;
 
-  if (!letter) {
-    throw new NotFoundError('Letter not found');
+  if (getLetterRole(letter, viewerId) !== LETTER_ROLES.RECIPIENT) {
+    return presented;
   }
-  letter.deliveredAt = new Date(newDate);
 
-// console.log('New deliveredAt:', letter.deliveredAt);
-// const tomorrow = newDate;
-// tomorrow.setHours(tomorrow.getHours + 24);
-// console.log('Tomorrow(24h from now):', tomorrow);
-// console.log('Is new date >= tomorrow', letter.deliveredAt >= tomorrow);
-
-try {
-  await letter.save();
-  console.log('Save successful!');
-} catch (error) {
-  console.log('Save failed', error.message);
-  throw error;
-}
-
-  await letter.populate('user');
-  return letter;
+  const author = letter.user || {};
+  presented.user = { _id: getId(author), username: author.username, name: author.name };
+  RECIPIENT_HIDDEN_FIELDS.forEach((field) => {
+    delete presented[field];
+  });
+  return presented;
 };
 
-// --- Data Preparation Helpers ---
+/**
+ * A presented letter as a plain object, so fields can be added to it
+ */
+const toPlainLetter = (presented) => {
+  return typeof presented.toJSON === 'function' ? presented.toJSON() : presented;
+};
 
 /**
- * Prepare letter data by attaching the user ID
- * Frontend calculates deliveredAt, backend just validates and stores it
+ * Time left until a letter arrives, broken into days/hours/minutes
  */
-const prepareLetterData = (userId, letterData) => {
-  const { deliveredAt, deliveryInterval, ...restOfLetterData } = letterData;
+const calculateCountdown = (deliveredAt, now) => {
+  const milliseconds = Math.max(new Date(deliveredAt) - now, 0);
+  const totalMinutes = Math.floor(milliseconds / (60 * 1000));
 
   return {
-    ...restOfLetterData,
-    deliveryInterval: deliveryInterval || DELIVERY_INTERVALS.CUSTOM_DATE,
-    deliveredAt: new Date(deliveredAt),
-    user: userId
+    milliseconds,
+    days: Math.floor(totalMinutes / (60 * 24)),
+    hours: Math.floor(totalMinutes / 60) % 24,
+    minutes: totalMinutes % 60
   };
 };
 
+// --- Reflection Helpers ---
+
 /**
- * Attach user details to a letter (populate)
+ * Append a new reflection to a letter's reflections array
  */
-const attachUserToLetter = async (letter) => {
-  await letter.populate('user');
+const appendReflection = async (letter, reflectionData, authorId) => {
+  letter.reflections.push({ ...reflectionData, author: authorId });
+  await letter.save();
   return letter;
 };
 
-// --- Authorization Helpers ---
-
 /**
- * Verify that the user making the request owns the letter
- * Throws an error if they don't
+ * Move a reflection from the letter to its trash
  */
-const verifyUserOwnsLetter = (letter, userId) => {
-  const letterOwnerId = letter.user._id || letter.user;
-
-  if (!letterOwnerId.equals(userId)) {
-    throw new ForbiddenError('You do not have permission to access this letter');
+const trashReflection = async (letter, reflectionId, userId) => {
+  const reflection = letter.reflections.id(reflectionId);
+  if (!reflection) {
+    throw new NotFoundError('Reflection not found');
   }
-};
-
-// --- Business Rule Helpers ---
-
-/**
- * Check if a letter's delivery date has passed, and update status if so
- */
-const updateDeliveryStatusIfDue = async (letter) => {
-  const currentDate = new Date();
-  const deliveryDate = new Date(letter.deliveredAt);
-  const isDeliveryDatePassed = currentDate > deliveryDate;
-  const isNotYetMarkedDelivered = !letter.isDelivered;
+  verifyUserWroteReflection(letter, reflection, userId);
 
-  if (isDeliveryDatePassed && isNotYetMarkedDelivered) {
-    letter.isDelivered = true;
-    await letter.save();
-  }
+  letter.trashedReflections.push({ ...reflection.toObject(), deletedAt: new Date() });
+  letter.reflections.pull({ _id: reflectionId });
+  await letter.save();
+  return letter;
 };
 
 /**
- * Ensure a letter has NOT been delivered (for editing restrictions)
- * Throws an error if the letter is already delivered
+ * Move a reflection from the letter's trash back onto the letter
  */
-const ensureLetterIsNotDelivered = (letter) => {
-  if (letter.isDelivered) {
-    throw new ForbiddenError('Cannot edit a delivered letter');
+const untrashReflection = async (letter, reflectionId, userId) => {
+  const reflection = letter.trashedReflections.id(reflectionId);
+  if (!reflection) {
+    throw new NotFoundError('Reflection not found in trash');
   }
+  verifyUserWroteReflection(letter, reflection, userId);
+
+  const { deletedAt, ...restored } = reflection.toObject();
+  letter.reflections.push(restored);
+  letter.trashedReflections.pull({ _id: reflectionId });
+  await letter.save();
+  return letter;
 };
 
 /**
- * Ensure a letter HAS been delivered (for adding reflections)
- * Throws an error if the letter is not yet delivered
+ * Verify the user wrote a reflection before they remove or restore it
  */
-const ensureLetterIsDelivered = (letter) => {
-  if (!letter.isDelivered) {
-    throw new ValidationError('Can only add reflections to delivered letters');
+const verifyUserWroteReflection = (letter, reflection, userId) => {
+  if (!isReflectionAuthor(letter, reflection, userId)) {
+    throw new ForbiddenError('You can only change your own reflections');
   }
 };
 
-// --- Reflection Helpers ---
+// --- Goal Helpers ---
 
 /**
- * Append a new reflection to a letter's reflections array
+ * Find one of a letter's goals
  */
-const appendReflection = async (letter, reflectionData) => {
-  letter.reflections.push(reflectionData);
-  await letter.save();
-  return letter;
+const findGoalOrFail = (letter, goalId) => {
+  const goal = letter.goals.id(goalId);
+  if (!goal) {
+    throw new NotFoundError('Goal not found');
+  }
+  return goal;
 };
 
 /**
- * Remove a specific reflection from a letter
+ * Check the status a goal is being moved to. Goals are only carried
+ * forward by carrying them, so they have a letter to go to.
  */
-const removeReflection = async (letter, reflectionId) => {
-  letter.reflections.pull({ _id: reflectionId });
-  await letter.save();
-  return letter;
+const parseGoalStatus = (status) => {
+  if (!GOAL_STATUSES.includes(status)) {
+    throw new ValidationError(`status must be one of: ${GOAL_STATUSES.join(', ')}`, {
+      status: 'Invalid status'
+    });
+  }
+  if (status === CARRIED_FORWARD) {
+    throw new ValidationError('To carry a goal forward, carry it into a letter', {
+      status: 'Use POST /letters/:id/goals/:goalId/carry-forward'
+    });
+  }
+  return status;
 };
 
 /**
@@ -414,20 +1824,64 @@ const updateUserStatsAfterLetterCreated = async (userId) => {
 const updateUserStatsAfterReflectionAdded = async (userId) => {
   try {
     await userService.updateUserStats(userId, {
-      incrementsReflections: true
+      incrementReflections: true
     });
   } catch (error) {
     console.error('Failed to update user stats after reflection:', error.message);
   }
 };
 
-const updateUserStatsAfterGoalAccomplished = async (userId) => {
+/**
+ * Add or take away a letter and its reflections from the stats of
+ * everyone involved: the author's letter count, each writer's
+ * reflection count, and the goal keeper's accomplished goals.
+ * direction is 1 when it comes back, -1 when it goes to the trash.
+ * Drafts never counted as letters.
+ */
+const adjustUserStatsForLetter = async (letter, direction) => {
+  const authorId = getId(letter.user);
+  const changes = new Map();
+  const changesFor = (userId) => {
+    const key = userId.toString();
+    if (!changes.has(key)) changes.set(key, { letters: 0, reflections: 0, goalsAccomplished: 0 });
+    return changes.get(key);
+  };
+
+  changesFor(authorId).letters = letter.status === 'draft' ? 0 : direction;
+
+  letter.reflections.forEach((reflection) => {
+    changesFor(getId(reflection.author || authorId)).reflections += direction;
+  });
+
+  const completedGoals = letter.goals.filter((goal) => goal.status === 'completed').length;
+  changesFor(getGoalKeeperId(letter)).goalsAccomplished += completedGoals * direction;
+
+  for (const [userId, userChanges] of changes) {
+    await adjustUserStatsSafely(userId, userChanges);
+  }
+};
+
+/**
+ * Count a template's use without letting a failure undo the new letter
+ */
+const recordTemplateUseSafely = async (templateId) => {
+  if (!templateId) return;
+
+  try {
+    await templateService.recordTemplateUse(templateId);
+  } catch (error) {
+    console.error('Failed to record template use:', error.message);
+  }
+};
+
+/**
+ * Adjust stats without letting a stats failure undo the user's action
+ */
+const adjustUserStatsSafely = async (userId, changes) => {
   try {
-    await userService.updateUserStats(userId, {
-      incrementGoalAccomplished: true
-    });
+    await userService.adjustUserStats(userId, changes);
   } catch (error) {
-    console.error('Failed to update user stats after goal accomplished:', error.message);
+    console.error('Failed to adjust user stats:', error.message);
   }
 };
 
@@ -436,22 +1890,58 @@ const updateUserStatsAfterGoalAccomplished = async (userId) => {
 module.exports = {
   // Getting Letters
   getAllLetters: getAllLettersForUser,
+  getSentLetters,
+  getInbox: getInboxForUser,
   getLetterById,
 
   // Creating Letters
   createLetter: createNewLetter,
+  createDraft,
+  scheduleDraft,
+
+  // Writing Back
+  replyToLetter,
+  getLetterThread,
+
+  // Editing Letters
+  updateLetterContent,
+  getLetterRevisions,
+  getLetterRevision,
+  restoreLetterRevision,
 
   // Updating Letters
   updateLetterDeliveryDate,
+  breakSeal: breakLetterSeal,
+  setLetterPlace,
+  removeLetterPlace,
 
-  // Deleting Letters
+  // Deleting and Restoring Letters
   deleteLetter,
+  getTrash: getTrashForUser,
+  restoreLetter,
+
+  // Managing Attachments
+  addAttachment,
+  getAttachmentDownload,
+  deleteAttachment: removeAttachmentFromLetter,
 
   // Managing Reflections
   addReflection: addReflectionToLetter,
   deleteReflection: removeReflectionFromLetter,
+  restoreReflection,
 
   updateGoalStatus,
   carryGoalForward,
   addGoalReflection,
+
+  // Shaping responses
+  presentLetter,
+  presentLetterFor,
+  isLetterSealed,
+
+  // Access Rules
+  LETTER_ACTIONS,
+  canAccessLetter,
+  getGoalKeeperId,
+  isReflectionAuthor
 };
@@ -0,0 +1,319 @@
+/**
+ * Mail Service
+ *
+ * When a letter is delivered, a copy of it is emailed to its author:
+ * 1. The delivery scheduler announces that a letter has arrived
+ * 2. We render the letter into an email and hand it to the mail transport
+ * 3. The outcome is recorded on the letter (letter.emailDelivery)
+ * 4. Failed sends are retried with a growing delay, up to a limit
+ *
+ * The scheduler queues the email (status pending) as it delivers the
+ * letter. Letters delivered before letters were emailed have no record
+ * at all - those were never meant to be sent, and aren't.
+ */
+
+const Letter = require('../models/letter');
+const { onLetterDelivered } = require('./deliveryScheduler');
+const { renderLetterEmail } = require('../utils/letterEmail');
+const { decryptLetterFields } = require('./encryptionService');
+const { systemClock } = require('../utils/clock');
+const { createIntervalJob } = require('../utils/intervalJob');
+
+// Configuration constants
+const DEFAULT_FROM_ADDRESS = 'SoulMail <letters@soulmail.local>';
+const DEFAULT_MAX_ATTEMPTS = 5;
+const DEFAULT_RETRY_INTERVAL_MS = 5 * 60 * 1000;
+const RETRY_BASE_DELAY_MS = 60 * 1000;
+const RETRY_BATCH_SIZE = 50;
+// A send that hasn't finished after this long was cut off (the process
+// stopped mid-send), so the email can be claimed again
+const SENDING_TIMEOUT_MS = 15 * 60 * 1000;
+
+const EMAIL_STATUS = {
+  PENDING: 'pending',
+  SENDING: 'sending',
+  SENT: 'sent',
+  FAILED: 'failed',
+  SKIPPED: 'skipped'
+};
+
+/**
+ * SEND A LETTER BY EMAIL
+ * Claims the letter, sends it, and records how it went.
+ * Returns the letter's emailDelivery record, or null if another
+ * worker already owns this letter's email.
+ */
+const sendLetterEmail = async (letterId, {
+  transport,
+  from = DEFAULT_FROM_ADDRESS,
+  maxAttempts = DEFAULT_MAX_ATTEMPTS,
+  now = systemClock.now()
+}) => {
+  // Step 1: Claim the letter so no one else sends it at the same time
+  const letter = await claimLetterForSending(letterId, now);
+  if (!letter) {
+    return null;
+  }
+
+  // Step 2: Make sure there is somewhere to send it
+  const recipient = resolveEmailRecipient(letter);
+  if (!recipient.email) {
+    return await recordSkipped(letter, 'Recipient has no email address');
+  }
+
+  // Step 3: Render and send the email
+  try {
+    await decryptLetterFields(letter);
+    const { subject, text, html } = renderLetterEmail(letter, recipient.name, {
+      authorName: recipient.authorName
+    });
+    const { messageId } = await transport.send({
+      from,
+      to: recipient.email,
+      subject,
+      text,
+      html
+    });
+
+    // Step 4: Record the successful send
+    return await recordSent(letter, messageId, now);
+  } catch (error) {
+    // Step 4: Record the failure and schedule a retry if attempts remain
+    return await recordFailure(letter, error, now, maxAttempts);
+  }
+};
+
+/**
+ * RETRY FAILED EMAILS
+ * Resend every letter email that is waiting for another attempt,
+ * including ones still pending and ones a stopped process left sending.
+ */
+const retryPendingEmails = async (options) => {
+  const now = options.now || systemClock.now();
+  const letterIds = await findLettersAwaitingEmail(now);
+
+  let sentCount = 0;
+  for (const letterId of letterIds) {
+    const emailDelivery = await sendLetterEmail(letterId, { ...options, now });
+    if (emailDelivery && emailDelivery.status === EMAIL_STATUS.SENT) {
+      sentCount++;
+    }
+  }
+
+  return { attemptedCount: letterIds.length, sentCount };
+};
+
+/**
+ * CREATE A MAIL WORKER
+ * Emails letters as soon as they are delivered and periodically
+ * retries the ones that failed.
+ */
+const createMailDeliveryWorker = ({
+  transport,
+  from = DEFAULT_FROM_ADDRESS,
+  maxAttempts = DEFAULT_MAX_ATTEMPTS,
+  clock = systemClock,
+  retryIntervalMs = DEFAULT_RETRY_INTERVAL_MS
+}) => {
+  let unsubscribe = null;
+
+  const sendOptions = () => ({ transport, from, maxAttempts, now: clock.now() });
+
+  const retryJob = createIntervalJob({
+    name: 'Mail retry',
+    run: (now) => retryPendingEmails({ transport, from, maxAttempts, now }),
+    intervalMs: retryIntervalMs,
+    clock
+  });
+
+  const start = () => {
+    if (unsubscribe) return;
+    unsubscribe = onLetterDelivered((letter) => sendLetterEmail(letter._id, sendOptions()));
+    retryJob.start();
+  };
+
+  const stop = () => {
+    if (!unsubscribe) return;
+    unsubscribe();
+    unsubscribe = null;
+    retryJob.stop();
+  };
+
+  return {
+    start,
+    stop,
+    runRetries: retryJob.runOnce
+  };
+};
+
+// --- Database Query Helpers ---
+
+/**
+ * Atomically move a letter's email into the "sending" state.
+ * Only letters that are delivered and still waiting (pending, failed
+ * with a retry now due, or stuck sending) can be claimed.
+ */
+const claimLetterForSending = async (letterId, now) => {
+  return await Letter.findOneAndUpdate(
+    {
+      _id: letterId,
+      isDelivered: true,
+      $or: buildAwaitingEmailConditions(now)
+    },
+    {
+      $set: {
+        'emailDelivery.status': EMAIL_STATUS.SENDING,
+        'emailDelivery.lastAttemptAt': now
+      },
+      $inc: { 'emailDelivery.attempts': 1 }
+    },
+    { new: true }
+  ).populate(['user', 'recipient.user']);
+};
+
+/**
+ * The ways a delivered letter's email can still be waiting to go out:
+ * pending, failed with a retry now due, or left "sending" by a send
+ * that never finished. A letter with no record isn't waiting.
+ */
+const buildAwaitingEmailConditions = (now) => {
+  return [
+    { 'emailDelivery.status': EMAIL_STATUS.PENDING },
+    {
+      'emailDelivery.status': EMAIL_STATUS.FAILED,
+      'emailDelivery.nextAttemptAt': { $lte: now }
+    },
+    {
+      'emailDelivery.status': EMAIL_STATUS.SENDING,
+      'emailDelivery.lastAttemptAt': { $lte: new Date(now.getTime() - SENDING_TIMEOUT_MS) }
+    }
+  ];
+};
+
+/**
+ * Who a letter's email goes to: { email, name, authorName }
+ * Letters to yourself go to you; letters to someone else go to them,
+ * whether they're a SoulMail user or just an email address.
+ */
+const resolveEmailRecipient = (letter) => {
+  const author = letter.user || {};
+  const recipient = letter.recipient || {};
+
+  if (!recipient.user && !recipient.email) {
+    return { email: author.email, name: author.name };
+  }
+
+  const authorName = author.name || author.username || 'Someone';
+  if (recipient.user) {
+    return {
+      email: recipient.user.email,
+      name: recipient.user.name || recipient.user.username,
+      authorName
+    };
+  }
+  return { email: recipient.email, name: recipient.name, authorName };
+};
+
+/**
+ * Find letters whose email is waiting for a (re)send
+ */
+const findLettersAwaitingEmail = async (now) => {
+  const letters = await Letter.find({
+    isDelivered: true,
+    deletedAt: null,
+    $or: buildAwaitingEmailConditions(now)
+  })
+    .sort({ 'emailDelivery.nextAttemptAt': 1 })
+    .limit(RETRY_BATCH_SIZE)
+    .select('_id')
+    .lean();
+
+  return letters.map((letter) => letter._id);
+};
+
+// --- Status Helpers ---
+
+/**
+ * Record that the email was handed off to the transport
+ */
+const recordSent = async (letter, messageId, now) => {
+  return await updateEmailDelivery(letter, {
+    status: EMAIL_STATUS.SENT,
+    sentAt: now,
+    messageId,
+    nextAttemptAt: undefined,
+    failureReason: undefined
+  });
+};
+
+/**
+ * Record that there was nothing to send the email to
+ */
+const recordSkipped = async (letter, reason) => {
+  return await updateEmailDelivery(letter, {
+    status: EMAIL_STATUS.SKIPPED,
+    nextAttemptAt: undefined,
+    failureReason: reason
+  });
+};
+
+/**
+ * Record a failed send. If attempts remain, schedule the next one
+ * with exponential backoff (1 min, 2 min, 4 min, ...)
+ */
+const recordFailure = async (letter, error, now, maxAttempts) => {
+  const attempts = letter.emailDelivery.attempts;
+  const hasAttemptsLeft = attempts < maxAttempts;
+
+  const nextAttemptAt = hasAttemptsLeft
+    ? new Date(now.getTime() + RETRY_BASE_DELAY_MS * 2 ** (attempts - 1))
+    : undefined;
+
+  console.error(`Failed to email letter ${letter._id} (attempt ${attempts}):`, error.message);
+
+  return await updateEmailDelivery(letter, {
+    status: EMAIL_STATUS.FAILED,
+    nextAttemptAt,
+    failureReason: error.message
+  });
+};
+
+/**
+ * Apply changes to a letter's emailDelivery record and save.
+ * Uses updateOne so the deliveredAt validator doesn't run on old letters.
+ */
+const updateEmailDelivery = async (letter, changes) => {
+  const $set = {};
+  const $unset = {};
+
+  Object.entries(changes).forEach(([key, value]) => {
+    if (value === undefined) {
+      $unset[`emailDelivery.${key}`] = '';
+    } else {
+      $set[`emailDelivery.${key}`] = value;
+    }
+  });
+
+  const update = { $set };
+  if (Object.keys($unset).length > 0) {
+    update.$unset = $unset;
+  }
+
+  await Letter.updateOne({ _id: letter._id }, update);
+
+  return {
+    ...letter.emailDelivery.toObject(),
+    ...changes
+  };
+};
+
+// exports
+
+module.exports = {
+  // Sending
+  sendLetterEmail,
+  retryPendingEmails,
+  createMailDeliveryWorker,
+
+  EMAIL_STATUS
+};
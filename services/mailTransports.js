@@ -0,0 +1,159 @@
+/**
+ * Mail Transports
+ *
+ * A transport is anything that can take a message and get it to an inbox.
+ * Every transport has the same shape:
+ *   {
+ *     name: 'smtp',
+ *     send: async ({ from, to, subject, text, html }) => ({ messageId })
+ *   }
+ * send() throws if the message could not be handed off.
+ *
+ * - smtp:   real delivery through an SMTP server (production)
+ * - file:   writes each message to a folder as JSON (local development
+ *           only - the letters are written out as plain text)
+ * - memory: keeps messages in an array (tests)
+ * - none:   mail is off - letters' emails wait, pending, until a
+ *           transport is configured
+ */
+
+const fs = require('fs/promises');
+const path = require('path');
+const crypto = require('crypto');
+const nodemailer = require('nodemailer');
+
+const TRANSPORT_TYPES = {
+  SMTP: 'smtp',
+  FILE: 'file',
+  MEMORY: 'memory',
+  NONE: 'none'
+};
+
+const DEFAULT_OUTBOX_DIR = path.join(__dirname, '..', 'tmp', 'outbox');
+
+/**
+ * SMTP TRANSPORT
+ * Sends mail through a real SMTP server
+ */
+const createSmtpTransport = ({ host, port = 587, secure = false, user, pass }) => {
+  if (!host) {
+    throw new Error('SMTP host is required for the smtp mail transport (set SMTP_HOST, or MAIL_TRANSPORT=file locally)');
+  }
+
+  const smtp = nodemailer.createTransport({
+    host,
+    port,
+    secure,
+    auth: user ? { user, pass } : undefined
+  });
+
+  const send = async (message) => {
+    const info = await smtp.sendMail(message);
+    return { messageId: info.messageId };
+  };
+
+  return { name: TRANSPORT_TYPES.SMTP, send };
+};
+
+/**
+ * FILE TRANSPORT
+ * Writes every message to its own JSON file so you can read
+ * what would have been sent without an SMTP server
+ */
+const createFileTransport = ({ directory = DEFAULT_OUTBOX_DIR } = {}) => {
+  const send = async (message) => {
+    const messageId = generateMessageId();
+    const fileName = `${Date.now()}-${messageId}.json`;
+
+    await fs.mkdir(directory, { recursive: true });
+    await fs.writeFile(
+      path.join(directory, fileName),
+      JSON.stringify({ messageId, ...message }, null, 2)
+    );
+
+    return { messageId };
+  };
+
+  return { name: TRANSPORT_TYPES.FILE, send, directory };
+};
+
+/**
+ * MEMORY TRANSPORT
+ * Keeps sent messages in memory. Set failWith to an Error
+ * to make every send fail (handy for testing retries).
+ */
+const createMemoryTransport = () => {
+  const transport = {
+    name: TRANSPORT_TYPES.MEMORY,
+    sent: [],
+    failWith: null,
+    send: async (message) => {
+      if (transport.failWith) {
+        throw transport.failWith;
+      }
+      const messageId = generateMessageId();
+      transport.sent.push({ messageId, ...message });
+      return { messageId };
+    }
+  };
+
+  return transport;
+};
+
+/**
+ * Pick a transport based on environment configuration
+ * MAIL_TRANSPORT=smtp|file|memory|none (defaults to smtp, or file when
+ * NODE_ENV=development). The file transport writes letters out as plain
+ * text, so it's never picked for a real deployment by accident.
+ * Returns null when mail is off - set to none, or smtp without SMTP_HOST
+ * (logged, so the server still starts without a mail server).
+ */
+const createTransportFromEnv = (env = process.env) => {
+  const type = env.MAIL_TRANSPORT
+    || (env.NODE_ENV === 'development' ? TRANSPORT_TYPES.FILE : TRANSPORT_TYPES.SMTP);
+
+  switch (type) {
+    case TRANSPORT_TYPES.SMTP:
+      if (!env.SMTP_HOST) {
+        console.warn('Letter emails are off: set SMTP_HOST to send them (or MAIL_TRANSPORT=file locally)');
+        return null;
+      }
+      return createSmtpTransport({
+        host: env.SMTP_HOST,
+        port: Number(env.SMTP_PORT) || undefined,
+        secure: env.SMTP_SECURE === 'true',
+        user: env.SMTP_USER,
+        pass: env.SMTP_PASS
+      });
+    case TRANSPORT_TYPES.FILE:
+      return createFileTransport({ directory: env.MAIL_OUTBOX_DIR || undefined });
+    case TRANSPORT_TYPES.MEMORY:
+      return createMemoryTransport();
+    case TRANSPORT_TYPES.NONE:
+      return null;
+    default:
+      throw new Error(
+        `Invalid mail transport: "${type}". ` +
+        `Valid options are: ${Object.values(TRANSPORT_TYPES).join(', ')}`
+      );
+  }
+};
+
+// --- Helpers ---
+
+/**
+ * Generate a unique message ID for transports that don't provide one
+ */
+const generateMessageId = () => {
+  return `<${crypto.randomUUID()}@soulmail.local>`;
+};
+
+// exports
+
+module.exports = {
+  TRANSPORT_TYPES,
+  createSmtpTransport,
+  createFileTransport,
+  createMemoryTransport,
+  createTransportFromEnv
+};
@@ -0,0 +1,302 @@
+/**
+ * Mood Service
+ *
+ * Every letter remembers the mood it was written in. Over time that
+ * says something:
+ * 1. How moods are spread across weeks, months or years
+ * 2. Whether looking back (reflections written later) sounds brighter
+ *    or darker than the mood at the time of writing
+ * 3. Streaks - runs of letters written in the same mood, or in good ones
+ *
+ * The moods themselves live in utils/moods. Weeks, months and years are
+ * the user's own, in their time zone.
+ */
+
+const Letter = require('../models/letter');
+const userService = require('./userService');
+const { decryptLetters } = require('./encryptionService');
+const { toZonedDateTime } = require('../utils/timezone');
+const { MOODS, getMoodByEmoji } = require('../utils/moods');
+const { scoreSentiment } = require('../utils/sentiment');
+const { ValidationError } = require('../middleware/errorHandler');
+
+// Configuration constants
+const MAX_TREND_LETTERS = 5000;
+const MAX_VALENCE = 2;
+// How far a reflection's tone must be from the mood to count as a shift
+const SHIFT_THRESHOLD = 0.25;
+
+// How trends can be grouped, and how each period is labelled
+const TREND_PERIODS = {
+  week: "kkkk-'W'WW",
+  month: 'yyyy-MM',
+  year: 'yyyy'
+};
+
+/**
+ * GET MOOD TRENDS
+ * query (all optional, from the query string):
+ *   period   week | month | year   (default month)
+ *   from, to only letters written in this range
+ */
+const getMoodTrends = async (userId, query = {}) => {
+  // Step 1: Work out what the user asked for
+  const period = parsePeriod(query.period);
+  const range = parseDateRange(query);
+  const { timezone } = await userService.getDeliveryPreferences(userId);
+
+  // Step 2: Load the letters, oldest first, with reflections readable
+  const { letters, truncated } = await findLettersWithMoods(userId, range);
+
+  // Step 3: Work out the trends
+  return {
+    period,
+    timezone,
+    moods: MOODS.map(presentMood),
+    lettersCounted: letters.length,
+    // Only the newest MAX_TREND_LETTERS are counted; narrow from/to to see older ones
+    truncated,
+    countedFrom: letters.length > 0 ? letters[0].createdAt : null,
+    distribution: buildDistribution(letters, period, timezone),
+    reflections: compareReflections(letters, userId),
+    streaks: findStreaks(letters)
+  };
+};
+
+// --- Distribution Helpers ---
+
+/**
+ * How many letters were written in each mood, per period
+ */
+const buildDistribution = (letters, period, timezone) => {
+  const buckets = new Map();
+
+  letters.forEach((letter) => {
+    const writtenAt = toZonedDateTime(letter.createdAt, timezone);
+    const label = writtenAt.toFormat(TREND_PERIODS[period]);
+    if (!buckets.has(label)) {
+      buckets.set(label, {
+        period: label,
+        start: writtenAt.startOf(period).toISODate(),
+        total: 0,
+        withoutMood: 0,
+        moods: {},
+        valenceTotal: 0
+      });
+    }
+
+    const bucket = buckets.get(label);
+    const mood = getMoodByEmoji(letter.mood);
+    bucket.total += 1;
+    if (!mood) {
+      bucket.withoutMood += 1;
+      return;
+    }
+    bucket.moods[mood.key] = (bucket.moods[mood.key] || 0) + 1;
+    bucket.valenceTotal += mood.valence;
+  });
+
+  return [...buckets.values()].map(({ valenceTotal, ...bucket }) => {
+    const withMood = bucket.total - bucket.withoutMood;
+    return { ...bucket, averageValence: withMood > 0 ? round(valenceTotal / withMood) : null };
+  });
+};
+
+// --- Reflection Helpers ---
+
+/**
+ * How the user's later reflections sound next to the mood they wrote in.
+ * A mood and a reflection are both scored from -1 to 1.
+ */
+const compareReflections = (letters, userId) => {
+  const byMood = new Map();
+  const shifts = { brighter: 0, similar: 0, darker: 0 };
+  let shiftTotal = 0;
+  let lettersCompared = 0;
+
+  letters.forEach((letter) => {
+    const mood = getMoodByEmoji(letter.mood);
+    const reflections = (letter.reflections || [])
+      .filter((reflection) => !reflection.deletedAt && String(reflection.author || letter.user) === String(userId));
+    if (!mood || reflections.length === 0) {
+      return;
+    }
+
+    const sentiment = average(reflections.map((reflection) => scoreSentiment(reflection.reflection)));
+    const shift = sentiment - mood.valence / MAX_VALENCE;
+    lettersCompared += 1;
+    shiftTotal += shift;
+    if (shift > SHIFT_THRESHOLD) shifts.brighter += 1;
+    else if (shift < -SHIFT_THRESHOLD) shifts.darker += 1;
+    else shifts.similar += 1;
+
+    const entry = byMood.get(mood.key) || { mood: presentMood(mood), letters: 0, sentiments: [] };
+    entry.letters += 1;
+    entry.sentiments.push(sentiment);
+    byMood.set(mood.key, entry);
+  });
+
+  return {
+    lettersCompared,
+    ...shifts,
+    averageShift: lettersCompared > 0 ? round(shiftTotal / lettersCompared) : null,
+    byMood: [...byMood.values()].map(({ sentiments, ...entry }) => ({
+      ...entry,
+      averageReflectionSentiment: round(average(sentiments))
+    }))
+  };
+};
+
+// --- Streak Helpers ---
+
+/**
+ * Runs of letters in a row (skipping letters without a mood):
+ * - current: the run the latest letters are part of
+ * - longest: the longest run in one mood (the latest, if there's a tie)
+ * - longestPositive: the longest run of good moods, whichever they were
+ */
+const findStreaks = (letters) => {
+  const withMoods = letters
+    .map((letter) => ({ mood: getMoodByEmoji(letter.mood), writtenAt: letter.createdAt }))
+    .filter(({ mood }) => mood)
+    .map((entry, position) => ({ ...entry, position }));
+
+  const sameMoodRuns = findRuns(withMoods, (previous, next) => previous.mood.key === next.mood.key);
+  const positiveRuns = findRuns(
+    withMoods.filter(({ mood }) => mood.valence > 0),
+    (previous, next) => next.position === previous.position + 1
+  );
+
+  const current = sameMoodRuns[sameMoodRuns.length - 1];
+  const longest = findLongestRun(sameMoodRuns);
+  const longestPositive = findLongestRun(positiveRuns);
+
+  return {
+    current: current ? presentRun(current, true) : null,
+    longest: longest ? presentRun(longest, true) : null,
+    longestPositive: longestPositive ? presentRun(longestPositive, false) : null
+  };
+};
+
+/**
+ * Split entries into runs, each continuing while belongsWith(previous, next)
+ */
+const findRuns = (entries, belongsWith) => {
+  const runs = [];
+  entries.forEach((entry, index) => {
+    if (index > 0 && belongsWith(entries[index - 1], entry)) {
+      runs[runs.length - 1].push(entry);
+    } else {
+      runs.push([entry]);
+    }
+  });
+  return runs;
+};
+
+/**
+ * The longest run (the latest, if there's a tie)
+ */
+const findLongestRun = (runs) => {
+  return runs.reduce((longest, run) => (!longest || run.length >= longest.length ? run : longest), null);
+};
+
+/**
+ * Describe a run of letters
+ */
+const presentRun = (run, withMood) => {
+  return {
+    mood: withMood ? presentMood(run[0].mood) : undefined,
+    length: run.length,
+    from: run[0].writtenAt,
+    to: run[run.length - 1].writtenAt
+  };
+};
+
+// --- Database Query Helpers ---
+
+/**
+ * A user's letters in a date range, oldest first, with their
+ * reflections decrypted. Past MAX_TREND_LETTERS, the newest are kept
+ * (so current streaks and recent periods are right) and truncated is set.
+ */
+const findLettersWithMoods = async (userId, { from, to }) => {
+  const filter = { user: userId, deletedAt: null };
+  if (from || to) {
+    filter.createdAt = {};
+    if (from) filter.createdAt.$gte = from;
+    if (to) filter.createdAt.$lte = to;
+  }
+
+  const letters = await Letter.find(filter)
+    .select('user mood createdAt reflections')
+    .sort({ createdAt: -1 })
+    .limit(MAX_TREND_LETTERS + 1)
+    .lean();
+
+  const truncated = letters.length > MAX_TREND_LETTERS;
+  const newest = letters.slice(0, MAX_TREND_LETTERS).reverse();
+  return { letters: await decryptLetters(newest), truncated };
+};
+
+// --- Validation Helpers ---
+
+/**
+ * Check the period trends are grouped by
+ */
+const parsePeriod = (period = 'month') => {
+  if (!TREND_PERIODS[period]) {
+    throw new ValidationError(`period must be one of: ${Object.keys(TREND_PERIODS).join(', ')}`, {
+      period: 'Invalid period'
+    });
+  }
+  return period;
+};
+
+/**
+ * Check the from/to dates
+ */
+const parseDateRange = ({ from, to }) => {
+  const range = {};
+  [['from', from], ['to', to]].forEach(([field, value]) => {
+    if (value === undefined) return;
+    const date = new Date(value);
+    if (Number.isNaN(date.getTime())) {
+      throw new ValidationError(`${field} must be a date`, { [field]: 'Invalid date' });
+    }
+    range[field] = date;
+  });
+
+  if (range.from && range.to && range.from > range.to) {
+    throw new ValidationError('from must be before to', { from: 'Must be before to' });
+  }
+  return range;
+};
+
+// --- Presentation Helpers ---
+
+/**
+ * A mood as the response shows it
+ */
+const presentMood = ({ key, emoji, name, valence }) => {
+  return { key, emoji, name, valence };
+};
+
+/**
+ * The average of some numbers (0 for none)
+ */
+const average = (numbers) => {
+  return numbers.length === 0 ? 0 : numbers.reduce((sum, number) => sum + number, 0) / numbers.length;
+};
+
+/**
+ * Round to two decimal places
+ */
+const round = (number) => {
+  return Math.round(number * 100) / 100;
+};
+
+// exports
+
+module.exports = {
+  getMoodTrends
+};
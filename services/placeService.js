@@ -0,0 +1,177 @@
+/**
+ * Place Service
+ *
+ * Reminds a user what they wrote where:
+ * 1. Letters near a spot ("you've written here before"), closest first
+ * 2. Letters inside an area of the map, for drawing them as pins
+ * 3. Every place the user has written from, with how many letters each
+ *
+ * Only the user's own letters are found, and only by the point they were
+ * saved with - a letter saved at 'city' precision is found near the middle
+ * of its city, not its street. Sealed letters come back as envelopes.
+ */
+
+const mongoose = require('mongoose');
+const Letter = require('../models/letter');
+const { presentLetter } = require('./letterService');
+const { decryptLetters } = require('./encryptionService');
+const { parsePageSize } = require('../utils/pagination');
+const { toGeoPoint, parseBoundingBox } = require('../utils/geoPoint');
+const { ValidationError } = require('../middleware/errorHandler');
+
+// Configuration constants
+const DEFAULT_RADIUS_METERS = 1000;
+const MAX_RADIUS_METERS = 100 * 1000;
+const MAX_PLACES = 500;
+
+// Map results leave out the letter text itself, like the letter list does
+const MAP_PROJECTION = { content: 0, trashedReflections: 0 };
+
+/**
+ * LETTERS WRITTEN NEAR A SPOT
+ * query is { latitude, longitude, radius (meters), limit }.
+ * Closest first, each with its distance in meters.
+ */
+const getLettersNear = async (userId, query = {}) => {
+  // Step 1: Work out where and how far to look
+  const point = toGeoPoint(query, 'exact');
+  const radius = parseRadius(query.radius);
+  const limit = parsePageSize(query.limit);
+
+  // Step 2: Find the closest letters
+  const letters = await Letter.aggregate([
+    {
+      $geoNear: {
+        near: point,
+        key: 'locationPoint',
+        distanceField: 'distance',
+        maxDistance: radius,
+        spherical: true,
+        query: { user: toObjectId(userId), deletedAt: null }
+      }
+    },
+    { $limit: limit },
+    { $project: MAP_PROJECTION }
+  ]);
+  await decryptLetters(letters);
+
+  // Step 3: Return them with how far away each is
+  return {
+    near: { latitude: point.coordinates[1], longitude: point.coordinates[0], radius },
+    letters: letters.map((letter) => ({
+      ...presentLetter(letter),
+      distance: Math.round(letter.distance)
+    }))
+  };
+};
+
+/**
+ * LETTERS INSIDE A MAP AREA
+ * query is { bbox: "minLongitude,minLatitude,maxLongitude,maxLatitude", limit }.
+ * Newest first.
+ */
+const getLettersWithin = async (userId, query = {}) => {
+  // Step 1: Work out the area
+  const area = parseBoundingBox(query.bbox);
+  const limit = parsePageSize(query.limit);
+
+  // Step 2: Find the letters inside it
+  const filter = {
+    user: userId,
+    deletedAt: null,
+    locationPoint: { $geoWithin: { $geometry: area } }
+  };
+  const [letters, total] = await Promise.all([
+    Letter.find(filter).select(MAP_PROJECTION).sort({ createdAt: -1, _id: -1 }).limit(limit).lean(),
+    Letter.countDocuments(filter)
+  ]);
+  await decryptLetters(letters);
+
+  // Step 3: Return them, saying if there were more than fit
+  return {
+    letters: letters.map((letter) => presentLetter(letter)),
+    total,
+    hasMore: total > letters.length
+  };
+};
+
+/**
+ * EVERY PLACE A USER HAS WRITTEN FROM
+ * Places are told apart by name (whatever the capitalization), or by
+ * their point when a letter has no place name. Most-written first.
+ */
+const getPlacesForUser = async (userId) => {
+  const places = await Letter.aggregate([
+    {
+      $match: {
+        user: toObjectId(userId),
+        deletedAt: null,
+        $or: [{ location: { $nin: [null, ''] } }, { locationPoint: { $exists: true } }]
+      }
+    },
+    // Newest first, so each place shows its latest name and point
+    { $sort: { createdAt: -1 } },
+    {
+      $group: {
+        _id: {
+          $cond: [
+            { $gt: [{ $strLenCP: { $ifNull: ['$location', ''] } }, 0] },
+            { name: { $toLower: '$location' } },
+            { point: '$locationPoint.coordinates' }
+          ]
+        },
+        name: { $first: '$location' },
+        point: { $first: '$locationPoint' },
+        precision: { $first: '$locationPrecision' },
+        letterCount: { $sum: 1 },
+        firstWrittenAt: { $min: '$createdAt' },
+        lastWrittenAt: { $max: '$createdAt' }
+      }
+    },
+    { $sort: { letterCount: -1, lastWrittenAt: -1 } },
+    { $limit: MAX_PLACES }
+  ]);
+
+  return {
+    places: places.map(({ name, point, precision, letterCount, firstWrittenAt, lastWrittenAt }) => ({
+      name: name || null,
+      point: point || null,
+      precision: precision || null,
+      letterCount,
+      firstWrittenAt,
+      lastWrittenAt
+    }))
+  };
+};
+
+// --- Helpers ---
+
+/**
+ * Check a search radius in meters
+ */
+const parseRadius = (value) => {
+  if (value === undefined) return DEFAULT_RADIUS_METERS;
+
+  const radius = Number(value);
+  if (!Number.isFinite(radius) || radius <= 0 || radius > MAX_RADIUS_METERS) {
+    throw new ValidationError(`radius must be between 1 and ${MAX_RADIUS_METERS} meters`, {
+      radius: 'Invalid radius'
+    });
+  }
+  return radius;
+};
+
+/**
+ * Aggregation stages don't cast IDs like queries do
+ */
+const toObjectId = (id) => {
+  return new mongoose.Types.ObjectId(String(id));
+};
+
+// exports
+
+module.exports = {
+  getLettersNear,
+  getLettersWithin,
+  getPlaces: getPlacesForUser
+};
@@ -0,0 +1,191 @@
+/**
+ * Prompt Service
+ *
+ * Helps a user past the blank page:
+ * 1. They browse the curated prompt library by theme and by how far
+ *    ahead the letter is going
+ * 2. Or they take the prompt of the day
+ * 3. Letters written from a prompt remember which one, so the user can
+ *    see what they've already answered
+ *
+ * The prompts themselves live in utils/promptLibrary.
+ */
+
+const mongoose = require('mongoose');
+const Letter = require('../models/letter');
+const userService = require('./userService');
+const { VALID_INTERVALS } = require('../utils/dateCalculator');
+const { toZonedDateTime } = require('../utils/timezone');
+const { systemClock } = require('../utils/clock');
+const {
+  THEME_LABELS,
+  VALID_THEMES,
+  getPromptById,
+  findPrompts
+} = require('../utils/promptLibrary');
+const {
+  NotFoundError,
+  ValidationError
+} = require('../middleware/errorHandler');
+
+// Configuration constants
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * GET PROMPTS
+ * A user browses the library. filters is { theme, interval } (both optional).
+ * Each prompt says how many of the user's letters answered it.
+ */
+const getPromptsForUser = async (userId, filters = {}) => {
+  // Step 1: Check the filters
+  const criteria = parsePromptFilters(filters);
+
+  // Step 2: Find the matching prompts and how often the user used each
+  const prompts = findPrompts(criteria);
+  const usage = await countPromptUsage(userId);
+
+  // Step 3: Return the themes and the prompts
+  return {
+    themes: VALID_THEMES.map((theme) => ({
+      id: theme,
+      label: THEME_LABELS[theme],
+      promptCount: prompts.filter((prompt) => prompt.theme === theme).length
+    })),
+    prompts: prompts.map((prompt) => presentPrompt(prompt, usage[prompt.id]))
+  };
+};
+
+/**
+ * GET ONE PROMPT
+ * A prompt from the library, with how many of the user's letters answered it
+ */
+const getPromptForUser = async (userId, promptId) => {
+  const prompt = findPromptOrFail(promptId);
+  const usage = await countPromptUsage(userId);
+
+  return presentPrompt(prompt, usage[prompt.id]);
+};
+
+/**
+ * PROMPT OF THE DAY
+ * Everyone gets the same prompt on the same calendar day (in their own
+ * time zone), so it's something to talk about. filters narrows it to a
+ * theme or interval, still changing daily.
+ */
+const getPromptOfTheDay = async (userId, filters = {}, now = systemClock.now()) => {
+  // Step 1: Check the filters and find the prompts to choose from
+  const prompts = findPrompts(parsePromptFilters(filters));
+  if (prompts.length === 0) {
+    throw new NotFoundError('No prompts match those filters');
+  }
+
+  // Step 2: Work out what day it is for the user
+  const { timezone } = await userService.getDeliveryPreferences(userId);
+  const today = toZonedDateTime(now, timezone).startOf('day');
+
+  // Step 3: Pick today's prompt
+  const dayNumber = Math.floor(today.setZone('UTC', { keepLocalTime: true }).toMillis() / DAY_MS);
+  const prompt = prompts[dayNumber % prompts.length];
+  const usage = await countPromptUsage(userId);
+
+  // Step 4: Return it with the day it's for
+  return {
+    date: today.toISODate(),
+    prompt: presentPrompt(prompt, usage[prompt.id])
+  };
+};
+
+/**
+ * FIND A PROMPT FOR A LETTER
+ * Used when a letter is written from a prompt: the prompt must exist.
+ * Throws a validation error on the letter's promptId if it doesn't.
+ */
+const resolvePromptForLetter = (promptId) => {
+  const prompt = getPromptById(String(promptId));
+
+  if (!prompt) {
+    throw new ValidationError(`"${promptId}" is not a prompt in the library`, {
+      promptId: 'Unknown prompt'
+    });
+  }
+  return prompt;
+};
+
+// --- Helpers ---
+
+/**
+ * Find a prompt in the library, or throw an error if not found
+ */
+const findPromptOrFail = (promptId) => {
+  const prompt = getPromptById(String(promptId));
+
+  if (!prompt) {
+    throw new NotFoundError('Prompt not found');
+  }
+  return prompt;
+};
+
+/**
+ * Check the theme and interval filters from the query string
+ */
+const parsePromptFilters = ({ theme, interval } = {}) => {
+  if (theme !== undefined && !VALID_THEMES.includes(theme)) {
+    throw new ValidationError(`"${theme}" is not a theme. Choose from: ${VALID_THEMES.join(', ')}`, {
+      theme: 'Invalid theme'
+    });
+  }
+  if (interval !== undefined && !VALID_INTERVALS.includes(interval)) {
+    throw new ValidationError(
+      `"${interval}" is not a valid delivery interval. Choose from: ${VALID_INTERVALS.join(', ')}`,
+      { interval: 'Invalid delivery interval' }
+    );
+  }
+  return { theme, interval };
+};
+
+/**
+ * How many of the user's letters answered each prompt: { [promptId]: count }
+ */
+const countPromptUsage = async (userId) => {
+  const counts = await Letter.aggregate([
+    {
+      $match: {
+        user: new mongoose.Types.ObjectId(String(userId)),
+        promptId: { $type: 'string' },
+        deletedAt: null
+      }
+    },
+    { $group: { _id: '$promptId', count: { $sum: 1 } } }
+  ]);
+
+  return counts.reduce((usage, { _id, count }) => {
+    usage[_id] = count;
+    return usage;
+  }, {});
+};
+
+/**
+ * Shape a prompt for the response
+ */
+const presentPrompt = (prompt, timesUsed = 0) => {
+  return {
+    id: prompt.id,
+    theme: prompt.theme,
+    themeLabel: THEME_LABELS[prompt.theme],
+    text: prompt.text,
+    intervals: prompt.intervals,
+    timesUsed
+  };
+};
+
+// exports
+
+module.exports = {
+  // Browsing Prompts
+  getPrompts: getPromptsForUser,
+  getPrompt: getPromptForUser,
+  getPromptOfTheDay,
+
+  // Writing From Prompts
+  resolvePromptForLetter
+};
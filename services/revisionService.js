@@ -0,0 +1,175 @@
+/**
+ * Revision Service
+ *
+ * Every time the words of a letter change, we keep a copy of the new
+ * version so the writer can look back at earlier drafts and bring one back.
+ * - Autosaves within a few minutes of each other share one revision,
+ *   so a long writing session doesn't leave hundreds behind
+ * - Explicit edits and restores always get a revision of their own
+ */
+
+const LetterRevision = require('../models/letterRevision');
+const { decryptRevisionSnapshot } = require('./encryptionService');
+const { NotFoundError } = require('../middleware/errorHandler');
+
+// Autosaves this close together update the same revision
+const AUTOSAVE_WINDOW_MS = 5 * 60 * 1000;
+
+// The letter fields that make up a revision
+const REVISION_FIELDS = [
+  'title',
+  'mood',
+  'weather',
+  'temperature',
+  'currentSong',
+  'topHeadLine',
+  'location',
+  'content',
+  'goals'
+];
+
+const REVISION_REASONS = {
+  CREATED: 'created',
+  ORIGINAL: 'original',
+  AUTOSAVE: 'autosave',
+  EDIT: 'edit',
+  RESTORE: 'restore'
+};
+
+/**
+ * RECORD A REVISION
+ * Save the letter's current words as a new revision.
+ * Autosaves fold into the latest revision if it's a recent autosave.
+ */
+const recordRevision = async (letter, reason, { restoredFrom } = {}) => {
+  const latest = await findLatestRevision(letter._id);
+  const snapshot = takeSnapshot(letter);
+
+  if (reason === REVISION_REASONS.AUTOSAVE && isRecentAutosave(latest)) {
+    latest.snapshot = snapshot;
+    await latest.save();
+    return latest;
+  }
+
+  return await LetterRevision.create({
+    letter: letter._id,
+    user: letter.user._id || letter.user,
+    revisionNumber: latest ? latest.revisionNumber + 1 : 1,
+    reason,
+    restoredFrom,
+    snapshot
+  });
+};
+
+/**
+ * RECORD THE ORIGINAL
+ * Letters written before revisions existed have no history.
+ * Before their first edit, keep what they looked like so it can be restored.
+ */
+const ensureOriginalRevision = async (letter) => {
+  const latest = await findLatestRevision(letter._id);
+  if (!latest) {
+    await recordRevision(letter, REVISION_REASONS.ORIGINAL);
+  }
+};
+
+/**
+ * LIST REVISIONS
+ * Newest first, without the full text
+ */
+const listRevisions = async (letterId) => {
+  const revisions = await LetterRevision.find({ letter: letterId })
+    .sort({ revisionNumber: -1 });
+
+  for (const revision of revisions) {
+    await decryptRevisionSnapshot(revision);
+  }
+  return revisions.map(summarizeRevision);
+};
+
+/**
+ * GET ONE REVISION
+ * Throws if it doesn't exist or belongs to another letter
+ */
+const getRevisionOrFail = async (letterId, revisionId) => {
+  const revision = await LetterRevision.findOne({ _id: revisionId, letter: letterId });
+
+  if (!revision) {
+    throw new NotFoundError('Revision not found');
+  }
+
+  return await decryptRevisionSnapshot(revision);
+};
+
+/**
+ * DELETE A LETTER'S HISTORY
+ * Used when the letter itself is deleted
+ */
+const deleteRevisionsForLetter = async (letterId) => {
+  await LetterRevision.deleteMany({ letter: letterId });
+};
+
+// --- Snapshot Helpers ---
+
+/**
+ * Copy the revision fields off a letter
+ */
+const takeSnapshot = (letter) => {
+  const snapshot = {};
+  REVISION_FIELDS.forEach((field) => {
+    snapshot[field] = field === 'goals'
+      ? (letter.goals || []).map(({ _id, text, status }) => ({ _id, text, status }))
+      : letter[field];
+  });
+  return snapshot;
+};
+
+/**
+ * Short description of a revision for lists
+ */
+const summarizeRevision = (revision) => ({
+  _id: revision._id,
+  revisionNumber: revision.revisionNumber,
+  reason: revision.reason,
+  restoredFrom: revision.restoredFrom,
+  title: revision.snapshot.title,
+  contentLength: (revision.snapshot.content || '').length,
+  goalCount: revision.snapshot.goals.length,
+  createdAt: revision.createdAt,
+  updatedAt: revision.updatedAt
+});
+
+// --- Database Query Helpers ---
+
+/**
+ * Find the most recent revision of a letter
+ */
+const findLatestRevision = async (letterId) => {
+  return await LetterRevision.findOne({ letter: letterId })
+    .sort({ revisionNumber: -1 });
+};
+
+/**
+ * Is this revision an autosave that's still open for more autosaves?
+ */
+const isRecentAutosave = (revision) => {
+  return Boolean(revision)
+    && revision.reason === REVISION_REASONS.AUTOSAVE
+    && Date.now() - revision.updatedAt.getTime() < AUTOSAVE_WINDOW_MS;
+};
+
+// exports
+
+module.exports = {
+  REVISION_FIELDS,
+  REVISION_REASONS,
+
+  // Recording history
+  recordRevision,
+  ensureOriginalRevision,
+  deleteRevisionsForLetter,
+
+  // Browsing history
+  listRevisions,
+  getRevisionOrFail
+};
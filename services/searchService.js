@@ -0,0 +1,393 @@
+/**
+ * Search Service
+ *
+ * Helps a user find something they wrote, across years of letters:
+ * 1. Free text is matched against titles, letter content, goals,
+ *    goal reflections and letter reflections
+ * 2. Filters narrow results by mood, delivery status, dates, location
+ *    and goal status
+ * 3. Each result says where the words were found, with a snippet
+ *
+ * Only the requesting user's letters are searched, and a sealed letter
+ * can only be found by what's on its envelope (its title and mood).
+ *
+ * Words match anywhere, ignoring case ("run" finds "running"), and
+ * results are ranked by how often the terms appear where the user can
+ * see them - title matches count for more.
+ *
+ * Without encryption, MongoDB finds, counts and ranks the matches, so
+ * every matching letter counts, however old.
+ * When letters are encrypted at rest, MongoDB can't see their words.
+ * Filters still run in the database, but free text is matched here,
+ * after decrypting the user's most recent candidate letters
+ * (up to MAX_ENCRYPTED_SCAN of them).
+ */
+
+const mongoose = require('mongoose');
+const Letter = require('../models/letter');
+const { presentLetter, isLetterSealed } = require('./letterService');
+const { decryptLetters, isEncryptionEnabled } = require('./encryptionService');
+const {
+  parseSearchTerms,
+  termToRegex,
+  escapeRegex,
+  findMatches,
+  buildSnippet
+} = require('../utils/searchSnippets');
+const { ValidationError } = require('../middleware/errorHandler');
+
+// Configuration constants
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+const TITLE_MATCH_WEIGHT = 3;
+const MAX_ENCRYPTED_SCAN = 1000;
+
+// Where free text is looked for, and what to call each place in results
+const SEARCHABLE_FIELDS = {
+  title: 'title',
+  content: 'content',
+  goalText: 'goals.text',
+  goalReflection: 'goals.reflection',
+  reflection: 'reflections.reflection'
+};
+
+// Only these can be seen on a sealed letter's envelope
+const ENVELOPE_FIELDS = [SEARCHABLE_FIELDS.title];
+
+/**
+ * SEARCH A USER'S LETTERS
+ * Returns matching letters, best matches first, each with highlights
+ */
+const searchLetters = async (userId, searchParams = {}) => {
+  const now = new Date();
+
+  // Step 1: Turn the query string into search terms and filters.
+  // Encrypted words can't be matched by MongoDB - they're matched in step 3.
+  const terms = parseSearchTerms(searchParams.q);
+  const limit = parseLimit(searchParams.limit);
+  const matchTextInDatabase = !isEncryptionEnabled();
+  const filter = buildSearchFilter(userId, matchTextInDatabase ? terms : [], searchParams, now);
+
+  // Step 2: Find the matching letters, best matches first
+  const { letters, total } = matchTextInDatabase
+    ? await findRankedLetters(filter, terms, limit, now)
+    : await findEncryptedMatches(filter, terms, limit, now);
+
+  // Step 3: Work out where each letter matched
+  return {
+    query: searchParams.q || '',
+    total,
+    results: letters.map((letter) => buildSearchResult(letter, terms, now))
+  };
+};
+
+// --- Database Query Helpers ---
+
+/**
+ * Letters matching a filter, best matches first (newest first when
+ * tied, or with no terms), and how many match in all.
+ * Scored in the database the same way as scoreLetter.
+ */
+const findRankedLetters = async (filter, terms, limit, now) => {
+  const [letters, total] = await Promise.all([
+    terms.length > 0
+      ? findLettersByScore(filter, terms, limit, now)
+      : Letter.find(filter).populate('user').sort({ createdAt: -1 }).limit(limit),
+    Letter.countDocuments(filter)
+  ]);
+  return { letters: await decryptLetters(letters), total };
+};
+
+/**
+ * The best scoring letters matching a filter, as letter documents
+ */
+const findLettersByScore = async (filter, terms, limit, now) => {
+  const results = await Letter.aggregate([
+    { $match: filter },
+    { $addFields: { searchScore: buildScoreExpression(terms, now) } },
+    { $sort: { searchScore: -1, createdAt: -1 } },
+    { $limit: limit },
+    { $project: { searchScore: 0, trashedReflections: 0 } }
+  ]);
+
+  const letters = results.map((result) => Letter.hydrate(result));
+  return await Letter.populate(letters, { path: 'user' });
+};
+
+/**
+ * Encrypted letters can't be matched by MongoDB: decrypt the newest
+ * candidates and keep those where every term can be seen, best first
+ */
+const findEncryptedMatches = async (filter, terms, limit, now) => {
+  const candidates = await Letter.find(filter)
+    .populate('user')
+    .sort({ createdAt: -1 })
+    .limit(MAX_ENCRYPTED_SCAN);
+  await decryptLetters(candidates);
+
+  const matches = candidates
+    .filter((letter) => containsAllTerms(letter, terms, isLetterSealed(letter, now)))
+    .map((letter) => ({ letter, score: scoreLetter(letter, terms, now) }))
+    .sort((a, b) => b.score - a.score);
+
+  return { letters: matches.slice(0, limit).map(({ letter }) => letter), total: matches.length };
+};
+
+// --- Query Building Helpers ---
+
+/**
+ * Build the MongoDB filter for a search.
+ * Every term has to appear somewhere the user is allowed to look.
+ */
+const buildSearchFilter = (userId, terms, searchParams, now) => {
+  // Aggregation stages don't cast IDs like queries do
+  const conditions = [{ user: new mongoose.Types.ObjectId(String(userId)), deletedAt: null }];
+  const unsealed = buildUnsealedCondition(now);
+
+  // Free text: each term must match a visible field
+  terms.forEach((term) => {
+    const regex = termToRegex(term);
+    conditions.push({
+      $or: [
+        ...ENVELOPE_FIELDS.map((field) => ({ [field]: regex })),
+        {
+          $and: [
+            unsealed,
+            {
+              $or: Object.values(SEARCHABLE_FIELDS)
+                .filter((field) => !ENVELOPE_FIELDS.includes(field))
+                .map((field) => ({ [field]: regex }))
+            }
+          ]
+        }
+      ]
+    });
+  });
+
+  // Envelope filters - visible on every letter
+  if (searchParams.mood) {
+    conditions.push({ mood: searchParams.mood });
+  }
+  if (searchParams.isDelivered !== undefined) {
+    conditions.push({ isDelivered: parseBoolean(searchParams.isDelivered, 'isDelivered') });
+  }
+  const writtenRange = parseDateRange(searchParams.writtenFrom, searchParams.writtenTo, 'written');
+  if (writtenRange) {
+    conditions.push({ createdAt: writtenRange });
+  }
+  const deliveryRange = parseDateRange(searchParams.deliveryFrom, searchParams.deliveryTo, 'delivery');
+  if (deliveryRange) {
+    conditions.push({ deliveredAt: deliveryRange });
+  }
+
+  // Filters on what's inside the letter - only for letters you can open
+  if (searchParams.location) {
+    conditions.push({ $and: [unsealed, { location: new RegExp(escapeRegex(searchParams.location), 'i') }] });
+  }
+  if (searchParams.goalStatus) {
+    conditions.push({ $and: [unsealed, { 'goals.status': searchParams.goalStatus }] });
+  }
+
+  return { $and: conditions };
+};
+
+/**
+ * The opposite of a sealed letter, as a MongoDB condition
+ * (mirrors isLetterSealed in the letter service).
+ * Letters saved before sealing existed have no isSealed, and are open.
+ */
+const buildUnsealedCondition = (now) => ({
+  $or: [
+    { status: 'draft' },
+    { isSealed: { $ne: true } },
+    { sealBrokenAt: { $ne: null } },
+    { isDelivered: true },
+    { deliveredAt: { $lte: now } }
+  ]
+});
+
+/**
+ * How well a letter matched, as a MongoDB expression: every match of a
+ * term in the title (weighted) and, if the letter can be opened, in
+ * its content, goals and reflections. Overlapping terms count once,
+ * like the snippets' matchCount.
+ */
+const buildScoreExpression = (terms, now) => {
+  const pattern = [...terms]
+    .sort((a, b) => b.length - a.length)
+    .map(escapeRegex)
+    .join('|');
+
+  const countIn = (input) => ({
+    $size: { $regexFindAll: { input: { $ifNull: [input, ''] }, regex: pattern, options: 'i' } }
+  });
+  const countInEach = (array, field) => ({
+    $sum: { $map: { input: { $ifNull: [array, []] }, as: 'item', in: countIn(`$$item.${field}`) } }
+  });
+
+  return {
+    $add: [
+      { $multiply: [TITLE_MATCH_WEIGHT, countIn('$title')] },
+      {
+        $cond: [
+          buildUnsealedExpression(now),
+          {
+            $add: [
+              countIn('$content'),
+              countInEach('$goals', 'text'),
+              countInEach('$goals', 'reflection'),
+              countInEach('$reflections', 'reflection')
+            ]
+          },
+          0
+        ]
+      }
+    ]
+  };
+};
+
+/**
+ * buildUnsealedCondition as an aggregation expression
+ * (a missing date isn't "before now")
+ */
+const buildUnsealedExpression = (now) => ({
+  $or: [
+    { $eq: ['$status', 'draft'] },
+    { $ne: ['$isSealed', true] },
+    { $gt: ['$sealBrokenAt', null] },
+    { $eq: ['$isDelivered', true] },
+    { $and: [{ $gt: ['$deliveredAt', null] }, { $lte: ['$deliveredAt', now] }] }
+  ]
+});
+
+// --- Result Helpers ---
+
+/**
+ * Shape one search result: the letter (or its envelope), where the terms
+ * were found, and a score for how well it matched
+ */
+const buildSearchResult = (letter, terms, now) => {
+  const highlights = findHighlights(letter, terms, now);
+  return {
+    letter: presentLetter(letter, now),
+    highlights,
+    score: scoreHighlights(highlights)
+  };
+};
+
+/**
+ * How well a letter matched, by what the user can see of it
+ */
+const scoreLetter = (letter, terms, now) => {
+  return scoreHighlights(findHighlights(letter, terms, now));
+};
+
+/**
+ * The snippets for a letter, if there are terms to find
+ */
+const findHighlights = (letter, terms, now) => {
+  return terms.length > 0 ? collectHighlights(letter, terms, isLetterSealed(letter, now)) : [];
+};
+
+/**
+ * Title matches count for more than matches anywhere else
+ */
+const scoreHighlights = (highlights) => {
+  return highlights.reduce((total, highlight) => {
+    const weight = highlight.field === 'title' ? TITLE_MATCH_WEIGHT : 1;
+    return total + highlight.matchCount * weight;
+  }, 0);
+};
+
+/**
+ * Does every term appear somewhere the user is allowed to look?
+ */
+const containsAllTerms = (letter, terms, sealed) => {
+  const texts = [letter.title];
+  if (!sealed) {
+    texts.push(letter.content);
+    letter.goals.forEach((goal) => texts.push(goal.text, goal.reflection));
+    letter.reflections.forEach((reflection) => texts.push(reflection.reflection));
+  }
+
+  return terms.every((term) => texts.some((text) => findMatches(text, [term]).length > 0));
+};
+
+/**
+ * Build a snippet for every visible field that contains a search term
+ */
+const collectHighlights = (letter, terms, sealed) => {
+  const highlights = [];
+
+  const addHighlight = (field, text, extra = {}) => {
+    const snippet = buildSnippet(text, terms);
+    if (snippet) highlights.push({ field, ...extra, ...snippet });
+  };
+
+  addHighlight('title', letter.title);
+  if (sealed) return highlights;
+
+  addHighlight('content', letter.content);
+  letter.goals.forEach((goal) => {
+    addHighlight('goalText', goal.text, { goalId: goal._id });
+    addHighlight('goalReflection', goal.reflection, { goalId: goal._id });
+  });
+  letter.reflections.forEach((reflection) => {
+    addHighlight('reflection', reflection.reflection, { reflectionId: reflection._id });
+  });
+
+  return highlights;
+};
+
+// --- Parsing Helpers ---
+
+/**
+ * Parse "true"/"false" query values
+ */
+const parseBoolean = (value, field) => {
+  if (value === true || value === 'true') return true;
+  if (value === false || value === 'false') return false;
+  throw new ValidationError(`${field} must be true or false`, { [field]: 'Must be true or false' });
+};
+
+/**
+ * Turn optional from/to query values into a MongoDB date range
+ */
+const parseDateRange = (from, to, label) => {
+  if (!from && !to) return null;
+
+  const range = {};
+  if (from) range.$gte = parseDate(from, `${label}From`);
+  if (to) range.$lte = parseDate(to, `${label}To`);
+  return range;
+};
+
+/**
+ * Parse a date query value, rejecting garbage
+ */
+const parseDate = (value, field) => {
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    throw new ValidationError(`${field} is not a valid date`, { [field]: 'Invalid date' });
+  }
+  return date;
+};
+
+/**
+ * Parse the result limit, keeping it within bounds
+ */
+const parseLimit = (value) => {
+  if (value === undefined) return DEFAULT_LIMIT;
+
+  const limit = Number(value);
+  if (!Number.isInteger(limit) || limit < 1) {
+    throw new ValidationError('limit must be a positive whole number', { limit: 'Invalid limit' });
+  }
+  return Math.min(limit, MAX_LIMIT);
+};
+
+// exports
+
+module.exports = {
+  searchLetters
+};
@@ -0,0 +1,449 @@
+/**
+ * Letter Series Service
+ *
+ * Some letters are part of a ritual: a letter every New Year, every
+ * birthday, a monthly check-in. A series captures that ritual:
+ * 1. The user picks a cadence and a prompt
+ * 2. When each occurrence comes around, a reminder draft is created
+ *    with the prompt, ready to be written and scheduled
+ * 3. The letters in a series link together so they can be read in order
+ */
+
+const Letter = require('../models/letter');
+const LetterSeries = require('../models/letterSeries');
+const userService = require('./userService');
+const { presentLetter } = require('./letterService');
+const { decryptLetters } = require('./encryptionService');
+const { systemClock } = require('../utils/clock');
+const { createIntervalJob } = require('../utils/intervalJob');
+const {
+  calculateNextOccurrence,
+  CADENCE_FREQUENCIES,
+  VALID_FREQUENCIES
+} = require('../utils/seriesCadence');
+const {
+  NotFoundError,
+  ForbiddenError,
+  ValidationError
+} = require('../middleware/errorHandler');
+
+// Configuration constants
+const DEFAULT_INTERVAL_MS = 15 * 60 * 1000;
+const DRAFT_BATCH_SIZE = 100;
+
+const SERIES_STATUS = {
+  ACTIVE: 'active',
+  PAUSED: 'paused',
+  ENDED: 'ended'
+};
+
+/**
+ * GET ALL SERIES FOR A USER
+ * A user wants to see the rituals they've set up, newest first
+ */
+const getAllSeriesForUser = async (userId) => {
+  return await LetterSeries.find({ user: userId }).sort({ createdAt: -1 });
+};
+
+/**
+ * GET A SERIES WITH ITS LETTERS
+ * A user wants to read the letters in a series in order,
+ * along with their goals and reflections.
+ */
+const getSeriesById = async (userId, seriesId) => {
+  // Step 1: Find the series
+  const series = await findSeriesOrFail(seriesId);
+
+  // Step 2: Verify the user owns this series
+  verifyUserOwnsSeries(series, userId);
+
+  // Step 3: Load its letters, first to last
+  const letters = await Letter.find({ series: series._id, deletedAt: null })
+    .sort({ seriesSequence: 1 });
+  await decryptLetters(letters);
+
+  // Step 4: Return the series and its letters (sealed ones as envelopes)
+  return {
+    series,
+    letters: letters.map((letter) => presentLetter(letter))
+  };
+};
+
+/**
+ * CREATE A SERIES
+ * A user starts a new ritual. If it starts now (no startsAt given),
+ * the first reminder draft is created right away.
+ */
+const createSeries = async (userId, seriesData) => {
+  // Step 1: Work out when the series starts
+  const now = systemClock.now();
+  const anchorDate = parseStartDate(seriesData.startsAt, now);
+
+  // Step 2: Work out when the first draft is due
+  const preferences = await getCadencePreferences(userId, seriesData.cadence);
+  const nextDraftAt = calculateFirstDraftDate(seriesData.cadence, anchorDate, now, preferences);
+
+  // Step 3: Save the series
+  const series = await LetterSeries.create({
+    user: userId,
+    title: seriesData.title,
+    prompt: seriesData.prompt,
+    cadence: seriesData.cadence,
+    deliveryInterval: seriesData.deliveryInterval,
+    anchorDate,
+    nextDraftAt
+  });
+
+  // Step 4: If the first occurrence is now, create its draft immediately
+  if (nextDraftAt <= now) {
+    await createDraftForSeries(series, now);
+  }
+
+  // Step 5: Return the fresh series
+  return await LetterSeries.findById(series._id);
+};
+
+/**
+ * UPDATE A SERIES
+ * A user renames a series, rewrites its prompt, or changes its cadence.
+ * A new cadence starts counting from startsAt (or now).
+ */
+const updateSeries = async (userId, seriesId, seriesData) => {
+  // Step 1: Find the series
+  const series = await findSeriesOrFail(seriesId);
+
+  // Step 2: Verify the user owns this series
+  verifyUserOwnsSeries(series, userId);
+
+  // Step 3: Ended series are part of history - leave them alone
+  ensureSeriesIsNotEnded(series);
+
+  // Step 4: Apply the simple changes
+  if (seriesData.title !== undefined) series.title = seriesData.title;
+  if (seriesData.prompt !== undefined) series.prompt = seriesData.prompt;
+  if (seriesData.deliveryInterval !== undefined) series.deliveryInterval = seriesData.deliveryInterval;
+
+  // Step 5: A new cadence means a new anchor and a new next draft date
+  if (seriesData.cadence) {
+    const now = systemClock.now();
+    const preferences = await getCadencePreferences(userId, seriesData.cadence);
+
+    series.cadence = seriesData.cadence;
+    series.anchorDate = parseStartDate(seriesData.startsAt, now);
+    series.nextDraftAt = calculateNextDraftDate(series, now, preferences);
+  }
+
+  // Step 6: Save and return the series
+  await series.save();
+  return series;
+};
+
+/**
+ * PAUSE A SERIES
+ * No new drafts are created while a series is paused.
+ */
+const pauseSeries = async (userId, seriesId) => {
+  const series = await findSeriesOrFail(seriesId);
+  verifyUserOwnsSeries(series, userId);
+
+  if (series.status !== SERIES_STATUS.ACTIVE) {
+    throw new ValidationError('Only an active series can be paused');
+  }
+
+  series.status = SERIES_STATUS.PAUSED;
+  series.pausedAt = systemClock.now();
+  await series.save();
+
+  return series;
+};
+
+/**
+ * RESUME A SERIES
+ * Occurrences missed while paused are skipped; the next draft
+ * comes at the next occurrence from now.
+ */
+const resumeSeries = async (userId, seriesId) => {
+  const series = await findSeriesOrFail(seriesId);
+  verifyUserOwnsSeries(series, userId);
+
+  if (series.status !== SERIES_STATUS.PAUSED) {
+    throw new ValidationError('Only a paused series can be resumed');
+  }
+
+  const now = systemClock.now();
+  const preferences = await getCadencePreferences(userId, series.cadence);
+
+  series.status = SERIES_STATUS.ACTIVE;
+  series.pausedAt = undefined;
+  series.pausedReason = undefined;
+  series.nextDraftAt = calculateNextDraftDate(series, now, preferences);
+  await series.save();
+
+  return series;
+};
+
+/**
+ * END A SERIES
+ * The ritual is over. Its letters stay, but no more drafts are created.
+ */
+const endSeries = async (userId, seriesId) => {
+  const series = await findSeriesOrFail(seriesId);
+  verifyUserOwnsSeries(series, userId);
+  ensureSeriesIsNotEnded(series);
+
+  series.status = SERIES_STATUS.ENDED;
+  series.endedAt = systemClock.now();
+  series.pausedAt = undefined;
+  series.pausedReason = undefined;
+  series.nextDraftAt = undefined;
+  await series.save();
+
+  return series;
+};
+
+/**
+ * CREATE DUE DRAFTS
+ * Find every active series whose next occurrence has come and create
+ * its reminder draft. Run by the series scheduler.
+ * A series that can't get its draft is paused, so it doesn't stay
+ * first in line and keep every other series from its drafts.
+ */
+const createDueSeriesDrafts = async ({ now = systemClock.now() } = {}) => {
+  const dueSeries = await LetterSeries.find({
+    status: SERIES_STATUS.ACTIVE,
+    nextDraftAt: { $lte: now }
+  })
+    .sort({ nextDraftAt: 1 })
+    .limit(DRAFT_BATCH_SIZE);
+
+  let createdCount = 0;
+  for (const series of dueSeries) {
+    try {
+      const draft = await createDraftForSeries(series, now);
+      if (draft) createdCount++;
+    } catch (error) {
+      console.error(`Failed to create draft for series ${series._id}:`, error.message);
+      await pauseFailedSeries(series, error, now);
+    }
+  }
+
+  return { createdCount };
+};
+
+/**
+ * CREATE A SCHEDULER
+ * Runs createDueSeriesDrafts on a fixed interval.
+ */
+const createSeriesScheduler = ({
+  clock = systemClock,
+  intervalMs = DEFAULT_INTERVAL_MS
+} = {}) => {
+  return createIntervalJob({
+    name: 'Series scheduler',
+    run: (now) => createDueSeriesDrafts({ now }),
+    intervalMs,
+    clock
+  });
+};
+
+// --- Draft Helpers ---
+
+/**
+ * Pause a series the scheduler couldn't create a draft for, saying why.
+ * Only if it's still waiting on the same occurrence - if the draft was
+ * claimed before things went wrong, the series has already moved on.
+ */
+const pauseFailedSeries = async (series, error, now) => {
+  try {
+    await LetterSeries.updateOne(
+      { _id: series._id, status: SERIES_STATUS.ACTIVE, nextDraftAt: series.nextDraftAt },
+      { $set: { status: SERIES_STATUS.PAUSED, pausedAt: now, pausedReason: error.message } }
+    );
+  } catch (pauseError) {
+    console.error(`Failed to pause series ${series._id}:`, pauseError.message);
+  }
+};
+
+/**
+ * Create the reminder draft for a series' current occurrence.
+ * The series is advanced to its next occurrence first, atomically,
+ * so two schedulers never create the same draft twice.
+ */
+const createDraftForSeries = async (series, now) => {
+  // Step 1: Claim this occurrence by moving the series on to the next one
+  const preferences = await getCadencePreferences(series.user, series.cadence);
+  const claimedSeries = await LetterSeries.findOneAndUpdate(
+    {
+      _id: series._id,
+      status: SERIES_STATUS.ACTIVE,
+      nextDraftAt: series.nextDraftAt
+    },
+    {
+      $set: { nextDraftAt: calculateNextDraftDate(series, now, preferences) },
+      $inc: { letterCount: 1 }
+    },
+    { new: true }
+  );
+
+  if (!claimedSeries) {
+    return null;
+  }
+
+  // Step 2: Link the draft to the letter before it
+  const previousLetter = await Letter.findOne({ series: series._id })
+    .sort({ seriesSequence: -1 })
+    .select('_id');
+
+  // Step 3: Create the draft, ready to be written
+  return await Letter.create({
+    user: series.user,
+    status: 'draft',
+    title: `${series.title} #${claimedSeries.letterCount}`,
+    writingPrompt: series.prompt,
+    deliveryInterval: series.deliveryInterval,
+    series: series._id,
+    seriesSequence: claimedSeries.letterCount,
+    previousInSeries: previousLetter ? previousLetter._id : undefined
+  });
+};
+
+// --- Scheduling Helpers ---
+
+/**
+ * The first draft is due at the anchor itself if that's now or later,
+ * otherwise at the next occurrence. Birthday series wait for the birthday.
+ */
+const calculateFirstDraftDate = (cadence, anchorDate, now, preferences) => {
+  validateCadence(cadence);
+
+  if (cadence.frequency === CADENCE_FREQUENCIES.BIRTHDAY) {
+    return calculateNextOccurrence(cadence, anchorDate, now, preferences);
+  }
+  if (anchorDate >= now) {
+    return anchorDate;
+  }
+  return calculateNextOccurrence(cadence, anchorDate, now, preferences);
+};
+
+/**
+ * The next occurrence of a series after now
+ */
+const calculateNextDraftDate = (series, now, preferences) => {
+  validateCadence(series.cadence);
+  return calculateNextOccurrence(series.cadence, series.anchorDate, now, preferences);
+};
+
+/**
+ * Load what the cadence calculator needs to know about the user.
+ * Birthday series can't work without a birthday.
+ */
+const getCadencePreferences = async (userId, cadence) => {
+  const preferences = await userService.getDeliveryPreferences(userId);
+
+  if (cadence && cadence.frequency === CADENCE_FREQUENCIES.BIRTHDAY && !preferences.birthday) {
+    throw new ValidationError(
+      'Add your birthday to your profile to start a birthday series',
+      { cadence: 'Requires a birthday on your profile' }
+    );
+  }
+
+  return preferences;
+};
+
+/**
+ * Turn an optional startsAt into a date, defaulting to now
+ */
+const parseStartDate = (startsAt, now) => {
+  if (!startsAt) {
+    return now;
+  }
+
+  const startDate = new Date(startsAt);
+  if (Number.isNaN(startDate.getTime())) {
+    throw new ValidationError('Start date is not a valid date', {
+      startsAt: 'Invalid date'
+    });
+  }
+  return startDate;
+};
+
+/**
+ * Make sure a cadence is usable before doing date math with it.
+ * The schema checks it again on save.
+ */
+const validateCadence = (cadence) => {
+  if (!cadence || !cadence.frequency) {
+    throw new ValidationError('Please tell us how often you want to write', {
+      cadence: 'Cadence frequency is required'
+    });
+  }
+
+  if (!VALID_FREQUENCIES.includes(cadence.frequency)) {
+    throw new ValidationError(
+      `"${cadence.frequency}" is not a valid frequency. Choose from: ${VALID_FREQUENCIES.join(', ')}`,
+      { frequency: 'Invalid frequency' }
+    );
+  }
+
+  if (cadence.every !== undefined && (!Number.isInteger(Number(cadence.every)) || Number(cadence.every) < 1)) {
+    throw new ValidationError('A series must repeat every whole number of periods', {
+      every: 'Must be a whole number of at least 1'
+    });
+  }
+};
+
+// --- Database Query Helpers ---
+
+/**
+ * Find a series by ID, or throw an error if not found
+ */
+const findSeriesOrFail = async (seriesId) => {
+  const series = await LetterSeries.findById(seriesId);
+
+  if (!series) {
+    throw new NotFoundError('Series not found');
+  }
+
+  return series;
+};
+
+// --- Authorization Helpers ---
+
+/**
+ * Verify that the user making the request owns the series
+ */
+const verifyUserOwnsSeries = (series, userId) => {
+  if (!series.user.equals(userId)) {
+    throw new ForbiddenError('You do not have permission to access this series');
+  }
+};
+
+// --- Business Rule Helpers ---
+
+/**
+ * Ensure a series hasn't been ended
+ */
+const ensureSeriesIsNotEnded = (series) => {
+  if (series.status === SERIES_STATUS.ENDED) {
+    throw new ValidationError('This series has ended');
+  }
+};
+
+// exports
+
+module.exports = {
+  // Getting Series
+  getAllSeries: getAllSeriesForUser,
+  getSeriesById,
+
+  // Managing Series
+  createSeries,
+  updateSeries,
+  pauseSeries,
+  resumeSeries,
+  endSeries,
+
+  // Scheduling Drafts
+  createDueSeriesDrafts,
+  createSeriesScheduler
+};
@@ -0,0 +1,392 @@
+/**
+ * Share Service
+ *
+ * Lets a user show a delivered letter to someone without an account -
+ * a therapist, a partner:
+ * 1. The user creates a link, choosing what it shows, when it expires
+ *    and whether it needs a password
+ * 2. Anyone with the link can read the letter (GET /shared/:token);
+ *    every view is counted
+ * 3. The user can see their links and revoke any of them
+ *
+ * Links are read-only and only ever show the sharer's own reflections.
+ */
+
+const crypto = require('crypto');
+const bcrypt = require('bcrypt');
+const mongoose = require('mongoose');
+const ShareLink = require('../models/shareLink');
+const Letter = require('../models/letter');
+const letterService = require('./letterService');
+const encryptionService = require('./encryptionService');
+const {
+  AppError,
+  NotFoundError,
+  ForbiddenError,
+  UnauthorizedError,
+  ValidationError
+} = require('../middleware/errorHandler');
+
+// Configuration constants
+const TOKEN_BYTES = 24;
+const PASSWORD_SALT_ROUNDS = 12;
+const MIN_PASSWORD_LENGTH = 4;
+const SHAREABLE_PARTS = ['content', 'goals', 'reflections'];
+const DEFAULT_INCLUDE = { content: true, goals: false, reflections: false };
+const SHARED_PATH = '/shared';
+
+// Where a link stands
+const LINK_STATUSES = {
+  ACTIVE: 'active',
+  EXPIRED: 'expired',
+  REVOKED: 'revoked'
+};
+
+/**
+ * CREATE A SHARE LINK
+ * A user shares a delivered letter.
+ * options is { include: { content, goals, reflections }, expiresAt, password }
+ * The token is only returned here - keep the link, it can't be shown again.
+ */
+const createShareLink = async (userId, letterId, options = {}, now = new Date()) => {
+  // Step 1: Find the letter
+  const letter = await findLetterOrFail(letterId);
+
+  // Step 2: Verify the user may share it, and that it has arrived
+  if (!letterService.canAccessLetter(letter, userId, letterService.LETTER_ACTIONS.SHARE)) {
+    throw new ForbiddenError('You do not have permission to share this letter');
+  }
+  if (!letter.isDelivered) {
+    throw new ValidationError('Only delivered letters can be shared');
+  }
+
+  // Step 3: Check the link's options
+  const include = parseInclude(options.include);
+  const expiresAt = parseExpiry(options.expiresAt, now);
+  const passwordHash = await hashSharePassword(options.password);
+
+  // Step 4: Make the token and save only its hash
+  const token = generateToken();
+  const link = await ShareLink.create({
+    letter: letter._id,
+    user: userId,
+    tokenHash: hashToken(token),
+    passwordHash,
+    include,
+    expiresAt
+  });
+
+  // Step 5: Return the link with its token
+  return {
+    ...presentShareLink(link, now),
+    token,
+    path: `${SHARED_PATH}/${token}`
+  };
+};
+
+/**
+ * LIST SHARE LINKS
+ * Every link the user has made, newest first - optionally for one letter
+ */
+const getShareLinksForUser = async (userId, { letterId } = {}, now = new Date()) => {
+  // Step 1: Only this user's links (for one letter, if asked)
+  const filter = { user: userId };
+  if (letterId !== undefined) {
+    if (!mongoose.isValidObjectId(letterId)) {
+      throw new ValidationError('letterId is not a valid ID', { letterId: 'Invalid ID format' });
+    }
+    filter.letter = letterId;
+  }
+
+  // Step 2: Load them with the title of each letter
+  const links = await ShareLink.find(filter)
+    .sort({ createdAt: -1 })
+    .populate('letter', 'title');
+
+  // Step 3: Return them with where each one stands
+  return links.map((link) => presentShareLink(link, now));
+};
+
+/**
+ * REVOKE A SHARE LINK
+ * The link stops working straight away. It stays in the user's list,
+ * with its view count, so they can see it was used.
+ */
+const revokeShareLink = async (userId, linkId, now = new Date()) => {
+  // Step 1: Find the link
+  const link = await findShareLinkOrFail(linkId);
+
+  // Step 2: Verify the user made it
+  verifyUserOwnsShareLink(link, userId);
+
+  // Step 3: Revoke it (revoking twice changes nothing)
+  if (!link.revokedAt) {
+    link.revokedAt = now;
+    await link.save();
+  }
+
+  // Step 4: Return the revoked link
+  return presentShareLink(link, now);
+};
+
+/**
+ * VIEW A SHARED LETTER
+ * Someone opens a link. No account needed - just the token, and the
+ * password if the link has one. Each successful view is counted.
+ */
+const viewSharedLetter = async (token, password, now = new Date()) => {
+  // Step 1: Find a link that still works
+  const link = await ShareLink.findOne({ tokenHash: hashToken(String(token)) });
+  if (!link) {
+    throw new NotFoundError('Share link not found');
+  }
+  ensureLinkIsActive(link, now);
+
+  // Step 2: Check the password
+  await verifySharePassword(link, password);
+
+  // Step 3: Find the letter - a letter in the trash isn't shown
+  const letter = await Letter.findOne({ _id: link.letter, deletedAt: null });
+  if (!letter) {
+    throw new NotFoundError('This letter is no longer available');
+  }
+  await encryptionService.decryptLetterFields(letter);
+
+  // Step 4: Count the view
+  await ShareLink.updateOne(
+    { _id: link._id },
+    { $inc: { viewCount: 1 }, $set: { lastViewedAt: now } }
+  );
+
+  // Step 5: Return only what the link shares
+  return presentSharedLetter(letter, link);
+};
+
+// --- Database Query Helpers ---
+
+/**
+ * Find a letter by ID, with its words decrypted, or throw if not found
+ */
+const findLetterOrFail = async (letterId) => {
+  const letter = await Letter.findOne({ _id: letterId, deletedAt: null });
+
+  if (!letter) {
+    throw new NotFoundError('Letter not found');
+  }
+
+  return await encryptionService.decryptLetterFields(letter);
+};
+
+/**
+ * Find a share link by ID, or throw an error if not found
+ */
+const findShareLinkOrFail = async (linkId) => {
+  const link = await ShareLink.findById(linkId).populate('letter', 'title');
+
+  if (!link) {
+    throw new NotFoundError('Share link not found');
+  }
+
+  return link;
+};
+
+// --- Token and Password Helpers ---
+
+/**
+ * A new random, URL-safe token
+ */
+const generateToken = () => {
+  return crypto.randomBytes(TOKEN_BYTES).toString('base64url');
+};
+
+/**
+ * The hash a token is stored and looked up by
+ */
+const hashToken = (token) => {
+  return crypto.createHash('sha256').update(token).digest('hex');
+};
+
+/**
+ * Hash an optional link password
+ */
+const hashSharePassword = async (password) => {
+  if (password === undefined || password === null || password === '') {
+    return undefined;
+  }
+  if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+    throw new ValidationError(`Password must be at least ${MIN_PASSWORD_LENGTH} characters`, {
+      password: `At least ${MIN_PASSWORD_LENGTH} characters`
+    });
+  }
+  return await bcrypt.hash(password, PASSWORD_SALT_ROUNDS);
+};
+
+/**
+ * Verify the password for a protected link
+ */
+const verifySharePassword = async (link, password) => {
+  if (!link.passwordHash) return;
+
+  if (!password) {
+    throw new UnauthorizedError('This letter is protected by a password');
+  }
+  const matches = await bcrypt.compare(String(password), link.passwordHash);
+  if (!matches) {
+    throw new UnauthorizedError('Incorrect password');
+  }
+};
+
+// --- Validation Helpers ---
+
+/**
+ * Check which parts of the letter to share, filling in the defaults
+ */
+const parseInclude = (include) => {
+  if (include === undefined) {
+    return { ...DEFAULT_INCLUDE };
+  }
+  if (typeof include !== 'object' || include === null || Array.isArray(include)) {
+    throw new ValidationError('include must say which parts to share', {
+      include: `Use { ${SHAREABLE_PARTS.join(', ')} } with true or false`
+    });
+  }
+
+  const parsed = {};
+  SHAREABLE_PARTS.forEach((part) => {
+    parsed[part] = include[part] === undefined ? DEFAULT_INCLUDE[part] : include[part] === true;
+  });
+
+  if (!SHAREABLE_PARTS.some((part) => parsed[part])) {
+    throw new ValidationError('Choose at least one part of the letter to share', {
+      include: `Share at least one of: ${SHAREABLE_PARTS.join(', ')}`
+    });
+  }
+  return parsed;
+};
+
+/**
+ * Check an optional expiry date is a real date in the future
+ */
+const parseExpiry = (expiresAt, now) => {
+  if (expiresAt === undefined || expiresAt === null || expiresAt === '') {
+    return undefined;
+  }
+
+  const date = new Date(expiresAt);
+  if (Number.isNaN(date.getTime())) {
+    throw new ValidationError('Expiry is not a valid date', { expiresAt: 'Invalid date' });
+  }
+  if (date <= now) {
+    throw new ValidationError('Expiry must be in the future', { expiresAt: 'Must be in the future' });
+  }
+  return date;
+};
+
+/**
+ * Where a link stands: active, expired or revoked
+ */
+const getLinkStatus = (link, now) => {
+  if (link.revokedAt) return LINK_STATUSES.REVOKED;
+  if (link.expiresAt && link.expiresAt <= now) return LINK_STATUSES.EXPIRED;
+  return LINK_STATUSES.ACTIVE;
+};
+
+/**
+ * Ensure a link can still be opened
+ */
+const ensureLinkIsActive = (link, now) => {
+  const status = getLinkStatus(link, now);
+
+  if (status === LINK_STATUSES.REVOKED) {
+    throw new AppError('This share link has been revoked', 410);
+  }
+  if (status === LINK_STATUSES.EXPIRED) {
+    throw new AppError('This share link has expired', 410);
+  }
+};
+
+// --- Authorization Helpers ---
+
+/**
+ * Verify that the user making the request made the link
+ */
+const verifyUserOwnsShareLink = (link, userId) => {
+  if (!link.user.equals(userId)) {
+    throw new ForbiddenError('You do not have permission to access this share link');
+  }
+};
+
+// --- Presentation Helpers ---
+
+/**
+ * Shape a link for its owner (never its token or password)
+ */
+const presentShareLink = (link, now) => {
+  const letter = link.letter || {};
+
+  return {
+    _id: link._id,
+    letter: letter._id || letter,
+    letterTitle: letter.title,
+    include: {
+      content: link.include.content,
+      goals: link.include.goals,
+      reflections: link.include.reflections
+    },
+    hasPassword: Boolean(link.passwordHash),
+    expiresAt: link.expiresAt,
+    revokedAt: link.revokedAt,
+    status: getLinkStatus(link, now),
+    viewCount: link.viewCount,
+    lastViewedAt: link.lastViewedAt,
+    createdAt: link.createdAt
+  };
+};
+
+/**
+ * Shape a shared letter for its reader: the title and dates always,
+ * then only the parts the link shares. Reflections are the sharer's own;
+ * so are goal reflections, which only come along if the sharer is the
+ * one living the goals (not an author who gave them to a recipient).
+ */
+const presentSharedLetter = (letter, link) => {
+  const shared = {
+    title: letter.title,
+    mood: letter.mood,
+    writtenAt: letter.createdAt,
+    deliveredAt: letter.actualDeliveredAt || letter.deliveredAt
+  };
+
+  if (link.include.content) {
+    shared.content = letter.content;
+  }
+  if (link.include.goals) {
+    const keepsGoals = letterService.getGoalKeeperId(letter).equals(link.user);
+    shared.goals = letter.goals.map(({ text, status, reflection }) => ({
+      text,
+      status,
+      reflection: keepsGoals ? reflection : undefined
+    }));
+  }
+  if (link.include.reflections) {
+    shared.reflections = letter.reflections
+      .filter((reflection) => letterService.isReflectionAuthor(letter, reflection, link.user))
+      .map(({ reflection, date }) => ({ reflection, date }));
+  }
+
+  return shared;
+};
+
+// exports
+
+module.exports = {
+  LINK_STATUSES,
+
+  // Managing Share Links
+  createShareLink,
+  getShareLinks: getShareLinksForUser,
+  revokeShareLink,
+
+  // Reading Shared Letters
+  viewSharedLetter
+};
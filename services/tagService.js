@@ -0,0 +1,287 @@
+/**
+ * Tag Service
+ *
+ * Lets users organize their letters their own way:
+ * 1. A user creates tags ("gratitude") and collections ("Career")
+ * 2. They put them on letters, many letters at a time
+ * 3. They can rename or delete them, and see how often each is used
+ */
+
+const mongoose = require('mongoose');
+const Tag = require('../models/tag');
+const Letter = require('../models/letter');
+const {
+  NotFoundError,
+  ForbiddenError,
+  ValidationError
+} = require('../middleware/errorHandler');
+
+// Configuration constants
+const MAX_BULK_LETTERS = 500;
+const NAME_COLLATION = { locale: 'en', strength: 2 };
+
+/**
+ * GET ALL TAGS FOR A USER
+ * Every tag and collection the user has made, with how many letters use it
+ */
+const getAllTagsForUser = async (userId) => {
+  // Step 1: Load the user's tags, alphabetically
+  const tags = await Tag.find({ user: userId })
+    .collation(NAME_COLLATION)
+    .sort({ kind: 1, name: 1 });
+
+  // Step 2: Count the letters using each one
+  const usage = await countTagUsage(userId);
+
+  // Step 3: Return the tags with their counts
+  return tags.map((tag) => ({
+    ...tag.toObject(),
+    letterCount: usage[tag._id.toString()] || 0
+  }));
+};
+
+/**
+ * CREATE A TAG
+ * A user makes a new tag or collection
+ */
+const createTag = async (userId, tagData) => {
+  // Step 1: Names must be unique per user and kind
+  await ensureTagNameIsAvailable(userId, tagData.kind, tagData.name);
+
+  // Step 2: Save the tag
+  return await saveTag(() => Tag.create({
+    user: userId,
+    name: tagData.name,
+    kind: tagData.kind,
+    color: tagData.color
+  }));
+};
+
+/**
+ * RENAME A TAG
+ * A user renames a tag or changes its color.
+ * Letters keep it - they point to the tag, not its name.
+ */
+const updateTag = async (userId, tagId, tagData) => {
+  // Step 1: Find the tag
+  const tag = await findTagOrFail(tagId);
+
+  // Step 2: Verify the user owns this tag
+  verifyUserOwnsTag(tag, userId);
+
+  // Step 3: Apply the changes
+  if (tagData.name !== undefined && tagData.name !== tag.name) {
+    await ensureTagNameIsAvailable(userId, tag.kind, tagData.name, tag._id);
+    tag.name = tagData.name;
+  }
+  if (tagData.color !== undefined) {
+    tag.color = tagData.color;
+  }
+
+  // Step 4: Save and return the tag
+  return await saveTag(() => tag.save());
+};
+
+/**
+ * DELETE A TAG
+ * The tag is removed from every letter, then deleted. Letters stay.
+ */
+const deleteTag = async (userId, tagId) => {
+  // Step 1: Find the tag
+  const tag = await findTagOrFail(tagId);
+
+  // Step 2: Verify the user owns this tag
+  verifyUserOwnsTag(tag, userId);
+
+  // Step 3: Take it off every letter, then delete it
+  const { modifiedCount } = await Letter.updateMany(
+    { user: userId, tags: tag._id },
+    { $pull: { tags: tag._id } }
+  );
+  await Tag.deleteOne({ _id: tag._id });
+
+  // Step 4: Return confirmation
+  return { message: 'Tag deleted successfully', lettersUpdated: modifiedCount };
+};
+
+/**
+ * ASSIGN TAGS IN BULK
+ * Add and/or remove tags on many letters at once.
+ * assignment is { letterIds, addTagIds, removeTagIds }
+ */
+const assignTags = async (userId, { letterIds, addTagIds = [], removeTagIds = [] }) => {
+  // Step 1: Check the request makes sense
+  const letters = parseIdList(letterIds, 'letterIds');
+  const toAdd = parseIdList(addTagIds, 'addTagIds', { allowEmpty: true });
+  const toRemove = parseIdList(removeTagIds, 'removeTagIds', { allowEmpty: true });
+
+  if (toAdd.length === 0 && toRemove.length === 0) {
+    throw new ValidationError('Choose at least one tag to add or remove', {
+      addTagIds: 'Provide addTagIds or removeTagIds'
+    });
+  }
+  if (letters.length > MAX_BULK_LETTERS) {
+    throw new ValidationError(`You can tag up to ${MAX_BULK_LETTERS} letters at a time`, {
+      letterIds: `Too many letters (max ${MAX_BULK_LETTERS})`
+    });
+  }
+
+  // Step 2: Every tag must belong to this user
+  await ensureUserOwnsTags(userId, [...toAdd, ...toRemove]);
+
+  // Step 3: Update only this user's letters
+  const filter = { _id: { $in: letters }, user: userId, deletedAt: null };
+  const update = {};
+  if (toAdd.length > 0) update.$addToSet = { tags: { $each: toAdd } };
+
+  let lettersUpdated = 0;
+  if (update.$addToSet) {
+    const result = await Letter.updateMany(filter, update);
+    lettersUpdated = result.matchedCount;
+  }
+  if (toRemove.length > 0) {
+    // $addToSet and $pull can't touch the same field in one update
+    const result = await Letter.updateMany(filter, { $pull: { tags: { $in: toRemove } } });
+    lettersUpdated = Math.max(lettersUpdated, result.matchedCount);
+  }
+
+  // Step 4: Report how many letters were matched
+  return { lettersUpdated };
+};
+
+/**
+ * COUNT TAG USAGE
+ * How many of the user's letters use each tag: { [tagId]: count }
+ */
+const countTagUsage = async (userId) => {
+  const counts = await Letter.aggregate([
+    { $match: { user: new mongoose.Types.ObjectId(String(userId)), deletedAt: null } },
+    { $unwind: '$tags' },
+    { $group: { _id: '$tags', count: { $sum: 1 } } }
+  ]);
+
+  return counts.reduce((usage, { _id, count }) => {
+    usage[_id.toString()] = count;
+    return usage;
+  }, {});
+};
+
+/**
+ * GET TAG USAGE SUMMARY
+ * Tag names with letter counts, most used first - for profile and stats
+ */
+const getTagUsageSummary = async (userId) => {
+  const tags = await getAllTagsForUser(userId);
+
+  return tags
+    .map(({ _id, name, kind, color, letterCount }) => ({ _id, name, kind, color, letterCount }))
+    .sort((a, b) => b.letterCount - a.letterCount);
+};
+
+// --- Database Query Helpers ---
+
+/**
+ * Find a tag by ID, or throw an error if not found
+ */
+const findTagOrFail = async (tagId) => {
+  const tag = await Tag.findById(tagId);
+
+  if (!tag) {
+    throw new NotFoundError('Tag not found');
+  }
+
+  return tag;
+};
+
+/**
+ * Save a tag, turning a duplicate-name race into a friendly error
+ */
+const saveTag = async (save) => {
+  try {
+    return await save();
+  } catch (error) {
+    if (error.code === 11000) {
+      throw duplicateNameError();
+    }
+    throw error;
+  }
+};
+
+// --- Validation Helpers ---
+
+/**
+ * Ensure no other tag of the same kind already has this name
+ */
+const ensureTagNameIsAvailable = async (userId, kind = 'tag', name, excludeTagId) => {
+  if (!name) return; // The schema reports the missing name
+
+  const filter = { user: userId, kind, name: String(name).trim() };
+  if (excludeTagId) filter._id = { $ne: excludeTagId };
+
+  const existing = await Tag.findOne(filter).collation(NAME_COLLATION);
+  if (existing) {
+    throw duplicateNameError();
+  }
+};
+
+/**
+ * Ensure every tag in a list exists and belongs to the user
+ */
+const ensureUserOwnsTags = async (userId, tagIds) => {
+  const uniqueIds = [...new Set(tagIds.map(String))];
+  const count = await Tag.countDocuments({ _id: { $in: uniqueIds }, user: userId });
+
+  if (count !== uniqueIds.length) {
+    throw new NotFoundError('One or more tags were not found');
+  }
+};
+
+/**
+ * Check a list of IDs from the request body
+ */
+const parseIdList = (ids, field, { allowEmpty = false } = {}) => {
+  if (!Array.isArray(ids) || (!allowEmpty && ids.length === 0)) {
+    throw new ValidationError(`${field} must be a list of IDs`, { [field]: 'Must be a non-empty list' });
+  }
+  if (!ids.every((id) => mongoose.isValidObjectId(id))) {
+    throw new ValidationError(`${field} contains an invalid ID`, { [field]: 'Invalid ID format' });
+  }
+  return ids;
+};
+
+/**
+ * The error for a name that's already taken
+ */
+const duplicateNameError = () => {
+  return new ValidationError('You already have one with this name', {
+    name: 'This name is already in use'
+  });
+};
+
+// --- Authorization Helpers ---
+
+/**
+ * Verify that the user making the request owns the tag
+ */
+const verifyUserOwnsTag = (tag, userId) => {
+  if (!tag.user.equals(userId)) {
+    throw new ForbiddenError('You do not have permission to access this tag');
+  }
+};
+
+// exports
+
+module.exports = {
+  // Browsing Tags
+  getAllTags: getAllTagsForUser,
+  getTagUsageSummary,
+  countTagUsage,
+
+  // Managing Tags
+  createTag,
+  updateTag,
+  deleteTag,
+
+  // Tagging Letters
+  assignTags
+};
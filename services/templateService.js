@@ -0,0 +1,194 @@
+/**
+ * Template Service
+ *
+ * Some letters get written again and again - a quarterly review, a
+ * birthday letter with the same goals each year. A template saves the
+ * starting point:
+ * 1. A user saves a template: a title, an opening, goals, a prompt
+ * 2. They start a new letter or draft from it (templateId), and it
+ *    arrives pre-filled - everything can still be changed
+ * 3. Each template counts how often it's been used
+ *
+ * A template's title, opening and goals are encrypted at rest like a
+ * letter's words (see encryptionService); its name is not, so templates
+ * can be listed in order.
+ */
+
+const LetterTemplate = require('../models/letterTemplate');
+const promptService = require('./promptService');
+const { decryptTemplateFields } = require('./encryptionService');
+const { systemClock } = require('../utils/clock');
+const {
+  NotFoundError,
+  ForbiddenError
+} = require('../middleware/errorHandler');
+
+// What a user can set on a template
+const TEMPLATE_FIELDS = ['name', 'title', 'content', 'goals', 'promptId', 'deliveryInterval'];
+
+/**
+ * GET ALL TEMPLATES FOR A USER
+ * A user's templates, alphabetically
+ */
+const getAllTemplatesForUser = async (userId) => {
+  const templates = await LetterTemplate.find({ user: userId }).sort({ name: 1 });
+
+  for (const template of templates) {
+    await decryptTemplateFields(template);
+  }
+  return templates;
+};
+
+/**
+ * CREATE A TEMPLATE
+ * A user saves a new starting point for letters
+ */
+const createTemplate = async (userId, templateData) => {
+  // Step 1: Keep only what a user can set, checking any prompt
+  const fields = pickTemplateFields(templateData);
+  ensurePromptExists(fields.promptId);
+
+  // Step 2: Save and return the template
+  return await LetterTemplate.create({ ...fields, user: userId });
+};
+
+/**
+ * UPDATE A TEMPLATE
+ * A user changes what their template fills in.
+ * Letters already started from it keep what they were given.
+ */
+const updateTemplate = async (userId, templateId, templateData) => {
+  // Step 1: Find the template
+  const template = await findTemplateOrFail(templateId);
+
+  // Step 2: Verify the user owns this template
+  verifyUserOwnsTemplate(template, userId);
+
+  // Step 3: Apply the changes, checking any new prompt
+  const fields = pickTemplateFields(templateData);
+  ensurePromptExists(fields.promptId);
+  template.set(fields);
+
+  // Step 4: Save and return the template
+  await template.save();
+  return template;
+};
+
+/**
+ * DELETE A TEMPLATE
+ * Letters started from it are not affected
+ */
+const deleteTemplate = async (userId, templateId) => {
+  // Step 1: Find the template
+  const template = await findTemplateOrFail(templateId);
+
+  // Step 2: Verify the user owns this template
+  verifyUserOwnsTemplate(template, userId);
+
+  // Step 3: Delete it
+  await LetterTemplate.deleteOne({ _id: template._id });
+
+  // Step 4: Return confirmation
+  return { message: 'Template deleted successfully' };
+};
+
+/**
+ * START FROM A TEMPLATE
+ * A letter is being started from a template: returns the template and
+ * the letter fields it fills in. Call recordTemplateUse once the letter
+ * is saved.
+ */
+const getTemplateStart = async (userId, templateId) => {
+  // Step 1: Find the template
+  const template = await findTemplateOrFail(templateId);
+
+  // Step 2: Verify the user owns this template
+  verifyUserOwnsTemplate(template, userId);
+
+  // Step 3: Return what the template fills in
+  const letterFields = {};
+  ['title', 'content', 'promptId', 'deliveryInterval'].forEach((field) => {
+    if (template[field] !== undefined) {
+      letterFields[field] = template[field];
+    }
+  });
+  if (template.goals.length > 0) {
+    letterFields.goals = template.goals.map(({ text }) => ({ text }));
+  }
+
+  return { template, letterFields };
+};
+
+/**
+ * Count a letter started from a template
+ */
+const recordTemplateUse = async (templateId, now = systemClock.now()) => {
+  await LetterTemplate.updateOne(
+    { _id: templateId },
+    { $inc: { usageCount: 1 }, $set: { lastUsedAt: now } }
+  );
+};
+
+// --- Database Query Helpers ---
+
+/**
+ * Find a template by ID, or throw an error if not found
+ */
+const findTemplateOrFail = async (templateId) => {
+  const template = await LetterTemplate.findById(templateId);
+
+  if (!template) {
+    throw new NotFoundError('Template not found');
+  }
+
+  return await decryptTemplateFields(template);
+};
+
+// --- Validation Helpers ---
+
+/**
+ * Pick the fields a user may set on a template
+ */
+const pickTemplateFields = (templateData) => {
+  const picked = {};
+  TEMPLATE_FIELDS.forEach((field) => {
+    if (templateData[field] !== undefined) {
+      picked[field] = templateData[field];
+    }
+  });
+  return picked;
+};
+
+/**
+ * A template's prompt must be one from the library
+ */
+const ensurePromptExists = (promptId) => {
+  if (promptId) {
+    promptService.resolvePromptForLetter(promptId);
+  }
+};
+
+// --- Authorization Helpers ---
+
+/**
+ * Verify that the user making the request owns the template
+ */
+const verifyUserOwnsTemplate = (template, userId) => {
+  if (!template.user.equals(userId)) {
+    throw new ForbiddenError('You do not have permission to access this template');
+  }
+};
+
+// exports
+
+module.exports = {
+  // Managing Templates
+  getAllTemplates: getAllTemplatesForUser,
+  createTemplate,
+  updateTemplate,
+  deleteTemplate,
+
+  // Writing From Templates
+  getTemplateStart,
+  recordTemplateUse
+};
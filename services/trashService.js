@@ -0,0 +1,134 @@
+/**
+ * Trash Service
+ *
+ * Deleting a letter or a reflection moves it to the trash instead of
+ * destroying it, so a mis-tap never costs years-old writing:
+ * 1. Trashed letters and reflections are hidden everywhere else
+ * 2. Until they're purged, they can be restored from the trash
+ * 3. A background job purges anything trashed longer than the retention period
+ *
+ * Restoring lives in the letter service; this service decides how long
+ * trash is kept and does the purging.
+ */
+
+const Letter = require('../models/letter');
+const ShareLink = require('../models/shareLink');
+const revisionService = require('./revisionService');
+const attachmentService = require('./attachmentService');
+const { systemClock } = require('../utils/clock');
+const { createIntervalJob } = require('../utils/intervalJob');
+
+// Configuration constants
+const DAY_MS = 24 * 60 * 60 * 1000;
+const TRASH_RETENTION_DAYS = Number(process.env.TRASH_RETENTION_DAYS) || 30;
+const DEFAULT_INTERVAL_MS = 60 * 60 * 1000;
+const PURGE_BATCH_SIZE = 100;
+
+/**
+ * PURGE EXPIRED TRASH
+ * Permanently delete letters and reflections that have been in the
+ * trash longer than the retention period.
+ * Returns how many of each were purged.
+ */
+const purgeExpiredTrash = async ({
+  now = systemClock.now(),
+  retentionDays = TRASH_RETENTION_DAYS
+} = {}) => {
+  const cutoff = new Date(now.getTime() - retentionDays * DAY_MS);
+  let lettersPurged = 0;
+
+  // Step 1: Delete expired letters a batch at a time, with everything they own
+  let batch = await findExpiredLetters(cutoff);
+  while (batch.length > 0) {
+    for (const letter of batch) {
+      await purgeLetter(letter);
+    }
+    lettersPurged += batch.length;
+
+    if (batch.length < PURGE_BATCH_SIZE) break;
+    batch = await findExpiredLetters(cutoff);
+  }
+
+  // Step 2: Delete expired reflections from the letters still around
+  const reflectionsPurged = await purgeExpiredReflections(cutoff);
+
+  return { lettersPurged, reflectionsPurged };
+};
+
+/**
+ * When something trashed at deletedAt will be purged
+ */
+const calculatePurgeAt = (deletedAt, retentionDays = TRASH_RETENTION_DAYS) => {
+  return new Date(new Date(deletedAt).getTime() + retentionDays * DAY_MS);
+};
+
+/**
+ * CREATE THE TRASH PURGER
+ * A background job that empties expired trash every interval
+ */
+const createTrashPurger = ({
+  clock = systemClock,
+  intervalMs = DEFAULT_INTERVAL_MS,
+  retentionDays = TRASH_RETENTION_DAYS
+} = {}) => {
+  return createIntervalJob({
+    name: 'Trash purger',
+    run: (now) => purgeExpiredTrash({ now, retentionDays }),
+    intervalMs,
+    clock
+  });
+};
+
+// --- Purge Helpers ---
+
+/**
+ * Find letters trashed on or before the cutoff
+ */
+const findExpiredLetters = async (cutoff) => {
+  return await Letter.find({ deletedAt: { $lte: cutoff } })
+    .sort({ deletedAt: 1 })
+    .limit(PURGE_BATCH_SIZE)
+    .select('_id attachments');
+};
+
+/**
+ * Delete a letter for good: the letter, its revision history,
+ * its share links and its files
+ */
+const purgeLetter = async (letter) => {
+  await Letter.deleteOne({ _id: letter._id });
+  await revisionService.deleteRevisionsForLetter(letter._id);
+  await ShareLink.deleteMany({ letter: letter._id });
+  await attachmentService.discardAttachments(letter.attachments);
+};
+
+/**
+ * Remove reflections trashed on or before the cutoff
+ */
+const purgeExpiredReflections = async (cutoff) => {
+  const expired = { deletedAt: { $lte: cutoff } };
+  const letters = await Letter.find({ trashedReflections: { $elemMatch: expired } })
+    .select('+trashedReflections');
+
+  const reflectionsPurged = letters.reduce((count, letter) => {
+    return count + letter.trashedReflections.filter((reflection) => reflection.deletedAt <= cutoff).length;
+  }, 0);
+
+  if (letters.length > 0) {
+    await Letter.updateMany(
+      { _id: { $in: letters.map((letter) => letter._id) } },
+      { $pull: { trashedReflections: expired } }
+    );
+  }
+
+  return reflectionsPurged;
+};
+
+// exports
+
+module.exports = {
+  TRASH_RETENTION_DAYS,
+  purgeExpiredTrash,
+  calculatePurgeAt,
+  createTrashPurger
+};
@@ -3,12 +3,19 @@
  */
 
 const User = require('../models/user');
+const tagService = require('./tagService');
+const {
+  DEFAULT_TIMEZONE,
+  calendarDaysBetween,
+  isValidTimezone,
+  isValidTimeOfDay
+} = require('../utils/timezone');
 
 // Fields that are safe to return publicly
 const PUBLIC_USER_FIELDS = 'username _id';
 
 // Fields to exclude when returning user data
-const PRIVATE_FIELDS = '-password';
+const PRIVATE_FIELDS = '-hashedPassword -encryption';
 
 /**
  * GET ALL USERS
@@ -23,6 +30,15 @@ const getAllUsers = async () => {
   return users;
 };
 
+/**
+ * FIND A USER BY USERNAME
+ * Someone wants to write to another user and knows only their username.
+ * Returns their public information, or null if nobody has that username.
+ */
+const findUserByUsername = async (username) => {
+  return await User.findOne({ username: String(username).trim() }, PUBLIC_USER_FIELDS);
+};
+
 // VIEWING A PROFILE
 
 /**
@@ -50,7 +66,10 @@ const getUserWithSettings = async (userId) => {
   if (!user) {
     throw new Error('User not found.');
   }
-  return user;
+
+  // Include how the user's tags and collections are used
+  const tagUsage = await tagService.getTagUsageSummary(userId);
+  return { ...user.toJSON(), tagUsage };
 };
 
 /**
@@ -84,9 +103,15 @@ const updateProfile = async (userId, profileData) => {
 const updateSettings = async (userId, settings) => {
   const validSettings = sanitizeSettings(settings);
 
+  // Update only the settings that were sent, leaving the rest untouched
+  const settingsUpdate = {};
+  Object.entries(validSettings).forEach(([key, value]) => {
+    settingsUpdate[`settings.${key}`] = value;
+  });
+
   const user = await User.findByIdAndUpdate(
     userId,
-    { settings: validSettings },
+    { $set: settingsUpdate },
     { new: true }
   ).select(PRIVATE_FIELDS);
 
@@ -101,6 +126,7 @@ return user;
  * GET USER STATS
  * Retrieve user stats for celebration milestone checks.
  * Stats include: totalLetters, totalReflections, currentStreak, etc
+ * plus tagUsage: how many letters use each tag and collection
  */
 
 const getUserStats =async (userId) => {
@@ -109,49 +135,53 @@ const getUserStats =async (userId) => {
   if (!user) {
     throw new Error('User not found.');
   }
-  return user.stats;
+
+  const tagUsage = await tagService.getTagUsageSummary(userId);
+  return { ...user.toObject().stats, tagUsage };
+};
+
+/**
+ * GET DELIVERY PREFERENCES
+ * The user's time zone, preferred local delivery time and birthday,
+ * used when calculating delivery dates.
+ */
+const getDeliveryPreferences = async (userId) => {
+  const user = await User.findById(userId).select('birthday settings.timezone settings.deliveryTime');
+
+  if (!user) {
+    throw new Error('User not found.');
+  }
+  return {
+    timezone: user.settings?.timezone,
+    deliveryTime: user.settings?.deliveryTime,
+    birthday: user.birthday
+  };
 };
 
 /**
  * UPDATE USER STATS
  * Increment user stats when they perform actions
  * Called after creating letters, reflections, etc.
+ * Streak days follow the user's own calendar (settings.timezone).
  */
 
 const updateUserStats = async (userId, statUpdates) => {
   const updateObj = {};
+  const setObj = { 'stats.lastActivityDate': new Date() };
 
   if (statUpdates.incrementLetters) {
     updateObj['stats.totalLetters'] = 1;
   }
   if (statUpdates.incrementReflections) {
-    updateObj['stats.totalRefletions'] = 1;
-  }
-  if (statUpdates.incrementGoalsCompleted) {
-    updateObj['stats.totalLetters.goalsCompleted'] = 1;
+    updateObj['stats.totalReflections'] = 1;
   }
   if (statUpdates.updateStreak) {
-    const user =await User.findById(userId).select('stats');
-    const lastActivity = user.stats?.lastActivityDate;
-    const today = new Date();
-
-    if (lastActivity) {
-      const daysDiff = Math.floor((today - lastActivity) / (1000 * 60 * 60 * 24));
-      if (daysDiff === 1) {
-        updateObj['stats.currentStreak'] = (user.stats.currentStreak || 0) + 1;
-        if ((user.stats.currentStreak || 0) + 1 > (user.stats.longestStreak || 0)) {
-          updateObj['stats.longestStreak'] = (user.stats.currentStreak || 0) + 1;
-        }
-      } else if (daysDiff > 1) {
-        updateObj['stats.currentStreak'] = 1;
-      }
-    } else {
-      updateObj['stats.currentStreak'] = 1;
-    }
+    const user = await User.findById(userId).select('stats settings.timezone');
+    Object.assign(setObj, calculateStreakUpdate(user, setObj['stats.lastActivityDate']));
   }
   const updates = {
     $inc: updateObj,
-    $set: { 'stats.lastActivityDate': new Date() }
+    $set: setObj
   };
   if (Object.keys(updateObj).length === 0) {
     delete updates.$inc;
@@ -166,6 +196,39 @@ const updateUserStats = async (userId, statUpdates) => {
   return user.stats;
 };
 
+/**
+ * ADJUST USER STATS
+ * Move letter and reflection totals up or down when things go to
+ * and come back from the trash, and accomplished goals when goals are
+ * completed or reopened. Totals never drop below zero.
+ * Unlike updateUserStats this isn't activity, so streaks aren't touched.
+ */
+const adjustUserStats = async (userId, { letters = 0, reflections = 0, goalsAccomplished = 0 }) => {
+  const changes = {
+    'stats.totalLetters': letters,
+    'stats.totalReflections': reflections,
+    'stats.goalsAccomplished': goalsAccomplished
+  };
+
+  const adjustments = {};
+  Object.entries(changes).forEach(([field, change]) => {
+    if (change !== 0) {
+      adjustments[field] = { $max: [0, { $add: [{ $ifNull: [`$${field}`, 0] }, change] }] };
+    }
+  });
+  if (Object.keys(adjustments).length === 0) {
+    return null;
+  }
+
+  const user = await User.findByIdAndUpdate(
+    userId,
+    [{ $set: adjustments }],
+    { new: true, updatePipeline: true }
+  ).select('stats');
+
+  return user ? user.stats : null;
+};
+
 // helper functions
 
 // --- Database Query Helpers ---
@@ -192,6 +255,38 @@ const findUserOrFail = async (userId) => {
   return user;
 };
 
+// --- Streak Helpers ---
+
+/**
+ * Work out the new streak after activity today.
+ * Days are calendar days in the user's time zone:
+ * - same day as last activity: streak unchanged
+ * - the next day: streak grows by one
+ * - any later day: streak starts again at 1
+ */
+const calculateStreakUpdate = (user, now) => {
+  const stats = user.stats || {};
+  const lastActivity = stats.lastActivityDate;
+  const currentStreak = stats.currentStreak || 0;
+  const longestStreak = stats.longestStreak || 0;
+  const timezone = user.settings?.timezone || DEFAULT_TIMEZONE;
+
+  let newStreak = 1;
+  if (lastActivity) {
+    const daysDiff = calendarDaysBetween(lastActivity, now, timezone);
+    if (daysDiff <= 0) {
+      newStreak = Math.max(currentStreak, 1);
+    } else if (daysDiff === 1) {
+      newStreak = currentStreak + 1;
+    }
+  }
+
+  return {
+    'stats.currentStreak': newStreak,
+    'stats.longestStreak': Math.max(longestStreak, newStreak)
+  };
+};
+
 /**
  * Sanitize celebration settings to ensure only valid fields are saved
  * Prevents injection of unexpected fields
@@ -214,6 +309,19 @@ const sanitizeSettings = (settings) => {
       sanitized[key] = settings[key];
     }
   });
+
+  // Delivery preferences are strings, checked against their formats
+  if (isValidTimezone(settings.timezone)) {
+    sanitized.timezone = settings.timezone;
+  }
+  if (isValidTimeOfDay(settings.deliveryTime)) {
+    sanitized.deliveryTime = settings.deliveryTime;
+  }
+
+  // Now-playing username: an empty string disconnects it
+  if (typeof settings.nowPlayingUsername === 'string' && settings.nowPlayingUsername.trim().length <= 64) {
+    sanitized.nowPlayingUsername = settings.nowPlayingUsername.trim();
+  }
   return sanitized;
 };
 
@@ -221,6 +329,7 @@ const sanitizeSettings = (settings) => {
 module.exports = {
   // Browsing Users
   getAllUsers,
+  findUserByUsername,
 
   // Viewing a Profile
   getUserById,
@@ -228,5 +337,7 @@ module.exports = {
   updateProfile,
   updateSettings,
   getUserStats,
-  updateUserStats
+  updateUserStats,
+  adjustUserStats,
+  getDeliveryPreferences
 };
@@ -0,0 +1,118 @@
+// Give up on slow providers quickly; read when the service loads
+process.env.CONTEXT_TIMEOUT_MS = '50';
+
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const User = require('../models/user');
+const { createManualClock } = require('../utils/clock');
+const { CONTEXT_KINDS, createFixtureProvider } = require('../services/contextProviders');
+const {
+  captureContext,
+  setContextProviders,
+  SOURCE_STATUS
+} = require('../services/contextService');
+
+const MINUTE_MS = 60 * 1000;
+const USER_ID = '64b000000000000000000001';
+
+const WEATHER = { weather: 'Light rain', temperature: 12 };
+const SONG = { currentSong: 'Clair de Lune - Debussy' };
+const HEADLINE = { topHeadLine: 'Comet visible tonight' };
+
+describe('context service', () => {
+  let clock;
+  let weather;
+  let song;
+  let headline;
+
+  const capture = () => captureContext(USER_ID, { location: 'Lisbon' }, clock.now());
+
+  beforeEach(() => {
+    clock = createManualClock(new Date('2030-01-01T09:00:00Z'));
+    weather = createFixtureProvider(CONTEXT_KINDS.WEATHER, { fixtures: [WEATHER] });
+    song = createFixtureProvider(CONTEXT_KINDS.SONG, { fixtures: [SONG] });
+    headline = createFixtureProvider(CONTEXT_KINDS.HEADLINE, { fixtures: [HEADLINE] });
+    setContextProviders({ weather, song, headline });
+
+    mock.method(User, 'findById', () => ({
+      select: () => ({ lean: async () => ({ settings: { nowPlayingUsername: 'listener' } }) })
+    }));
+    mock.method(console, 'error', () => {});
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('asks every provider, then reuses answers while they are fresh', async () => {
+    const first = await capture();
+    assert.equal(first.weather, WEATHER.weather);
+    assert.equal(first.currentSong, SONG.currentSong);
+    assert.equal(first.topHeadLine, HEADLINE.topHeadLine);
+    assert.equal(first.sources.weather.status, SOURCE_STATUS.LIVE);
+
+    await clock.advance(10 * MINUTE_MS);
+    const second = await capture();
+    assert.equal(second.sources.weather.status, SOURCE_STATUS.CACHED);
+    assert.equal(second.sources.headline.status, SOURCE_STATUS.CACHED);
+    assert.equal(second.sources.song.status, SOURCE_STATUS.LIVE);
+    assert.equal(weather.calls, 1);
+    assert.equal(song.calls, 2);
+  });
+
+  it('gives up on a provider that takes too long', async () => {
+    const slow = createFixtureProvider(CONTEXT_KINDS.WEATHER, { fixtures: [WEATHER], delayMs: 5000 });
+    setContextProviders({ weather: slow, song, headline });
+
+    const startedAt = Date.now();
+    const context = await capture();
+
+    assert.ok(Date.now() - startedAt < 1000);
+    assert.equal(context.sources.weather.status, SOURCE_STATUS.UNAVAILABLE);
+    assert.equal(context.weather, undefined);
+    assert.equal(context.sources.song.status, SOURCE_STATUS.LIVE);
+  });
+
+  it('falls back to an old answer while a provider is down', async () => {
+    await capture();
+    weather.failWith = new Error('Weather service down');
+    headline.failWith = new Error('News service down');
+
+    await clock.advance(2 * 60 * MINUTE_MS);
+    const context = await capture();
+    assert.equal(context.sources.weather.status, SOURCE_STATUS.STALE);
+    assert.equal(context.weather, WEATHER.weather);
+    assert.equal(context.sources.headline.status, SOURCE_STATUS.STALE);
+    assert.equal(context.topHeadLine, HEADLINE.topHeadLine);
+  });
+
+  it('stops falling back once an answer is too old', async () => {
+    await capture();
+    weather.failWith = new Error('Weather service down');
+
+    await clock.advance(4 * 60 * MINUTE_MS);
+    const context = await capture();
+    assert.equal(context.sources.weather.status, SOURCE_STATUS.UNAVAILABLE);
+    assert.equal(context.weather, undefined);
+  });
+
+  it('never falls back to an old song', async () => {
+    await capture();
+    song.failWith = new Error('Scrobbler down');
+
+    await clock.advance(2 * MINUTE_MS);
+    const context = await capture();
+    assert.equal(context.sources.song.status, SOURCE_STATUS.UNAVAILABLE);
+    assert.equal(context.currentSong, undefined);
+  });
+
+  it('skips kinds without a provider or without anything to ask about', async () => {
+    setContextProviders({ weather, song });
+
+    const context = await captureContext(USER_ID, {}, clock.now());
+    assert.equal(context.sources.weather.status, SOURCE_STATUS.SKIPPED);
+    assert.equal(context.sources.headline.status, SOURCE_STATUS.SKIPPED);
+    assert.equal(context.sources.headline.provider, null);
+    assert.equal(weather.calls, 0);
+  });
+});
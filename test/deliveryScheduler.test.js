@@ -0,0 +1,96 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { useFakeLetters } = require('./support/fakeLetters');
+const { createManualClock } = require('../utils/clock');
+const {
+  createDeliveryScheduler,
+  deliverDueLetters,
+  deliverLetterIfDue,
+  onLetterDelivered
+} = require('../services/deliveryScheduler');
+
+const MINUTE_MS = 60 * 1000;
+const START = new Date('2030-01-01T09:00:00Z');
+
+const minutesAfterStart = (minutes) => new Date(START.getTime() + minutes * MINUTE_MS);
+
+describe('delivery scheduler', () => {
+  let letters;
+  let clock;
+  let scheduler;
+  let delivered;
+  let stopListening;
+
+  beforeEach(() => {
+    letters = useFakeLetters();
+    clock = createManualClock(START);
+    scheduler = createDeliveryScheduler({ clock, intervalMs: MINUTE_MS });
+    delivered = [];
+    stopListening = onLetterDelivered((letter) => delivered.push(letter));
+  });
+
+  afterEach(() => {
+    scheduler.stop();
+    stopListening();
+    letters.restore();
+  });
+
+  it('delivers each letter on the first tick after its delivery date', async () => {
+    const first = letters.add({ deliveredAt: minutesAfterStart(2) });
+    const second = letters.add({ deliveredAt: minutesAfterStart(5) });
+    scheduler.start();
+
+    await clock.advance(3 * MINUTE_MS);
+    assert.equal(first.isDelivered, true);
+    assert.deepEqual(first.actualDeliveredAt, minutesAfterStart(2));
+    assert.equal(second.isDelivered, false);
+    assert.deepEqual(delivered.map((letter) => String(letter._id)), [String(first._id)]);
+
+    await clock.advance(3 * MINUTE_MS);
+    assert.equal(second.isDelivered, true);
+    assert.deepEqual(second.actualDeliveredAt, minutesAfterStart(5));
+    assert.equal(delivered.length, 2);
+  });
+
+  it('never delivers drafts or letters in the trash', async () => {
+    const draft = letters.add({ status: 'draft', deliveredAt: minutesAfterStart(1) });
+    const trashed = letters.add({ deliveredAt: minutesAfterStart(1), deletedAt: START });
+    scheduler.start();
+
+    await clock.advance(10 * MINUTE_MS);
+    assert.equal(draft.isDelivered, false);
+    assert.equal(trashed.isDelivered, false);
+    assert.equal(delivered.length, 0);
+  });
+
+  it('works through a backlog bigger than one batch', async () => {
+    for (let i = 0; i < 5; i++) {
+      letters.add({ deliveredAt: minutesAfterStart(-i) });
+    }
+
+    const { deliveredCount } = await deliverDueLetters({ now: START, batchSize: 2 });
+    assert.equal(deliveredCount, 5);
+    assert.ok(letters.letters.every((letter) => letter.isDelivered));
+  });
+
+  it('delivers and announces a letter only once when two deliveries race', async () => {
+    const letter = letters.add({ deliveredAt: minutesAfterStart(1) });
+    const staleCopy = { ...letter };
+    scheduler.start();
+
+    await clock.advance(MINUTE_MS);
+    const synced = await deliverLetterIfDue(staleCopy, await clock.advance(MINUTE_MS / 2));
+
+    assert.equal(synced.isDelivered, true);
+    assert.deepEqual(letter.actualDeliveredAt, minutesAfterStart(1));
+    assert.equal(delivered.length, 1);
+  });
+
+  it('leaves a letter that is not due yet alone', async () => {
+    const letter = letters.add({ deliveredAt: minutesAfterStart(5) });
+
+    const result = await deliverLetterIfDue({ ...letter }, clock.now());
+    assert.equal(result.isDelivered, false);
+    assert.equal(letter.isDelivered, false);
+  });
+});
@@ -0,0 +1,146 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const Letter = require('../models/letter');
+const LetterRevision = require('../models/letterRevision');
+const LetterTemplate = require('../models/letterTemplate');
+const { useEncryption } = require('./support/fakeKeys');
+const {
+  encryptLetterFields,
+  decryptLetterFields,
+  encryptRevisionSnapshot,
+  decryptRevisionSnapshot,
+  encryptTemplateFields,
+  decryptTemplateFields
+} = require('../services/encryptionService');
+const { ValidationError } = require('../middleware/errorHandler');
+
+const LOOKALIKE = 'enc:v1:abc:this is how my diary starts';
+
+/**
+ * A letter as saving it would store it, loaded back as a document
+ */
+const saveAndLoad = async (letter) => {
+  await encryptLetterFields(letter);
+  return Letter.hydrate(letter.toObject());
+};
+
+const buildLetter = (fields = {}) => new Letter({
+  user: new mongoose.Types.ObjectId(),
+  content: 'Dear future me, I hope the garden grew.',
+  goals: [{ text: 'Plant tomatoes', reflection: 'They grew!' }],
+  reflections: [{ reflection: 'Reading this a year later, I am glad I wrote it down.' }],
+  ...fields
+});
+
+describe('encryption at rest', () => {
+  describe('with a master key', () => {
+    let encryption;
+
+    beforeEach(() => {
+      encryption = useEncryption();
+    });
+
+    afterEach(() => {
+      encryption.restore();
+    });
+
+    it('encrypts a letter\'s words and decrypts them when loaded', async () => {
+      const stored = await saveAndLoad(buildLetter());
+      assert.match(stored.content, /^enc:v1:/);
+      assert.match(stored.goals[0].text, /^enc:v1:/);
+      assert.match(stored.reflections[0].reflection, /^enc:v1:/);
+
+      await decryptLetterFields(stored);
+      assert.equal(stored.content, 'Dear future me, I hope the garden grew.');
+      assert.equal(stored.goals[0].text, 'Plant tomatoes');
+      assert.equal(stored.goals[0].reflection, 'They grew!');
+    });
+
+    it('decrypts letters from lean reads', async () => {
+      const stored = await saveAndLoad(buildLetter());
+      const lean = stored.toObject();
+
+      await decryptLetterFields(lean);
+      assert.equal(lean.content, 'Dear future me, I hope the garden grew.');
+    });
+
+    it('encrypts words that only look encrypted', async () => {
+      const stored = await saveAndLoad(buildLetter({ content: LOOKALIKE, goals: [{ text: LOOKALIKE }] }));
+      assert.notEqual(stored.content, LOOKALIKE);
+
+      await decryptLetterFields(stored);
+      assert.equal(stored.content, LOOKALIKE);
+      assert.equal(stored.goals[0].text, LOOKALIKE);
+
+      // Decrypting again leaves the words as they are
+      await decryptLetterFields(stored);
+      assert.equal(stored.content, LOOKALIKE);
+    });
+
+    it('leaves values that are still encrypted as stored alone', async () => {
+      const stored = await saveAndLoad(buildLetter());
+      const storedContent = stored.content;
+      stored.goals[0].text = 'Plant peppers';
+
+      await encryptLetterFields(stored);
+      assert.equal(stored.content, storedContent);
+      assert.match(stored.goals[0].text, /^enc:v1:/);
+
+      const loaded = Letter.hydrate(stored.toObject());
+      await decryptLetterFields(loaded);
+      assert.equal(loaded.content, 'Dear future me, I hope the garden grew.');
+      assert.equal(loaded.goals[0].text, 'Plant peppers');
+    });
+
+    it('encrypts revision snapshots the same way', async () => {
+      const revision = new LetterRevision({
+        user: new mongoose.Types.ObjectId(),
+        snapshot: { content: LOOKALIKE, goals: [{ text: 'Plant tomatoes' }] }
+      });
+
+      await encryptRevisionSnapshot(revision);
+      const loaded = LetterRevision.hydrate(revision.toObject());
+      assert.notEqual(loaded.snapshot.content, LOOKALIKE);
+
+      await decryptRevisionSnapshot(loaded);
+      assert.equal(loaded.snapshot.content, LOOKALIKE);
+      assert.equal(loaded.snapshot.goals[0].text, 'Plant tomatoes');
+    });
+
+    it('encrypts a template\'s words, but not its name', async () => {
+      const template = new LetterTemplate({
+        user: new mongoose.Types.ObjectId(),
+        name: 'Monthly check-in',
+        title: 'My next 30 days',
+        content: 'Dear future me, this month I want to...',
+        goals: [{ text: 'Read one book' }]
+      });
+
+      await encryptTemplateFields(template);
+      const loaded = LetterTemplate.hydrate(template.toObject());
+      assert.equal(loaded.name, 'Monthly check-in');
+      assert.match(loaded.title, /^enc:v1:/);
+      assert.match(loaded.content, /^enc:v1:/);
+      assert.match(loaded.goals[0].text, /^enc:v1:/);
+
+      await decryptTemplateFields(loaded);
+      assert.equal(loaded.title, 'My next 30 days');
+      assert.equal(loaded.content, 'Dear future me, this month I want to...');
+      assert.equal(loaded.goals[0].text, 'Read one book');
+    });
+  });
+
+  describe('without a master key', () => {
+    it('keeps words as they are', async () => {
+      const letter = buildLetter();
+
+      await encryptLetterFields(letter);
+      assert.equal(letter.content, 'Dear future me, I hope the garden grew.');
+    });
+
+    it('refuses words that would be mistaken for encrypted ones', async () => {
+      await assert.rejects(encryptLetterFields(buildLetter({ content: LOOKALIKE })), ValidationError);
+    });
+  });
+});
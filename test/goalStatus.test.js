@@ -0,0 +1,61 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { canTransitionGoal, transitionGoal } = require('../utils/goalStatus');
+const { InvalidTransitionError } = require('../middleware/errorHandler');
+
+const buildGoal = (status) => ({ text: 'Run a 5k', status, statusHistory: [] });
+
+describe('goal statuses', () => {
+  it('allows the moves a goal could really make', () => {
+    assert.equal(canTransitionGoal('pending', 'inProgress'), true);
+    assert.equal(canTransitionGoal('inProgress', 'completed'), true);
+    assert.equal(canTransitionGoal('completed', 'inProgress'), true);
+    assert.equal(canTransitionGoal('abandoned', 'pending'), true);
+  });
+
+  it('refuses the rest', () => {
+    assert.equal(canTransitionGoal('completed', 'abandoned'), false);
+    assert.equal(canTransitionGoal('carriedForward', 'pending'), false);
+    assert.equal(canTransitionGoal('pending', 'pending'), false);
+    assert.equal(canTransitionGoal('pending', 'finished'), false);
+  });
+
+  it('moves a goal and writes the move into its history', () => {
+    const goal = buildGoal('pending');
+    const now = new Date('2024-06-01T00:00:00Z');
+
+    const move = transitionGoal(goal, 'completed', { changedBy: 'user-1', note: 'Finally!', now });
+    assert.deepEqual(move, { from: 'pending', to: 'completed' });
+    assert.equal(goal.status, 'completed');
+    assert.equal(goal.statusUpdatedAt, now);
+    assert.deepEqual(goal.statusHistory, [
+      { from: 'pending', to: 'completed', note: 'Finally!', changedBy: 'user-1', changedAt: now }
+    ]);
+  });
+
+  it('treats a goal without a status as pending', () => {
+    const goal = buildGoal(undefined);
+
+    assert.deepEqual(transitionGoal(goal, 'inProgress'), { from: 'pending', to: 'inProgress' });
+  });
+
+  it('refuses a move that isn\'t allowed, saying where the goal can go', () => {
+    const goal = buildGoal('completed');
+
+    assert.throws(() => transitionGoal(goal, 'abandoned'), (error) => {
+      assert.ok(error instanceof InvalidTransitionError);
+      assert.equal(error.statusCode, 409);
+      assert.equal(error.message, 'A goal can\'t go from completed to abandoned');
+      assert.deepEqual(error.fields, { status: 'From completed a goal can go to: inProgress' });
+      return true;
+    });
+    assert.equal(goal.status, 'completed');
+    assert.deepEqual(goal.statusHistory, []);
+  });
+
+  it('sends changes to a carried goal to the letter it went to', () => {
+    assert.throws(() => transitionGoal(buildGoal('carriedForward'), 'pending'), {
+      message: 'This goal was carried forward - update it in the letter it was carried into'
+    });
+  });
+});
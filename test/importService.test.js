@@ -0,0 +1,64 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const Tag = require('../models/tag');
+const Letter = require('../models/letter');
+const { importLetters } = require('../services/importService');
+const { ValidationError } = require('../middleware/errorHandler');
+
+const NOW = new Date('2024-06-01T00:00:00Z');
+
+const file = (originalname, text) => ({ originalname, buffer: Buffer.from(text, 'utf8') });
+
+describe('importing letters (dry run)', () => {
+  let userId;
+  let mocks;
+
+  beforeEach(() => {
+    userId = new mongoose.Types.ObjectId();
+    mocks = [
+      mock.method(Tag, 'find', () => ({ sort: async () => [] })),
+      mock.method(Letter.prototype, 'save', async () => {
+        throw new Error('A dry run should not save');
+      })
+    ];
+  });
+
+  afterEach(() => {
+    mocks.forEach((method) => method.mock.restore());
+  });
+
+  it('checks every entry across files without saving', async () => {
+    const csv = [
+      'Title,Date,Entry,Tags',
+      'Spring,2023-04-01,The garden is in.,Garden; garden',
+      'No date,,Written some day.,',
+      'Tomorrow,2030-01-01,Not yet written.,'
+    ].join('\n');
+    const markdown = '---\ntitle: Summer\ndate: 2023-07-01\n---\nIt grew!';
+
+    const summary = await importLetters(userId, [file('journal.csv', csv), file('summer.md', markdown)], { dryRun: 'true' }, NOW);
+    assert.equal(summary.dryRun, true);
+    assert.equal(summary.total, 4);
+    assert.equal(summary.valid, 2);
+    assert.equal(summary.invalid, 2);
+    assert.deepEqual(summary.newTags, ['Garden']);
+    assert.deepEqual(summary.entries.map(({ source, status }) => [source, status]), [
+      ['journal.csv row 2', 'valid'],
+      ['journal.csv row 3', 'invalid'],
+      ['journal.csv row 4', 'invalid'],
+      ['summer.md', 'valid']
+    ]);
+    assert.deepEqual(summary.entries[1].errors, { createdAt: 'Each entry needs the date it was written' });
+    assert.deepEqual(summary.entries[2].errors, { createdAt: 'An entry cannot be written in the future' });
+  });
+
+  it('reports entries that can\'t be read alongside the rest', async () => {
+    const summary = await importLetters(userId, [file('notes.txt', 'Dear diary')], { dryRun: 'true' }, NOW);
+    assert.deepEqual(summary.entries[0].errors, { file: 'Unsupported file type. Use .json, .md or .csv' });
+  });
+
+  it('needs at least one file', async () => {
+    await assert.rejects(importLetters(userId, [], { dryRun: 'true' }, NOW), ValidationError);
+  });
+});
@@ -0,0 +1,132 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { detectImportFormat, parseImportFile } = require('../utils/letterImport');
+
+const file = (originalname, text) => ({ originalname, buffer: Buffer.from(text, 'utf8') });
+
+describe('reading import files', () => {
+  it('knows a file\'s format from its name', () => {
+    assert.equal(detectImportFormat('journal.CSV'), 'csv');
+    assert.equal(detectImportFormat('notes.markdown'), 'markdown');
+    assert.equal(detectImportFormat('letters.json'), 'json');
+    assert.equal(detectImportFormat('diary.txt'), undefined);
+  });
+
+  it('refuses files it can\'t read', () => {
+    assert.deepEqual(parseImportFile(file('diary.txt', 'Dear diary')), [
+      { source: 'diary.txt', error: 'Unsupported file type. Use .json, .md or .csv' }
+    ]);
+  });
+
+  describe('JSON', () => {
+    it('reads our own export, mapping other tools\' names onto ours', () => {
+      const text = JSON.stringify({
+        letters: [
+          { title: 'Spring', body: 'The garden is in.', date: '2023-04-01', tags: 'garden', goals: ['Plant tomatoes'] },
+          { title: 'Summer', text: 'It grew!', song: 'Here Comes the Sun', unknown: 'dropped' }
+        ]
+      });
+
+      assert.deepEqual(parseImportFile(file('letters.json', text)), [
+        {
+          source: 'letters.json #1',
+          fields: {
+            title: 'Spring',
+            content: 'The garden is in.',
+            createdAt: '2023-04-01',
+            tags: ['garden'],
+            goals: [{ text: 'Plant tomatoes' }]
+          }
+        },
+        {
+          source: 'letters.json #2',
+          fields: { title: 'Summer', content: 'It grew!', currentSong: 'Here Comes the Sun' }
+        }
+      ]);
+    });
+
+    it('reads a plain list, and reports each entry it can\'t use', () => {
+      const text = JSON.stringify([{ title: 'Sealed', sealed: true }, 'just words']);
+
+      const [sealed, notAnObject] = parseImportFile(file('list.json', text));
+      assert.match(sealed.error, /still sealed/);
+      assert.deepEqual(notAnObject, { source: 'list.json #2', error: 'Each letter must be an object' });
+    });
+
+    it('explains broken JSON', () => {
+      const [entry] = parseImportFile(file('broken.json', '{ "letters": ['));
+      assert.match(entry.error, /^Not valid JSON: /);
+    });
+  });
+
+  describe('Markdown', () => {
+    it('reads the details from front matter and the letter from the rest', () => {
+      const text = '﻿---\ntitle: Spring\nwritten: 2023-04-01\nmood: hopeful\ngoals:\n  - text: Plant tomatoes\n    status: completed\n---\nThe garden is in.\n';
+
+      assert.deepEqual(parseImportFile(file('spring.md', text)), [{
+        source: 'spring.md',
+        fields: {
+          title: 'Spring',
+          createdAt: '2023-04-01',
+          mood: 'hopeful',
+          goals: [{ text: 'Plant tomatoes', status: 'completed', reflection: undefined }],
+          content: 'The garden is in.'
+        }
+      }]);
+    });
+
+    it('takes the title from a leading heading', () => {
+      const [entry] = parseImportFile(file('note.md', '# A quiet day\n\nNothing happened, and that was fine.'));
+      assert.deepEqual(entry.fields, { title: 'A quiet day', content: 'Nothing happened, and that was fine.' });
+    });
+
+    it('explains front matter that isn\'t YAML', () => {
+      const [entry] = parseImportFile(file('bad.md', '---\ntitle: [unclosed\n---\nHello'));
+      assert.match(entry.error, /^Front matter is not valid YAML: /);
+    });
+  });
+
+  describe('CSV', () => {
+    it('reads one entry per row, with lists split by semicolons', () => {
+      const text = [
+        'Title,Date,Body,Tags,Goals',
+        'Spring,2023-04-01,"The garden is in, finally.",garden; outdoors,Plant tomatoes;Water daily',
+        '',
+        'Quote,2023-05-01,"She said ""grow"" and it did",,'
+      ].join('\r\n');
+
+      assert.deepEqual(parseImportFile(file('journal.csv', text)), [
+        {
+          source: 'journal.csv row 2',
+          fields: {
+            title: 'Spring',
+            createdAt: '2023-04-01',
+            content: 'The garden is in, finally.',
+            tags: ['garden', 'outdoors'],
+            goals: [{ text: 'Plant tomatoes' }, { text: 'Water daily' }]
+          }
+        },
+        {
+          source: 'journal.csv row 4',
+          fields: { title: 'Quote', createdAt: '2023-05-01', content: 'She said "grow" and it did' }
+        }
+      ]);
+    });
+
+    it('keeps newlines inside quoted cells', () => {
+      const [entry] = parseImportFile(file('journal.csv', 'date,entry\n2023-04-01,"Line one\nLine two"\n'));
+      assert.equal(entry.fields.content, 'Line one\nLine two');
+    });
+
+    it('explains a quoted cell that never ends', () => {
+      assert.deepEqual(parseImportFile(file('journal.csv', 'date,entry\n2023-04-01,"Never closed')), [
+        { source: 'journal.csv', error: 'The CSV has a quoted cell that never ends' }
+      ]);
+    });
+
+    it('needs a header row and an entry', () => {
+      const [entry] = parseImportFile(file('empty.csv', 'title,date\n'));
+      assert.equal(entry.error, 'Expected a header row and at least one entry');
+    });
+  });
+});
@@ -0,0 +1,261 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const Letter = require('../models/letter');
+const LetterRevision = require('../models/letterRevision');
+const { useFakeLetters } = require('./support/fakeLetters');
+const letterService = require('../services/letterService');
+const userService = require('../services/userService');
+const { ValidationError, ForbiddenError, InvalidTransitionError } = require('../middleware/errorHandler');
+
+const FAR_FUTURE = new Date('2099-01-01T00:00:00Z');
+
+describe('sealing', () => {
+  let letters;
+  let userId;
+
+  const addLetter = (fields) => letters.add({
+    user: userId,
+    title: 'For later',
+    content: 'The garden is my secret.',
+    deliveryInterval: '1year',
+    deliveredAt: FAR_FUTURE,
+    goals: [{ text: 'Plant tomatoes' }],
+    ...fields
+  });
+
+  beforeEach(() => {
+    letters = useFakeLetters();
+    userId = new mongoose.Types.ObjectId();
+  });
+
+  afterEach(() => {
+    letters.restore();
+  });
+
+  it('leaves new letters open unless the writer seals them', () => {
+    const letter = new Letter({ user: userId, content: 'Hello', deliveredAt: FAR_FUTURE });
+    assert.equal(letter.isSealed, false);
+    assert.equal(letterService.isLetterSealed(letter), false);
+  });
+
+  it('shows only the envelope of a sealed letter', async () => {
+    const { _id } = addLetter({ isSealed: true });
+
+    const letter = await letterService.getLetterById(userId, _id);
+    assert.equal(letter.isSealed, true);
+    assert.equal(letter.title, 'For later');
+    assert.equal(letter.content, undefined);
+    assert.equal(letter.goals, undefined);
+    assert.equal(letter.goalCount, 1);
+  });
+
+  it('treats letters saved without isSealed as open', async () => {
+    const stored = addLetter({});
+    delete stored.isSealed;
+
+    assert.equal(letterService.isLetterSealed({ ...stored }), false);
+    const letter = await letterService.getLetterById(userId, stored._id);
+    assert.equal(letter.content, 'The garden is my secret.');
+  });
+
+  it('opens a sealed letter once it has been delivered', async () => {
+    const { _id } = addLetter({ isSealed: true, isDelivered: true });
+
+    const letter = await letterService.getLetterById(userId, _id);
+    assert.equal(letter.content, 'The garden is my secret.');
+  });
+
+  it('opens a letter early when its seal is broken, and remembers why', async () => {
+    const { _id } = addLetter({ isSealed: true });
+
+    const letter = await letterService.breakSeal(userId, _id, 'Bad day');
+    assert.equal(letter.content, 'The garden is my secret.');
+
+    const [stored] = letters.letters;
+    assert.ok(stored.sealBrokenAt instanceof Date);
+    assert.equal(stored.sealBrokenReason, 'Bad day');
+    assert.equal(letterService.isLetterSealed(stored), false);
+  });
+
+  it('refuses to break a seal that isn\'t there', async () => {
+    const { _id } = addLetter({});
+
+    await assert.rejects(letterService.breakSeal(userId, _id, 'Curious'), ValidationError);
+  });
+
+  it('keeps a sealed letter\'s earlier versions sealed', async () => {
+    const { _id } = addLetter({ isSealed: true });
+    const revisionId = new mongoose.Types.ObjectId();
+
+    await assert.rejects(letterService.getLetterRevisions(userId, _id), ForbiddenError);
+    await assert.rejects(letterService.getLetterRevision(userId, _id, revisionId), ForbiddenError);
+    await assert.rejects(letterService.restoreLetterRevision(userId, _id, revisionId), ForbiddenError);
+  });
+
+  it('shows earlier versions once the seal is broken', async () => {
+    const { _id } = addLetter({ isSealed: true, sealBrokenAt: new Date() });
+    const revision = new LetterRevision({
+      letter: _id,
+      user: userId,
+      revisionNumber: 1,
+      reason: 'created',
+      snapshot: { title: 'For later', content: 'The garden is my secret.', goals: [] }
+    });
+    const find = mock.method(LetterRevision, 'find', () => ({ sort: async () => [revision] }));
+
+    try {
+      const [summary] = await letterService.getLetterRevisions(userId, _id);
+      assert.equal(summary.title, 'For later');
+      assert.equal(summary.contentLength, 24);
+    } finally {
+      find.mock.restore();
+    }
+  });
+});
+
+describe('trash and restore', () => {
+  let letters;
+  let statChanges;
+  let adjustUserStats;
+  let authorId;
+  let recipientId;
+
+  const addDeliveredLetter = (fields) => letters.add({
+    user: authorId,
+    content: 'Keep going.',
+    isDelivered: true,
+    deliveryInterval: '1year',
+    deliveredAt: new Date('2024-01-01T00:00:00Z'),
+    goals: [
+      { text: 'Run a 5k', status: 'completed' },
+      { text: 'Learn to bake', status: 'completed' },
+      { text: 'Call home more', status: 'inProgress' }
+    ],
+    reflections: [{ reflection: 'I ran the whole 5k without stopping, and I baked bread for everyone.', author: authorId }],
+    ...fields
+  });
+
+  const changesFor = (userId) => statChanges
+    .filter(({ userId: changed }) => String(changed) === String(userId))
+    .map(({ changes }) => changes);
+
+  beforeEach(() => {
+    letters = useFakeLetters();
+    authorId = new mongoose.Types.ObjectId();
+    recipientId = new mongoose.Types.ObjectId();
+    statChanges = [];
+    adjustUserStats = mock.method(userService, 'adjustUserStats', async (userId, changes) => {
+      statChanges.push({ userId, changes });
+    });
+  });
+
+  afterEach(() => {
+    adjustUserStats.mock.restore();
+    letters.restore();
+  });
+
+  it('takes a letter\'s completed goals off the stats when it is trashed', async () => {
+    const { _id } = addDeliveredLetter({});
+
+    await letterService.deleteLetter(authorId, _id);
+    assert.deepEqual(changesFor(authorId), [{ letters: -1, reflections: -1, goalsAccomplished: -2 }]);
+  });
+
+  it('puts them back when it is restored', async () => {
+    const { _id } = addDeliveredLetter({ deletedAt: new Date() });
+
+    await letterService.restoreLetter(authorId, _id);
+    assert.deepEqual(changesFor(authorId), [{ letters: 1, reflections: 1, goalsAccomplished: 2 }]);
+  });
+
+  it('counts goals for the recipient who is living them', async () => {
+    const { _id } = addDeliveredLetter({ recipient: { user: recipientId }, reflections: [] });
+
+    await letterService.deleteLetter(authorId, _id);
+    assert.deepEqual(changesFor(authorId), [{ letters: -1, reflections: 0, goalsAccomplished: 0 }]);
+    assert.deepEqual(changesFor(recipientId), [{ letters: 0, reflections: 0, goalsAccomplished: -2 }]);
+  });
+});
+
+describe('goal status updates', () => {
+  let letters;
+  let statChanges;
+  let adjustUserStats;
+  let userId;
+
+  const addGoal = (status) => {
+    const letter = letters.add({
+      user: userId,
+      content: 'Keep going.',
+      isDelivered: true,
+      deliveryInterval: '1year',
+      deliveredAt: new Date('2024-01-01T00:00:00Z'),
+      goals: [{ _id: new mongoose.Types.ObjectId(), text: 'Run a 5k', status }]
+    });
+    return { letterId: letter._id, goalId: letter.goals[0]._id };
+  };
+
+  const storedGoal = () => letters.letters[0].goals[0];
+
+  beforeEach(() => {
+    letters = useFakeLetters();
+    userId = new mongoose.Types.ObjectId();
+    statChanges = [];
+    adjustUserStats = mock.method(userService, 'adjustUserStats', async (changedId, changes) => {
+      statChanges.push(changes);
+    });
+  });
+
+  afterEach(() => {
+    adjustUserStats.mock.restore();
+    letters.restore();
+  });
+
+  it('completes a goal, keeps the reflection and counts it', async () => {
+    const { letterId, goalId } = addGoal('inProgress');
+
+    await letterService.updateGoalStatus(userId, letterId, goalId, {
+      status: 'completed',
+      reflection: 'Crossed the line in 31 minutes.'
+    });
+    assert.equal(storedGoal().status, 'completed');
+    assert.equal(storedGoal().reflection, 'Crossed the line in 31 minutes.');
+    assert.equal(storedGoal().statusHistory.length, 1);
+    assert.deepEqual(statChanges, [{ goalsAccomplished: 1 }]);
+  });
+
+  it('takes the count back when a completed goal is reopened', async () => {
+    const { letterId, goalId } = addGoal('completed');
+
+    await letterService.updateGoalStatus(userId, letterId, goalId, { status: 'inProgress' });
+    assert.deepEqual(statChanges, [{ goalsAccomplished: -1 }]);
+  });
+
+  it('leaves the count alone for moves between open statuses', async () => {
+    const { letterId, goalId } = addGoal('pending');
+
+    await letterService.updateGoalStatus(userId, letterId, goalId, { status: 'inProgress' });
+    assert.deepEqual(statChanges, []);
+  });
+
+  it('refuses moves the goal can\'t make, changing nothing', async () => {
+    const { letterId, goalId } = addGoal('completed');
+
+    await assert.rejects(
+      letterService.updateGoalStatus(userId, letterId, goalId, { status: 'abandoned' }),
+      InvalidTransitionError
+    );
+    assert.equal(storedGoal().status, 'completed');
+    assert.deepEqual(statChanges, []);
+  });
+
+  it('only carries goals forward by carrying them into a letter', async () => {
+    const { letterId, goalId } = addGoal('pending');
+
+    await assert.rejects(
+      letterService.updateGoalStatus(userId, letterId, goalId, { status: 'carriedForward' }),
+      ValidationError
+    );
+  });
+});
@@ -0,0 +1,115 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const User = require('../models/user');
+const { useFakeLetters } = require('./support/fakeLetters');
+const { createManualClock } = require('../utils/clock');
+const { createMemoryTransport } = require('../services/mailTransports');
+const { deliverDueLetters } = require('../services/deliveryScheduler');
+const { sendLetterEmail, retryPendingEmails, EMAIL_STATUS } = require('../services/mailService');
+
+const MINUTE_MS = 60 * 1000;
+const START = new Date('2030-01-01T09:00:00Z');
+
+describe('mail service', () => {
+  let letters;
+  let clock;
+  let transport;
+  let author;
+
+  const addDeliveredLetter = (fields = {}) => letters.add({
+    user: author,
+    content: 'Dear future me, I hope the garden grew.',
+    createdAt: new Date('2029-01-01T09:00:00Z'),
+    deliveredAt: START,
+    isDelivered: true,
+    actualDeliveredAt: START,
+    emailDelivery: { status: EMAIL_STATUS.PENDING, attempts: 0 },
+    ...fields
+  });
+
+  const options = (extra = {}) => ({ transport, maxAttempts: 3, now: clock.now(), ...extra });
+
+  beforeEach(() => {
+    letters = useFakeLetters();
+    clock = createManualClock(START);
+    transport = createMemoryTransport();
+    author = User.hydrate({ _id: new mongoose.Types.ObjectId(), email: 'me@example.com', name: 'Me' });
+    mock.method(console, 'error', () => {});
+  });
+
+  afterEach(() => {
+    letters.restore();
+    mock.restoreAll();
+  });
+
+  it('emails a letter the scheduler delivered', async () => {
+    const letter = letters.add({
+      user: author,
+      content: 'Dear future me',
+      createdAt: new Date('2029-01-01T09:00:00Z'),
+      deliveredAt: new Date(START.getTime() - MINUTE_MS)
+    });
+
+    await deliverDueLetters({ now: START });
+    assert.equal(letter.emailDelivery.status, EMAIL_STATUS.PENDING);
+
+    const { sentCount } = await retryPendingEmails(options());
+    assert.equal(sentCount, 1);
+    assert.equal(letter.emailDelivery.status, EMAIL_STATUS.SENT);
+    assert.equal(transport.sent[0].to, 'me@example.com');
+  });
+
+  it('never emails letters delivered before they were emailed', async () => {
+    addDeliveredLetter({ emailDelivery: undefined });
+
+    const { attemptedCount } = await retryPendingEmails(options());
+    assert.equal(attemptedCount, 0);
+    assert.equal(transport.sent.length, 0);
+  });
+
+  it('retries a failed send once its backoff has passed', async () => {
+    const letter = addDeliveredLetter();
+    transport.failWith = new Error('SMTP unavailable');
+
+    await sendLetterEmail(letter._id, options());
+    assert.equal(letter.emailDelivery.status, EMAIL_STATUS.FAILED);
+    assert.deepEqual(letter.emailDelivery.nextAttemptAt, new Date(START.getTime() + MINUTE_MS));
+
+    transport.failWith = null;
+    await clock.advance(MINUTE_MS / 2);
+    assert.equal((await retryPendingEmails(options())).attemptedCount, 0);
+
+    await clock.advance(MINUTE_MS / 2);
+    assert.equal((await retryPendingEmails(options())).sentCount, 1);
+    assert.equal(letter.emailDelivery.status, EMAIL_STATUS.SENT);
+    assert.equal(letter.emailDelivery.attempts, 2);
+  });
+
+  it('stops retrying after the last attempt', async () => {
+    const letter = addDeliveredLetter();
+    transport.failWith = new Error('SMTP unavailable');
+
+    for (let attempt = 0; attempt < 3; attempt++) {
+      await sendLetterEmail(letter._id, options());
+      await clock.advance(60 * MINUTE_MS);
+    }
+
+    assert.equal(letter.emailDelivery.attempts, 3);
+    assert.equal(letter.emailDelivery.nextAttemptAt, undefined);
+    assert.equal((await retryPendingEmails(options())).attemptedCount, 0);
+  });
+
+  it('only lets one worker send a letter at a time, until a send is cut off', async () => {
+    const letter = addDeliveredLetter({
+      emailDelivery: { status: EMAIL_STATUS.SENDING, attempts: 1, lastAttemptAt: START }
+    });
+
+    assert.equal(await sendLetterEmail(letter._id, options()), null);
+
+    await clock.advance(15 * MINUTE_MS);
+    const emailDelivery = await sendLetterEmail(letter._id, options());
+    assert.equal(emailDelivery.status, EMAIL_STATUS.SENT);
+    assert.equal(transport.sent.length, 1);
+  });
+});
@@ -0,0 +1,34 @@
+const { describe, it, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { createTransportFromEnv, TRANSPORT_TYPES } = require('../services/mailTransports');
+
+describe('mail transports from the environment', () => {
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('turns mail off, with a warning, when SMTP has no host', () => {
+    const warn = mock.method(console, 'warn', () => {});
+
+    assert.equal(createTransportFromEnv({ NODE_ENV: 'production' }), null);
+    assert.equal(warn.mock.callCount(), 1);
+  });
+
+  it('sends through SMTP once it has a host', () => {
+    const transport = createTransportFromEnv({ SMTP_HOST: 'smtp.example.com' });
+    assert.equal(transport.name, TRANSPORT_TYPES.SMTP);
+  });
+
+  it('writes mail to files in development', () => {
+    const transport = createTransportFromEnv({ NODE_ENV: 'development' });
+    assert.equal(transport.name, TRANSPORT_TYPES.FILE);
+  });
+
+  it('can be turned off on purpose', () => {
+    assert.equal(createTransportFromEnv({ MAIL_TRANSPORT: 'none', SMTP_HOST: 'smtp.example.com' }), null);
+  });
+
+  it('refuses a transport it does not know', () => {
+    assert.throws(() => createTransportFromEnv({ MAIL_TRANSPORT: 'pigeon' }), /Invalid mail transport/);
+  });
+});
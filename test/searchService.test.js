@@ -0,0 +1,94 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const { useFakeLetters } = require('./support/fakeLetters');
+const { useEncryption } = require('./support/fakeKeys');
+const { searchLetters } = require('../services/searchService');
+
+const FAR_FUTURE = new Date('2099-01-01T00:00:00Z');
+const PAST = new Date('2020-01-01T00:00:00Z');
+
+// Without encryption MongoDB matches and ranks; with it, the service does.
+// Both have to find the same letters in the same order.
+const MODES = [
+  { name: 'matched in the database', setUp: () => ({ restore: () => {} }) },
+  { name: 'matched after decrypting', setUp: useEncryption }
+];
+
+MODES.forEach(({ name, setUp }) => {
+  describe(`letter search (${name})`, () => {
+    let letters;
+    let encryption;
+    let userId;
+    let written;
+
+    const addLetter = (fields) => {
+      written = new Date(written.getTime() + 1000);
+      return letters.add({ user: userId, createdAt: written, ...fields });
+    };
+    const addOpenLetter = (fields) => addLetter({ isDelivered: true, deliveredAt: PAST, ...fields });
+    const addSealedLetter = (fields) => addLetter({ isSealed: true, deliveredAt: FAR_FUTURE, ...fields });
+
+    const titles = (result) => result.results.map(({ letter }) => letter.title);
+
+    beforeEach(() => {
+      letters = useFakeLetters();
+      encryption = setUp();
+      userId = new mongoose.Types.ObjectId();
+      written = new Date('2024-01-01T00:00:00Z');
+    });
+
+    afterEach(() => {
+      encryption.restore();
+      letters.restore();
+    });
+
+    it('finds words inside longer words, ignoring case', async () => {
+      addOpenLetter({ title: 'Spring', content: 'I started Running every morning.' });
+      addOpenLetter({ title: 'Autumn', content: 'I sat by the fire.' });
+
+      const result = await searchLetters(userId, { q: 'run' });
+      assert.deepEqual(titles(result), ['Spring']);
+      assert.equal(result.results[0].highlights[0].field, 'content');
+    });
+
+    it('only looks at the envelope of a sealed letter', async () => {
+      addSealedLetter({ title: 'For 2099', content: 'The garden is my secret.' });
+      addSealedLetter({ title: 'My garden', content: 'Tomatoes.' });
+
+      const result = await searchLetters(userId, { q: 'garden' });
+      assert.equal(result.total, 1);
+      assert.deepEqual(titles(result), ['My garden']);
+      assert.equal(result.results[0].letter.content, undefined);
+      assert.deepEqual(result.results[0].highlights.map(({ field }) => field), ['title']);
+    });
+
+    it('ranks by what can be seen, title matches first', async () => {
+      addOpenLetter({ title: 'Notes', content: 'garden, garden' });
+      addSealedLetter({ title: 'Garden plans', content: 'garden garden garden garden garden' });
+      addOpenLetter({ title: 'Garden diary', content: 'The garden grew.' });
+
+      const result = await searchLetters(userId, { q: 'garden' });
+      assert.deepEqual(titles(result), ['Garden diary', 'Garden plans', 'Notes']);
+      assert.deepEqual(result.results.map(({ score }) => score), [4, 3, 2]);
+    });
+
+    it('counts every match, beyond the page', async () => {
+      addOpenLetter({ title: 'One', content: 'a walk' });
+      addOpenLetter({ title: 'Two', content: 'walking' });
+      addOpenLetter({ title: 'Three', content: 'walked' });
+
+      const result = await searchLetters(userId, { q: 'walk', limit: '2' });
+      assert.equal(result.total, 3);
+      assert.deepEqual(titles(result), ['Three', 'Two']);
+    });
+
+    it('needs every term to appear', async () => {
+      addOpenLetter({ title: 'Trip', content: 'A long walk on the beach.' });
+      addOpenLetter({ title: 'Park', content: 'A walk in the park.' });
+
+      const result = await searchLetters(userId, { q: 'walk beach' });
+      assert.deepEqual(titles(result), ['Trip']);
+    });
+  });
+});
@@ -0,0 +1,44 @@
+/**
+ * Fake Keys
+ * Turns encryption on with a throwaway master key, keeping each user's
+ * wrapped data keys in memory instead of on the User document.
+ */
+
+const { mock } = require('node:test');
+const crypto = require('crypto');
+const User = require('../../models/user');
+const { configureMasterKeys } = require('../../services/encryptionService');
+
+/**
+ * Turn encryption on. Returns { restore() }, which turns it back off.
+ */
+const useEncryption = () => {
+  const encryptionByUser = new Map();
+
+  configureMasterKeys({ ENCRYPTION_MASTER_KEY: crypto.randomBytes(32).toString('base64') });
+
+  const mocks = [
+    mock.method(User, 'findById', (userId) => ({
+      select: async () => ({ encryption: encryptionByUser.get(String(userId)) || {} })
+    })),
+    mock.method(User, 'updateOne', async ({ _id }, { $set }) => {
+      const encryption = encryptionByUser.get(String(_id)) || {};
+      encryption.activeKeyId = $set['encryption.activeKeyId'];
+      encryption.keys = $set['encryption.keys'];
+      encryptionByUser.set(String(_id), encryption);
+    })
+  ];
+
+  const restore = () => {
+    mocks.forEach((method) => method.mock.restore());
+    configureMasterKeys({});
+  };
+
+  return { restore };
+};
+
+// exports
+
+module.exports = {
+  useEncryption
+};
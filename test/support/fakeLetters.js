@@ -0,0 +1,331 @@
+/**
+ * Fake Letters
+ * Stands in for the Letter model's queries with letters kept in memory,
+ * so services can be tested without a database. Understands just the
+ * query and update operators the services under test use.
+ *
+ * Queries return letter documents (hydrated, like the real thing) or
+ * plain objects with lean(). A letter's user is kept as whatever the
+ * test added - an ID, or a User document when the service populates it.
+ * Aggregations run $match, $addFields, $sort, $limit and $project, with
+ * just the expression operators the services use.
+ * Saving a letter validates it and stores it (without the encryption
+ * hooks - see fakeKeys for those).
+ */
+
+const { mock } = require('node:test');
+const mongoose = require('mongoose');
+const Letter = require('../../models/letter');
+
+/**
+ * Replace Letter's queries with an in-memory store.
+ * Returns { letters, add(fields), restore() }.
+ */
+const useFakeLetters = () => {
+  const letters = [];
+  const findAll = (filter) => letters.filter((letter) => matches(letter, filter));
+
+  const mocks = [
+    mock.method(Letter, 'find', (filter = {}) => createQuery(findAll(filter))),
+    mock.method(Letter, 'findOne', (filter = {}) => createQuery(findAll(filter).slice(0, 1), { single: true })),
+    mock.method(Letter, 'findById', (id) => createQuery(findAll({ _id: id }), { single: true })),
+    mock.method(Letter, 'countDocuments', async (filter = {}) => findAll(filter).length),
+    mock.method(Letter, 'aggregate', async (pipeline) => runPipeline(letters.map(copy), pipeline)),
+    mock.method(Letter, 'populate', async (docs) => docs),
+    mock.method(Letter, 'findOneAndUpdate', (filter, update) => {
+      const [letter] = findAll(filter);
+      if (letter) applyUpdate(letter, update);
+      return createQuery(letter ? [letter] : [], { single: true });
+    }),
+    mock.method(Letter, 'updateOne', async (filter, update) => {
+      const [letter] = findAll(filter);
+      if (letter) applyUpdate(letter, update);
+      return { matchedCount: letter ? 1 : 0, modifiedCount: letter ? 1 : 0 };
+    }),
+    mock.method(Letter, 'updateMany', async (filter, update) => {
+      const matched = findAll(filter);
+      matched.forEach((letter) => applyUpdate(letter, update));
+      return { matchedCount: matched.length, modifiedCount: matched.length };
+    }),
+    mock.method(Letter.prototype, 'save', async function () {
+      await this.validate();
+      storeDocument(letters, this);
+      this.isNew = false;
+      return this;
+    })
+  ];
+
+  const add = (fields) => {
+    const letter = {
+      _id: new mongoose.Types.ObjectId(),
+      user: new mongoose.Types.ObjectId(),
+      title: 'Untitled',
+      status: 'scheduled',
+      isDelivered: false,
+      deletedAt: null,
+      goals: [],
+      reflections: [],
+      ...fields
+    };
+    letters.push(letter);
+    return letter;
+  };
+
+  const restore = () => mocks.forEach((method) => method.mock.restore());
+
+  return { letters, add, restore };
+};
+
+// --- Query Helpers ---
+
+/**
+ * A chainable, awaitable query over the letters found
+ */
+const createQuery = (found, { single = false } = {}) => {
+  let results = found;
+  let isLean = false;
+
+  const query = {
+    sort: (order) => {
+      const [[field, direction]] = Object.entries(order);
+      results = [...results].sort((a, b) => (getPath(a, field) - getPath(b, field)) * direction);
+      return query;
+    },
+    limit: (count) => {
+      results = results.slice(0, count);
+      return query;
+    },
+    select: () => query,
+    populate: () => query,
+    lean: () => {
+      isLean = true;
+      return query;
+    },
+    then: (resolve, reject) => {
+      const letters = results.map((letter) => (isLean ? copy(letter) : toDocument(letter)));
+      return Promise.resolve(single ? letters[0] || null : letters).then(resolve, reject);
+    }
+  };
+  return query;
+};
+
+/**
+ * Put a saved letter document in the store, keeping its user as the
+ * test added it
+ */
+const storeDocument = (letters, doc) => {
+  const stored = doc.toObject();
+  const index = letters.findIndex((letter) => String(letter._id) === String(stored._id));
+  if (index === -1) {
+    letters.push(stored);
+  } else {
+    letters[index] = { ...stored, user: letters[index].user };
+  }
+};
+
+/**
+ * A letter document, as a query without lean() would return
+ */
+const toDocument = (letter) => {
+  return Letter.hydrate(copy(letter), null, { hydratedPopulatedDocs: true });
+};
+
+/**
+ * Does a letter match a query filter?
+ */
+const matches = (letter, filter) => {
+  return Object.entries(filter).every(([field, condition]) => {
+    if (field === '$or') return condition.some((branch) => matches(letter, branch));
+    if (field === '$and') return condition.every((branch) => matches(letter, branch));
+    if (field === '$nor') return !condition.some((branch) => matches(letter, branch));
+
+    const value = getPath(letter, field);
+    if (!isOperator(condition)) {
+      return isSame(value, condition);
+    }
+    return Object.entries(condition).every(([operator, operand]) => {
+      switch (operator) {
+        case '$in': return operand.some((candidate) => isSame(value, candidate));
+        case '$ne': return !isSame(value, operand);
+        case '$lte': return value != null && value <= operand;
+        case '$lt': return value != null && value < operand;
+        case '$gte': return value != null && value >= operand;
+        case '$gt': return value != null && value > operand;
+        default: throw new Error(`Fake letters don't understand ${operator}`);
+      }
+    });
+  });
+};
+
+/**
+ * Run an aggregation pipeline over copies of the stored letters
+ */
+const runPipeline = (documents, pipeline) => {
+  return pipeline.reduce((results, stage) => {
+    const [[name, spec]] = Object.entries(stage);
+    switch (name) {
+      case '$match':
+        return results.filter((doc) => matches(doc, spec));
+      case '$addFields':
+        return results.map((doc) => ({
+          ...doc,
+          ...Object.fromEntries(Object.entries(spec).map(([field, expression]) => [field, evaluate(expression, doc)]))
+        }));
+      case '$sort':
+        return [...results].sort((a, b) => {
+          for (const [field, direction] of Object.entries(spec)) {
+            const difference = (getPath(a, field) - getPath(b, field)) * direction;
+            if (difference) return difference;
+          }
+          return 0;
+        });
+      case '$limit':
+        return results.slice(0, spec);
+      case '$project':
+        return results.map((doc) => {
+          const projected = { ...doc };
+          Object.keys(spec).forEach((field) => delete projected[field]);
+          return projected;
+        });
+      default:
+        throw new Error(`Fake letters don't understand the ${name} stage`);
+    }
+  }, documents);
+};
+
+/**
+ * Evaluate an aggregation expression against a document
+ * ($$variables are looked up in vars)
+ */
+const evaluate = (expression, doc, vars = {}) => {
+  if (typeof expression === 'string' && expression.startsWith('$$')) {
+    const [name, ...path] = expression.slice(2).split('.');
+    return path.length > 0 ? getPath(vars[name], path.join('.')) : vars[name];
+  }
+  if (typeof expression === 'string' && expression.startsWith('$')) {
+    return getPath(doc, expression.slice(1));
+  }
+  if (!isOperator(expression)) {
+    return expression;
+  }
+
+  const [[operator, args]] = Object.entries(expression);
+  const value = (arg) => evaluate(arg, doc, vars);
+  switch (operator) {
+    case '$add': return args.reduce((sum, arg) => sum + value(arg), 0);
+    case '$multiply': return args.reduce((product, arg) => product * value(arg), 1);
+    case '$sum': return value(args).reduce((sum, item) => sum + item, 0);
+    case '$size': return value(args).length;
+    case '$ifNull': return value(args[0]) ?? value(args[1]);
+    case '$cond': return value(args[0]) ? value(args[1]) : value(args[2]);
+    case '$or': return args.some((arg) => value(arg));
+    case '$and': return args.every((arg) => value(arg));
+    case '$eq': return isSame(value(args[0]), value(args[1]));
+    case '$ne': return !isSame(value(args[0]), value(args[1]));
+    case '$gt': return compare(value(args[0]), value(args[1])) > 0;
+    case '$lte': return compare(value(args[0]), value(args[1])) <= 0;
+    case '$map':
+      return value(args.input).map((item) => evaluate(args.in, doc, { ...vars, [args.as]: item }));
+    case '$regexFindAll':
+      return [...String(value(args.input)).matchAll(new RegExp(args.regex, `${args.options || ''}g`))];
+    default:
+      throw new Error(`Fake letters don't understand ${operator}`);
+  }
+};
+
+/**
+ * Compare two values in MongoDB's order, where missing and null come
+ * before everything else
+ */
+const compare = (a, b) => {
+  if (a == null || b == null) return (a == null ? 0 : 1) - (b == null ? 0 : 1);
+  return a < b ? -1 : a > b ? 1 : 0;
+};
+
+/**
+ * Apply $set, $unset and $inc to a stored letter
+ */
+const applyUpdate = (letter, update) => {
+  Object.entries(update.$set || {}).forEach(([path, value]) => setPath(letter, path, copy(value)));
+  Object.keys(update.$unset || {}).forEach((path) => setPath(letter, path, undefined));
+  Object.entries(update.$inc || {}).forEach(([path, amount]) => {
+    setPath(letter, path, (getPath(letter, path) || 0) + amount);
+  });
+};
+
+// --- Value Helpers ---
+
+/**
+ * Is this condition made of operators ({ $in: [...] }) rather than a value?
+ */
+const isOperator = (condition) => {
+  return isPlainObject(condition) && Object.keys(condition).some((key) => key.startsWith('$'));
+};
+
+/**
+ * Equality the way MongoDB sees it: null matches a missing field,
+ * dates and IDs match by value, arrays match any of their items
+ */
+const isSame = (value, expected) => {
+  if (Array.isArray(value) && !Array.isArray(expected)) {
+    return value.some((item) => isSame(item, expected));
+  }
+  if (expected === null) return value === null || value === undefined;
+  if (value === null || value === undefined) return false;
+  if (expected instanceof RegExp) return typeof value === 'string' && expected.test(value);
+  if (expected instanceof Date) return value instanceof Date && value.getTime() === expected.getTime();
+  return String(idOf(value)) === String(idOf(expected));
+};
+
+/**
+ * A populated document compares by its ID
+ */
+const idOf = (value) => {
+  return value instanceof mongoose.Document || isPlainObject(value) ? value._id : value;
+};
+
+/**
+ * Read a dotted path ('emailDelivery.status'), through arrays
+ */
+const getPath = (obj, path) => {
+  return path.split('.').reduce((value, key) => {
+    if (value === null || value === undefined) return undefined;
+    if (Array.isArray(value) && !/^\d+$/.test(key)) {
+      return value.map((item) => (item ? item[key] : undefined));
+    }
+    return value[key];
+  }, obj);
+};
+
+/**
+ * Write a dotted path, making objects along the way
+ */
+const setPath = (obj, path, value) => {
+  const keys = path.split('.');
+  const last = keys.pop();
+  const parent = keys.reduce((target, key) => {
+    if (!isPlainObject(target[key]) && !Array.isArray(target[key])) target[key] = {};
+    return target[key];
+  }, obj);
+  parent[last] = value;
+};
+
+/**
+ * Copy plain objects and arrays, so callers can't change the store
+ * (dates, IDs and documents are shared)
+ */
+const copy = (value) => {
+  if (Array.isArray(value)) return value.map(copy);
+  if (!isPlainObject(value)) return value;
+  return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, copy(item)]));
+};
+
+const isPlainObject = (value) => {
+  return Boolean(value) && Object.getPrototypeOf(value) === Object.prototype;
+};
+
+// exports
+
+module.exports = {
+  useFakeLetters
+};
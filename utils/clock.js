@@ -0,0 +1,87 @@
+/**
+ * Clock
+ * Anything that needs to know "what time is it" or "do this every N ms"
+ * asks a clock instead of calling Date / setInterval directly.
+ * In production we use the system clock; in tests we use a manual clock
+ * that only moves forward when we tell it to.
+ */
+
+/**
+ * The real clock, backed by Date and the Node timers
+ */
+const systemClock = {
+  now: () => new Date(),
+  setInterval: (callback, intervalMs) => setInterval(callback, intervalMs),
+  clearInterval: (timerId) => clearInterval(timerId)
+};
+
+/**
+ * Create a clock that stands still until advance() is called.
+ * Timers registered with setInterval fire in order as time is advanced,
+ * and advance() waits for each callback so async work can finish.
+ */
+const createManualClock = (startTime = Date.now()) => {
+  let currentTime = new Date(startTime).getTime();
+  let timers = [];
+  let nextTimerId = 1;
+
+  const now = () => new Date(currentTime);
+
+  const setIntervalOnClock = (callback, intervalMs) => {
+    const timer = {
+      id: nextTimerId++,
+      callback,
+      intervalMs,
+      nextRunAt: currentTime + intervalMs
+    };
+    timers.push(timer);
+    return timer.id;
+  };
+
+  const clearIntervalOnClock = (timerId) => {
+    timers = timers.filter((timer) => timer.id !== timerId);
+  };
+
+  const advance = async (milliseconds) => {
+    const targetTime = currentTime + milliseconds;
+
+    let dueTimer = findNextDueTimer(timers, targetTime);
+    while (dueTimer) {
+      currentTime = dueTimer.nextRunAt;
+      dueTimer.nextRunAt += dueTimer.intervalMs;
+      await dueTimer.callback();
+      dueTimer = findNextDueTimer(timers, targetTime);
+    }
+
+    currentTime = targetTime;
+    return now();
+  };
+
+  const set = (time) => advance(new Date(time).getTime() - currentTime);
+
+  return {
+    now,
+    setInterval: setIntervalOnClock,
+    clearInterval: clearIntervalOnClock,
+    advance,
+    set
+  };
+};
+
+// --- Helpers ---
+
+/**
+ * Find the earliest timer that is due at or before the given time
+ */
+const findNextDueTimer = (timers, targetTime) => {
+  return timers
+    .filter((timer) => timer.nextRunAt <= targetTime)
+    .sort((a, b) => a.nextRunAt - b.nextRunAt)[0];
+};
+
+// exports
+
+module.exports = {
+  systemClock,
+  createManualClock
+};
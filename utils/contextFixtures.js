@@ -0,0 +1,37 @@
+/**
+ * Context Fixtures
+ * Made-up moments for the fixture context providers, so letters can be
+ * written with weather, a song and a headline while offline or in tests.
+ * Each list is keyed by the kind of context it stands in for and holds
+ * exactly the letter fields a real provider would return.
+ */
+
+const CONTEXT_FIXTURES = {
+  weather: [
+    { weather: 'Sunny', temperature: 72 },
+    { weather: 'Partly cloudy', temperature: 64 },
+    { weather: 'Light rain', temperature: 55 },
+    { weather: 'Foggy', temperature: 48 },
+    { weather: 'Snow', temperature: 28 },
+    { weather: 'Thunderstorm', temperature: 77 }
+  ],
+  song: [
+    { currentSong: 'Good as Hell - Lizzo' },
+    { currentSong: 'Here Comes the Sun - The Beatles' },
+    { currentSong: 'Dreams - Fleetwood Mac' },
+    { currentSong: 'Lovely Day - Bill Withers' },
+    { currentSong: 'Holocene - Bon Iver' }
+  ],
+  headline: [
+    { topHeadLine: 'Local library extends weekend hours' },
+    { topHeadLine: 'City opens new riverside park' },
+    { topHeadLine: 'Scientists spot a comet visible to the naked eye' },
+    { topHeadLine: 'Record turnout for community marathon' }
+  ]
+};
+
+// exports
+
+module.exports = {
+  CONTEXT_FIXTURES
+};
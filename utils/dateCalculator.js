@@ -5,6 +5,8 @@
  * meaningful moment in the user's journey.
  */
 
+const { toZonedDateTime, atLocalTime, parseLocalDate } = require('./timezone');
+
 // The delivery intervals available to users
 const DELIVERY_INTERVALS = {
   IN_A_WEEK: '1week',
@@ -12,6 +14,9 @@ const DELIVERY_INTERVALS = {
   SIX_MONTHS: '6months',
   ONE_YEAR: '1year',
   FIVE_YEARS: '5years',
+  NEXT_BIRTHDAY: 'nextBirthday',
+  BIRTHDAY_AGE: 'birthdayAge',
+  ANNIVERSARY: 'anniversary',
   CUSTOM_DATE: 'custom'
 };
 
@@ -21,64 +26,120 @@ const INTERVAL_LABELS = {
   [DELIVERY_INTERVALS.SIX_MONTHS]: '6 months',
   [DELIVERY_INTERVALS.ONE_YEAR]: '1 year',
   [DELIVERY_INTERVALS.FIVE_YEARS]: '5 years',
+  [DELIVERY_INTERVALS.NEXT_BIRTHDAY]: 'On my next birthday',
+  [DELIVERY_INTERVALS.BIRTHDAY_AGE]: 'When I turn...',
+  [DELIVERY_INTERVALS.ANNIVERSARY]: 'On the anniversary of this letter',
   [DELIVERY_INTERVALS.CUSTOM_DATE]: 'Custom date'
 };
 
 // The list of valid interval values for schema validation
 const VALID_INTERVALS = Object.values(DELIVERY_INTERVALS);
 
+// Intervals anchored to the user's birthday (they need one set)
+const BIRTHDAY_INTERVALS = [
+  DELIVERY_INTERVALS.NEXT_BIRTHDAY,
+  DELIVERY_INTERVALS.BIRTHDAY_AGE
+];
+
+// A letter must be at least this far in the future (matches the Letter model)
+const MIN_DELIVERY_LEAD_MS = 24 * 60 * 60 * 1000;
+
 /**
  * Calculates the future delivery date based on the user's chosen interval.
  *
  * The user has finished writing their letter. Now they must
  * decide when their future self should receive it. This function translates
  * their choice into a concrete date.
+ *
+ * Dates are worked out on the user's calendar, not the server's:
+ * - options.timezone     IANA zone of the user (e.g. "Asia/Tokyo"), default UTC
+ * - options.deliveryTime local "HH:mm" the letter should arrive, default 09:00
+ * - options.from         the moment the letter is written, default now
+ *
+ * Birthday and anniversary intervals also use:
+ * - options.birthday         the user's birthday (a calendar date)
+ * - options.targetAge        for 'birthdayAge', the age to deliver at (e.g. 40)
+ * - options.anniversaryYears for 'anniversary', how many years out (default 1)
+ *
+ * Month and year intervals land on the same day of the month; when that day
+ * doesn't exist they use the month's last day (Jan 31 + 1 month = Feb 28/29).
+ * A delivery time skipped by a DST change moves forward by the gap.
+ * Feb 29 birthdays are celebrated on Feb 28 in non-leap years.
  */
-const calculateFutureDate = (interval, customDate) => {
-  const today = new Date();
+const calculateFutureDate = (interval, customDate, options = {}) => {
+  const {
+    timezone,
+    deliveryTime,
+    from = new Date(),
+    birthday,
+    targetAge,
+    anniversaryYears = 1
+  } = options;
+  const today = toZonedDateTime(from, timezone);
+
+  // Land on the user's chosen time of day and hand back a plain Date
+  const deliverOn = (localDate) => atLocalTime(localDate, deliveryTime).toJSDate();
 
   const deliveryDateCalculators = {
     // "In a week" - A quick check-in with yourself
-    [DELIVERY_INTERVALS.IN_A_WEEK]: () => {
-      const deliveryDate = new Date(today);
-      deliveryDate.setDate(deliveryDate.getDate() + 7);
-      return deliveryDate;
-    },
+    [DELIVERY_INTERVALS.IN_A_WEEK]: () => deliverOn(today.plus({ weeks: 1 })),
 
     // "One month" - Time for small changes to take root
-    [DELIVERY_INTERVALS.ONE_MONTH]: () => {
-      const deliveryDate = new Date(today);
-      deliveryDate.setMonth(deliveryDate.getMonth() + 1);
-      return deliveryDate;
-    },
+    [DELIVERY_INTERVALS.ONE_MONTH]: () => deliverOn(today.plus({ months: 1 })),
 
     // "6 months" - A season of growth and reflection
-    [DELIVERY_INTERVALS.SIX_MONTHS]: () => {
-      const deliveryDate = new Date(today);
-      deliveryDate.setMonth(deliveryDate.getMonth() + 6);
-      return deliveryDate;
-    },
+    [DELIVERY_INTERVALS.SIX_MONTHS]: () => deliverOn(today.plus({ months: 6 })),
 
     // "1 year" - A full cycle of life's rhythms
-    [DELIVERY_INTERVALS.ONE_YEAR]: () => {
-      const deliveryDate = new Date(today);
-      deliveryDate.setFullYear(deliveryDate.getFullYear() + 1);
-      return deliveryDate;
-    },
+    [DELIVERY_INTERVALS.ONE_YEAR]: () => deliverOn(today.plus({ years: 1 })),
 
     // "5 years" - A letter to a transformed version of yourself
-    [DELIVERY_INTERVALS.FIVE_YEARS]: () => {
-      const deliveryDate = new Date(today);
-      deliveryDate.setFullYear(deliveryDate.getFullYear() + 5);
+    [DELIVERY_INTERVALS.FIVE_YEARS]: () => deliverOn(today.plus({ years: 5 })),
+
+    // "On my next birthday" - A gift to open as you start a new year
+    [DELIVERY_INTERVALS.NEXT_BIRTHDAY]: () => {
+      const { month, day } = getBirthdayParts(birthday);
+      const earliest = today.plus({ milliseconds: MIN_DELIVERY_LEAD_MS });
+
+      let year = today.year;
+      let deliveryDate = atLocalTime(onCalendarDay(today, year, month, day), deliveryTime);
+      while (deliveryDate < earliest) {
+        year += 1;
+        deliveryDate = atLocalTime(onCalendarDay(today, year, month, day), deliveryTime);
+      }
+      return deliveryDate.toJSDate();
+    },
+
+    // "When I turn 40" - A letter waiting for a milestone birthday
+    [DELIVERY_INTERVALS.BIRTHDAY_AGE]: () => {
+      const { year, month, day } = getBirthdayParts(birthday);
+      if (!Number.isInteger(targetAge) || targetAge < 1) {
+        throw new Error('A target age is required when choosing a birthday to deliver on');
+      }
+
+      const deliveryDate = deliverOn(onCalendarDay(today, year + targetAge, month, day));
+      if (deliveryDate - from < MIN_DELIVERY_LEAD_MS) {
+        throw new Error(`Your birthday at age ${targetAge} has already passed`);
+      }
       return deliveryDate;
     },
 
+    // "On the anniversary of this letter" - The day you wrote it, years later
+    [DELIVERY_INTERVALS.ANNIVERSARY]: () => {
+      if (!Number.isInteger(anniversaryYears) || anniversaryYears < 1) {
+        throw new Error('Anniversary years must be a whole number of at least 1');
+      }
+      return deliverOn(today.plus({ years: anniversaryYears }));
+    },
+
     // "Custom date" - A specific moment that matters to you
+    // A plain "YYYY-MM-DD" means that day at the delivery time, in the user's zone
     [DELIVERY_INTERVALS.CUSTOM_DATE]: () => {
       if (!customDate) {
         throw new Error('Custom date is required when choosing a specific delivery date');
       }
-      return new Date(customDate);
+      const localDate = parseLocalDate(customDate, timezone);
+      return localDate ? deliverOn(localDate) : new Date(customDate);
     }
   };
 
@@ -94,9 +155,38 @@ const calculateFutureDate = (interval, customDate) => {
   return calculateDeliveryDate();
 };
 
+// --- Calendar Helpers ---
+
+/**
+ * Read the calendar date of a birthday.
+ * Birthdays are stored as midnight UTC on the day, so we read them in UTC
+ * to get the same day back no matter where the server is.
+ */
+const getBirthdayParts = (birthday) => {
+  if (!birthday) {
+    throw new Error('A birthday is required for birthday delivery options');
+  }
+  const date = new Date(birthday);
+  return {
+    year: date.getUTCFullYear(),
+    month: date.getUTCMonth() + 1,
+    day: date.getUTCDate()
+  };
+};
+
+/**
+ * Move a zoned date to a given year/month/day, using the last day of the
+ * month when the day doesn't exist (Feb 29 in a non-leap year -> Feb 28)
+ */
+const onCalendarDay = (zonedDateTime, year, month, day) => {
+  const firstOfMonth = zonedDateTime.set({ year, month, day: 1 });
+  return firstOfMonth.set({ day: Math.min(day, firstOfMonth.daysInMonth) });
+};
+
 module.exports = {
   calculateFutureDate,
   DELIVERY_INTERVALS,
   INTERVAL_LABELS,
-  VALID_INTERVALS
+  VALID_INTERVALS,
+  BIRTHDAY_INTERVALS
 };
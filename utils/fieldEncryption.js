@@ -0,0 +1,149 @@
+/**
+ * Field Encryption
+ * Encrypts single values (a letter's content, a goal, a reflection)
+ * with AES-256-GCM, and wraps data keys with a master key.
+ *
+ * An encrypted value is a string that says which data key made it:
+ *   enc:v1:<keyId>:<iv>.<authTag>.<ciphertext>     (base64url parts)
+ * When reading, anything without the prefix is plaintext - letters
+ * written before encryption was turned on - and is passed through
+ * untouched. Which values to encrypt is up to the caller: text that
+ * happens to start with the prefix is still text.
+ */
+
+const crypto = require('crypto');
+
+const ALGORITHM = 'aes-256-gcm';
+const KEY_BYTES = 32;
+const IV_BYTES = 12;
+const ENCRYPTED_PREFIX = 'enc:v1:';
+
+/**
+ * Is this value one of our encrypted strings?
+ */
+const isEncrypted = (value) => {
+  return typeof value === 'string' && value.startsWith(ENCRYPTED_PREFIX);
+};
+
+/**
+ * Encrypt a value with a data key: { keyId, key }
+ * Empty values are returned as they are
+ */
+const encryptValue = (value, { keyId, key }) => {
+  if (value === undefined || value === null || value === '') {
+    return value;
+  }
+  return `${ENCRYPTED_PREFIX}${keyId}:${seal(key, Buffer.from(String(value), 'utf8'))}`;
+};
+
+/**
+ * Decrypt a value. findKey(keyId) returns the data key for that ID.
+ * Plaintext values are returned as they are.
+ */
+const decryptValue = (value, findKey) => {
+  if (!isEncrypted(value)) {
+    return value;
+  }
+
+  const keyId = readKeyId(value);
+  const key = findKey(keyId);
+  if (!key) {
+    throw new Error(`Data key "${keyId}" is not available`);
+  }
+
+  const payload = value.slice(ENCRYPTED_PREFIX.length + keyId.length + 1);
+  return open(key, payload).toString('utf8');
+};
+
+/**
+ * Which data key encrypted this value (null for plaintext)
+ */
+const readKeyId = (value) => {
+  if (!isEncrypted(value)) return null;
+
+  const rest = value.slice(ENCRYPTED_PREFIX.length);
+  return rest.slice(0, rest.indexOf(':'));
+};
+
+/**
+ * A fresh random data key
+ */
+const generateDataKey = () => {
+  return crypto.randomBytes(KEY_BYTES);
+};
+
+/**
+ * A short random ID for a new data key
+ */
+const generateKeyId = () => {
+  return crypto.randomBytes(6).toString('hex');
+};
+
+/**
+ * Encrypt a data key with the master key so it can be stored
+ */
+const wrapKey = (masterKey, dataKey) => {
+  return seal(masterKey, dataKey);
+};
+
+/**
+ * Decrypt a stored data key with the master key
+ */
+const unwrapKey = (masterKey, wrappedKey) => {
+  return open(masterKey, wrappedKey);
+};
+
+/**
+ * Read a base64 master key from configuration
+ */
+const parseMasterKey = (text) => {
+  const key = Buffer.from(String(text).trim(), 'base64');
+  if (key.length !== KEY_BYTES) {
+    throw new Error(`Encryption master keys must be ${KEY_BYTES} bytes, base64 encoded`);
+  }
+  return key;
+};
+
+// --- Helpers ---
+
+/**
+ * Encrypt bytes: "<iv>.<authTag>.<ciphertext>"
+ */
+const seal = (key, plaintext) => {
+  const iv = crypto.randomBytes(IV_BYTES);
+  const cipher = crypto.createCipheriv(ALGORITHM, key, iv);
+  const ciphertext = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+
+  return [iv, cipher.getAuthTag(), ciphertext]
+    .map((part) => part.toString('base64url'))
+    .join('.');
+};
+
+/**
+ * Decrypt "<iv>.<authTag>.<ciphertext>" back to bytes.
+ * Throws if the data was tampered with or the key is wrong.
+ */
+const open = (key, payload) => {
+  const [iv, authTag, ciphertext] = String(payload)
+    .split('.')
+    .map((part) => Buffer.from(part, 'base64url'));
+
+  const decipher = crypto.createDecipheriv(ALGORITHM, key, iv);
+  decipher.setAuthTag(authTag);
+  return Buffer.concat([decipher.update(ciphertext), decipher.final()]);
+};
+
+// exports
+
+module.exports = {
+  ENCRYPTED_PREFIX,
+  isEncrypted,
+  encryptValue,
+  decryptValue,
+  readKeyId,
+  generateDataKey,
+  generateKeyId,
+  wrapKey,
+  unwrapKey,
+  parseMasterKey
+};
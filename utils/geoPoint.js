@@ -0,0 +1,146 @@
+/**
+ * Geo Point Helpers
+ * Letters can remember where they were written as a GeoJSON point
+ * ({ type: 'Point', coordinates: [longitude, latitude] }).
+ *
+ * For privacy a point is only kept as precisely as the writer wants:
+ * coordinates are rounded before they're saved, so a letter saved at
+ * 'city' precision never knew the street. Precision can be reduced
+ * later, but never increased.
+ */
+
+const { ValidationError } = require('../middleware/errorHandler');
+
+const LOCATION_PRECISIONS = {
+  EXACT: 'exact',
+  STREET: 'street',
+  NEIGHBORHOOD: 'neighborhood',
+  CITY: 'city',
+  REGION: 'region'
+};
+
+// Decimal places kept at each precision (1 place of latitude is ~11 km)
+const PRECISION_DECIMALS = {
+  [LOCATION_PRECISIONS.EXACT]: 5, // ~1 m
+  [LOCATION_PRECISIONS.STREET]: 3, // ~110 m
+  [LOCATION_PRECISIONS.NEIGHBORHOOD]: 2, // ~1 km
+  [LOCATION_PRECISIONS.CITY]: 1, // ~11 km
+  [LOCATION_PRECISIONS.REGION]: 0 // ~110 km
+};
+
+// The list of valid precisions for schema validation
+const VALID_PRECISIONS = Object.values(LOCATION_PRECISIONS);
+
+// Used when the writer doesn't say
+const DEFAULT_PRECISION = LOCATION_PRECISIONS.STREET;
+
+/**
+ * A GeoJSON point for a latitude and longitude, rounded to a precision.
+ * Throws a ValidationError if the coordinates or precision aren't valid.
+ */
+const toGeoPoint = ({ latitude, longitude }, precision = DEFAULT_PRECISION) => {
+  const lat = parseCoordinate(latitude, 'latitude', 90);
+  const lng = parseCoordinate(longitude, 'longitude', 180);
+  const decimals = PRECISION_DECIMALS[parsePrecision(precision)];
+
+  return {
+    type: 'Point',
+    coordinates: [roundTo(lng, decimals), roundTo(lat, decimals)]
+  };
+};
+
+/**
+ * A point rounded to a coarser precision.
+ * Throws a ValidationError if asked to make it more precise.
+ */
+const reducePrecision = (point, currentPrecision, precision) => {
+  const target = parsePrecision(precision);
+  if (PRECISION_DECIMALS[target] > PRECISION_DECIMALS[currentPrecision]) {
+    throw new ValidationError(
+      `This place was saved at ${currentPrecision} precision - the exact spot wasn't kept, so it can't be made more precise`,
+      { precision: 'Can only be reduced' }
+    );
+  }
+
+  const [lng, lat] = point.coordinates;
+  return toGeoPoint({ latitude: lat, longitude: lng }, target);
+};
+
+/**
+ * A bounding box from "minLongitude,minLatitude,maxLongitude,maxLatitude"
+ * as a GeoJSON polygon (MongoDB can't use a 2dsphere index for $box)
+ */
+const parseBoundingBox = (value) => {
+  const parts = String(value || '').split(',').map((part) => part.trim());
+  if (parts.length !== 4 || parts.some((part) => part === '')) {
+    throw new ValidationError('bbox must be minLongitude,minLatitude,maxLongitude,maxLatitude', {
+      bbox: 'Invalid bounding box'
+    });
+  }
+
+  const [minLng, maxLng] = [parts[0], parts[2]].map((part) => parseCoordinate(part, 'bbox', 180));
+  const [minLat, maxLat] = [parts[1], parts[3]].map((part) => parseCoordinate(part, 'bbox', 90));
+  if (minLng >= maxLng || minLat >= maxLat) {
+    throw new ValidationError('bbox minimums must be smaller than its maximums', {
+      bbox: 'Invalid bounding box'
+    });
+  }
+
+  return {
+    type: 'Polygon',
+    coordinates: [[
+      [minLng, minLat],
+      [maxLng, minLat],
+      [maxLng, maxLat],
+      [minLng, maxLat],
+      [minLng, minLat]
+    ]]
+  };
+};
+
+/**
+ * Check a precision name
+ */
+const parsePrecision = (precision) => {
+  if (!VALID_PRECISIONS.includes(precision)) {
+    throw new ValidationError(`"${precision}" is not a precision. Choose from: ${VALID_PRECISIONS.join(', ')}`, {
+      precision: 'Invalid precision'
+    });
+  }
+  return precision;
+};
+
+// --- Helpers ---
+
+/**
+ * A latitude or longitude as a number within ±limit
+ */
+const parseCoordinate = (value, field, limit) => {
+  const number = value === '' || value === null ? NaN : Number(value);
+  if (!Number.isFinite(number) || Math.abs(number) > limit) {
+    throw new ValidationError(`${field} must be a number between -${limit} and ${limit}`, {
+      [field]: 'Invalid coordinate'
+    });
+  }
+  return number;
+};
+
+/**
+ * Round to a number of decimal places
+ */
+const roundTo = (value, decimals) => {
+  const factor = 10 ** decimals;
+  return Math.round(value * factor) / factor;
+};
+
+// exports
+
+module.exports = {
+  LOCATION_PRECISIONS,
+  VALID_PRECISIONS,
+  DEFAULT_PRECISION,
+  toGeoPoint,
+  reducePrecision,
+  parseBoundingBox,
+  parsePrecision
+};
@@ -0,0 +1,95 @@
+/**
+ * Goal Statuses
+ * The statuses a goal can be in, and which moves between them are allowed.
+ * Every status change goes through here, so a goal's history always reads
+ * as a story that could have happened:
+ *
+ *   pending ──> inProgress ──> completed
+ *      │  <──────┘  │  <───────────┘ (reopened)
+ *      │            │
+ *      ├──> abandoned (can be picked back up)
+ *      └──> carriedForward (final - the goal lives on in another letter)
+ *
+ * - pending:        written down, not started
+ * - inProgress:     being worked on
+ * - completed:      done - counts towards the user's goalsAccomplished
+ * - abandoned:      let go, for now
+ * - carriedForward: moved into a later letter (only by carrying it)
+ */
+
+const { InvalidTransitionError } = require('../middleware/errorHandler');
+
+// Where a goal can go from each status
+const GOAL_TRANSITIONS = {
+  pending: ['inProgress', 'completed', 'abandoned', 'carriedForward'],
+  inProgress: ['pending', 'completed', 'abandoned', 'carriedForward'],
+  completed: ['inProgress'],
+  abandoned: ['pending', 'inProgress'],
+  carriedForward: []
+};
+
+const GOAL_STATUSES = Object.keys(GOAL_TRANSITIONS);
+
+// Goals still being worked on
+const OPEN_GOAL_STATUSES = ['pending', 'inProgress'];
+
+// Goals only reach this status by being carried into another letter
+const CARRIED_FORWARD = 'carriedForward';
+
+/**
+ * The statuses a goal can move to from this one
+ */
+const getAllowedTransitions = (from) => {
+  return GOAL_TRANSITIONS[from] || [];
+};
+
+/**
+ * Can a goal move from one status to another?
+ */
+const canTransitionGoal = (from, to) => {
+  return getAllowedTransitions(from).includes(to);
+};
+
+/**
+ * Move a goal to a new status, recording the change in its history.
+ * Throws an InvalidTransitionError for a move that isn't allowed.
+ * changedBy is the user making the change; note is optional.
+ */
+const transitionGoal = (goal, to, { changedBy, note, now = new Date() } = {}) => {
+  const from = goal.status || 'pending';
+  if (!canTransitionGoal(from, to)) {
+    throw new InvalidTransitionError(describeRefusal(from, to), {
+      status: `From ${from} a goal can go to: ${getAllowedTransitions(from).join(', ') || 'nowhere'}`
+    });
+  }
+
+  goal.status = to;
+  goal.statusUpdatedAt = now;
+  goal.statusHistory.push({ from, to, note, changedBy, changedAt: now });
+  return { from, to };
+};
+
+/**
+ * Why a move isn't allowed, in words
+ */
+const describeRefusal = (from, to) => {
+  if (from === to) {
+    return `This goal is already ${to}`;
+  }
+  if (from === CARRIED_FORWARD) {
+    return 'This goal was carried forward - update it in the letter it was carried into';
+  }
+  return `A goal can't go from ${from} to ${to}`;
+};
+
+// exports
+
+module.exports = {
+  GOAL_STATUSES,
+  GOAL_TRANSITIONS,
+  OPEN_GOAL_STATUSES,
+  CARRIED_FORWARD,
+  getAllowedTransitions,
+  canTransitionGoal,
+  transitionGoal
+};
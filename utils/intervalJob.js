@@ -0,0 +1,64 @@
+/**
+ * Interval Job
+ * A small helper for background work that runs every N milliseconds
+ * (delivering letters, retrying emails, creating series drafts, ...).
+ *
+ * - runs on a clock (utils/clock.js) so tests can fast-forward time
+ * - never overlaps itself: a run that starts while the previous one
+ *   is still working is skipped
+ * - a failed run is logged, and the next run happens as usual
+ */
+
+const { systemClock } = require('./clock');
+
+/**
+ * Create a job that calls run() on an interval
+ * run receives the current time from the clock and returns a summary
+ */
+const createIntervalJob = ({ name, run, intervalMs, clock = systemClock }) => {
+  let timerId = null;
+  let isRunningNow = false;
+
+  const runOnce = async () => {
+    // Skip this tick if the previous one is still working
+    if (isRunningNow) {
+      return { skipped: true };
+    }
+
+    isRunningNow = true;
+    try {
+      return await run(clock.now());
+    } catch (error) {
+      console.error(`${name} run failed:`, error.message);
+      return { error };
+    } finally {
+      isRunningNow = false;
+    }
+  };
+
+  const start = () => {
+    if (timerId !== null) return;
+    timerId = clock.setInterval(runOnce, intervalMs);
+  };
+
+  const stop = () => {
+    if (timerId === null) return;
+    clock.clearInterval(timerId);
+    timerId = null;
+  };
+
+  const isRunning = () => timerId !== null;
+
+  return {
+    start,
+    stop,
+    runOnce,
+    isRunning
+  };
+};
+
+// exports
+
+module.exports = {
+  createIntervalJob
+};
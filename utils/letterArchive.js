@@ -0,0 +1,233 @@
+/**
+ * Letter Archive Renderer
+ * Turns a user's letters into the files of their export:
+ * - one Markdown file per letter, with YAML front matter for the
+ *   moment it was written in (mood, weather, song...), its goals and
+ *   its reflections
+ * - a JSON dump of everything
+ * - a printable PDF book, oldest letter first
+ *
+ * Letters come in as plain objects with tags already turned into names.
+ * A letter that is still sealed has `sealed: true` and no content or goals.
+ */
+
+const PDFDocument = require('pdfkit');
+
+const MAX_SLUG_LENGTH = 50;
+
+/**
+ * The Markdown file for one letter
+ */
+const renderLetterMarkdown = (letter) => {
+  const frontMatter = renderFrontMatter({
+    title: letter.title || 'Untitled',
+    status: letter.status,
+    written: toIsoString(letter.createdAt),
+    deliveryDate: toIsoString(letter.deliveredAt),
+    delivered: Boolean(letter.isDelivered),
+    sealed: Boolean(letter.sealed),
+    mood: letter.mood,
+    weather: letter.weather,
+    temperature: letter.temperature,
+    song: letter.currentSong,
+    headline: letter.topHeadLine,
+    location: letter.location,
+    prompt: letter.writingPrompt,
+    tags: letter.tags,
+    attachments: (letter.attachments || []).map((attachment) => attachment.fileName),
+    goals: (letter.goals || []).map((goal) => ({
+      text: goal.text,
+      status: goal.status,
+      reflection: goal.reflection
+    })),
+    reflections: (letter.reflections || []).map((reflection) => ({
+      date: toIsoString(reflection.date),
+      text: reflection.reflection
+    }))
+  });
+
+  const body = letter.sealed
+    ? `*This letter is sealed until ${formatDate(letter.deliveredAt)}.*`
+    : (letter.content || '');
+
+  return `${frontMatter}\n# ${letter.title || 'Untitled'}\n\n${body}\n`;
+};
+
+/**
+ * Where a letter's Markdown file goes in the archive:
+ * letters/2025-03-04-my-title-1a2b3c.md (the ID keeps names unique)
+ */
+const buildLetterFileName = (letter) => {
+  const date = toIsoString(letter.createdAt).slice(0, 10);
+  const slug = slugify(letter.title) || 'untitled';
+  const shortId = String(letter._id).slice(-6);
+
+  return `letters/${date}-${slug}-${shortId}.md`;
+};
+
+/**
+ * The JSON dump of the whole export
+ */
+const renderArchiveJson = ({ exportedAt, user, letters }) => {
+  return JSON.stringify({ exportedAt: toIsoString(exportedAt), user, letters }, null, 2);
+};
+
+/**
+ * The printable book: a title page, then one letter per page, oldest first.
+ * Returns a readable PDF stream.
+ * The built-in PDF fonts can't draw emoji, so moods are left out.
+ */
+const renderLetterBook = ({ title, letters }) => {
+  const document = new PDFDocument({ size: 'A5', margin: 50, bufferPages: false });
+
+  document.font('Times-Bold').fontSize(24).text(title, { align: 'center' });
+  document.moveDown();
+  document.font('Times-Roman').fontSize(12)
+    .text(`${letters.length} ${letters.length === 1 ? 'letter' : 'letters'}`, { align: 'center' });
+
+  [...letters]
+    .sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt))
+    .forEach((letter) => renderBookPage(document, letter));
+
+  document.end();
+  return document;
+};
+
+// --- Rendering Helpers ---
+
+/**
+ * One letter in the book
+ */
+const renderBookPage = (document, letter) => {
+  document.addPage();
+  document.font('Times-Bold').fontSize(18).text(letter.title || 'Untitled');
+  document.font('Times-Italic').fontSize(10).text(`Written ${formatDate(letter.createdAt)}`);
+
+  const details = [letter.weather, letter.location, letter.currentSong, letter.topHeadLine]
+    .filter(Boolean)
+    .join(' · ');
+  if (details) {
+    document.text(details);
+  }
+  document.moveDown();
+
+  if (letter.sealed) {
+    document.font('Times-Italic').fontSize(12)
+      .text(`This letter is sealed until ${formatDate(letter.deliveredAt)}.`);
+    return;
+  }
+
+  document.font('Times-Roman').fontSize(12).text(letter.content || '');
+
+  if ((letter.goals || []).length > 0) {
+    document.moveDown().font('Times-Bold').text('Goals');
+    document.font('Times-Roman');
+    letter.goals.forEach((goal) => document.text(`• ${goal.text} (${goal.status})`));
+  }
+
+  if ((letter.reflections || []).length > 0) {
+    document.moveDown().font('Times-Bold').text('Reflections');
+    letter.reflections.forEach((reflection) => {
+      document.font('Times-Italic').fontSize(10).text(formatDate(reflection.date));
+      document.font('Times-Roman').fontSize(12).text(reflection.reflection).moveDown(0.5);
+    });
+  }
+};
+
+/**
+ * YAML front matter. Strings are written as JSON strings, which are
+ * valid YAML and survive colons, quotes and newlines in what users wrote.
+ * Empty values are left out.
+ */
+const renderFrontMatter = (fields) => {
+  const lines = ['---'];
+
+  Object.entries(fields).forEach(([key, value]) => {
+    if (isEmpty(value)) return;
+
+    if (Array.isArray(value)) {
+      lines.push(`${key}:`);
+      value.forEach((item) => lines.push(...renderYamlListItem(item)));
+    } else {
+      lines.push(`${key}: ${renderYamlScalar(value)}`);
+    }
+  });
+
+  lines.push('---');
+  return lines.join('\n');
+};
+
+/**
+ * One item of a YAML list - a value, or an object's fields
+ */
+const renderYamlListItem = (item) => {
+  if (item === null || typeof item !== 'object') {
+    return [`  - ${renderYamlScalar(item)}`];
+  }
+
+  return Object.entries(item)
+    .filter(([, value]) => !isEmpty(value))
+    .map(([key, value], index) => `${index === 0 ? '  - ' : '    '}${key}: ${renderYamlScalar(value)}`);
+};
+
+/**
+ * A single YAML value
+ */
+const renderYamlScalar = (value) => {
+  if (typeof value === 'number' || typeof value === 'boolean') {
+    return String(value);
+  }
+  return JSON.stringify(String(value));
+};
+
+// --- Formatting Helpers ---
+
+/**
+ * Nothing worth writing down
+ */
+const isEmpty = (value) => {
+  return value === undefined || value === null || value === ''
+    || (Array.isArray(value) && value.length === 0);
+};
+
+/**
+ * A date as an ISO string (undefined if there's no date)
+ */
+const toIsoString = (date) => {
+  return date ? new Date(date).toISOString() : undefined;
+};
+
+/**
+ * Format a date like "March 4, 2025"
+ */
+const formatDate = (date) => {
+  if (!date) return 'an unknown date';
+  return new Date(date).toLocaleDateString('en-US', {
+    year: 'numeric',
+    month: 'long',
+    day: 'numeric'
+  });
+};
+
+/**
+ * A title as a file-name-safe slug
+ */
+const slugify = (text) => {
+  return String(text || '')
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .slice(0, MAX_SLUG_LENGTH)
+    .replace(/-+$/, '');
+};
+
+// exports
+
+module.exports = {
+  renderLetterMarkdown,
+  buildLetterFileName,
+  renderArchiveJson,
+  renderLetterBook
+};
@@ -0,0 +1,176 @@
+/**
+ * Letter Email Renderer
+ * Turns a delivered letter into the email that lands in the user's inbox.
+ * Every email has a plain-text and an HTML version of the same content.
+ */
+
+const GOAL_STATUS_LABELS = {
+  pending: 'Pending',
+  inProgress: 'In progress',
+  completed: 'Completed',
+  abandoned: 'Abandoned',
+  carriedForward: 'Carried forward'
+};
+
+/**
+ * Build the subject, text and HTML for a letter email.
+ * Pass authorName for a letter someone else wrote to the recipient.
+ */
+const renderLetterEmail = (letter, recipientName = '', { authorName } = {}) => {
+  const writtenOn = formatDate(letter.createdAt);
+  const details = collectLetterDetails(letter);
+  const goals = letter.goals || [];
+  const wording = chooseWording(authorName, writtenOn);
+
+  return {
+    subject: `💌 ${wording.from}: ${letter.title || 'Untitled'}`,
+    text: renderText(letter, recipientName, wording, details, goals),
+    html: renderHtml(letter, recipientName, wording, details, goals)
+  };
+};
+
+/**
+ * The words that change between a letter to yourself and one from someone else
+ */
+const chooseWording = (authorName, writtenOn) => {
+  if (!authorName) {
+    return {
+      from: 'A letter from your past self',
+      intro: `On ${writtenOn} you wrote a letter to your future self. Today is the day it arrives.`,
+      goalsHeading: 'Your goals'
+    };
+  }
+
+  return {
+    from: `A letter from ${authorName}`,
+    intro: `On ${writtenOn} ${authorName} wrote you a letter to open in the future. Today is the day it arrives.`,
+    goalsHeading: 'Goals'
+  };
+};
+
+// --- Rendering Helpers ---
+
+/**
+ * Collect the "moment in time" details that were captured with the letter
+ * Only fields that were actually filled in are included
+ */
+const collectLetterDetails = (letter) => {
+  const details = [];
+
+  if (letter.mood) details.push({ label: 'Mood', value: letter.mood });
+  if (letter.weather) {
+    const temperature = letter.temperature !== undefined && letter.temperature !== null
+      ? ` (${letter.temperature}°)`
+      : '';
+    details.push({ label: 'Weather', value: `${letter.weather}${temperature}` });
+  }
+  if (letter.location) details.push({ label: 'Location', value: letter.location });
+  if (letter.currentSong) details.push({ label: 'Listening to', value: letter.currentSong });
+  if (letter.topHeadLine) details.push({ label: 'In the news', value: letter.topHeadLine });
+
+  return details;
+};
+
+/**
+ * Plain-text version of the email
+ */
+const renderText = (letter, recipientName, wording, details, goals) => {
+  const lines = [];
+
+  lines.push(recipientName ? `Hi ${recipientName},` : 'Hi there,');
+  lines.push('');
+  lines.push(wording.intro);
+  lines.push('');
+  lines.push(letter.title || 'Untitled');
+  lines.push('='.repeat((letter.title || 'Untitled').length));
+  lines.push('');
+
+  details.forEach(({ label, value }) => lines.push(`${label}: ${value}`));
+  if (details.length > 0) lines.push('');
+
+  lines.push(letter.content);
+
+  if (goals.length > 0) {
+    lines.push('');
+    lines.push(wording.goalsHeading);
+    lines.push('-'.repeat(wording.goalsHeading.length));
+    goals.forEach((goal) => {
+      lines.push(`- ${goal.text} [${GOAL_STATUS_LABELS[goal.status] || goal.status}]`);
+    });
+  }
+
+  lines.push('');
+  lines.push('Open SoulMail to reflect on how things turned out.');
+
+  return lines.join('\n');
+};
+
+/**
+ * HTML version of the email
+ */
+const renderHtml = (letter, recipientName, wording, details, goals) => {
+  const greeting = recipientName ? `Hi ${escapeHtml(recipientName)},` : 'Hi there,';
+
+  const detailsHtml = details.length > 0
+    ? `<ul style="list-style:none;padding:0;color:#555;">${details
+      .map(({ label, value }) => `<li><strong>${escapeHtml(label)}:</strong> ${escapeHtml(value)}</li>`)
+      .join('')}</ul>`
+    : '';
+
+  const contentHtml = escapeHtml(letter.content)
+    .split(/\n{2,}/)
+    .map((paragraph) => `<p>${paragraph.replace(/\n/g, '<br>')}</p>`)
+    .join('');
+
+  const goalsHtml = goals.length > 0
+    ? `<h2>${escapeHtml(wording.goalsHeading)}</h2><ul>${goals
+      .map((goal) => `<li>${escapeHtml(goal.text)} <em>(${escapeHtml(GOAL_STATUS_LABELS[goal.status] || goal.status)})</em></li>`)
+      .join('')}</ul>`
+    : '';
+
+  return [
+    '<!DOCTYPE html>',
+    '<html><body style="font-family:Georgia,serif;max-width:600px;margin:0 auto;color:#222;">',
+    `<p>${greeting}</p>`,
+    `<p>${escapeHtml(wording.intro)}</p>`,
+    `<h1>${escapeHtml(letter.title || 'Untitled')}</h1>`,
+    detailsHtml,
+    contentHtml,
+    goalsHtml,
+    '<p style="color:#777;">Open SoulMail to reflect on how things turned out.</p>',
+    '</body></html>'
+  ].join('\n');
+};
+
+// --- Formatting Helpers ---
+
+/**
+ * Format a date like "March 4, 2025"
+ */
+const formatDate = (date) => {
+  if (!date) return 'a day in the past';
+  return new Date(date).toLocaleDateString('en-US', {
+    year: 'numeric',
+    month: 'long',
+    day: 'numeric'
+  });
+};
+
+/**
+ * Escape text so user content can't inject markup into the email
+ */
+const escapeHtml = (value) => {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+};
+
+// exports
+
+module.exports = {
+  renderLetterEmail,
+  escapeHtml
+};
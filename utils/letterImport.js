@@ -0,0 +1,315 @@
+/**
+ * Letter Import Parsers
+ * Reads journal entries from the files people bring from other tools
+ * (the reverse of utils/letterArchive):
+ * - JSON: our own export (letters.json), or a plain list of entries
+ * - Markdown: one entry per file, details in YAML front matter
+ *   (our own export's files, or Obsidian / Jekyll style notes)
+ * - CSV: one entry per row, with a header row naming the columns
+ *
+ * Every format turns into the same entry shape:
+ *   { source, fields }  - fields use the Letter model's names
+ *   { source, error }   - the entry couldn't be read at all
+ * source says where the entry came from ("notes.md", "journal.csv row 4").
+ * Whether the fields make a valid letter is for the import service to decide.
+ */
+
+const path = require('path');
+const yaml = require('js-yaml');
+
+const IMPORT_FORMATS = {
+  JSON: 'json',
+  MARKDOWN: 'markdown',
+  CSV: 'csv'
+};
+
+const FORMAT_EXTENSIONS = {
+  '.json': IMPORT_FORMATS.JSON,
+  '.md': IMPORT_FORMATS.MARKDOWN,
+  '.markdown': IMPORT_FORMATS.MARKDOWN,
+  '.csv': IMPORT_FORMATS.CSV
+};
+
+// Other names tools use for our fields (front matter keys and CSV columns)
+const FIELD_ALIASES = {
+  title: 'title',
+  content: 'content',
+  body: 'content',
+  text: 'content',
+  entry: 'content',
+  written: 'createdAt',
+  date: 'createdAt',
+  created: 'createdAt',
+  createdat: 'createdAt',
+  deliverydate: 'deliveredAt',
+  deliveredat: 'deliveredAt',
+  mood: 'mood',
+  weather: 'weather',
+  temperature: 'temperature',
+  song: 'currentSong',
+  currentsong: 'currentSong',
+  headline: 'topHeadLine',
+  topheadline: 'topHeadLine',
+  location: 'location',
+  prompt: 'writingPrompt',
+  writingprompt: 'writingPrompt',
+  tags: 'tags',
+  goals: 'goals',
+  reflections: 'reflections',
+  reflection: 'reflections'
+};
+
+// How lists are written inside a single CSV cell ("Run; Read; Rest")
+const CSV_LIST_SEPARATOR = ';';
+const CSV_LIST_FIELDS = ['tags', 'goals', 'reflections'];
+
+// Our export leaves a sealed letter's words out, so there's nothing to bring back
+const SEALED_ENTRY_ERROR = 'This letter was still sealed when it was exported, so its words are not in the file';
+
+const FRONT_MATTER_PATTERN = /^---\r?\n([\s\S]*?)\r?\n---\r?\n?([\s\S]*)$/;
+
+/**
+ * Work out a file's format from its name (undefined if we can't read it)
+ */
+const detectImportFormat = (fileName) => {
+  return FORMAT_EXTENSIONS[path.extname(String(fileName)).toLowerCase()];
+};
+
+/**
+ * Read every entry in an uploaded file: { originalname, buffer }
+ */
+const parseImportFile = (file) => {
+  const fileName = file.originalname;
+  const text = file.buffer.toString('utf8').replace(/^﻿/, '');
+
+  switch (detectImportFormat(fileName)) {
+    case IMPORT_FORMATS.JSON:
+      return parseJsonEntries(text, fileName);
+    case IMPORT_FORMATS.MARKDOWN:
+      return [parseMarkdownEntry(text, fileName)];
+    case IMPORT_FORMATS.CSV:
+      return parseCsvEntries(text, fileName);
+    default:
+      return [{ source: fileName, error: 'Unsupported file type. Use .json, .md or .csv' }];
+  }
+};
+
+// --- Format Parsers ---
+
+/**
+ * JSON: { letters: [...] } as we export it, or a plain array of entries
+ */
+const parseJsonEntries = (text, fileName) => {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (error) {
+    return [{ source: fileName, error: `Not valid JSON: ${error.message}` }];
+  }
+
+  const entries = Array.isArray(data) ? data : data && data.letters;
+  if (!Array.isArray(entries)) {
+    return [{ source: fileName, error: 'Expected a list of letters, or { "letters": [...] }' }];
+  }
+
+  return entries.map((entry, index) => {
+    const source = `${fileName} #${index + 1}`;
+    if (!entry || typeof entry !== 'object' || Array.isArray(entry)) {
+      return { source, error: 'Each letter must be an object' };
+    }
+    if (entry.sealed) {
+      return { source, error: SEALED_ENTRY_ERROR };
+    }
+    return { source, fields: normalizeFields(entry) };
+  });
+};
+
+/**
+ * Markdown: front matter for the details, the rest is the letter.
+ * A leading "# Heading" is the title when front matter doesn't give one.
+ */
+const parseMarkdownEntry = (text, fileName) => {
+  let details = {};
+  let body = text;
+
+  const match = text.match(FRONT_MATTER_PATTERN);
+  if (match) {
+    try {
+      details = yaml.load(match[1], { schema: yaml.JSON_SCHEMA }) || {};
+    } catch (error) {
+      return { source: fileName, error: `Front matter is not valid YAML: ${error.reason || error.message}` };
+    }
+    if (typeof details !== 'object' || Array.isArray(details)) {
+      return { source: fileName, error: 'Front matter must be a set of key: value pairs' };
+    }
+    if (details.sealed) {
+      return { source: fileName, error: SEALED_ENTRY_ERROR };
+    }
+    body = match[2];
+  }
+
+  const fields = normalizeFields(details);
+  const heading = body.match(/^\s*#\s+(.+)\r?\n/);
+  if (heading) {
+    fields.title = fields.title || heading[1].trim();
+    body = body.slice(heading[0].length);
+  }
+  fields.content = body.trim();
+  return { source: fileName, fields };
+};
+
+/**
+ * CSV: a header row, then one entry per row. Lists (tags, goals) are
+ * separated by semicolons inside their cell.
+ */
+const parseCsvEntries = (text, fileName) => {
+  let rows;
+  try {
+    rows = parseCsvRows(text);
+  } catch (error) {
+    return [{ source: fileName, error: error.message }];
+  }
+
+  const [header, ...records] = rows;
+  if (!header || records.length === 0) {
+    return [{ source: fileName, error: 'Expected a header row and at least one entry' }];
+  }
+
+  return records
+    .map((record, index) => ({ record, rowNumber: index + 2 }))
+    .filter(({ record }) => record.some((cell) => cell.trim() !== ''))
+    .map(({ record, rowNumber }) => {
+      const entry = {};
+      header.forEach((column, columnIndex) => {
+        const value = (record[columnIndex] || '').trim();
+        if (value !== '') entry[column.trim()] = value;
+      });
+
+      Object.keys(entry).forEach((column) => {
+        if (CSV_LIST_FIELDS.includes(toFieldName(column))) entry[column] = splitCsvList(entry[column]);
+      });
+      return { source: `${fileName} row ${rowNumber}`, fields: normalizeFields(entry) };
+    });
+};
+
+// --- Normalizing Helpers ---
+
+/**
+ * Map an entry's keys onto our field names and shape its lists.
+ * Keys we don't know are dropped.
+ */
+const normalizeFields = (entry) => {
+  const fields = {};
+
+  Object.entries(entry).forEach(([key, value]) => {
+    const field = toFieldName(key);
+    if (field && value !== null && value !== undefined && fields[field] === undefined) {
+      fields[field] = value;
+    }
+  });
+
+  if (fields.tags !== undefined) fields.tags = toList(fields.tags).map(String);
+  if (fields.goals !== undefined) fields.goals = toList(fields.goals).map(normalizeGoal);
+  if (fields.reflections !== undefined) fields.reflections = toList(fields.reflections).map(normalizeReflection);
+  if (fields.temperature !== undefined) fields.temperature = Number(fields.temperature);
+
+  return fields;
+};
+
+/**
+ * Our name for a front matter key or CSV column ("Delivery Date" -> deliveredAt),
+ * undefined if we don't know it
+ */
+const toFieldName = (key) => {
+  return FIELD_ALIASES[key.toLowerCase().replace(/[\s_-]/g, '')];
+};
+
+/**
+ * A goal is its text, or { text, status, reflection }
+ */
+const normalizeGoal = (goal) => {
+  if (goal && typeof goal === 'object') {
+    return { text: goal.text, status: goal.status, reflection: goal.reflection };
+  }
+  return { text: String(goal) };
+};
+
+/**
+ * A reflection is its text, or { text | reflection, date }
+ */
+const normalizeReflection = (reflection) => {
+  if (reflection && typeof reflection === 'object') {
+    return { reflection: reflection.reflection || reflection.text, date: reflection.date };
+  }
+  return { reflection: String(reflection) };
+};
+
+/**
+ * A value that should be a list (a lone value becomes a list of one)
+ */
+const toList = (value) => {
+  return Array.isArray(value) ? value : [value];
+};
+
+/**
+ * Split a CSV cell holding a list
+ */
+const splitCsvList = (cell) => {
+  return cell.split(CSV_LIST_SEPARATOR).map((item) => item.trim()).filter(Boolean);
+};
+
+/**
+ * Split CSV text into rows of cells (RFC 4180: quoted cells may hold
+ * commas, newlines and "" for a quote)
+ */
+const parseCsvRows = (text) => {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+
+  if (inQuotes) {
+    throw new Error('The CSV has a quoted cell that never ends');
+  }
+  if (cell !== '' || row.length > 0) {
+    row.push(cell);
+    rows.push(row);
+  }
+  return rows;
+};
+
+// exports
+
+module.exports = {
+  IMPORT_FORMATS,
+  detectImportFormat,
+  parseImportFile
+};
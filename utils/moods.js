@@ -0,0 +1,52 @@
+/**
+ * Mood Taxonomy
+ * The moods a letter can be written in. A letter stores the mood's emoji;
+ * everything else about a mood lives here, so adding one is a change to
+ * this list - no schema change or migration.
+ *
+ * Each mood has:
+ * - emoji:   what's stored on the letter (never change it once in use)
+ * - key:     a stable name for APIs and analytics
+ * - name:    what people see
+ * - valence: how it feels, from -2 (very low) to 2 (very high), used to
+ *            compare a mood with how later reflections sound
+ * - retired: (optional) can't be picked any more, but letters already
+ *            written in it keep it (a mood is only checked when it's set)
+ */
+
+const MOODS = [
+  { emoji: '☺️', key: 'content', name: 'Content', valence: 1 },
+  { emoji: '🤩', key: 'excited', name: 'Excited', valence: 2 },
+  { emoji: '🙏', key: 'grateful', name: 'Grateful', valence: 2 },
+  { emoji: '😢', key: 'sad', name: 'Sad', valence: -1 },
+  { emoji: '😰', key: 'anxious', name: 'Anxious', valence: -1 },
+  { emoji: '😫', key: 'overwhelmed', name: 'Overwhelmed', valence: -2 }
+];
+
+const MOODS_BY_EMOJI = new Map(MOODS.map((mood) => [mood.emoji, mood]));
+
+// The emoji a new letter can be written in
+const VALID_MOODS = MOODS.filter((mood) => !mood.retired).map((mood) => mood.emoji);
+
+/**
+ * Find a mood by the emoji stored on a letter
+ */
+const getMoodByEmoji = (emoji) => {
+  return MOODS_BY_EMOJI.get(emoji);
+};
+
+/**
+ * Can a letter be written in this mood? ('' and no mood are fine)
+ */
+const isValidMood = (emoji) => {
+  return emoji === undefined || emoji === null || emoji === '' || VALID_MOODS.includes(emoji);
+};
+
+// exports
+
+module.exports = {
+  MOODS,
+  VALID_MOODS,
+  getMoodByEmoji,
+  isValidMood
+};
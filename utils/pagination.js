@@ -0,0 +1,151 @@
+/**
+ * Cursor Pagination
+ * Long-time users have hundreds of letters, so lists come back a page
+ * at a time. Instead of page numbers (which shift when letters are added)
+ * each page ends with a cursor: an opaque token that says "continue after
+ * this item". The cursor holds the last item's sort value and its _id,
+ * so items with the same sort value are never skipped or repeated.
+ */
+
+const mongoose = require('mongoose');
+const { ValidationError } = require('../middleware/errorHandler');
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+const SORT_ORDERS = {
+  ASC: 'asc',
+  DESC: 'desc'
+};
+
+/**
+ * Turn the last item of a page into a cursor string
+ */
+const encodeCursor = (item, sortField) => {
+  const value = getPath(item, sortField);
+  const payload = {
+    v: value instanceof Date ? { d: value.toISOString() } : value ?? null,
+    id: String(item._id)
+  };
+  return Buffer.from(JSON.stringify(payload)).toString('base64url');
+};
+
+/**
+ * Read a cursor string back into { value, id }
+ * Throws a ValidationError for anything that isn't one of our cursors
+ */
+const decodeCursor = (cursor) => {
+  try {
+    const payload = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    if (!payload || !mongoose.isValidObjectId(payload.id)) {
+      throw new Error('Malformed cursor');
+    }
+
+    const value = payload.v && payload.v.d ? new Date(payload.v.d) : payload.v;
+    return { value, id: new mongoose.Types.ObjectId(payload.id) };
+  } catch (error) {
+    throw new ValidationError('Invalid cursor', { cursor: 'This cursor is not valid' });
+  }
+};
+
+/**
+ * Build the condition that selects items after the cursor.
+ * MongoDB sorts missing/null values first, so they need special care:
+ * ascending, nulls come before everything; descending, after everything.
+ */
+const buildCursorCondition = (cursor, sortField, order) => {
+  const { value, id } = decodeCursor(cursor);
+  const isAscending = order === SORT_ORDERS.ASC;
+  const beyond = isAscending ? '$gt' : '$lt';
+
+  const sameValueLaterId = { [sortField]: value, _id: { [beyond]: id } };
+
+  if (value === null) {
+    // Ascending: the non-null values are still to come
+    // Descending: only other nulls are left
+    return isAscending
+      ? { $or: [sameValueLaterId, { [sortField]: { $ne: null } }] }
+      : sameValueLaterId;
+  }
+
+  const conditions = [
+    { [sortField]: { [beyond]: value } },
+    sameValueLaterId
+  ];
+  if (!isAscending) {
+    conditions.push({ [sortField]: null });
+  }
+  return { $or: conditions };
+};
+
+/**
+ * The MongoDB sort for a field and order, with _id as the tiebreaker
+ */
+const buildSort = (sortField, order) => {
+  const direction = order === SORT_ORDERS.ASC ? 1 : -1;
+  return { [sortField]: direction, _id: direction };
+};
+
+/**
+ * Parse the page size, keeping it within bounds
+ */
+const parsePageSize = (value, defaultSize = DEFAULT_PAGE_SIZE) => {
+  if (value === undefined) return defaultSize;
+
+  const limit = Number(value);
+  if (!Number.isInteger(limit) || limit < 1) {
+    throw new ValidationError('limit must be a positive whole number', { limit: 'Invalid limit' });
+  }
+  return Math.min(limit, MAX_PAGE_SIZE);
+};
+
+/**
+ * Parse a sort order, defaulting when it's missing
+ */
+const parseSortOrder = (value, defaultOrder = SORT_ORDERS.DESC) => {
+  if (value === undefined) return defaultOrder;
+
+  if (!Object.values(SORT_ORDERS).includes(value)) {
+    throw new ValidationError('order must be asc or desc', { order: 'Must be asc or desc' });
+  }
+  return value;
+};
+
+/**
+ * Given one extra item fetched past the page size, split off the page
+ * and work out the cursor for the next one
+ */
+const buildPage = (items, limit, sortField) => {
+  const hasMore = items.length > limit;
+  const pageItems = hasMore ? items.slice(0, limit) : items;
+
+  return {
+    items: pageItems,
+    hasMore,
+    nextCursor: hasMore ? encodeCursor(pageItems[pageItems.length - 1], sortField) : null
+  };
+};
+
+// --- Helpers ---
+
+/**
+ * Read a dotted path ("goals.text") off an object
+ */
+const getPath = (item, path) => {
+  return path.split('.').reduce((value, key) => (value == null ? value : value[key]), item);
+};
+
+// exports
+
+module.exports = {
+  SORT_ORDERS,
+  DEFAULT_PAGE_SIZE,
+  MAX_PAGE_SIZE,
+  encodeCursor,
+  decodeCursor,
+  buildCursorCondition,
+  buildSort,
+  buildPage,
+  parsePageSize,
+  parseSortOrder
+};
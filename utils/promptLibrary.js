@@ -0,0 +1,150 @@
+/**
+ * Writing Prompt Library
+ * A blank page is the hardest part of writing to your future self.
+ * These curated prompts give the user somewhere to start, grouped by
+ * theme and by the delivery intervals they suit - a question about
+ * this week's small wins makes little sense in a letter opened in 5 years.
+ *
+ * Prompt IDs are stored on letters written from them, so once a prompt
+ * is published its ID must never change or be reused.
+ */
+
+const { DELIVERY_INTERVALS } = require('./dateCalculator');
+
+const PROMPT_THEMES = {
+  GRATITUDE: 'gratitude',
+  GROWTH: 'growth',
+  RELATIONSHIPS: 'relationships',
+  CAREER: 'career',
+  HEALTH: 'health',
+  DREAMS: 'dreams',
+  CHECK_IN: 'checkIn'
+};
+
+const THEME_LABELS = {
+  [PROMPT_THEMES.GRATITUDE]: 'Gratitude',
+  [PROMPT_THEMES.GROWTH]: 'Personal growth',
+  [PROMPT_THEMES.RELATIONSHIPS]: 'Relationships',
+  [PROMPT_THEMES.CAREER]: 'Work and career',
+  [PROMPT_THEMES.HEALTH]: 'Health and wellbeing',
+  [PROMPT_THEMES.DREAMS]: 'Dreams and the big picture',
+  [PROMPT_THEMES.CHECK_IN]: 'Quick check-in'
+};
+
+const VALID_THEMES = Object.values(PROMPT_THEMES);
+
+// How far ahead a prompt looks, as the intervals it suits
+const SHORT_TERM = [DELIVERY_INTERVALS.IN_A_WEEK, DELIVERY_INTERVALS.ONE_MONTH];
+const MID_TERM = [
+  DELIVERY_INTERVALS.SIX_MONTHS,
+  DELIVERY_INTERVALS.ONE_YEAR,
+  DELIVERY_INTERVALS.NEXT_BIRTHDAY,
+  DELIVERY_INTERVALS.ANNIVERSARY
+];
+const LONG_TERM = [DELIVERY_INTERVALS.FIVE_YEARS, DELIVERY_INTERVALS.BIRTHDAY_AGE];
+
+const PROMPTS = [
+  // Gratitude
+  { id: 'gratitude-small-things', theme: PROMPT_THEMES.GRATITUDE, intervals: SHORT_TERM,
+    text: 'What three small things made this week better than it had to be?' },
+  { id: 'gratitude-person', theme: PROMPT_THEMES.GRATITUDE, intervals: [...SHORT_TERM, ...MID_TERM],
+    text: 'Who are you grateful for right now, and have you told them?' },
+  { id: 'gratitude-ordinary-day', theme: PROMPT_THEMES.GRATITUDE, intervals: [...MID_TERM, ...LONG_TERM],
+    text: 'Describe an ordinary day in your life today. What about it do you hope never changes?' },
+  { id: 'gratitude-hard-times', theme: PROMPT_THEMES.GRATITUDE, intervals: MID_TERM,
+    text: 'What is something difficult you are going through that you might one day be thankful for?' },
+
+  // Personal growth
+  { id: 'growth-one-habit', theme: PROMPT_THEMES.GROWTH, intervals: SHORT_TERM,
+    text: 'Which one habit are you trying to build or break, and what will make this attempt different?' },
+  { id: 'growth-afraid-of', theme: PROMPT_THEMES.GROWTH, intervals: [...MID_TERM, ...LONG_TERM],
+    text: 'What are you afraid of right now? Do you think it will still scare you when you read this?' },
+  { id: 'growth-advice-to-past', theme: PROMPT_THEMES.GROWTH, intervals: MID_TERM,
+    text: 'What advice would you give yourself from a year ago, and what do you hope future you would tell you now?' },
+  { id: 'growth-who-you-are', theme: PROMPT_THEMES.GROWTH, intervals: LONG_TERM,
+    text: 'Describe who you are today - your beliefs, your quirks, what you care about - so future you can see how much has changed.' },
+  { id: 'growth-lesson', theme: PROMPT_THEMES.GROWTH, intervals: [...SHORT_TERM, ...MID_TERM],
+    text: 'What is the most important thing you learned recently, and how did you learn it?' },
+
+  // Relationships
+  { id: 'relationships-closest', theme: PROMPT_THEMES.RELATIONSHIPS, intervals: [...MID_TERM, ...LONG_TERM],
+    text: 'Who are the people closest to you right now? Write a line about each of them.' },
+  { id: 'relationships-reach-out', theme: PROMPT_THEMES.RELATIONSHIPS, intervals: SHORT_TERM,
+    text: 'Who have you been meaning to reach out to? Promise future you that you will.' },
+  { id: 'relationships-repair', theme: PROMPT_THEMES.RELATIONSHIPS, intervals: MID_TERM,
+    text: 'Is there a relationship you want to repair or deepen this year? What is the first step?' },
+  { id: 'relationships-family', theme: PROMPT_THEMES.RELATIONSHIPS, intervals: LONG_TERM,
+    text: 'What does family mean to you today, and what do you hope it looks like in the years ahead?' },
+
+  // Work and career
+  { id: 'career-this-week', theme: PROMPT_THEMES.CAREER, intervals: SHORT_TERM,
+    text: 'What is the one thing at work you want to have finished by the time this arrives?' },
+  { id: 'career-proud-of', theme: PROMPT_THEMES.CAREER, intervals: [...SHORT_TERM, ...MID_TERM],
+    text: 'What piece of work are you proudest of lately, and why?' },
+  { id: 'career-next-year', theme: PROMPT_THEMES.CAREER, intervals: MID_TERM,
+    text: 'Where do you want your work to be a year from now? What skill will get you there?' },
+  { id: 'career-five-years', theme: PROMPT_THEMES.CAREER, intervals: LONG_TERM,
+    text: 'Describe your dream working day five years from now. How close do you think you will be?' },
+
+  // Health and wellbeing
+  { id: 'health-how-you-feel', theme: PROMPT_THEMES.HEALTH, intervals: SHORT_TERM,
+    text: 'How are you sleeping, eating and moving this week? What would make next week a little kinder to your body?' },
+  { id: 'health-rest', theme: PROMPT_THEMES.HEALTH, intervals: [...SHORT_TERM, ...MID_TERM],
+    text: 'What helps you recharge when you are worn out? Remind future you to do more of it.' },
+  { id: 'health-long-run', theme: PROMPT_THEMES.HEALTH, intervals: [...MID_TERM, ...LONG_TERM],
+    text: 'What would you like to be able to do with your body and mind in the years ahead, and what are you doing about it now?' },
+
+  // Dreams and the big picture
+  { id: 'dreams-bucket-list', theme: PROMPT_THEMES.DREAMS, intervals: [...MID_TERM, ...LONG_TERM],
+    text: 'Write down three things you want to do before this letter arrives. Be bold.' },
+  { id: 'dreams-where-you-live', theme: PROMPT_THEMES.DREAMS, intervals: LONG_TERM,
+    text: 'Where do you imagine you will be living when you open this? Describe the view from the window.' },
+  { id: 'dreams-world', theme: PROMPT_THEMES.DREAMS, intervals: LONG_TERM,
+    text: 'What is happening in the world right now that you hope will be different by the time you read this?' },
+  { id: 'dreams-questions', theme: PROMPT_THEMES.DREAMS, intervals: [...MID_TERM, ...LONG_TERM],
+    text: 'What questions do you want to ask your future self? Leave space for the answers.' },
+
+  // Quick check-in
+  { id: 'checkin-right-now', theme: PROMPT_THEMES.CHECK_IN, intervals: SHORT_TERM,
+    text: 'Right now I feel... because... and by the time this arrives I hope...' },
+  { id: 'checkin-highs-lows', theme: PROMPT_THEMES.CHECK_IN, intervals: SHORT_TERM,
+    text: 'What was the high point and the low point of today?' },
+  { id: 'checkin-on-your-mind', theme: PROMPT_THEMES.CHECK_IN, intervals: [...SHORT_TERM, ...MID_TERM],
+    text: 'What is taking up most of the space in your head lately?' },
+  { id: 'checkin-birthday', theme: PROMPT_THEMES.CHECK_IN,
+    intervals: [DELIVERY_INTERVALS.NEXT_BIRTHDAY, DELIVERY_INTERVALS.BIRTHDAY_AGE],
+    text: 'Happy birthday, future me. Here is what the year before it looked like...' }
+];
+
+// Prompts by ID, for looking one up quickly
+const PROMPTS_BY_ID = new Map(PROMPTS.map((prompt) => [prompt.id, prompt]));
+
+/**
+ * Find a curated prompt by its ID (undefined if there isn't one)
+ */
+const getPromptById = (promptId) => {
+  return PROMPTS_BY_ID.get(promptId);
+};
+
+/**
+ * Curated prompts matching an optional theme and interval.
+ * Custom dates can be any distance away, so every prompt suits them.
+ */
+const findPrompts = ({ theme, interval } = {}) => {
+  return PROMPTS.filter((prompt) => {
+    if (theme && prompt.theme !== theme) return false;
+    if (interval && interval !== DELIVERY_INTERVALS.CUSTOM_DATE && !prompt.intervals.includes(interval)) {
+      return false;
+    }
+    return true;
+  });
+};
+
+module.exports = {
+  PROMPT_THEMES,
+  THEME_LABELS,
+  VALID_THEMES,
+  PROMPTS,
+  getPromptById,
+  findPrompts
+};
@@ -0,0 +1,112 @@
+/**
+ * Search Snippets
+ * Helpers for turning a free-text query into something MongoDB can match,
+ * and for showing the user *where* in a letter their words were found.
+ */
+
+const SNIPPET_RADIUS = 60;
+const MAX_TERMS = 10;
+
+/**
+ * Split a query into lowercase search terms, dropping duplicates
+ * "  Career   CAREER goals " -> ['career', 'goals']
+ */
+const parseSearchTerms = (query = '') => {
+  const terms = String(query)
+    .toLowerCase()
+    .split(/\s+/)
+    .filter(Boolean);
+
+  return [...new Set(terms)].slice(0, MAX_TERMS);
+};
+
+/**
+ * Build a case-insensitive regex that matches a term literally
+ */
+const termToRegex = (term) => {
+  return new RegExp(escapeRegex(term), 'i');
+};
+
+/**
+ * Find every place any of the terms appears in a piece of text
+ * Returns [{ start, end }] sorted by position, without overlaps
+ */
+const findMatches = (text, terms) => {
+  if (!text) return [];
+
+  const lowerText = String(text).toLowerCase();
+  const matches = [];
+
+  terms.forEach((term) => {
+    let index = lowerText.indexOf(term);
+    while (index !== -1) {
+      matches.push({ start: index, end: index + term.length });
+      index = lowerText.indexOf(term, index + term.length);
+    }
+  });
+
+  return mergeOverlapping(matches.sort((a, b) => a.start - b.start));
+};
+
+/**
+ * Cut a short snippet around the first match in a piece of text.
+ * Match positions are given relative to the snippet, so the frontend
+ * can highlight them without us putting markup into user content.
+ *   { snippet: '...reading more books this year...', matches: [{ start: 3, end: 10 }] }
+ */
+const buildSnippet = (text, terms) => {
+  const matches = findMatches(text, terms);
+  if (matches.length === 0) return null;
+
+  const value = String(text);
+  const start = Math.max(matches[0].start - SNIPPET_RADIUS, 0);
+  const end = Math.min(matches[0].end + SNIPPET_RADIUS, value.length);
+
+  const prefix = start > 0 ? '...' : '';
+  const suffix = end < value.length ? '...' : '';
+
+  return {
+    snippet: `${prefix}${value.slice(start, end)}${suffix}`,
+    matches: matches
+      .filter((match) => match.start >= start && match.end <= end)
+      .map((match) => ({
+        start: match.start - start + prefix.length,
+        end: match.end - start + prefix.length
+      })),
+    matchCount: matches.length
+  };
+};
+
+// --- Helpers ---
+
+/**
+ * Escape characters that mean something in a regex
+ */
+const escapeRegex = (value) => {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+};
+
+/**
+ * Merge matches that overlap ("goal" and "goals" in the same spot)
+ */
+const mergeOverlapping = (sortedMatches) => {
+  return sortedMatches.reduce((merged, match) => {
+    const last = merged[merged.length - 1];
+    if (last && match.start <= last.end) {
+      last.end = Math.max(last.end, match.end);
+    } else {
+      merged.push({ ...match });
+    }
+    return merged;
+  }, []);
+};
+
+// exports
+
+module.exports = {
+  parseSearchTerms,
+  termToRegex,
+  escapeRegex,
+  findMatches,
+  buildSnippet
+};
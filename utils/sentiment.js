@@ -0,0 +1,55 @@
+/**
+ * Sentiment Scoring
+ * A rough read of how a piece of writing sounds, from -1 (low) to 1 (high),
+ * by counting hopeful and heavy words. "not" and friends flip the word
+ * after them. It's a simple word list, not an understanding of the text -
+ * good for trends across many reflections, not for judging one.
+ */
+
+const POSITIVE_WORDS = new Set([
+  'accomplished', 'amazing', 'appreciate', 'better', 'blessed', 'brave', 'calm',
+  'celebrate', 'confident', 'content', 'delighted', 'enjoy', 'enjoyed', 'excited',
+  'free', 'fun', 'glad', 'good', 'grateful', 'great', 'grew', 'grown', 'happy',
+  'healthy', 'hope', 'hopeful', 'improved', 'inspired', 'joy', 'kind', 'laugh',
+  'love', 'loved', 'lucky', 'peace', 'peaceful', 'proud', 'relieved', 'rested',
+  'safe', 'smile', 'strong', 'success', 'succeeded', 'thankful', 'thriving',
+  'wonderful', 'won'
+]);
+
+const NEGATIVE_WORDS = new Set([
+  'afraid', 'alone', 'angry', 'anxious', 'ashamed', 'awful', 'bad', 'broke',
+  'broken', 'burned', 'burnout', 'confused', 'cried', 'depressed', 'disappointed',
+  'exhausted', 'fail', 'failed', 'fear', 'frustrated', 'grief', 'guilty', 'hard',
+  'hate', 'hopeless', 'hurt', 'lonely', 'lost', 'miss', 'missed', 'nervous',
+  'overwhelmed', 'pain', 'regret', 'sad', 'scared', 'sick', 'stressed', 'stuck',
+  'struggle', 'struggled', 'terrible', 'tired', 'upset', 'worried', 'worse', 'worst'
+]);
+
+const NEGATIONS = new Set(['not', 'no', 'never', "don't", "didn't", "isn't", "wasn't", "can't", 'without']);
+
+/**
+ * Score a piece of writing from -1 to 1 (0: neutral, or nothing to go on)
+ */
+const scoreSentiment = (text) => {
+  const words = String(text || '').toLowerCase().match(/[a-z']+/g) || [];
+
+  let positive = 0;
+  let negative = 0;
+  words.forEach((word, index) => {
+    const flipped = index > 0 && NEGATIONS.has(words[index - 1]);
+    if (POSITIVE_WORDS.has(word)) {
+      flipped ? negative++ : positive++;
+    } else if (NEGATIVE_WORDS.has(word)) {
+      flipped ? positive++ : negative++;
+    }
+  });
+
+  const total = positive + negative;
+  return total === 0 ? 0 : (positive - negative) / total;
+};
+
+// exports
+
+module.exports = {
+  scoreSentiment
+};
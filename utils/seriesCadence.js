@@ -0,0 +1,72 @@
+/**
+ * Series Cadence Calculator
+ * A letter series repeats on a cadence - every week, every month,
+ * every New Year, every birthday. This module works out when the
+ * next letter in a series is due to be written.
+ */
+
+const { toZonedDateTime } = require('./timezone');
+const { calculateFutureDate, DELIVERY_INTERVALS } = require('./dateCalculator');
+
+// How often a series asks for a new letter
+const CADENCE_FREQUENCIES = {
+  WEEKLY: 'weekly',
+  MONTHLY: 'monthly',
+  YEARLY: 'yearly',
+  BIRTHDAY: 'birthday'
+};
+
+const VALID_FREQUENCIES = Object.values(CADENCE_FREQUENCIES);
+
+const FREQUENCY_UNITS = {
+  [CADENCE_FREQUENCIES.WEEKLY]: 'weeks',
+  [CADENCE_FREQUENCIES.MONTHLY]: 'months',
+  [CADENCE_FREQUENCIES.YEARLY]: 'years'
+};
+
+/**
+ * Find the first occurrence of a cadence strictly after a moment.
+ *
+ * Occurrences are counted from the anchor (the series' start) in the
+ * user's time zone, so a series started on Jan 31 at 9am lands on
+ * Feb 28, Mar 31, Apr 30... always at 9am local, even across DST.
+ * Birthday series land on the user's birthday at their delivery time.
+ */
+const calculateNextOccurrence = (cadence, anchorDate, after, preferences = {}) => {
+  const { frequency, every = 1 } = cadence;
+
+  if (frequency === CADENCE_FREQUENCIES.BIRTHDAY) {
+    return calculateFutureDate(DELIVERY_INTERVALS.NEXT_BIRTHDAY, null, {
+      ...preferences,
+      from: after
+    });
+  }
+
+  const unit = FREQUENCY_UNITS[frequency];
+  if (!unit) {
+    throw new Error(
+      `Invalid series frequency: "${frequency}". ` +
+      `Valid options are: ${VALID_FREQUENCIES.join(', ')}`
+    );
+  }
+
+  const anchor = toZonedDateTime(anchorDate, preferences.timezone);
+  const afterTime = new Date(after).getTime();
+
+  let index = 0;
+  let occurrence = anchor;
+  while (occurrence.toMillis() <= afterTime) {
+    index += 1;
+    occurrence = anchor.plus({ [unit]: every * index });
+  }
+
+  return occurrence.toJSDate();
+};
+
+// exports
+
+module.exports = {
+  CADENCE_FREQUENCIES,
+  VALID_FREQUENCIES,
+  calculateNextOccurrence
+};
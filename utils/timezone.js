@@ -0,0 +1,98 @@
+/**
+ * Time Zone Helpers
+ * Users live all over the world, so "tomorrow", "9am" and "a new day"
+ * have to be worked out in *their* time zone, not the server's.
+ */
+
+const { DateTime, IANAZone } = require('luxon');
+
+const DEFAULT_TIMEZONE = 'UTC';
+const DEFAULT_DELIVERY_TIME = '09:00';
+
+// 24-hour "HH:mm", e.g. "09:00" or "18:30"
+const TIME_OF_DAY_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)$/;
+
+/**
+ * Check that a string is a real IANA time zone (e.g. "Asia/Tokyo")
+ */
+const isValidTimezone = (timezone) => {
+  return typeof timezone === 'string' && IANAZone.isValidZone(timezone);
+};
+
+/**
+ * Check that a string is a valid "HH:mm" time of day
+ */
+const isValidTimeOfDay = (timeOfDay) => {
+  return typeof timeOfDay === 'string' && TIME_OF_DAY_PATTERN.test(timeOfDay);
+};
+
+/**
+ * Turn "HH:mm" into { hour, minute }
+ */
+const parseTimeOfDay = (timeOfDay = DEFAULT_DELIVERY_TIME) => {
+  const [, hour, minute] = TIME_OF_DAY_PATTERN.exec(timeOfDay) || TIME_OF_DAY_PATTERN.exec(DEFAULT_DELIVERY_TIME);
+  return { hour: Number(hour), minute: Number(minute) };
+};
+
+/**
+ * Get a Luxon DateTime for a moment, seen from a time zone
+ */
+const toZonedDateTime = (date, timezone = DEFAULT_TIMEZONE) => {
+  return DateTime.fromJSDate(new Date(date), { zone: resolveTimezone(timezone) });
+};
+
+/**
+ * Move a zoned DateTime to a local time of day on the same calendar date.
+ * If that time doesn't exist (clocks spring forward), Luxon moves it
+ * forward by the length of the gap, so 02:30 becomes 03:30.
+ */
+const atLocalTime = (zonedDateTime, timeOfDay) => {
+  const { hour, minute } = parseTimeOfDay(timeOfDay);
+  return zonedDateTime.set({ hour, minute, second: 0, millisecond: 0 });
+};
+
+/**
+ * Count whole calendar days between two moments in a time zone.
+ * 11pm and 1am the next morning are one day apart, even though
+ * only two hours have passed.
+ */
+const calendarDaysBetween = (earlier, later, timezone = DEFAULT_TIMEZONE) => {
+  const startDay = toZonedDateTime(earlier, timezone).startOf('day');
+  const endDay = toZonedDateTime(later, timezone).startOf('day');
+  return Math.round(endDay.diff(startDay, 'days').days);
+};
+
+/**
+ * Parse a date-only string ("2030-05-17") as that day in a time zone
+ * Returns null for anything that isn't a plain date.
+ */
+const parseLocalDate = (value, timezone = DEFAULT_TIMEZONE) => {
+  if (typeof value !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+    return null;
+  }
+  const localDate = DateTime.fromISO(value, { zone: resolveTimezone(timezone) });
+  return localDate.isValid ? localDate : null;
+};
+
+// --- Helpers ---
+
+/**
+ * Fall back to the default zone if a stored zone is missing or invalid
+ */
+const resolveTimezone = (timezone) => {
+  return isValidTimezone(timezone) ? timezone : DEFAULT_TIMEZONE;
+};
+
+// exports
+
+module.exports = {
+  DEFAULT_TIMEZONE,
+  DEFAULT_DELIVERY_TIME,
+  isValidTimezone,
+  isValidTimeOfDay,
+  parseTimeOfDay,
+  toZonedDateTime,
+  atLocalTime,
+  calendarDaysBetween,
+  parseLocalDate
+};